@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import mongoose from 'mongoose';
 
@@ -35,6 +36,24 @@ export const authenticateToken = (req, res, next) => {
   });
 };
 
+// Public routes that personalise results for signed-in users: sets req.user when a
+// valid token is sent and carries on anonymously otherwise
+export const optionalAuth = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  if (!token) {
+    return next();
+  }
+
+  jwt.verify(token, JWT_SECRET, (err, user) => {
+    const userId = user?.id || user?._id;
+    if (!err && userId && mongoose.Types.ObjectId.isValid(userId)) {
+      req.user = { ...user, id: userId };
+    }
+    next();
+  });
+};
+
 export const requireRole = (roles) => {
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
@@ -44,4 +63,31 @@ export const requireRole = (roles) => {
   };
 };
 
-export const requireAdmin = requireRole(['admin']);
\ No newline at end of file
+export const requireAdmin = requireRole(['admin']);
+
+// Courier partners push tracking events with an API key from COURIER_API_KEYS
+// ("courier:key,courier:key"); the matching courier name is set on req.courier
+export const authenticateCourier = (req, res, next) => {
+  const apiKey = req.headers['x-courier-key'];
+  if (!apiKey) {
+    return res.status(401).json({ message: 'Courier API key required' });
+  }
+
+  const courierKeys = (process.env.COURIER_API_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim().split(':'))
+    .filter(([name, key]) => name && key);
+
+  const provided = Buffer.from(apiKey);
+  const match = courierKeys.find(([, key]) => {
+    const expected = Buffer.from(key);
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+  });
+
+  if (!match) {
+    return res.status(403).json({ message: 'Invalid courier API key' });
+  }
+
+  req.courier = { name: match[0] };
+  next();
+};
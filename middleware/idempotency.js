@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+
+const MAX_KEY_LENGTH = 255;
+
+// A request still marked as processing after this long died with the server; its key is freed
+const ABANDONED_AFTER_MS = 5 * 60 * 1000;
+
+const keyTtlMs = () => (parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+const hashRequest = (req, path) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${path}\n${JSON.stringify(req.body ?? {})}`)
+  .digest('hex');
+
+// Reserve the key for this request, or return the record of the request that already holds it
+const claimKey = async (claim, attempt = 0) => {
+  try {
+    await IdempotencyKey.create({ ...claim, expiresAt: new Date(Date.now() + keyTtlMs()) });
+    return { claimed: true };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const existing = await IdempotencyKey.findOne({ userId: claim.userId, key: claim.key });
+  const abandoned = existing?.status === 'processing' && Date.now() - existing.updatedAt > ABANDONED_AFTER_MS;
+  // Expired records linger until MongoDB's TTL sweep removes them
+  if (attempt < 2 && (!existing || existing.expiresAt <= new Date() || abandoned)) {
+    if (existing) {
+      await IdempotencyKey.deleteOne({ _id: existing._id, updatedAt: existing.updatedAt });
+    }
+    return claimKey(claim, attempt + 1);
+  }
+
+  return { existing };
+};
+
+// Makes a mutation safe to retry. When the client sends an Idempotency-Key header, the first
+// response is stored per key and user and replayed for retries instead of running the
+// request again. Server errors are not stored, so a retry after one runs normally.
+// Requests without the header are unaffected. Use after authenticateToken.
+export const idempotent = async (req, res, next) => {
+  const key = req.headers['idempotency-key'];
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ success: false, message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+  }
+
+  const path = `${req.baseUrl}${req.path}`;
+  const claim = { key, userId: req.user.id, method: req.method, path, requestHash: hashRequest(req, path) };
+
+  let claimResult;
+  try {
+    claimResult = await claimKey(claim);
+  } catch (error) {
+    console.error('Idempotency key error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+
+  const { existing } = claimResult;
+  if (existing) {
+    if (existing.requestHash !== claim.requestHash) {
+      return res.status(422).json({ success: false, message: 'This Idempotency-Key was already used for a different request' });
+    }
+    if (existing.status === 'processing') {
+      return res.status(409).json({ success: false, message: 'A request with this Idempotency-Key is still being processed' });
+    }
+
+    console.log(`🔁 Replaying response for Idempotency-Key ${key}`);
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  }
+
+  const recordFilter = { userId: claim.userId, key };
+  const sendJson = res.json.bind(res);
+  let recorded = false;
+
+  // Store the response before it goes out, so a retry never sees the key half-finished
+  res.json = (body) => {
+    recorded = true;
+    const record = res.statusCode >= 500
+      ? IdempotencyKey.deleteOne(recordFilter)
+      : IdempotencyKey.updateOne(recordFilter, {
+        $set: { status: 'completed', responseStatus: res.statusCode, responseBody: JSON.parse(JSON.stringify(body ?? null)) }
+      });
+
+    record.exec()
+      .catch(error => console.error(`Could not store response for Idempotency-Key ${key}:`, error))
+      .finally(() => sendJson(body));
+    return res;
+  };
+
+  // Redirects, plain-text replies and dropped connections are not replayable; free the key
+  res.on('close', () => {
+    if (!recorded) {
+      IdempotencyKey.deleteOne(recordFilter).catch(error => console.error(`Could not release Idempotency-Key ${key}:`, error));
+    }
+  });
+
+  next();
+};
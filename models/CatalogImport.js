@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+// Row errors kept per import; the counts still cover every failed row
+export const MAX_IMPORT_ERRORS = 500;
+
+const rowErrorSchema = new mongoose.Schema({
+  // Spreadsheet row number (the header is row 1)
+  row: {
+    type: Number,
+    required: true
+  },
+  name: String,
+  batchNumber: String,
+  field: String,
+  message: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+// A vendor's bulk catalogue upload, processed in the background
+const catalogImportSchema = new mongoose.Schema({
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  fileName: {
+    type: String,
+    trim: true
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'xlsx'],
+    required: true
+  },
+  // Validate every row and report what would change without saving anything
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued'
+  },
+  totals: {
+    rows: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  rowErrors: [rowErrorSchema],
+  // Why the whole file could not be processed (unreadable file, missing columns)
+  failureReason: String,
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+catalogImportSchema.index({ vendor: 1, createdAt: -1 });
+
+catalogImportSchema.methods.addRowError = function(error) {
+  this.totals.failed += 1;
+  if (this.rowErrors.length < MAX_IMPORT_ERRORS) {
+    this.rowErrors.push(error);
+  }
+};
+
+export default mongoose.model('CatalogImport', catalogImportSchema);
@@ -0,0 +1,158 @@
+import mongoose from 'mongoose';
+
+// Tried in this order; the first scope with a matching policy sets the rate
+export const COMMISSION_SCOPES = ['promotion', 'category', 'vendor', 'platform'];
+
+// Platform commission in percent when no platform policy is in force. Every payment created
+// before commission policies existed was charged this rate.
+export const DEFAULT_COMMISSION_RATE = 15;
+
+// The platform's share of a sale, in percent of the item value. A platform policy sets the
+// default, a vendor policy is that vendor's contract, a category policy overrides the rate
+// for one medicine category (for every vendor, or one), and a promotion is a time-bounded
+// rate that can be limited to a vendor and/or a category.
+const commissionPolicySchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: COMMISSION_SCOPES,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Medicine category, e.g. Tablet or Syrup
+  category: {
+    type: String,
+    default: null
+  },
+  // Open-ended on either side when not set; promotions need both
+  startsAt: {
+    type: Date,
+    default: null
+  },
+  endsAt: {
+    type: Date,
+    default: null
+  },
+  // Retired policies are kept, since payments record the policy they were charged under
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+commissionPolicySchema.index({ isActive: 1, scope: 1 });
+commissionPolicySchema.index({ vendor: 1, isActive: 1 });
+
+commissionPolicySchema.pre('validate', function(next) {
+  if (this.scope === 'platform' && (this.vendor || this.category)) {
+    this.invalidate('scope', 'A platform policy applies to every vendor and category');
+  }
+  if (this.scope === 'vendor') {
+    if (!this.vendor) this.invalidate('vendor', 'A vendor policy needs a vendor');
+    if (this.category) this.invalidate('category', 'Use a category policy to set a rate for one category');
+  }
+  if (this.scope === 'category' && !this.category) {
+    this.invalidate('category', 'A category policy needs a category');
+  }
+  if (this.scope === 'promotion' && (!this.startsAt || !this.endsAt)) {
+    this.invalidate('endsAt', 'A promotion needs a start and an end');
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'endsAt must be after startsAt');
+  }
+  next();
+});
+
+// Active policies in force at a moment for a vendor, including the ones for every vendor
+commissionPolicySchema.statics.findInForce = function({ vendorId, at = new Date(), session = null } = {}) {
+  return this.find({
+    isActive: true,
+    $and: [
+      { $or: [{ vendor: null }, ...(vendorId ? [{ vendor: vendorId }] : [])] },
+      { $or: [{ startsAt: null }, { startsAt: { $lte: at } }] },
+      { $or: [{ endsAt: null }, { endsAt: { $gt: at } }] }
+    ]
+  }).session(session);
+};
+
+// The policy that sets the rate for a vendor and category. Within a scope a policy naming
+// both the vendor and the category beats one naming either, and the latest start wins a tie.
+commissionPolicySchema.statics.pickPolicy = function(policies, { vendorId, category }) {
+  const matches = (policy) => {
+    if (policy.vendor && String(policy.vendor) !== String(vendorId)) return false;
+    if (policy.category && policy.category !== category) return false;
+    return true;
+  };
+  const specificity = (policy) => (policy.vendor ? 1 : 0) + (policy.category ? 1 : 0);
+
+  for (const scope of COMMISSION_SCOPES) {
+    const [best] = policies
+      .filter(policy => policy.scope === scope && matches(policy))
+      .sort((a, b) => specificity(b) - specificity(a) ||
+        (b.startsAt || b.createdAt || 0) - (a.startsAt || a.createdAt || 0));
+    if (best) return best;
+  }
+  return null;
+};
+
+// Commission for a vendor's items ({ category, amount }) at a moment. Returns the blended
+// rate in percent and what each category was charged:
+//   { rate, breakdown: [{ category, amount, rate, scope, policy }] }
+commissionPolicySchema.statics.resolveCommission = async function({ vendorId, items, at = new Date(), session = null }) {
+  const policies = await this.findInForce({ vendorId, at, session });
+
+  const amounts = new Map();
+  for (const item of items) {
+    const category = item.category || null;
+    amounts.set(category, (amounts.get(category) || 0) + (item.amount || 0));
+  }
+
+  const breakdown = [...amounts].map(([category, amount]) => {
+    const policy = this.pickPolicy(policies, { vendorId, category });
+    return {
+      category,
+      amount,
+      rate: policy ? policy.rate : DEFAULT_COMMISSION_RATE,
+      scope: policy ? policy.scope : 'platform',
+      policy: policy?._id || null
+    };
+  });
+
+  const total = breakdown.reduce((sum, entry) => sum + entry.amount, 0);
+  const commission = breakdown.reduce((sum, entry) => sum + entry.amount * entry.rate, 0);
+  const rate = total > 0
+    ? Math.round((commission / total) * 10000) / 10000
+    : breakdown[0]?.rate ?? DEFAULT_COMMISSION_RATE;
+
+  return { rate, breakdown };
+};
+
+export default mongoose.model('CommissionPolicy', commissionPolicySchema);
@@ -0,0 +1,208 @@
+import mongoose from 'mongoose';
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // percentage: value% off, flat: value BDT off, free_delivery: delivery fee waived
+  type: {
+    type: String,
+    enum: ['percentage', 'flat', 'free_delivery'],
+    required: true
+  },
+  value: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Upper limit for percentage discounts
+  maxDiscount: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // Minimum basket (of the eligible items) before the coupon applies
+  minBasket: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: {
+    type: Date,
+    default: null
+  },
+  // Global usage limit; null means unlimited
+  usageLimit: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  // Uses allowed per customer; null means unlimited
+  perUserLimit: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  usedCount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Who pays for the discount. Vendor-funded coupons only apply to that vendor's items.
+  fundedBy: {
+    type: String,
+    enum: ['platform', 'vendor'],
+    default: 'platform'
+  },
+  vendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  redemptions: [{
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true
+    },
+    discountAmount: {
+      type: Number,
+      default: 0
+    },
+    redeemedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+couponSchema.index({ vendorId: 1, isActive: 1 });
+couponSchema.index({ 'redemptions.order': 1 });
+
+couponSchema.pre('validate', function(next) {
+  if (this.fundedBy === 'vendor' && !this.vendorId) {
+    return next(new Error('Vendor-funded coupons need a vendor'));
+  }
+  if (this.fundedBy === 'vendor' && this.type === 'free_delivery') {
+    return next(new Error('Free delivery coupons can only be platform-funded'));
+  }
+  if (this.type === 'percentage' && (this.value <= 0 || this.value > 100)) {
+    return next(new Error('Percentage must be between 0 and 100'));
+  }
+  if (this.type === 'flat' && this.value <= 0) {
+    return next(new Error('Flat discount must be greater than 0'));
+  }
+  next();
+});
+
+// Number of times a customer has used this coupon
+couponSchema.methods.usesBy = function(customerId) {
+  return this.redemptions.filter(redemption => redemption.customer.toString() === customerId.toString()).length;
+};
+
+// Why the coupon cannot be used right now, or null when it can
+couponSchema.methods.getUnavailableReason = function(customerId, now = new Date()) {
+  if (!this.isActive) {
+    return 'This coupon is no longer active';
+  }
+  if (this.validFrom && this.validFrom > now) {
+    return 'This coupon is not valid yet';
+  }
+  if (this.validUntil && this.validUntil < now) {
+    return 'This coupon has expired';
+  }
+  if (this.usageLimit !== null && this.usedCount >= this.usageLimit) {
+    return 'This coupon has reached its usage limit';
+  }
+  if (this.perUserLimit !== null && this.usesBy(customerId) >= this.perUserLimit) {
+    return 'You have already used this coupon';
+  }
+  return null;
+};
+
+// Record one use. The filter re-checks both limits so concurrent checkouts cannot
+// go over them. Returns false when the coupon was used up in the meantime.
+couponSchema.statics.redeem = async function(couponId, { customerId, orderId, discountAmount }, session = null) {
+  const customerObjectId = new mongoose.Types.ObjectId(customerId.toString());
+
+  const updated = await this.findOneAndUpdate(
+    {
+      _id: couponId,
+      isActive: true,
+      $and: [
+        { $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }] },
+        {
+          $or: [
+            { perUserLimit: null },
+            {
+              $expr: {
+                $lt: [
+                  {
+                    $size: {
+                      $filter: {
+                        input: '$redemptions',
+                        cond: { $eq: ['$$this.customer', customerObjectId] }
+                      }
+                    }
+                  },
+                  '$perUserLimit'
+                ]
+              }
+            }
+          ]
+        }
+      ]
+    },
+    {
+      $inc: { usedCount: 1 },
+      $push: { redemptions: { customer: customerObjectId, order: orderId, discountAmount, redeemedAt: new Date() } }
+    },
+    { session, new: true }
+  );
+
+  return Boolean(updated);
+};
+
+// Give a use back when the order it was redeemed on is cancelled
+couponSchema.statics.release = async function(couponId, orderId, session = null) {
+  const updated = await this.findOneAndUpdate(
+    { _id: couponId, 'redemptions.order': orderId },
+    {
+      $inc: { usedCount: -1 },
+      $pull: { redemptions: { order: orderId } }
+    },
+    { session, new: true }
+  );
+
+  return Boolean(updated);
+};
+
+export default mongoose.model('Coupon', couponSchema);
@@ -91,6 +91,7 @@ customerPointSchema.methods.addPoints = function(points, description, relatedId
     description: description,
     relatedPaymentId: type === 'refund_credit' ? relatedId : null,
     relatedRefundId: type === 'refund_credit' ? relatedId : null,
+    relatedOrderId: type === 'earned' ? relatedId : null,
     expiryDate: expiryDate,
     isActive: true
   });
@@ -121,6 +122,61 @@ customerPointSchema.methods.usePoints = function(points, description, orderId =
   return this.save();
 };
 
+// Method to give back the points spent on an order (e.g. when it is cancelled)
+customerPointSchema.methods.returnOrderPoints = function(orderId, description, options = {}) {
+  let returnedPoints = 0;
+
+  this.transactions.forEach(transaction => {
+    if (transaction.type === 'used' &&
+        transaction.isActive &&
+        transaction.relatedOrderId &&
+        transaction.relatedOrderId.toString() === orderId.toString()) {
+      transaction.isActive = false;
+      returnedPoints += transaction.points;
+    }
+  });
+
+  if (returnedPoints === 0) {
+    return Promise.resolve(0);
+  }
+
+  this.transactions.push({
+    type: 'refund_credit',
+    points: returnedPoints,
+    description: description,
+    relatedOrderId: orderId,
+    isActive: true
+  });
+
+  this.availablePoints += returnedPoints;
+  this.usedPoints = Math.max(0, this.usedPoints - returnedPoints);
+
+  return this.save(options).then(() => returnedPoints);
+};
+
+// Atomically spend points on an order. The filter only matches while enough
+// points are available, so two checkouts cannot spend the same points.
+// Returns the updated document, or null when the balance was too low.
+customerPointSchema.statics.redeemForOrder = async function(customerId, points, orderId, description, session = null) {
+  return this.findOneAndUpdate(
+    { customerId, availablePoints: { $gte: points } },
+    {
+      $inc: { availablePoints: -points, usedPoints: points },
+      $push: {
+        transactions: {
+          type: 'used',
+          points,
+          description,
+          relatedOrderId: orderId,
+          isActive: true,
+          createdAt: new Date()
+        }
+      }
+    },
+    { session, new: true }
+  );
+};
+
 // Method to get point balance
 customerPointSchema.methods.getBalance = function() {
   return {
@@ -0,0 +1,118 @@
+import mongoose from 'mongoose';
+
+const distanceBandSchema = new mongoose.Schema({
+  // Band covers distances up to this many km (from the previous band's limit)
+  upToKm: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  fee: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+const deliveryZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  // Shipping address cities covered by the zone (stored lowercase)
+  cities: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  postalCodes: [{
+    type: String,
+    trim: true
+  }],
+  // Used for addresses that match no other zone
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  baseFee: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Standard delivery is free from this subtotal; null means never free
+  freeDeliveryThreshold: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // Extra fee by vendor-to-customer distance, sorted by upToKm
+  distanceBands: [distanceBandSchema],
+  estimatedDays: {
+    type: Number,
+    min: 0,
+    default: 4
+  },
+  express: {
+    available: {
+      type: Boolean,
+      default: false
+    },
+    surcharge: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    estimatedDays: {
+      type: Number,
+      min: 0,
+      default: 1
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+deliveryZoneSchema.index({ cities: 1 });
+deliveryZoneSchema.index({ postalCodes: 1 });
+
+deliveryZoneSchema.pre('save', function(next) {
+  this.distanceBands.sort((a, b) => a.upToKm - b.upToKm);
+  next();
+});
+
+// Extra fee for a distance; beyond the last band the last band's fee applies
+deliveryZoneSchema.methods.getDistanceFee = function(distanceKm) {
+  if (distanceKm === null || distanceKm === undefined || this.distanceBands.length === 0) {
+    return 0;
+  }
+
+  const band = this.distanceBands.find(distanceBand => distanceKm <= distanceBand.upToKm);
+  return band ? band.fee : this.distanceBands[this.distanceBands.length - 1].fee;
+};
+
+// Zone for a shipping address: postal code first, then city, then the default zone
+deliveryZoneSchema.statics.findForAddress = async function(city, postalCode) {
+  if (postalCode) {
+    const byPostalCode = await this.findOne({ isActive: true, postalCodes: postalCode.toString().trim() });
+    if (byPostalCode) return byPostalCode;
+  }
+
+  if (city) {
+    const byCity = await this.findOne({ isActive: true, cities: city.toString().trim().toLowerCase() });
+    if (byCity) return byCity;
+  }
+
+  return this.findOne({ isActive: true, isDefault: true });
+};
+
+export default mongoose.model('DeliveryZone', deliveryZoneSchema);
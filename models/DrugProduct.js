@@ -0,0 +1,125 @@
+import mongoose from 'mongoose';
+
+export const DRUG_FORMS = ['Tablet', 'Capsule', 'Syrup', 'Injection', 'Ointment', 'Drops', 'Inhaler', 'Suppository', 'Other'];
+
+// Lowercase letters and digits only, so "Napa Extra", "napa-extra" and "NAPA EXTRA" compare equal
+export const normalizeText = (text) => String(text ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Admin-curated master record of a marketed product; vendor listings link to it
+const drugProductSchema = new mongoose.Schema({
+  genericName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  brandName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // e.g. "500 mg", "250 mg/5 ml"
+  strength: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  form: {
+    type: String,
+    required: true,
+    enum: DRUG_FORMS
+  },
+  manufacturer: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Units per pack (tablets in a strip, ml in a bottle, ...)
+  packSize: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  packUnit: {
+    type: String,
+    trim: true,
+    default: 'units'
+  },
+  // Other spellings vendors use for this product
+  aliases: [{
+    type: String,
+    trim: true
+  }],
+  // Normalized brand, generic and aliases used to match listings
+  searchKeys: [{
+    type: String
+  }],
+  // Identity of the product; two records with the same key are duplicates
+  productKey: {
+    type: String,
+    unique: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+drugProductSchema.index({ searchKeys: 1 });
+drugProductSchema.index({ brandName: 'text', genericName: 'text', aliases: 'text' });
+
+drugProductSchema.pre('validate', function(next) {
+  this.searchKeys = [...new Set([this.brandName, this.genericName, ...this.aliases].map(normalizeText).filter(Boolean))];
+  this.productKey = [this.brandName, this.strength, this.form, this.manufacturer, this.packSize]
+    .map(normalizeText)
+    .join('|');
+  next();
+});
+
+// How well a vendor's free-text listing matches this product (0-100)
+drugProductSchema.methods.matchScore = function({ name, genericName, dosage, category, manufacturer }) {
+  const listingName = normalizeText(name);
+  let score = 0;
+
+  if (listingName && this.searchKeys.includes(listingName)) {
+    score += listingName === normalizeText(this.genericName) ? 30 : 50;
+  } else if (listingName && normalizeText(this.brandName).startsWith(listingName.slice(0, 4))) {
+    score += 20;
+  }
+  if (genericName && normalizeText(genericName) === normalizeText(this.genericName)) score += 25;
+  if (dosage && normalizeText(dosage) === normalizeText(this.strength)) score += 15;
+  if (category && category === this.form) score += 5;
+  if (manufacturer && normalizeText(manufacturer) === normalizeText(this.manufacturer)) score += 5;
+
+  return Math.min(score, 100);
+};
+
+// Master products a listing probably is, best match first
+drugProductSchema.statics.findMatches = async function(listing, { limit = 5, minScore = 50 } = {}) {
+  const keys = [listing.name, listing.genericName].map(normalizeText).filter(Boolean);
+  if (keys.length === 0) {
+    return [];
+  }
+
+  const firstWord = String(listing.name ?? '').trim().split(/\s+/)[0].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const candidates = await this.find({
+    isActive: true,
+    $or: [
+      { searchKeys: { $in: keys } },
+      ...(firstWord ? [{ brandName: new RegExp(`^${firstWord}`, 'i') }] : [])
+    ]
+  }).limit(50);
+
+  return candidates
+    .map(product => ({ product, score: product.matchScore(listing) }))
+    .filter(match => match.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+export default mongoose.model('DrugProduct', drugProductSchema);
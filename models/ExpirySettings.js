@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+const markdownTierSchema = new mongoose.Schema({
+  // Applies when the next lot to be sold expires within this many days
+  withinDays: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  percentOff: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 90
+  }
+}, { _id: false });
+
+// A pharmacy's choices for the expiry management job
+const expirySettingsSchema = new mongoose.Schema({
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // Weekly email of stock expiring within 30/60/90 days
+  digestEnabled: {
+    type: Boolean,
+    default: true
+  },
+  markdownEnabled: {
+    type: Boolean,
+    default: false
+  },
+  markdownTiers: {
+    type: [markdownTierSchema],
+    default: () => [
+      { withinDays: 30, percentOff: 25 },
+      { withinDays: 60, percentOff: 10 }
+    ]
+  },
+  // Lots expiring within this many days are offered for donation in the digest
+  donationOfferDays: {
+    type: Number,
+    min: 0,
+    default: 45
+  }
+}, {
+  timestamps: true
+});
+
+expirySettingsSchema.pre('save', function(next) {
+  this.markdownTiers.sort((a, b) => a.withinDays - b.withinDays);
+  next();
+});
+
+// Markdown for a lot expiring in daysLeft days (0 when no tier applies)
+expirySettingsSchema.methods.getMarkdownPercent = function(daysLeft) {
+  if (!this.markdownEnabled) {
+    return 0;
+  }
+  const tier = [...this.markdownTiers]
+    .sort((a, b) => a.withinDays - b.withinDays)
+    .find(candidate => daysLeft <= candidate.withinDays);
+  return tier ? tier.percentOff : 0;
+};
+
+// Saved settings of a vendor, or the defaults (unsaved) when none were saved
+expirySettingsSchema.statics.forVendor = async function(vendorId) {
+  const settings = await this.findOne({ vendor: vendorId });
+  return settings || new this({ vendor: vendorId });
+};
+
+export default mongoose.model('ExpirySettings', expirySettingsSchema);
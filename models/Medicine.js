@@ -1,4 +1,45 @@
 import mongoose from 'mongoose';
+import { medicineSearchTerms } from '../utils/searchText.js';
+import StockMovement, { DEFAULT_REASON_CODES } from './StockMovement.js';
+
+// One received batch of a product. Stock is sold first-expiry-first-out across lots.
+const lotSchema = new mongoose.Schema({
+  batchNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  expiryDate: {
+    type: Date,
+    required: true
+  },
+  // Units of this batch still on hand
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: 0
+  },
+  receivedQuantity: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Purchase price per unit
+  costPrice: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  supplier: {
+    type: String,
+    trim: true
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
 
 const medicineSchema = new mongoose.Schema({
   name: {
@@ -32,6 +73,21 @@ const medicineSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Price before a near-expiry markdown; null when no markdown is applied
+  regularPrice: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  markdown: {
+    percentOff: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    appliedAt: Date
+  },
+  // Total units on hand; kept equal to the sum of the lots
   stockQuantity: {
     type: Number,
     required: true,
@@ -44,6 +100,7 @@ const medicineSchema = new mongoose.Schema({
     min: 0,
     default: 10
   },
+  // Expiry and batch of the lot sold next (kept in sync with the lots)
   expiryDate: {
     type: Date,
     required: true
@@ -53,6 +110,13 @@ const medicineSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  lots: [lotSchema],
+  // Master product this listing is (null until linked)
+  drugProduct: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DrugProduct',
+    default: null
+  },
   prescriptionRequired: {
     type: Boolean,
     default: false
@@ -76,41 +140,38 @@ const medicineSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Set when the vendor was told this item needs reordering; cleared once cover recovers
+  lowStockAlertedAt: {
+    type: Date,
+    default: null
+  },
+  // Set when the expiry job took the listing down because all its stock expired
+  deactivationReason: {
+    type: String,
+    enum: ['expired', null],
+    default: null
+  },
   imageUrl: {
     type: String,
     default: null
   },
+  // Image uploaded by the vendor; imageUrl points at its detail variant
+  images: {
+    thumbnailUrl: { type: String, default: null },
+    detailUrl: { type: String, default: null },
+    // Storage keys of the variants, removed when the image is replaced or the listing deleted
+    storageKeys: { type: [String], default: [], select: false },
+    uploadedAt: { type: Date, default: null }
+  },
   tags: [{
     type: String,
     trim: true
   }],
-  stockHistory: [{
-    type: {
-      type: String,
-      enum: ['in', 'out', 'expired', 'damaged'],
-      required: true
-    },
-    quantity: {
-      type: Number,
-      required: true
-    },
-    reason: {
-      type: String,
-      trim: true
-    },
-    date: {
-      type: Date,
-      default: Date.now
-    },
-    previousStock: {
-      type: Number,
-      required: true
-    },
-    newStock: {
-      type: Number,
-      required: true
-    }
-  }]
+  // Normalized tokens of the name, generic, manufacturer, dosage and tags for search
+  searchTerms: {
+    type: [String],
+    select: false
+  }
 }, {
   timestamps: true
 });
@@ -120,6 +181,9 @@ medicineSchema.index({ vendorId: 1, name: 1 });
 medicineSchema.index({ category: 1 });
 medicineSchema.index({ expiryDate: 1 });
 medicineSchema.index({ stockQuantity: 1 });
+medicineSchema.index({ 'lots.expiryDate': 1 });
+medicineSchema.index({ drugProduct: 1, price: 1 });
+medicineSchema.index({ searchTerms: 1 });
 
 // Virtual for checking if medicine is low on stock
 medicineSchema.virtual('isLowStock').get(function() {
@@ -138,28 +202,363 @@ medicineSchema.virtual('isExpiringSoon').get(function() {
   return this.expiryDate <= thirtyDaysFromNow && this.expiryDate > new Date();
 });
 
-// Method to update stock
-medicineSchema.methods.updateStock = function(quantity, type, reason = '') {
+const isSellable = (lot, now = new Date()) => lot.quantity > 0 && lot.expiryDate > now;
+
+const byExpiry = (a, b) => new Date(a.expiryDate) - new Date(b.expiryDate);
+
+// Lot to show as the product's batch and expiry: the next one to be sold,
+// else the earliest one with stock left, else the most recently received
+const headlineLot = (lots) => {
+  const now = new Date();
+  return [...lots].filter(lot => isSellable(lot, now)).sort(byExpiry)[0] ||
+    [...lots].filter(lot => lot.quantity > 0).sort(byExpiry)[0] ||
+    [...lots].sort((a, b) => new Date(b.receivedAt) - new Date(a.receivedAt))[0];
+};
+
+// Lot that stock is received into when none is named: the headline batch, else the newest
+const currentLot = (medicine) =>
+  medicine.lots.find(candidate => candidate.batchNumber === medicine.batchNumber) || medicine.lots[medicine.lots.length - 1];
+
+// Take quantity from unexpired lots, earliest expiry first. Returns
+// [{ lot, quantity }] or null when the unexpired stock is not enough.
+const allocateFefo = (lots, quantity) => {
+  const allocations = [];
+  let remaining = quantity;
+
+  for (const lot of [...lots].filter(candidate => isSellable(candidate)).sort(byExpiry)) {
+    const take = Math.min(lot.quantity, remaining);
+    allocations.push({ lot, quantity: take });
+    remaining -= take;
+    if (remaining === 0) break;
+  }
+
+  return remaining === 0 ? allocations : null;
+};
+
+// Ledger entry for a stock change. `context` says who made it and why:
+// { actor, actorRole, reasonCode, order, dispute }; no actor means a system job.
+const buildMovement = (medicine, { type, quantity, reason, previousStock, newStock, lot, batchNumber }, context = {}) => ({
+  medicine: medicine._id,
+  vendor: medicine.vendorId,
+  type,
+  reasonCode: context.reasonCode || DEFAULT_REASON_CODES[type],
+  reason,
+  quantity,
+  previousStock,
+  newStock,
+  lot,
+  batchNumber,
+  actor: context.actor || null,
+  actorRole: context.actorRole || (context.actor ? null : 'system'),
+  order: context.order || null,
+  dispute: context.dispute || null,
+  occurredAt: new Date()
+});
+
+// Create the first lot from the product's own batch fields (also upgrades listings
+// created before lots existed)
+medicineSchema.methods.ensureLots = function() {
+  if (this.lots.length === 0 && this.batchNumber && this.expiryDate) {
+    this.lots.push({
+      batchNumber: this.batchNumber,
+      expiryDate: this.expiryDate,
+      quantity: this.stockQuantity,
+      receivedQuantity: this.stockQuantity
+    });
+  }
+  return this.lots;
+};
+
+// Recompute the total stock and the headline batch from the lots
+medicineSchema.methods.syncStockFromLots = function() {
+  if (this.lots.length === 0) return;
+
+  this.stockQuantity = this.lots.reduce((total, lot) => total + lot.quantity, 0);
+  const lot = headlineLot(this.lots);
+  this.batchNumber = lot.batchNumber;
+  this.expiryDate = lot.expiryDate;
+};
+
+// Units that can still be sold (expired lots excluded)
+medicineSchema.methods.getSellableQuantity = function() {
+  if (this.lots.length === 0) {
+    return this.expiryDate > new Date() ? this.stockQuantity : 0;
+  }
+  const now = new Date();
+  return this.lots.filter(lot => isSellable(lot, now)).reduce((total, lot) => total + lot.quantity, 0);
+};
+
+// Queue a ledger entry; queued entries are written to StockMovement when the listing is saved
+medicineSchema.methods.recordStockMovement = function(entry, context = {}) {
+  this.$locals.stockMovements = this.$locals.stockMovements || [];
+  this.$locals.stockMovements.push(buildMovement(this, entry, context));
+};
+
+// Receive a batch: adds to the lot with the same batch number or starts a new lot
+medicineSchema.methods.receiveLot = function({ batchNumber, expiryDate, quantity, costPrice, supplier }, reason = '', context = {}) {
+  this.ensureLots();
+
+  let lot = this.lots.find(candidate => candidate.batchNumber === batchNumber);
+  if (lot && new Date(lot.expiryDate).getTime() !== new Date(expiryDate).getTime()) {
+    throw new Error(`Batch ${batchNumber} is already recorded with a different expiry date`);
+  }
+
+  if (lot) {
+    lot.quantity += quantity;
+    lot.receivedQuantity += quantity;
+    if (costPrice !== undefined && costPrice !== null) lot.costPrice = costPrice;
+    if (supplier) lot.supplier = supplier;
+  } else {
+    this.lots.push({ batchNumber, expiryDate, quantity, receivedQuantity: quantity, costPrice, supplier });
+    lot = this.lots[this.lots.length - 1];
+  }
+
   const previousStock = this.stockQuantity;
-  
-  if (type === 'in') {
-    this.stockQuantity += quantity;
-  } else if (type === 'out') {
-    this.stockQuantity = Math.max(0, this.stockQuantity - quantity);
-  } else if (type === 'expired' || type === 'damaged') {
-    this.stockQuantity = Math.max(0, this.stockQuantity - quantity);
-  }
-  
-  // Add to stock history
-  this.stockHistory.push({
-    type,
+  this.syncStockFromLots();
+  this.recordStockMovement({
+    type: 'in',
     quantity,
-    reason,
+    reason: reason || `Batch ${batchNumber} received`,
     previousStock,
-    newStock: this.stockQuantity
-  });
-  
+    newStock: this.stockQuantity,
+    lot: lot._id,
+    batchNumber
+  }, context);
+
+  return lot;
+};
+
+// Apply a near-expiry markdown to the regular price; 0 restores the regular price
+medicineSchema.methods.applyMarkdown = function(percentOff) {
+  if (percentOff > 0) {
+    if (this.regularPrice === null || this.regularPrice === undefined) {
+      this.regularPrice = this.price;
+    }
+    this.price = Math.round(this.regularPrice * (100 - percentOff)) / 100;
+    this.markdown = { percentOff, appliedAt: new Date() };
+  } else if (this.regularPrice !== null && this.regularPrice !== undefined) {
+    this.price = this.regularPrice;
+    this.regularPrice = null;
+    this.markdown = { percentOff: 0 };
+  }
+};
+
+// Method to update stock. A lot can be named with lotId or batchNumber; otherwise
+// stock out is taken first-expiry-first-out and stock in goes to the current lot.
+// The rest of the options are the ledger context (actor, actorRole, reasonCode, order, dispute).
+medicineSchema.methods.updateStock = function(quantity, type, reason = '', { lotId, batchNumber, ...context } = {}) {
+  this.ensureLots();
+
+  let lot = null;
+  if (lotId || batchNumber) {
+    lot = lotId ? this.lots.id(lotId) : this.lots.find(candidate => candidate.batchNumber === batchNumber);
+    if (!lot) {
+      throw new Error('Lot not found');
+    }
+  }
+
+  let movements = [];
+  if (type === 'in') {
+    lot = lot || currentLot(this);
+    if (!lot) {
+      throw new Error('Receive a batch before adding stock');
+    }
+    movements.push({ lot, quantity });
+  } else if (lot) {
+    if (lot.quantity < quantity) {
+      throw new Error(`Insufficient stock in batch ${lot.batchNumber}: ${lot.quantity} left, ${quantity} requested`);
+    }
+    movements.push({ lot, quantity });
+  } else {
+    // Expired and damaged write-offs may come out of expired lots; sales may not
+    const candidates = [...this.lots]
+      .filter(candidate => candidate.quantity > 0 && (type !== 'out' || isSellable(candidate)))
+      .sort(byExpiry);
+    let remaining = quantity;
+    for (const candidate of candidates) {
+      if (remaining === 0) break;
+      const take = Math.min(candidate.quantity, remaining);
+      remaining -= take;
+      movements.push({ lot: candidate, quantity: take });
+    }
+    if (remaining > 0) {
+      throw new Error(`Insufficient stock: ${quantity - remaining} available, ${quantity} requested`);
+    }
+  }
+
+  // Nothing changes until the whole quantity is accounted for
+  movements = movements.filter(movement => movement.quantity > 0);
+  for (const movement of movements) {
+    movement.lot.quantity += type === 'in' ? movement.quantity : -movement.quantity;
+  }
+  let runningStock = this.stockQuantity;
+  for (const movement of movements) {
+    const previousStock = runningStock;
+    runningStock += type === 'in' ? movement.quantity : -movement.quantity;
+    this.recordStockMovement({
+      type,
+      quantity: movement.quantity,
+      reason,
+      previousStock,
+      newStock: runningStock,
+      lot: movement.lot._id,
+      batchNumber: movement.lot.batchNumber
+    }, context);
+  }
+
+  this.syncStockFromLots();
   return this.save();
 };
 
+// Write the ledger entries for an atomic lot update and refresh the headline batch
+const recordLotMovements = async (Model, medicine, type, movements, reason, session, context) => {
+  const total = movements.reduce((sum, movement) => sum + movement.quantity, 0);
+  let runningStock = type === 'in' ? medicine.stockQuantity - total : medicine.stockQuantity + total;
+
+  const entries = movements.map(movement => {
+    const previousStock = runningStock;
+    runningStock += type === 'in' ? movement.quantity : -movement.quantity;
+    return buildMovement(medicine, {
+      type,
+      quantity: movement.quantity,
+      reason,
+      previousStock,
+      newStock: runningStock,
+      lot: movement.lot,
+      batchNumber: movement.batchNumber
+    }, context);
+  });
+  await StockMovement.insertMany(entries, { session });
+
+  const lot = headlineLot(medicine.lots);
+  return Model.findByIdAndUpdate(
+    medicine._id,
+    { $set: { batchNumber: lot.batchNumber, expiryDate: lot.expiryDate } },
+    { session, new: true }
+  );
+};
+
+// Atomically take stock out for an order, first-expiry-first-out across unexpired
+// lots. Every lot decrement is conditional on the quantity read, so concurrent
+// checkouts cannot oversell; a lost race is retried with fresh quantities.
+// Returns the lots taken from ({ lot, batchNumber, expiryDate, quantity }),
+// or null when the stock was not available. `context` is recorded on the ledger entries.
+medicineSchema.statics.reserveStock = async function(medicineId, quantity, reason = '', session = null, context = {}) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const medicine = await this.findOne({ _id: medicineId, isActive: true }).session(session);
+    if (!medicine) {
+      return null;
+    }
+
+    if (medicine.lots.length === 0) {
+      // Move a listing created before lots existed onto a lot, then read it again
+      medicine.ensureLots();
+      await this.updateOne(
+        { _id: medicineId, 'lots.0': { $exists: false }, stockQuantity: medicine.stockQuantity },
+        { $set: { lots: medicine.lots } },
+        { session }
+      );
+      continue;
+    }
+
+    const allocations = allocateFefo(medicine.lots, quantity);
+    if (!allocations) {
+      return null;
+    }
+
+    const inc = { stockQuantity: -quantity };
+    const arrayFilters = [];
+    allocations.forEach((allocation, index) => {
+      inc[`lots.$[lot${index}].quantity`] = -allocation.quantity;
+      arrayFilters.push({ [`lot${index}._id`]: allocation.lot._id });
+    });
+
+    const updated = await this.findOneAndUpdate(
+      {
+        _id: medicineId,
+        isActive: true,
+        $and: allocations.map(allocation => ({
+          lots: { $elemMatch: { _id: allocation.lot._id, quantity: { $gte: allocation.quantity } } }
+        }))
+      },
+      { $inc: inc },
+      { session, new: true, arrayFilters }
+    );
+
+    if (!updated) {
+      continue;
+    }
+
+    const movements = allocations.map(allocation => ({
+      lot: allocation.lot._id,
+      batchNumber: allocation.lot.batchNumber,
+      expiryDate: allocation.lot.expiryDate,
+      quantity: allocation.quantity
+    }));
+    await recordLotMovements(this, updated, 'out', movements, reason, session, context);
+    return movements;
+  }
+
+  return null;
+};
+
+// Put reserved stock back into the lots it was taken from (e.g. a cancelled order)
+medicineSchema.statics.releaseStock = async function(medicineId, lots, reason = '', session = null, context = {}) {
+  const current = await this.findById(medicineId).select('batchNumber lots._id lots.batchNumber').session(session);
+  if (!current) {
+    return null;
+  }
+
+  // Quantities from a lot that no longer exists go back into the current lot
+  const movements = new Map();
+  for (const allocation of lots) {
+    let lot = current.lots.id(allocation.lot);
+    if (!lot) {
+      lot = currentLot(current);
+      if (!lot) {
+        throw new Error(`No lot to return ${allocation.quantity} unit(s) of batch ${allocation.batchNumber} to`);
+      }
+      console.log(`⚠️ Batch ${allocation.batchNumber} of ${medicineId} no longer exists, returning ${allocation.quantity} unit(s) to batch ${lot.batchNumber}`);
+    }
+    const movement = movements.get(lot._id.toString()) || { lot: lot._id, batchNumber: lot.batchNumber, quantity: 0 };
+    movement.quantity += allocation.quantity;
+    movements.set(lot._id.toString(), movement);
+  }
+  if (movements.size === 0) {
+    return null;
+  }
+
+  const inc = { stockQuantity: 0 };
+  const arrayFilters = [];
+  [...movements.values()].forEach((movement, index) => {
+    inc.stockQuantity += movement.quantity;
+    inc[`lots.$[lot${index}].quantity`] = movement.quantity;
+    arrayFilters.push({ [`lot${index}._id`]: movement.lot });
+  });
+
+  const updated = await this.findByIdAndUpdate(medicineId, { $inc: inc }, { session, new: true, arrayFilters });
+  return recordLotMovements(this, updated, 'in', [...movements.values()], reason, session, context);
+};
+
+// Keep the totals and headline batch in line with the lots, and the search terms with the text
+medicineSchema.pre('save', function(next) {
+  if (this.isNew) {
+    this.ensureLots();
+  }
+  this.syncStockFromLots();
+  if (this.isNew || ['name', 'genericName', 'manufacturer', 'dosage', 'tags'].some(path => this.isModified(path))) {
+    this.searchTerms = medicineSearchTerms(this);
+  }
+  next();
+});
+
+// Write the ledger entries queued while the listing was changed, in the same session
+medicineSchema.post('save', async function(doc) {
+  const movements = doc.$locals.stockMovements;
+  if (!movements?.length) return;
+
+  doc.$locals.stockMovements = [];
+  await StockMovement.insertMany(movements, { session: doc.$session() });
+});
+
 export default mongoose.model('Medicine', medicineSchema);
@@ -20,9 +20,163 @@ const orderItemSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
+  },
+  prescriptionRequired: {
+    type: Boolean,
+    default: false
+  },
+  // Medicine lots the units were taken from, for recalls and returns
+  lots: [{
+    _id: false,
+    lot: mongoose.Schema.Types.ObjectId,
+    batchNumber: String,
+    expiryDate: Date,
+    quantity: Number
+  }]
+});
+
+const statusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: {
+    type: String,
+    enum: ['customer', 'pharmacy_vendor', 'admin', 'system']
+  }
+});
+
+// Pharmacist's verification of the prescription for one shipment, kept for audit
+const prescriptionReviewSchema = new mongoose.Schema({
+  required: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['not_required', 'pending', 'approved', 'rejected'],
+    default: 'not_required'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  pharmacistName: {
+    type: String,
+    trim: true
+  },
+  reviewedAt: {
+    type: Date
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+// Courier checkpoint or a location/note update added against a shipment's tracking ID
+const trackingEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['checkpoint', 'location', 'note', 'delivery_attempt', 'eta_update'],
+    default: 'checkpoint'
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  location: {
+    name: { type: String, trim: true },
+    city: { type: String, trim: true },
+    // [longitude, latitude]
+    coordinates: [Number]
+  },
+  // New delivery estimate reported with the event
+  estimatedDelivery: {
+    type: Date
+  },
+  source: {
+    type: String,
+    enum: ['courier', 'pharmacy_vendor', 'admin'],
+    required: true
+  },
+  courier: {
+    type: String,
+    trim: true
+  },
+  // The courier's own event ID, used to ignore events sent twice
+  externalId: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
+// Per-vendor part of an order, fulfilled and tracked independently
+const shipmentSchema = new mongoose.Schema({
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'],
+    default: 'pending'
+  },
+  subtotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  trackingId: {
+    type: String
+  },
+  estimatedDelivery: {
+    type: Date
+  },
+  deliveredAt: {
+    type: Date
+  },
+  prescriptionReview: {
+    type: prescriptionReviewSchema,
+    default: () => ({})
+  },
+  // Courier carrying the shipment and its reference for it
+  courier: {
+    name: { type: String, trim: true },
+    reference: { type: String, trim: true }
+  },
+  statusHistory: [statusHistorySchema],
+  trackingEvents: [trackingEventSchema]
+});
+
+// Fulfilment order of the statuses; cancelled sits outside the flow
+export const ORDER_STATUS_FLOW = ['pending', 'confirmed', 'processing', 'shipped', 'delivered'];
+
 const orderSchema = new mongoose.Schema({
   customer: {
     type: mongoose.Schema.Types.ObjectId,
@@ -50,7 +204,7 @@ const orderSchema = new mongoose.Schema({
     enum: [
       'cash_on_delivery', 'cash', 'card', 'credit_card', 'debit_card',
       'mobile_banking', 'bank_transfer', 'bkash', 'nagad', 'rocket',
-      'stripe', 'sslcommerz', 'online', 'dummy'
+      'stripe', 'sslcommerz', 'online', 'dummy', 'mock'
     ],
     required: true
   },
@@ -82,6 +236,56 @@ const orderSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // How the delivery fee was priced
+  delivery: {
+    zone: String,
+    deliveryType: {
+      type: String,
+      enum: ['standard', 'express'],
+      default: 'standard'
+    },
+    distanceKm: Number,
+    baseFee: Number,
+    distanceFee: Number,
+    expressSurcharge: Number
+  },
+  // Coupon discount on items and delivery; total is already net of it
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  coupon: {
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    type: {
+      type: String
+    },
+    fundedBy: String,
+    vendorId: mongoose.Schema.Types.ObjectId,
+    itemDiscount: Number,
+    deliveryDiscount: Number
+  },
+  // Loyalty points spent on the order and their BDT value (taken off the total)
+  pointsRedeemed: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  pointsValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Points credited once the order is delivered
+  pointsEarned: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   total: {
     type: Number,
     required: true,
@@ -94,36 +298,130 @@ const orderSchema = new mongoose.Schema({
   estimatedDelivery: {
     type: Date
   },
+  deliveredAt: {
+    type: Date
+  },
   trackingId: {
     type: String,
     unique: true,
     sparse: true
   },
-  statusHistory: [{
-    status: {
-      type: String,
-      required: true
-    },
-    timestamp: {
-      type: Date,
-      default: Date.now
-    },
-    note: {
-      type: String,
-      trim: true
-    }
-  }]
+  // Snapshot of the customer prescription covering the prescription-only items
+  prescription: {
+    prescriptionId: mongoose.Schema.Types.ObjectId,
+    fileName: String,
+    originalName: String,
+    doctorName: String,
+    issuedAt: Date,
+    uploadedAt: Date
+  },
+  // Set when the order was placed by a recurring subscription
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription',
+    default: null
+  },
+  statusHistory: [statusHistorySchema],
+  // One shipment per vendor; the order status is rolled up from these
+  shipments: [shipmentSchema]
 }, {
   timestamps: true
 });
 
-// Generate tracking ID before saving
+// Generate unique tracking ID with timestamp and random string
+orderSchema.statics.generateTrackingId = function() {
+  const timestamp = Date.now();
+  const random = Math.random().toString(36).substr(2, 6).toUpperCase();
+  return `MED${timestamp}${random}`;
+};
+
+// Split the items into one shipment per vendor (also used to upgrade older orders)
+orderSchema.methods.ensureShipments = function() {
+  if (this.shipments && this.shipments.length > 0) {
+    return this.shipments;
+  }
+
+  const vendorIds = [];
+  for (const item of this.items) {
+    if (!vendorIds.some(id => id.toString() === item.vendor.toString())) {
+      vendorIds.push(item.vendor);
+    }
+  }
+
+  vendorIds.forEach((vendorId, index) => {
+    const vendorItems = this.items.filter(item => item.vendor.toString() === vendorId.toString());
+    const prescriptionRequired = vendorItems.some(item => item.prescriptionRequired);
+    this.shipments.push({
+      vendor: vendorId,
+      status: this.status,
+      subtotal: vendorItems.reduce((total, item) => total + item.price * item.quantity, 0),
+      trackingId: `${this.trackingId}-${index + 1}`,
+      estimatedDelivery: this.estimatedDelivery,
+      prescriptionReview: {
+        required: prescriptionRequired,
+        status: prescriptionRequired ? 'pending' : 'not_required'
+      }
+    });
+  });
+
+  return this.shipments;
+};
+
+// Find the shipment that belongs to a vendor
+orderSchema.methods.getShipment = function(vendorId) {
+  return this.shipments.find(shipment => shipment.vendor.toString() === vendorId.toString()) || null;
+};
+
+// Items of the order fulfilled by one vendor
+orderSchema.methods.getVendorItems = function(vendorId) {
+  return this.items.filter(item => item.vendor.toString() === vendorId.toString());
+};
+
+// Overall status seen by the customer: the least advanced active shipment,
+// cancelled only when every shipment is cancelled
+orderSchema.methods.rollUpStatus = function() {
+  if (!this.shipments || this.shipments.length === 0) {
+    return this.status;
+  }
+
+  const activeShipments = this.shipments.filter(shipment => shipment.status !== 'cancelled');
+  if (activeShipments.length === 0) {
+    return 'cancelled';
+  }
+
+  return activeShipments.reduce((least, shipment) => (
+    ORDER_STATUS_FLOW.indexOf(shipment.status) < ORDER_STATUS_FLOW.indexOf(least) ? shipment.status : least
+  ), 'delivered');
+};
+
+// Generate tracking ID and shipments before saving
 orderSchema.pre('save', function(next) {
   if (this.isNew && !this.trackingId) {
-    // Generate unique tracking ID with timestamp and random string
-    const timestamp = Date.now();
-    const random = Math.random().toString(36).substr(2, 6).toUpperCase();
-    this.trackingId = `MED${timestamp}${random}`;
+    this.trackingId = this.constructor.generateTrackingId();
+  }
+  if (this.isNew && this.items.length > 0) {
+    this.ensureShipments();
+  }
+  next();
+});
+
+// Record shipment status changes and roll them up into the order status
+orderSchema.pre('save', function(next) {
+  for (const shipment of this.shipments) {
+    const lastEntry = shipment.statusHistory[shipment.statusHistory.length - 1];
+    if ((shipment.isNew || shipment.isModified('status')) && lastEntry?.status !== shipment.status) {
+      shipment.statusHistory.push({
+        status: shipment.status,
+        timestamp: new Date()
+      });
+    }
+  }
+
+  if (this.shipments.length > 0) {
+    this.status = this.rollUpStatus();
+    if (this.status === 'delivered' && !this.deliveredAt) {
+      this.deliveredAt = new Date();
+    }
   }
   next();
 });
@@ -142,6 +440,11 @@ orderSchema.pre('save', function(next) {
 // Indexes for better query performance
 orderSchema.index({ customer: 1, createdAt: -1 });
 orderSchema.index({ status: 1 });
+orderSchema.index({ 'shipments.vendor': 1 });
+orderSchema.index({ 'shipments.trackingId': 1 }, { unique: true, sparse: true });
+orderSchema.index({ 'shipments.vendor': 1, 'shipments.prescriptionReview.status': 1 });
+orderSchema.index({ subscription: 1, createdAt: -1 });
+orderSchema.index({ 'items.lots.lot': 1 });
 // trackingId index is already created by unique: true in schema
 
 export default mongoose.model('Order', orderSchema);
\ No newline at end of file
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import CommissionPolicy, { DEFAULT_COMMISSION_RATE } from './CommissionPolicy.js';
 
 const paymentSchema = new mongoose.Schema({
   transactionId: {
@@ -27,35 +28,79 @@ const paymentSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Item value before any coupon discount; amount is what the customer pays
+  grossAmount: {
+    type: Number,
+    min: 0
+  },
+  discountAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  discountFundedBy: {
+    type: String,
+    enum: ['platform', 'vendor', null],
+    default: null
+  },
+  // Share of the loyalty points value; the platform funds points
+  pointsDiscount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
   status: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'refunded'],
+    enum: ['pending', 'completed', 'failed', 'cancelled', 'refunded', 'voided'], // voided: order cancelled before any money moved
     default: 'pending'
   },
+  // Online checkouts are paid in one gateway transaction covering every vendor's payment;
+  // each of them keeps that transaction's id and the amount charged in it
+  gatewayTransactionId: String,
+  gatewayAmount: Number,
+  completedAt: Date,
+  failureReason: String,
+  // Last time the reconciliation job asked the gateway about this payment
+  reconciliationCheckedAt: Date,
   paymentMethod: {
     type: String,
     enum: [
       'cash', 'cash_on_delivery', 'card', 'credit_card', 'debit_card', 
       'mobile_banking', 'bank_transfer', 'bkash', 'nagad', 'rocket', 
-      'stripe', 'sslcommerz', 'online', 'dummy'
+      'stripe', 'sslcommerz', 'online', 'dummy', 'mock'
     ],
     required: true
   },
-  vendorEarnings: {
+  // Platform commission in percent of grossAmount, fixed when the payment is created
+  commissionRate: {
     type: Number,
-    required: true,
-    default: function() {
-      return this.amount * 0.85; // 85% to vendor
+    min: 0,
+    max: 100
+  },
+  // Rate charged per category of the vendor's items and the policy it came from
+  commissionBreakdown: [{
+    _id: false,
+    category: String,
+    amount: Number,
+    rate: Number,
+    scope: String,
+    policy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CommissionPolicy'
     }
+  }],
+  vendorEarnings: {
+    type: Number,
+    required: true
   },
   medzyRevenue: {
     type: Number,
-    required: true,
-    default: function() {
-      return this.amount * 0.15; // 15% to Medzy
-    }
+    required: true
   },
   paymentDetails: {
+    // Gateway's own ids: its session / payment intent, and the validation that confirmed it
+    gatewayPaymentId: String,
+    gatewayValidationId: String,
     accountNumber: String,
     transactionHash: String,
     gatewayResponse: String,
@@ -74,22 +119,86 @@ const paymentSchema = new mongoose.Schema({
     sslStoreAmount: String,
     sslStoreID: String,
     customerMsisdn: String,
+    // bKash specific fields
+    bkashPaymentID: String,
+    bkashTransactionID: String,
     paymentExecuteTime: Date
   },
   refundDetails: {
     refundAmount: Number,
     refundReason: String,
-    refundDate: Date
+    refundDate: Date,
+    refundTrxID: String,
+    refundMethod: String
   }
 }, {
   timestamps: true
 });
 
-// Calculate earnings before saving
-paymentSchema.pre('save', function(next) {
-  if (this.isModified('amount')) {
-    this.vendorEarnings = this.amount * 0.85;
-    this.medzyRevenue = this.amount * 0.15;
+// Look up the commission policies for the vendor's items at the time of the order
+paymentSchema.methods.applyCommissionPolicy = async function() {
+  const Order = (await import('./Order.js')).default;
+  const Medicine = (await import('./Medicine.js')).default;
+  const session = this.$session();
+
+  const orderId = this.orderId?._id || this.orderId;
+  const order = orderId ? await Order.findById(orderId).select('items createdAt').session(session) : null;
+  const vendorItems = order?.items.filter(item => String(item.vendor) === String(this.vendorId)) || [];
+
+  let items = [{ category: null, amount: this.amount }];
+  if (vendorItems.length > 0) {
+    const medicines = await Medicine.find({ _id: { $in: vendorItems.map(item => item.medicine) } })
+      .select('category')
+      .session(session);
+    const categories = new Map(medicines.map(medicine => [medicine._id.toString(), medicine.category]));
+    items = vendorItems.map(item => ({
+      category: categories.get(String(item.medicine)) || null,
+      amount: item.price * item.quantity
+    }));
+  }
+
+  const { rate, breakdown } = await CommissionPolicy.resolveCommission({
+    vendorId: this.vendorId,
+    items,
+    at: order?.createdAt || new Date(),
+    session
+  });
+  this.commissionRate = rate;
+  this.commissionBreakdown = breakdown;
+};
+
+// The commission rate is resolved once, when the payment is created, and kept with it, so
+// changing a policy never changes the earnings of existing payments. Older payments without
+// a stored rate were charged the default.
+paymentSchema.pre('validate', async function() {
+  if (this.commissionRate == null) {
+    if (this.isNew) {
+      await this.applyCommissionPolicy();
+    } else {
+      this.commissionRate = DEFAULT_COMMISSION_RATE;
+    }
+  }
+});
+
+// Calculate earnings before validating. Commission is taken on the gross item value;
+// a coupon discount then comes out of the share of whoever funds it, and points
+// always come out of the platform's share.
+paymentSchema.pre('validate', function(next) {
+  if (this.isModified('amount') || this.isModified('discountAmount') ||
+      this.isModified('discountFundedBy') || this.isModified('pointsDiscount') ||
+      this.isModified('commissionRate')) {
+    const discount = this.discountAmount || 0;
+    const pointsDiscount = this.pointsDiscount || 0;
+    const commissionShare = this.commissionRate / 100;
+    this.grossAmount = this.amount + discount + pointsDiscount;
+    this.vendorEarnings = this.grossAmount * (1 - commissionShare);
+    this.medzyRevenue = this.grossAmount * commissionShare - pointsDiscount;
+
+    if (this.discountFundedBy === 'vendor') {
+      this.vendorEarnings -= discount;
+    } else {
+      this.medzyRevenue -= discount;
+    }
   }
   next();
 });
@@ -99,6 +208,17 @@ paymentSchema.index({ userId: 1 });
 paymentSchema.index({ vendorId: 1 });
 paymentSchema.index({ status: 1 });
 paymentSchema.index({ createdAt: -1 });
+paymentSchema.index({ 'paymentDetails.gatewayPaymentId': 1 }, { sparse: true });
+paymentSchema.index({ orderId: 1 });
+paymentSchema.index({ status: 1, reconciliationCheckedAt: 1 });
+paymentSchema.index({ gatewayTransactionId: 1 }, { sparse: true });
+// A gateway validation (SSLCommerz val_id) can only ever confirm one checkout: at most one
+// payment per vendor. Replaces the earlier unique index on the validation id alone
+// (npm run migrate:payment-indexes drops it).
+paymentSchema.index(
+  { 'paymentDetails.gatewayValidationId': 1, vendorId: 1 },
+  { unique: true, partialFilterExpression: { 'paymentDetails.gatewayValidationId': { $type: 'string' } } }
+);
 
 const Payment = mongoose.model('Payment', paymentSchema);
 export default Payment;
@@ -0,0 +1,105 @@
+import mongoose from 'mongoose';
+
+export const RECONCILIATION_ACTIONS = ['completed', 'failed', 'cancelled', 'expired', 'order_cancelled'];
+
+export const DISCREPANCY_TYPES = [
+  // The gateway took the money but the payment is not completed here
+  'paid_at_gateway',
+  // Completed here, but the gateway does not report it as paid
+  'unpaid_at_gateway',
+  // The gateway could not be asked about the payment
+  'gateway_unreachable',
+  // The order's payment status disagrees with its payments
+  'order_payment_mismatch',
+  // An expired unpaid order could not be cancelled automatically
+  'order_not_cancelled'
+];
+
+const actionSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: RECONCILIATION_ACTIONS,
+    required: true
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  transactionId: String,
+  gateway: String,
+  amount: Number,
+  reason: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const discrepancySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: DISCREPANCY_TYPES,
+    required: true
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  transactionId: String,
+  gateway: String,
+  amount: Number,
+  localStatus: String,
+  gatewayStatus: String,
+  message: String
+}, { _id: false });
+
+// One day of payment reconciliation: what the scheduled runs changed during the day, and the
+// discrepancies found when the day is checked against the gateways for finance
+const paymentReconciliationSchema = new mongoose.Schema({
+  // Day covered, YYYY-MM-DD in server time
+  date: {
+    type: String,
+    required: true
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  runs: {
+    type: Number,
+    default: 0
+  },
+  actions: [actionSchema],
+  discrepancies: [discrepancySchema],
+  // Set once the day has been checked and the discrepancy report built
+  reportedAt: Date,
+  emailedTo: [String],
+  summary: {
+    paymentsCompleted: { type: Number, default: 0 },
+    amountRecovered: { type: Number, default: 0 },
+    paymentsFailed: { type: Number, default: 0 },
+    paymentsExpired: { type: Number, default: 0 },
+    ordersCancelled: { type: Number, default: 0 },
+    paymentsChecked: { type: Number, default: 0 },
+    discrepancies: { type: Number, default: 0 },
+    discrepancyAmount: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+paymentReconciliationSchema.index({ date: 1 }, { unique: true });
+
+export default mongoose.model('PaymentReconciliation', paymentReconciliationSchema);
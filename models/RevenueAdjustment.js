@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { DEFAULT_COMMISSION_RATE } from './CommissionPolicy.js';
 
 const revenueAdjustmentSchema = new mongoose.Schema({
   adjustmentId: {
@@ -113,9 +114,11 @@ const revenueAdjustmentSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Method to calculate revenue adjustments
-revenueAdjustmentSchema.statics.calculateAdjustments = function(originalAmount, adjustmentAmount, vendorSharePercent = 0.85) {
-  const medzySharePercent = 1 - vendorSharePercent;
+// Method to calculate revenue adjustments. commissionRate is the platform's share in percent,
+// normally the rate stored on the payment being adjusted
+revenueAdjustmentSchema.statics.calculateAdjustments = function(originalAmount, adjustmentAmount, commissionRate = DEFAULT_COMMISSION_RATE) {
+  const medzySharePercent = commissionRate / 100;
+  const vendorSharePercent = 1 - medzySharePercent;
   
   const originalVendorEarnings = originalAmount * vendorSharePercent;
   const originalMedzyRevenue = originalAmount * medzySharePercent;
@@ -133,6 +136,33 @@ revenueAdjustmentSchema.statics.calculateAdjustments = function(originalAmount,
   };
 };
 
+// Adjustments for taking part of a payment back. The payment's stored earnings already carry
+// its commission, who funded its discount and the points spent (see the Payment earnings hook),
+// so each side gives up the same fraction of what it earned as the customer gets back.
+// commissionRate (the platform's share in percent) only applies to a payment saved before
+// earnings were stored; otherwise the payment's own earnings decide the split.
+revenueAdjustmentSchema.statics.calculatePaymentAdjustments = function(payment, adjustmentAmount, commissionRate) {
+  if (payment.vendorEarnings === undefined || payment.vendorEarnings === null || !payment.amount) {
+    return this.calculateAdjustments(payment.amount || adjustmentAmount, adjustmentAmount, commissionRate ?? payment.commissionRate ?? undefined);
+  }
+
+  const originalVendorEarnings = payment.vendorEarnings;
+  const originalMedzyRevenue = payment.medzyRevenue || 0;
+  const refundedFraction = adjustmentAmount / payment.amount;
+
+  const vendorEarningsAdjustment = -(originalVendorEarnings * refundedFraction);
+  const medzyRevenueAdjustment = -(originalMedzyRevenue * refundedFraction);
+
+  return {
+    originalVendorEarnings,
+    originalMedzyRevenue,
+    adjustedVendorEarnings: originalVendorEarnings + vendorEarningsAdjustment,
+    adjustedMedzyRevenue: originalMedzyRevenue + medzyRevenueAdjustment,
+    vendorEarningsAdjustment,
+    medzyRevenueAdjustment
+  };
+};
+
 // Method to create refund adjustment
 revenueAdjustmentSchema.statics.createRefundAdjustment = async function(
   refundAmount, 
@@ -140,7 +170,7 @@ revenueAdjustmentSchema.statics.createRefundAdjustment = async function(
   paymentId, 
   supportTicketId, 
   vendorId, 
-  vendorCommissionPercentage, 
+  commissionRate, 
   adminUserId,
   customerId
 ) {
@@ -152,18 +182,15 @@ revenueAdjustmentSchema.statics.createRefundAdjustment = async function(
     throw new Error('Payment not found');
   }
 
-  // Calculate adjustments based on vendor commission
-  const vendorSharePercent = vendorCommissionPercentage / 100;
-  const medzySharePercent = 1 - vendorSharePercent;
-  
-  const originalVendorEarnings = payment.amount * vendorSharePercent;
-  const originalMedzyRevenue = payment.amount * medzySharePercent;
-  
-  const vendorEarningsAdjustment = -(refundAmount * vendorSharePercent);
-  const medzyRevenueAdjustment = -(refundAmount * medzySharePercent);
-  
-  const adjustedVendorEarnings = originalVendorEarnings + vendorEarningsAdjustment;
-  const adjustedMedzyRevenue = originalMedzyRevenue + medzyRevenueAdjustment;
+  // Split the refund from what the payment actually earned each side
+  const {
+    originalVendorEarnings,
+    originalMedzyRevenue,
+    adjustedVendorEarnings,
+    adjustedMedzyRevenue,
+    vendorEarningsAdjustment,
+    medzyRevenueAdjustment
+  } = this.calculatePaymentAdjustments(payment, refundAmount, commissionRate);
   
   // Calculate points (default: 1 BDT = 10 points)
   const pointsCredited = Math.floor(refundAmount * 10);
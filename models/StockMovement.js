@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+
+export const STOCK_MOVEMENT_TYPES = ['in', 'out', 'expired', 'damaged', 'donated', 'adjustment'];
+
+// Why stock moved, in a form reports can group on (the free-text reason is kept alongside)
+export const STOCK_REASON_CODES = [
+  'initial_stock',
+  'restock',
+  'sale',
+  'order_cancellation',
+  'customer_return',
+  'expiry',
+  'damage',
+  'donation',
+  'catalog_import',
+  'correction'
+];
+
+// Reason code used when the caller does not give one
+export const DEFAULT_REASON_CODES = {
+  in: 'restock',
+  out: 'sale',
+  expired: 'expiry',
+  damaged: 'damage',
+  donated: 'donation',
+  adjustment: 'correction'
+};
+
+// One change to a medicine's stock. Only `in` adds units; every other type takes them out.
+const stockMovementSchema = new mongoose.Schema({
+  medicine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medicine',
+    required: true
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: STOCK_MOVEMENT_TYPES,
+    required: true
+  },
+  reasonCode: {
+    type: String,
+    enum: STOCK_REASON_CODES,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  previousStock: {
+    type: Number,
+    required: true
+  },
+  // Balance of the listing after this movement
+  newStock: {
+    type: Number,
+    required: true
+  },
+  lot: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  batchNumber: {
+    type: String
+  },
+  // Who made the change; null with actorRole 'system' for scheduled jobs, null for migrated history
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorRole: {
+    type: String,
+    enum: ['customer', 'pharmacy_vendor', 'admin', 'system', null],
+    default: null
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  // Returns and replacements are settled through a dispute
+  dispute: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dispute',
+    default: null
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  },
+  // _id of the embedded stockHistory entry this was migrated from
+  legacyId: {
+    type: mongoose.Schema.Types.ObjectId
+  }
+}, {
+  timestamps: true
+});
+
+stockMovementSchema.index({ medicine: 1, occurredAt: -1 });
+stockMovementSchema.index({ vendor: 1, occurredAt: -1 });
+stockMovementSchema.index({ order: 1 }, { sparse: true });
+stockMovementSchema.index({ legacyId: 1 }, { unique: true, sparse: true });
+
+// Signed change in stock, for aggregation pipelines
+stockMovementSchema.statics.signedQuantityExpression = function() {
+  return { $cond: [{ $eq: ['$type', 'in'] }, '$quantity', { $multiply: ['$quantity', -1] }] };
+};
+
+export default mongoose.model('StockMovement', stockMovementSchema);
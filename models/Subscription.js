@@ -0,0 +1,194 @@
+import mongoose from 'mongoose';
+
+// How far each cadence moves the next renewal
+export const SUBSCRIPTION_CADENCES = {
+  weekly: { days: 7 },
+  biweekly: { days: 14 },
+  monthly: { months: 1 },
+  bimonthly: { months: 2 },
+  quarterly: { months: 3 }
+};
+
+const subscriptionItemSchema = new mongoose.Schema({
+  medicine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medicine',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Unit price the customer last agreed to; renewals are held when the price rises too far above it
+  agreedPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+const subscriptionEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: [
+      'created', 'updated', 'reminder_sent', 'order_created', 'skipped', 'paused',
+      'resumed', 'held', 'prices_confirmed', 'renewal_failed', 'cancelled'
+    ],
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  // Renewal date the event refers to
+  runDate: Date,
+  note: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const subscriptionSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // All items come from one pharmacy
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  items: {
+    type: [subscriptionItemSchema],
+    validate: {
+      validator: (items) => items.length > 0,
+      message: 'A subscription needs at least one medicine'
+    }
+  },
+  cadence: {
+    type: String,
+    enum: Object.keys(SUBSCRIPTION_CADENCES),
+    default: 'monthly'
+  },
+  shippingAddress: {
+    fullName: { type: String, required: true },
+    phone: { type: String, required: true },
+    email: { type: String, required: true },
+    address: { type: String, required: true },
+    city: { type: String, required: true },
+    postalCode: { type: String, required: true }
+  },
+  // Renewals are paid on delivery since nobody is at the checkout to pay online
+  paymentMethod: {
+    type: String,
+    enum: ['cash_on_delivery'],
+    default: 'cash_on_delivery'
+  },
+  // Customer prescription used for prescription-only items
+  prescriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  notes: {
+    type: String,
+    default: ''
+  },
+  // action_required: a renewal was held (price rise, missing prescription) until the customer responds
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'action_required', 'cancelled'],
+    default: 'active'
+  },
+  nextRunAt: {
+    type: Date,
+    required: true
+  },
+  // Paused subscriptions resume on their own from this date when set
+  pausedUntil: {
+    type: Date,
+    default: null
+  },
+  // Largest unit price rise (percent) accepted without asking the customer
+  maxPriceIncreasePercent: {
+    type: Number,
+    min: 0,
+    default: 10
+  },
+  // What to do when some items are out of stock at renewal
+  onOutOfStock: {
+    type: String,
+    enum: ['ship_available', 'skip_renewal'],
+    default: 'ship_available'
+  },
+  reminderDaysBefore: {
+    type: Number,
+    min: 0,
+    max: 7,
+    default: 2
+  },
+  // Renewal date the last pre-renewal notice was sent for
+  lastReminderFor: {
+    type: Date,
+    default: null
+  },
+  lastOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  history: [subscriptionEventSchema]
+}, {
+  timestamps: true
+});
+
+subscriptionSchema.index({ customer: 1, status: 1 });
+subscriptionSchema.index({ vendor: 1, status: 1 });
+subscriptionSchema.index({ status: 1, nextRunAt: 1 });
+
+// Renewal date one cadence after the given date
+subscriptionSchema.statics.computeNextRun = function(fromDate, cadence) {
+  const step = SUBSCRIPTION_CADENCES[cadence] || SUBSCRIPTION_CADENCES.monthly;
+  const next = new Date(fromDate);
+  if (step.months) {
+    // Clamp to the end of shorter months (31 Jan -> 28/29 Feb)
+    const day = next.getDate();
+    next.setDate(1);
+    next.setMonth(next.getMonth() + step.months);
+    const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+    next.setDate(Math.min(day, lastDay));
+  } else {
+    next.setDate(next.getDate() + step.days);
+  }
+  return next;
+};
+
+// First renewal date after a given run that is still in the future
+subscriptionSchema.statics.nextRunAfter = function(runDate, cadence) {
+  const now = new Date();
+  let next = this.computeNextRun(runDate, cadence);
+  while (next <= now) {
+    next = this.computeNextRun(next, cadence);
+  }
+  return next;
+};
+
+// Move the next renewal on by one cadence, keeping the same day of the cycle
+subscriptionSchema.methods.advance = function() {
+  this.nextRunAt = this.constructor.nextRunAfter(this.nextRunAt, this.cadence);
+  return this.nextRunAt;
+};
+
+subscriptionSchema.methods.logEvent = function(type, details = {}) {
+  this.history.push({ type, ...details });
+};
+
+export default mongoose.model('Subscription', subscriptionSchema);
@@ -58,6 +58,12 @@ const businessInfoSchema = new mongoose.Schema({
   yearsInOperation: {
     type: Number,
     default: null
+  },
+  // Customers farther than this are not shown the pharmacy in location search; null means no limit
+  deliveryRadiusKm: {
+    type: Number,
+    min: 0,
+    default: null
   }
 }, { _id: false });
 
@@ -79,6 +85,44 @@ const cartItemSchema = new mongoose.Schema({
   }
 });
 
+// Prescription image uploaded by a customer, reusable across orders
+const prescriptionSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    required: true
+  },
+  originalName: {
+    type: String,
+    default: ''
+  },
+  mimeType: {
+    type: String,
+    default: ''
+  },
+  doctorName: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  issuedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 const userSchema = new mongoose.Schema({
   email: {
     type: String,
@@ -158,6 +202,7 @@ const userSchema = new mongoose.Schema({
     default: null
   },
   cart: [cartItemSchema],
+  prescriptions: [prescriptionSchema],
   activeSession: {
     sessionId: {
       type: String,
@@ -482,6 +527,20 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Keep the [longitude, latitude] pair used by geospatial queries in step with latitude/longitude
+userSchema.pre('save', function(next) {
+  if (this.address && this.isModified('address')) {
+    const { latitude, longitude, coordinates } = this.address;
+    if (typeof latitude === 'number' && typeof longitude === 'number' &&
+      Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180) {
+      this.address.coordinates = [longitude, latitude];
+    } else if (!Array.isArray(coordinates) || coordinates.length !== 2) {
+      this.address.coordinates = null;
+    }
+  }
+  next();
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -496,6 +555,8 @@ userSchema.pre('save', async function(next) {
 });
 
 
+userSchema.index({ 'address.coordinates': '2dsphere' });
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+
+export const WEBHOOK_EVENT_KINDS = ['return', 'ipn'];
+
+// received: stored, not yet acted on; processing: being applied to its payment;
+// processed: handled (see result); failed: could not be applied yet and will be retried;
+// rejected: bad signature, never acted on
+export const WEBHOOK_EVENT_STATUSES = ['received', 'processing', 'processed', 'failed', 'rejected'];
+
+// One notification from a payment gateway: a customer returning from checkout or a
+// server-to-server IPN. Identical deliveries are stored once and counted.
+const webhookEventSchema = new mongoose.Schema({
+  gateway: {
+    type: String,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: WEBHOOK_EVENT_KINDS,
+    required: true
+  },
+  // Hash of gateway, kind and payload; a replayed delivery maps to the same event
+  eventKey: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Content type and signature headers only
+  headers: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  sourceIp: String,
+  // null when the gateway does not sign this kind of notification
+  signatureValid: {
+    type: Boolean,
+    default: null
+  },
+  // What the adapter read from the payload; reprocessing works from this
+  notification: {
+    transactionId: String,
+    gatewayPaymentId: String,
+    outcome: String,
+    validationId: String,
+    amount: String,
+    reason: String,
+    details: mongoose.Schema.Types.Mixed
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: WEBHOOK_EVENT_STATUSES,
+    default: 'received'
+  },
+  // Outcome of the last processing attempt, e.g. completed, already_completed, payment_not_found
+  result: String,
+  lastError: String,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextRetryAt: Date,
+  processingStartedAt: Date,
+  processedAt: Date,
+  deliveries: {
+    type: Number,
+    default: 1
+  },
+  lastDeliveredAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Admin who last asked for the event to be processed again
+  reprocessedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index({ eventKey: 1 }, { unique: true });
+webhookEventSchema.index({ status: 1, nextRetryAt: 1 });
+webhookEventSchema.index({ gateway: 1, createdAt: -1 });
+webhookEventSchema.index({ 'notification.transactionId': 1 });
+webhookEventSchema.index({ payment: 1 });
+
+export default mongoose.model('WebhookEvent', webhookEventSchema);
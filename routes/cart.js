@@ -2,6 +2,8 @@ import express from 'express';
 import User from '../models/User.js';
 import Medicine from '../models/Medicine.js';
 import { authenticateToken } from '../middleware/auth.js';
+import deliveryPricingService from '../services/deliveryPricingService.js';
+import substitutionService from '../services/substitutionService.js';
 
 const router = express.Router();
 
@@ -64,7 +66,8 @@ router.post('/add', authenticateToken, async (req, res) => {
 
     res.json({ 
       message: 'Item added to cart successfully',
-      cartItemCount: user.cart.length
+      cartItemCount: user.cart.length,
+      prescriptionRequired: medicine.prescriptionRequired // A prescription will be asked for at checkout
     });
 
   } catch (error) {
@@ -106,7 +109,9 @@ router.get('/', authenticateToken, async (req, res) => {
           price: item.medicine.price,
           stockQuantity: item.medicine.stockQuantity,
           isAvailable: item.medicine.stockQuantity > 0 && item.medicine.isActive,
+          prescriptionRequired: item.medicine.prescriptionRequired,
           imageUrl: item.medicine.imageUrl,
+          thumbnailUrl: item.medicine.images?.thumbnailUrl || null,
           vendor: {
             name: `${item.medicine.vendorId.firstName} ${item.medicine.vendorId.lastName}`,
             email: item.medicine.vendorId.email,
@@ -119,15 +124,32 @@ router.get('/', authenticateToken, async (req, res) => {
       };
     });
 
-    const deliveryFee = subtotal > 500 ? 0 : 50; // Free delivery for orders above ৳500
+    // Alternatives for items that cannot be supplied in the quantity asked for
+    for (const cartItem of cartItems) {
+      if (!cartItem.medicine.isAvailable || cartItem.medicine.stockQuantity < cartItem.quantity) {
+        const result = await substitutionService.findSubstitutes(cartItem.medicine._id, {
+          user,
+          quantity: cartItem.quantity,
+          limit: 3
+        });
+        cartItem.substitutes = result?.substitutes || [];
+      }
+    }
+
+    // Standard delivery to the customer's profile address; checkout re-prices for the shipping address
+    const deliveryQuote = await deliveryPricingService.quoteCart(user);
+    const deliveryFee = deliveryQuote.fee;
     const total = subtotal + deliveryFee;
 
     res.json({
       items: cartItems,
       summary: {
         itemCount: cartItems.length,
+        requiresPrescription: cartItems.some(item => item.medicine.prescriptionRequired),
         subtotal,
         deliveryFee,
+        deliveryZone: deliveryQuote.zone,
+        amountToFreeDelivery: deliveryQuote.amountToFreeDelivery,
         total
       }
     });
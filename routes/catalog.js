@@ -0,0 +1,127 @@
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import multer from 'multer';
+import { fileURLToPath } from 'url';
+import CatalogImport from '../models/CatalogImport.js';
+import catalogService from '../services/catalogService.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const importsDir = path.join(__dirname, '..', 'uploads', 'imports');
+if (!fs.existsSync(importsDir)) {
+  fs.mkdirSync(importsDir, { recursive: true });
+}
+
+const IMPORT_FORMATS = { '.csv': 'csv', '.xlsx': 'xlsx' };
+
+// Catalogue files are kept on disk until the background import has read them
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => cb(null, importsDir),
+    filename: (req, file, cb) => {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      cb(null, `catalog-${uniqueSuffix}${path.extname(file.originalname).toLowerCase()}`);
+    }
+  }),
+  fileFilter: (req, file, cb) => {
+    if (IMPORT_FORMATS[path.extname(file.originalname).toLowerCase()]) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only .csv and .xlsx files are allowed'), false);
+    }
+  },
+  limits: {
+    fileSize: 20 * 1024 * 1024 // 20MB limit
+  }
+});
+
+// Upload a catalogue file (field "file"); ?dryRun=true validates without saving.
+// Rows are processed in the background; poll the import for progress and row errors.
+router.post('/import', authenticateToken, requireRole(['pharmacy_vendor']), (req, res) => {
+  upload.single('file')(req, res, async (err) => {
+    try {
+      if (err) {
+        return res.status(400).json({ success: false, message: err.message });
+      }
+      if (!req.file) {
+        return res.status(400).json({ success: false, message: 'A .csv or .xlsx file is required' });
+      }
+
+      const job = await catalogService.startImport(req.user.id, {
+        filePath: req.file.path,
+        fileName: req.file.originalname,
+        format: IMPORT_FORMATS[path.extname(req.file.originalname).toLowerCase()],
+        dryRun: req.query.dryRun === 'true' || req.body.dryRun === 'true'
+      });
+
+      res.status(202).json({
+        success: true,
+        message: job.dryRun ? 'Dry run started. No changes will be saved.' : 'Import started',
+        import: job
+      });
+    } catch (error) {
+      if (req.file) {
+        fs.promises.unlink(req.file.path).catch(() => {});
+      }
+      console.error('Error starting catalogue import:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  });
+});
+
+// Vendor's recent imports (without row errors)
+router.get('/imports', authenticateToken, requireRole(['pharmacy_vendor']), async (req, res) => {
+  try {
+    const imports = await CatalogImport.find({ vendor: req.user.id })
+      .select('-rowErrors')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit) || 20, 100));
+
+    res.json({ success: true, imports });
+  } catch (error) {
+    console.error('Error fetching catalogue imports:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Progress, totals and row-level errors of one import
+router.get('/imports/:id', authenticateToken, requireRole(['pharmacy_vendor']), async (req, res) => {
+  try {
+    const job = await CatalogImport.findOne({ _id: req.params.id, vendor: req.user.id });
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Import not found' });
+    }
+
+    res.json({ success: true, import: job });
+  } catch (error) {
+    console.error('Error fetching catalogue import:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Download the vendor's catalogue with stock levels, one row per batch (?format=csv|xlsx)
+router.get('/export', authenticateToken, requireRole(['pharmacy_vendor']), async (req, res) => {
+  const format = req.query.format === 'xlsx' ? 'xlsx' : 'csv';
+  const fileName = `catalogue-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  try {
+    res.setHeader('Content-Type', format === 'xlsx'
+      ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      : 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    const rows = await catalogService.exportCatalog(req.user.id, format, res);
+    console.log(`📤 Exported ${rows} catalogue rows for vendor ${req.user.id}`);
+  } catch (error) {
+    console.error('Error exporting catalogue:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+    res.destroy(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,159 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import CommissionPolicy, { COMMISSION_SCOPES } from '../models/CommissionPolicy.js';
+import Medicine from '../models/Medicine.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['name', 'rate', 'vendor', 'category', 'startsAt', 'endsAt', 'isActive', 'notes'];
+
+const pickPolicyFields = (body) => EDITABLE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) {
+    fields[field] = body[field];
+  }
+  return fields;
+}, {});
+
+const validateCategory = (category) => {
+  const categories = Medicine.schema.path('category').enumValues;
+  if (category && !categories.includes(category)) {
+    return `category must be one of: ${categories.join(', ')}`;
+  }
+  return null;
+};
+
+// Commission policies, by scope. Filters: scope, vendorId, category, active
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { scope, vendorId, category, active } = req.query;
+
+    if (scope && !COMMISSION_SCOPES.includes(scope)) {
+      return res.status(400).json({ success: false, message: `scope must be one of: ${COMMISSION_SCOPES.join(', ')}` });
+    }
+    if (vendorId && !mongoose.isValidObjectId(vendorId)) {
+      return res.status(400).json({ success: false, message: 'Invalid vendorId' });
+    }
+
+    const filter = {};
+    if (scope) filter.scope = scope;
+    if (vendorId) filter.vendor = vendorId;
+    if (category) filter.category = category;
+    if (active !== undefined) filter.isActive = active === 'true';
+
+    const policies = await CommissionPolicy.find(filter)
+      .populate('vendor', 'firstName lastName email businessInfo.pharmacyName')
+      .sort({ scope: 1, startsAt: -1, createdAt: -1 });
+
+    res.json({ success: true, policies });
+  } catch (error) {
+    console.error('Error fetching commission policies:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// The rate a vendor would be charged for a category, now or at ?at
+router.get('/resolve', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { vendorId, category } = req.query;
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+
+    if (vendorId && !mongoose.isValidObjectId(vendorId)) {
+      return res.status(400).json({ success: false, message: 'Invalid vendorId' });
+    }
+    if (Number.isNaN(at.getTime())) {
+      return res.status(400).json({ success: false, message: 'at must be a valid date' });
+    }
+    const categoryError = validateCategory(category);
+    if (categoryError) {
+      return res.status(400).json({ success: false, message: categoryError });
+    }
+
+    const { breakdown: [entry] } = await CommissionPolicy.resolveCommission({
+      vendorId,
+      items: [{ category, amount: 0 }],
+      at
+    });
+    const policy = entry.policy ? await CommissionPolicy.findById(entry.policy) : null;
+
+    res.json({ success: true, rate: entry.rate, scope: entry.scope, policy });
+  } catch (error) {
+    console.error('Error resolving commission rate:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Create a policy. Applies to payments created from now on; existing payments keep their rate.
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const categoryError = validateCategory(req.body.category);
+    if (categoryError) {
+      return res.status(400).json({ success: false, message: categoryError });
+    }
+
+    const policy = new CommissionPolicy({
+      ...pickPolicyFields(req.body),
+      scope: req.body.scope,
+      createdBy: req.user.id
+    });
+    await policy.save();
+    console.log('💼 Commission policy created:', policy.name, `(${policy.scope}, ${policy.rate}%)`);
+
+    res.status(201).json({ success: true, message: 'Commission policy created successfully', policy });
+  } catch (error) {
+    console.error('Error creating commission policy:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Update a policy. The scope is fixed; create a new policy to change it.
+router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid policy ID' });
+    }
+    const categoryError = validateCategory(req.body.category);
+    if (categoryError) {
+      return res.status(400).json({ success: false, message: categoryError });
+    }
+
+    const policy = await CommissionPolicy.findById(req.params.id);
+    if (!policy) {
+      return res.status(404).json({ success: false, message: 'Commission policy not found' });
+    }
+
+    Object.assign(policy, pickPolicyFields(req.body));
+    policy.updatedBy = req.user.id;
+    await policy.save();
+
+    res.json({ success: true, message: 'Commission policy updated successfully', policy });
+  } catch (error) {
+    console.error('Error updating commission policy:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Deactivate a policy (kept, since payments refer to the policy they were charged under)
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid policy ID' });
+    }
+
+    const policy = await CommissionPolicy.findById(req.params.id);
+    if (!policy) {
+      return res.status(404).json({ success: false, message: 'Commission policy not found' });
+    }
+
+    policy.isActive = false;
+    policy.updatedBy = req.user.id;
+    await policy.save();
+
+    res.json({ success: true, message: 'Commission policy deactivated successfully' });
+  } catch (error) {
+    console.error('Error deactivating commission policy:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+export default router;
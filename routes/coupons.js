@@ -0,0 +1,191 @@
+import express from 'express';
+import Coupon from '../models/Coupon.js';
+import User from '../models/User.js';
+import couponService from '../services/couponService.js';
+import deliveryPricingService from '../services/deliveryPricingService.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = [
+  'code', 'description', 'type', 'value', 'maxDiscount', 'minBasket',
+  'validFrom', 'validUntil', 'usageLimit', 'perUserLimit', 'isActive'
+];
+
+const pickCouponFields = (body) => EDITABLE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) {
+    fields[field] = body[field];
+  }
+  return fields;
+}, {});
+
+// Vendors may only manage the coupons they fund
+const findManageableCoupon = (req) => {
+  const filter = { _id: req.params.id };
+  if (req.user.role === 'pharmacy_vendor') {
+    filter.vendorId = req.user.id;
+  }
+  return Coupon.findOne(filter);
+};
+
+// Check a coupon against the customer's current cart
+router.post('/validate', authenticateToken, requireRole(['customer']), async (req, res) => {
+  try {
+    const { code, city, postalCode, deliveryType } = req.body;
+
+    const user = await User.findById(req.user.id).populate('cart.medicine');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const vendorTotals = new Map();
+    let subtotal = 0;
+    user.cart.filter(item => item.medicine).forEach(item => {
+      const vendorKey = item.medicine.vendorId.toString();
+      const itemTotal = item.medicine.price * item.quantity;
+      vendorTotals.set(vendorKey, (vendorTotals.get(vendorKey) || 0) + itemTotal);
+      subtotal += itemTotal;
+    });
+
+    const deliveryQuote = await deliveryPricingService.quoteCart(user, {
+      city,
+      postalCode,
+      express: deliveryType === 'express'
+    });
+    if (!deliveryQuote.success) {
+      return res.status(400).json({ success: false, message: deliveryQuote.message });
+    }
+
+    const deliveryFee = deliveryQuote.fee;
+    const quote = await couponService.quoteCoupon(code, { customerId: req.user.id, vendorTotals, deliveryFee });
+
+    if (!quote.success) {
+      return res.status(400).json({ success: false, message: quote.message });
+    }
+
+    res.json({
+      success: true,
+      coupon: {
+        code: quote.coupon.code,
+        description: quote.coupon.description,
+        type: quote.coupon.type
+      },
+      itemDiscount: quote.itemDiscount,
+      deliveryDiscount: quote.deliveryDiscount,
+      discount: quote.totalDiscount,
+      subtotal,
+      deliveryFee,
+      total: subtotal + deliveryFee - quote.totalDiscount
+    });
+  } catch (error) {
+    console.error('Error validating coupon:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// List coupons (admin: all, vendor: their own)
+router.get('/', authenticateToken, requireRole(['admin', 'pharmacy_vendor']), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, active } = req.query;
+
+    const filter = {};
+    if (req.user.role === 'pharmacy_vendor') {
+      filter.vendorId = req.user.id;
+    }
+    if (active !== undefined) {
+      filter.isActive = active === 'true';
+    }
+
+    const coupons = await Coupon.find(filter)
+      .select('-redemptions')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await Coupon.countDocuments(filter);
+
+    res.json({
+      success: true,
+      coupons,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching coupons:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Create a coupon. Vendor coupons are always funded by that vendor.
+router.post('/', authenticateToken, requireRole(['admin', 'pharmacy_vendor']), async (req, res) => {
+  try {
+    const coupon = new Coupon({
+      ...pickCouponFields(req.body),
+      createdBy: req.user.id
+    });
+
+    if (req.user.role === 'pharmacy_vendor') {
+      coupon.fundedBy = 'vendor';
+      coupon.vendorId = req.user.id;
+    } else {
+      coupon.fundedBy = req.body.fundedBy || 'platform';
+      coupon.vendorId = req.body.vendorId || null;
+    }
+
+    await coupon.save();
+    console.log('🎟️ Coupon created:', coupon.code, 'funded by', coupon.fundedBy);
+
+    res.status(201).json({ success: true, message: 'Coupon created successfully', coupon });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A coupon with this code already exists' });
+    }
+    console.error('Error creating coupon:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Update a coupon
+router.put('/:id', authenticateToken, requireRole(['admin', 'pharmacy_vendor']), async (req, res) => {
+  try {
+    const coupon = await findManageableCoupon(req);
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: 'Coupon not found' });
+    }
+
+    Object.assign(coupon, pickCouponFields(req.body));
+    await coupon.save();
+
+    res.json({ success: true, message: 'Coupon updated successfully', coupon });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A coupon with this code already exists' });
+    }
+    console.error('Error updating coupon:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Deactivate a coupon (kept for the redemption history)
+router.delete('/:id', authenticateToken, requireRole(['admin', 'pharmacy_vendor']), async (req, res) => {
+  try {
+    const coupon = await findManageableCoupon(req);
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: 'Coupon not found' });
+    }
+
+    coupon.isActive = false;
+    await coupon.save();
+
+    res.json({ success: true, message: 'Coupon deactivated successfully' });
+  } catch (error) {
+    console.error('Error deactivating coupon:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+export default router;
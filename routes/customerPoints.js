@@ -3,6 +3,7 @@ import CustomerPoint from '../models/CustomerPoint.js';
 import Payment from '../models/Payment.js';
 import Order from '../models/Order.js';
 import { authenticateToken, requireRole } from '../middleware/auth.js';
+import loyaltyService from '../services/loyaltyService.js';
 
 const router = express.Router();
 
@@ -71,79 +72,38 @@ router.get('/transactions', authenticateToken, requireRole(['customer']), async
   }
 });
 
-// Use points for purchase (to be called during order placement)
+// Points are now redeemed as part of checkout (pointsToRedeem on /api/orders/create
+// and /api/payments/initialize) so they are always tied to a discounted order
 router.post('/use-points', authenticateToken, requireRole(['customer']), async (req, res) => {
-  try {
-    const { points, orderId, description } = req.body;
-    
-    if (!points || points <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid points amount'
-      });
-    }
-    
-    const customerPoints = await CustomerPoint.findOrCreateForCustomer(req.user.id);
-    
-    // Check if customer has enough points
-    if (customerPoints.availablePoints < points) {
-      return res.status(400).json({
-        success: false,
-        message: 'Insufficient points',
-        availablePoints: customerPoints.availablePoints
-      });
-    }
-    
-    // Use the points
-    await customerPoints.usePoints(points, description || 'Points used for purchase', orderId);
-    
-    const discountAmount = customerPoints.pointsToCurrency(points);
-    
-    res.json({
-      success: true,
-      message: 'Points used successfully',
-      pointsUsed: points,
-      discountAmount,
-      remainingPoints: customerPoints.availablePoints
-    });
-  } catch (error) {
-    res.status(500).json({ 
-      success: false, 
-      message: error.message || 'Server error'
-    });
-  }
+  res.status(410).json({
+    success: false,
+    message: 'Points are redeemed at checkout. Send pointsToRedeem when placing the order.'
+  });
 });
 
-// Calculate points discount for order
+// Calculate points discount for order (capped at the redeemable share of the basket)
 router.post('/calculate-discount', authenticateToken, requireRole(['customer']), async (req, res) => {
   try {
-    const { points } = req.body;
-    
-    if (!points || points <= 0) {
+    const { points, basketAmount } = req.body;
+
+    if (!basketAmount || basketAmount <= 0) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid points amount'
+        message: 'Basket amount is required'
       });
     }
-    
-    const customerPoints = await CustomerPoint.findOrCreateForCustomer(req.user.id);
-    
-    // Check if customer has enough points
-    if (customerPoints.availablePoints < points) {
-      return res.status(400).json({
-        success: false,
-        message: 'Insufficient points',
-        availablePoints: customerPoints.availablePoints
-      });
+
+    const quote = await loyaltyService.quoteRedemption(req.user.id, points, basketAmount);
+    if (!quote.success) {
+      return res.status(400).json(quote);
     }
     
-    const discountAmount = customerPoints.pointsToCurrency(points);
-    
     res.json({
       success: true,
-      pointsToUse: points,
-      discountAmount,
-      availablePoints: customerPoints.availablePoints
+      pointsToUse: quote.points,
+      discountAmount: quote.amount,
+      maxPoints: quote.maxPoints,
+      availablePoints: quote.availablePoints
     });
   } catch (error) {
     res.status(500).json({ 
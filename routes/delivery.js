@@ -0,0 +1,132 @@
+import express from 'express';
+import DeliveryZone from '../models/DeliveryZone.js';
+import User from '../models/User.js';
+import deliveryPricingService from '../services/deliveryPricingService.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const ZONE_FIELDS = [
+  'name', 'cities', 'postalCodes', 'isDefault', 'baseFee', 'freeDeliveryThreshold',
+  'distanceBands', 'estimatedDays', 'express', 'isActive'
+];
+
+const pickZoneFields = (body) => ZONE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) {
+    fields[field] = body[field];
+  }
+  return fields;
+}, {});
+
+// Only one zone can be the fallback for unmatched addresses
+const clearOtherDefaults = async (zone) => {
+  if (zone.isDefault) {
+    await DeliveryZone.updateMany({ _id: { $ne: zone._id }, isDefault: true }, { $set: { isDefault: false } });
+  }
+};
+
+// Quote the delivery fee for the customer's cart before checkout
+router.get('/quote', authenticateToken, async (req, res) => {
+  try {
+    const { city, postalCode, deliveryType, lat, lng } = req.query;
+
+    const user = await User.findById(req.user.id).populate('cart.medicine');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const coordinates = lat !== undefined && lng !== undefined ? [parseFloat(lng), parseFloat(lat)] : null;
+    const quote = await deliveryPricingService.quoteCart(user, {
+      city,
+      postalCode,
+      express: deliveryType === 'express',
+      coordinates
+    });
+
+    if (!quote.success) {
+      return res.status(400).json({ success: false, message: quote.message });
+    }
+
+    res.json({ success: true, quote });
+  } catch (error) {
+    console.error('Error quoting delivery:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ============ ADMIN ZONE MANAGEMENT ============
+
+// List delivery zones
+router.get('/zones', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const zones = await DeliveryZone.find().sort({ isDefault: -1, name: 1 });
+    res.json({ success: true, zones });
+  } catch (error) {
+    console.error('Error fetching delivery zones:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Create a delivery zone
+router.post('/zones', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const zone = new DeliveryZone({
+      ...pickZoneFields(req.body),
+      updatedBy: req.user.id
+    });
+    await zone.save();
+    await clearOtherDefaults(zone);
+
+    console.log('🚚 Delivery zone created:', zone.name);
+    res.status(201).json({ success: true, message: 'Delivery zone created successfully', zone });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A delivery zone with this name already exists' });
+    }
+    console.error('Error creating delivery zone:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Update a delivery zone
+router.put('/zones/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const zone = await DeliveryZone.findById(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ success: false, message: 'Delivery zone not found' });
+    }
+
+    zone.set({ ...pickZoneFields(req.body), updatedBy: req.user.id });
+    await zone.save();
+    await clearOtherDefaults(zone);
+
+    res.json({ success: true, message: 'Delivery zone updated successfully', zone });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A delivery zone with this name already exists' });
+    }
+    console.error('Error updating delivery zone:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Deactivate a delivery zone
+router.delete('/zones/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const zone = await DeliveryZone.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false, updatedBy: req.user.id },
+      { new: true }
+    );
+    if (!zone) {
+      return res.status(404).json({ success: false, message: 'Delivery zone not found' });
+    }
+
+    res.json({ success: true, message: 'Delivery zone deactivated successfully' });
+  } catch (error) {
+    console.error('Error deactivating delivery zone:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,174 @@
+import express from 'express';
+import DrugProduct from '../models/DrugProduct.js';
+import Medicine from '../models/Medicine.js';
+import drugCatalogService from '../services/drugCatalogService.js';
+import { authenticateToken, requireRole, requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const PRODUCT_FIELDS = ['genericName', 'brandName', 'strength', 'form', 'manufacturer', 'packSize', 'packUnit', 'aliases', 'isActive'];
+
+const sendSaveError = (res, error, label) => {
+  if (error.code === 11000) {
+    return res.status(409).json({ success: false, message: 'This product is already in the catalogue' });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  console.error(`Error ${label}:`, error);
+  res.status(500).json({ success: false, message: 'Server error' });
+};
+
+// Search the master catalogue (public)
+router.get('/', async (req, res) => {
+  try {
+    const { q, form, page = 1, limit = 20 } = req.query;
+    const filter = { isActive: true };
+    if (q) filter.$text = { $search: q };
+    if (form) filter.form = form;
+
+    const pageSize = Math.min(parseInt(limit) || 20, 100);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+
+    const [products, total] = await Promise.all([
+      DrugProduct.find(filter)
+        .select('-searchKeys -productKey')
+        .sort(q ? { score: { $meta: 'textScore' } } : { brandName: 1 })
+        .skip(skip)
+        .limit(pageSize),
+      DrugProduct.countDocuments(filter)
+    ]);
+
+    res.json({ success: true, products, total, page: parseInt(page) || 1, totalPages: Math.ceil(total / pageSize) });
+  } catch (error) {
+    console.error('Error searching drug products:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Products a listing probably is: ?name=&genericName=&dosage=&category=&manufacturer=
+router.get('/suggestions', authenticateToken, requireRole(['pharmacy_vendor', 'admin']), async (req, res) => {
+  try {
+    const { name, genericName, dosage, category, manufacturer } = req.query;
+    if (!name && !genericName) {
+      return res.status(400).json({ success: false, message: 'name or genericName is required' });
+    }
+
+    const suggestions = await drugCatalogService.suggestProducts({ name, genericName, dosage, category, manufacturer });
+    res.json({ success: true, suggestions });
+  } catch (error) {
+    console.error('Error suggesting drug products:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Admin: vendor listings not linked to a product yet, with their best matches
+router.get('/unlinked', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const listings = await Medicine.find({ drugProduct: null, isActive: true })
+      .select('name genericName manufacturer dosage category vendorId')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    const results = await Promise.all(listings.map(async listing => ({
+      listing,
+      suggestions: await drugCatalogService.suggestProducts(listing, { limit: 3 })
+    })));
+
+    res.json({ success: true, listings: results });
+  } catch (error) {
+    console.error('Error fetching unlinked listings:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const product = await DrugProduct.findById(req.params.id).select('-searchKeys -productKey');
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+    res.json({ success: true, product });
+  } catch (error) {
+    console.error('Error fetching drug product:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Same product at other pharmacies, cheapest first (public)
+router.get('/:id/offers', async (req, res) => {
+  try {
+    const result = await drugCatalogService.getOffers(req.params.id);
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error fetching product offers:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const product = new DrugProduct({ createdBy: req.user.id });
+    PRODUCT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) product[field] = req.body[field];
+    });
+
+    await product.save();
+    res.status(201).json({ success: true, message: 'Product added to the catalogue', product });
+  } catch (error) {
+    sendSaveError(res, error, 'creating drug product');
+  }
+});
+
+router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const product = await DrugProduct.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    PRODUCT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) product[field] = req.body[field];
+    });
+
+    await product.save();
+    res.json({ success: true, message: 'Product updated successfully', product });
+  } catch (error) {
+    sendSaveError(res, error, 'updating drug product');
+  }
+});
+
+// Fold a duplicate product into this one: its listings are relinked and it is deactivated
+router.post('/:id/merge', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { duplicateId } = req.body;
+    if (!duplicateId || duplicateId === req.params.id) {
+      return res.status(400).json({ success: false, message: 'A different duplicateId is required' });
+    }
+
+    const [product, duplicate] = await Promise.all([
+      DrugProduct.findById(req.params.id),
+      DrugProduct.findById(duplicateId)
+    ]);
+    if (!product || !duplicate) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const relinked = await Medicine.updateMany({ drugProduct: duplicate._id }, { $set: { drugProduct: product._id } });
+
+    product.aliases = [...new Set([...product.aliases, duplicate.brandName, ...duplicate.aliases])]
+      .filter(alias => alias !== product.brandName);
+    duplicate.isActive = false;
+    await Promise.all([product.save(), duplicate.save()]);
+
+    res.json({ success: true, message: 'Products merged', product, relinkedListings: relinked.modifiedCount });
+  } catch (error) {
+    sendSaveError(res, error, 'merging drug products');
+  }
+});
+
+export default router;
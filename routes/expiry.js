@@ -0,0 +1,103 @@
+import express from 'express';
+import ExpirySettings from '../models/ExpirySettings.js';
+import expiryService from '../services/expiryService.js';
+import { authenticateToken, requireRole, requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const SETTINGS_FIELDS = ['digestEnabled', 'markdownEnabled', 'markdownTiers', 'donationOfferDays'];
+
+// Vendor's expiry settings (defaults until saved)
+router.get('/settings', authenticateToken, requireRole(['pharmacy_vendor']), async (req, res) => {
+  try {
+    const settings = await ExpirySettings.forVendor(req.user.id);
+    res.json({ success: true, settings });
+  } catch (error) {
+    console.error('Error fetching expiry settings:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Update digest, markdown and donation offer settings
+router.put('/settings', authenticateToken, requireRole(['pharmacy_vendor']), async (req, res) => {
+  try {
+    const settings = await ExpirySettings.forVendor(req.user.id);
+    SETTINGS_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        settings[field] = req.body[field];
+      }
+    });
+
+    await settings.save();
+    res.json({ success: true, message: 'Expiry settings updated successfully', settings });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Error updating expiry settings:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Stock expiring within 30/60/90 days, expired stock and donation candidates
+router.get('/report', authenticateToken, requireRole(['pharmacy_vendor']), async (req, res) => {
+  try {
+    const report = await expiryService.getExpiryReport(req.user.id);
+    res.json({ success: true, ...report });
+  } catch (error) {
+    console.error('Error fetching expiry report:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// List near-expiry stock from a lot as a donation
+router.post('/donations', authenticateToken, requireRole(['pharmacy_vendor']), async (req, res) => {
+  try {
+    const { medicineId, lotId } = req.body;
+    if (!medicineId || !lotId) {
+      return res.status(400).json({ success: false, message: 'medicineId and lotId are required' });
+    }
+
+    const result = await expiryService.donateLot(req.user.id, req.body);
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Donation listed successfully. It will be reviewed by admin.',
+      donation: result.donation,
+      stockQuantity: result.medicine.stockQuantity
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Error donating near-expiry stock:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Run one of the expiry jobs now (admin)
+router.post('/run', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const jobs = {
+      'write-off': () => expiryService.writeOffExpiredStock(),
+      markdowns: () => expiryService.applyMarkdowns(),
+      digests: () => expiryService.sendVendorDigests()
+    };
+
+    const job = jobs[req.body.job];
+    if (!job) {
+      return res.status(400).json({ success: false, message: `Job must be one of: ${Object.keys(jobs).join(', ')}` });
+    }
+
+    const result = await job();
+    res.json({ success: true, job: req.body.job, result });
+  } catch (error) {
+    console.error('Error running expiry job:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+export default router;
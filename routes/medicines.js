@@ -1,11 +1,31 @@
 import express from 'express';
 import mongoose from 'mongoose';
+import multer from 'multer';
 import Medicine from '../models/Medicine.js';
 import Review from '../models/Review.js';
-import { authenticateToken } from '../middleware/auth.js';
+import Order from '../models/Order.js';
+import { authenticateToken, optionalAuth } from '../middleware/auth.js';
+import replenishmentService from '../services/replenishmentService.js';
+import drugCatalogService from '../services/drugCatalogService.js';
+import DrugProduct from '../models/DrugProduct.js';
+import searchService from '../services/searchService.js';
+import substitutionService from '../services/substitutionService.js';
+import imageService from '../services/imageService.js';
 
 const router = express.Router();
 
+// Reason codes a vendor may give a manual stock change (sales and cancellations come from orders)
+const MANUAL_REASON_CODES = ['restock', 'customer_return', 'expiry', 'damage', 'correction'];
+
+// Product images are held in memory and validated by their content before anything is stored
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+    files: 1
+  }
+});
+
 // Get all active medicines (public route for browsing)
 router.get('/', async (req, res) => {
   try {
@@ -148,17 +168,51 @@ router.get('/vendor-medicines', authenticateToken, async (req, res) => {
   }
 });
 
+// Reorder suggestions for a vendor from recent consumption. ?all=true lists every
+// active item; lookbackDays, leadTimeDays, safetyDays and targetCoverDays override the defaults.
+router.get('/vendor/reorder', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'pharmacy_vendor') {
+      return res.status(403).json({ message: 'Access denied. Only pharmacy vendors can access this route.' });
+    }
+
+    const options = {};
+    ['lookbackDays', 'leadTimeDays', 'safetyDays', 'targetCoverDays'].forEach(field => {
+      const value = parseInt(req.query[field]);
+      if (value > 0) options[field] = value;
+    });
+
+    const { settings, items } = await replenishmentService.getVendorReport(req.user.id, options);
+    const reorderItems = items.filter(item => item.needsReorder);
+
+    res.json({
+      settings,
+      items: req.query.all === 'true' ? items : reorderItems,
+      summary: {
+        totalItems: items.length,
+        needsReorder: reorderItems.length,
+        outOfStock: items.filter(item => item.sellableQuantity === 0).length,
+        estimatedCost: reorderItems.reduce((total, item) => (
+          item.lastCostPrice !== null ? total + item.lastCostPrice * item.suggestedQuantity : total
+        ), 0)
+      }
+    });
+  } catch (error) {
+    console.error('Error building reorder suggestions:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
 // Public route for customers to search medicines with GPS/location support
-router.get('/search', async (req, res) => {
+router.get('/search', optionalAuth, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 12;
     const skip = (page - 1) * limit;
-    const search = req.query.search || '';
+    const search = (req.query.search || '').trim();
     const category = req.query.category || '';
     const minPrice = parseFloat(req.query.minPrice) || 0;
     const maxPrice = parseFloat(req.query.maxPrice) || Number.MAX_VALUE;
-    const sortBy = req.query.sortBy || 'name';
     const sortOrder = req.query.sortOrder === 'desc' ? -1 : 1;
     const inStockOnly = req.query.inStockOnly === 'true';
     const prescriptionFilter = req.query.prescriptionFilter;
@@ -168,6 +222,13 @@ router.get('/search', async (req, res) => {
     const latitude = parseFloat(req.query.latitude);
     const longitude = parseFloat(req.query.longitude);
     const maxDistance = parseFloat(req.query.maxDistance) || 50; // Default 50km
+    const hasLocation = !isNaN(latitude) && !isNaN(longitude) &&
+      Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+
+    // Location searches are nearest first and text searches ranked by relevance,
+    // unless another sort is asked for
+    let sortBy = req.query.sortBy || (hasLocation ? 'distance' : search ? 'relevance' : 'name');
+    if ((sortBy === 'relevance' && !search) || (sortBy === 'distance' && !hasLocation)) sortBy = 'name';
 
     // Build query for active medicines only
     let query = { 
@@ -175,17 +236,6 @@ router.get('/search', async (req, res) => {
       expiryDate: { $gt: new Date() } // Only show non-expired medicines
     };
     
-    // Add search functionality
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { genericName: { $regex: search, $options: 'i' } },
-        { manufacturer: { $regex: search, $options: 'i' } },
-        { tags: { $elemMatch: { $regex: search, $options: 'i' } } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
-    }
-    
     // Filter by category
     if (category && category !== 'all') {
       query.category = category;
@@ -206,22 +256,62 @@ router.get('/search', async (req, res) => {
       query.prescriptionRequired = prescriptionFilter === 'required';
     }
 
-    // Execute query with population of vendor details including location
-    let medicines = await Medicine.find(query)
-      .populate({
-        path: 'vendorId',
-        select: 'firstName lastName email phone businessInfo address',
-        populate: {
-          path: 'businessInfo',
-          select: 'businessName businessAddress businessPhone'
-        }
-      })
-      .sort({ [sortBy]: sortOrder })
-      .skip(skip)
-      .limit(limit)
-      .select('-stockHistory'); // Exclude stock history for customer view
+    const vendorPopulate = {
+      path: 'vendorId',
+      select: 'firstName lastName email phone businessInfo address',
+      populate: {
+        path: 'businessInfo',
+        select: 'businessName businessAddress businessPhone'
+      }
+    };
 
-    const total = await Medicine.countDocuments(query);
+    let medicines;
+    let total;
+    // Ranked full-text search (synonyms, typos, Bangla) within the other filters
+    const ranked = search ? await searchService.search(search, query) : null;
+
+    if (hasLocation) {
+      // Pharmacies within range (and their own delivery radius), with distance and ETA
+      console.log(`🌍 GPS Search: lat=${latitude}, lon=${longitude}, maxDistance=${maxDistance}km`);
+      ({ medicines, total } = await searchService.searchNearby({
+        latitude,
+        longitude,
+        maxDistanceKm: maxDistance,
+        filter: query,
+        rankedIds: ranked ? ranked.results.map(result => result.id) : null,
+        sortBy,
+        sortOrder,
+        skip,
+        limit
+      }));
+    } else if (ranked) {
+      const { results } = ranked;
+      total = results.length;
+
+      if (sortBy === 'relevance') {
+        const pageIds = results.slice(skip, skip + limit).map(result => result.id.toString());
+        const pageMedicines = await Medicine.find({ _id: { $in: pageIds } })
+          .populate(vendorPopulate);
+        medicines = pageIds
+          .map(id => pageMedicines.find(medicine => medicine._id.toString() === id))
+          .filter(Boolean);
+      } else {
+        medicines = await Medicine.find({ _id: { $in: results.map(result => result.id) } })
+          .populate(vendorPopulate)
+          .sort({ [sortBy]: sortOrder })
+          .skip(skip)
+          .limit(limit);
+      }
+    } else {
+      // Execute query with population of vendor details including location
+      medicines = await Medicine.find(query)
+        .populate(vendorPopulate)
+        .sort({ [sortBy]: sortOrder })
+        .skip(skip)
+        .limit(limit);
+
+      total = await Medicine.countDocuments(query);
+    }
 
     // Get vendor ratings for all vendors in this batch
     const vendorIds = medicines.map(m => m.vendorId?._id).filter(Boolean);
@@ -245,42 +335,17 @@ router.get('/search', async (req, res) => {
       return acc;
     }, {});
 
-    // Add location-based filtering and distance calculation if GPS coordinates provided
-    if (latitude && longitude && !isNaN(latitude) && !isNaN(longitude)) {
-      console.log(`🌍 GPS Search: lat=${latitude}, lon=${longitude}, maxDistance=${maxDistance}km`);
-      console.log(`📍 Total medicines before location filter: ${medicines.length}`);
-      
-      medicines = medicines.filter(medicine => {
-        if (!medicine.vendorId?.address?.coordinates) {
-          console.log(`❌ No coordinates for vendor: ${medicine.vendorId?.businessInfo?.businessName || medicine.vendorId?.firstName}`);
-          return false;
-        }
-        
-        const [vendorLon, vendorLat] = medicine.vendorId.address.coordinates;
-        const distance = calculateDistance(latitude, longitude, vendorLat, vendorLon);
-        
-        console.log(`📏 Distance to ${medicine.vendorId?.businessInfo?.businessName || medicine.vendorId?.firstName}: ${distance.toFixed(2)}km`);
-        
-        return distance <= maxDistance;
-      }).map(medicine => {
-        const [vendorLon, vendorLat] = medicine.vendorId.address.coordinates;
-        const distance = calculateDistance(latitude, longitude, vendorLat, vendorLon);
-        
-        return {
-          ...medicine.toObject(),
-          distance: Math.round(distance * 10) / 10 // Round to 1 decimal place
-        };
-      });
-
-      console.log(`📍 Medicines found within ${maxDistance}km: ${medicines.length}`);
-      
-      // Sort by distance if location-based search
-      if (sortBy === 'distance') {
-        medicines.sort((a, b) => {
-          const distanceA = a.distance || Infinity;
-          const distanceB = b.distance || Infinity;
-          return sortOrder === 1 ? distanceA - distanceB : distanceB - distanceA;
+    // ?includeSubstitutes=true: alternatives for the out-of-stock results on this page
+    const substitutesById = new Map();
+    if (req.query.includeSubstitutes === 'true') {
+      const outOfStock = medicines.filter(medicine => medicine.stockQuantity <= 0);
+      for (const medicine of outOfStock) {
+        const result = await substitutionService.findSubstitutes(medicine._id, {
+          user: req.user?.id || null,
+          coordinates: hasLocation ? [longitude, latitude] : null,
+          limit: 3
         });
+        substitutesById.set(medicine._id.toString(), result?.substitutes || []);
       }
     }
 
@@ -311,9 +376,12 @@ router.get('/search', async (req, res) => {
           strength: medicineObj.dosage, // Alias for strength
           form: medicineObj.category, // Use category as form
           imageUrl: medicineObj.imageUrl,
+          thumbnailUrl: medicineObj.images?.thumbnailUrl || null,
           tags: medicineObj.tags,
           rating: medicineObj.rating || 0,
           distance: medicineObj.distance,
+          etaMinutes: medicineObj.etaMinutes,
+          substitutes: substitutesById.get(medicineObj._id.toString()),
           pharmacy: medicineObj.vendorId ? {
             _id: medicineObj.vendorId._id,
             name: medicineObj.vendorId.businessInfo?.businessName || 
@@ -329,6 +397,7 @@ router.get('/search', async (req, res) => {
               type: 'Point',
               coordinates: medicineObj.vendorId.address.coordinates
             } : null,
+            deliveryRadiusKm: medicineObj.vendorId.businessInfo?.deliveryRadiusKm ?? null,
             // Add vendor rating information
             rating: ratingsMap[medicineObj.vendorId._id.toString()]?.averageRating || 0,
             totalReviews: ratingsMap[medicineObj.vendorId._id.toString()]?.totalReviews || 0
@@ -377,20 +446,6 @@ router.get('/search', async (req, res) => {
   }
 });
 
-// Helper function to calculate distance between two coordinates
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Radius of the Earth in km
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  const distance = R * c;
-  return distance;
-}
-
 // Get featured/popular medicines
 router.get('/featured', async (req, res) => {
   try {
@@ -403,8 +458,7 @@ router.get('/featured', async (req, res) => {
     })
     .populate('vendorId', 'firstName lastName')
     .sort({ createdAt: -1 }) // Show newest medicines first
-    .limit(limit)
-    .select('-stockHistory');
+    .limit(limit);
 
     res.json(featuredMedicines.map(medicine => ({
       _id: medicine._id,
@@ -419,6 +473,7 @@ router.get('/featured', async (req, res) => {
       prescriptionRequired: medicine.prescriptionRequired,
       dosage: medicine.dosage,
       imageUrl: medicine.imageUrl,
+      thumbnailUrl: medicine.images?.thumbnailUrl || null,
       vendor: {
         name: `${medicine.vendorId.firstName} ${medicine.vendorId.lastName}`
       }
@@ -438,7 +493,7 @@ router.get('/public/:id', async (req, res) => {
       expiryDate: { $gt: new Date() }
     })
     .populate('vendorId', 'firstName lastName email phone')
-    .select('-stockHistory');
+    .populate('drugProduct', 'genericName brandName strength form manufacturer packSize packUnit');
     
     if (!medicine) {
       return res.status(404).json({ message: 'Medicine not found or not available' });
@@ -460,7 +515,9 @@ router.get('/public/:id', async (req, res) => {
       dosage: medicine.dosage,
       sideEffects: medicine.sideEffects,
       imageUrl: medicine.imageUrl,
+      thumbnailUrl: medicine.images?.thumbnailUrl || null,
       tags: medicine.tags,
+      drugProduct: medicine.drugProduct,
       vendor: medicine.vendorId ? {
         id: medicine.vendorId._id,
         name: `${medicine.vendorId.firstName} ${medicine.vendorId.lastName}`,
@@ -479,6 +536,58 @@ router.get('/public/:id', async (req, res) => {
   }
 });
 
+// In-stock listings with the same generic, strength and form (public route).
+// Signed-in customers get their allergies excluded and distances from their address.
+router.get('/public/:id/substitutes', optionalAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid medicine ID' });
+    }
+
+    const latitude = parseFloat(req.query.latitude);
+    const longitude = parseFloat(req.query.longitude);
+    const result = await substitutionService.findSubstitutes(req.params.id, {
+      user: req.user?.id || null,
+      quantity: Math.max(parseInt(req.query.quantity) || 1, 1),
+      coordinates: !isNaN(latitude) && !isNaN(longitude) ? [longitude, latitude] : null,
+      limit: Math.min(parseInt(req.query.limit) || 5, 20)
+    });
+
+    if (!result) {
+      return res.status(404).json({ message: 'Medicine not found' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error finding substitutes:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Same product at other pharmacies (public route)
+router.get('/public/:id/compare', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid medicine ID' });
+    }
+
+    const medicine = await Medicine.findOne({ _id: req.params.id, isActive: true }).select('name price drugProduct');
+    if (!medicine) {
+      return res.status(404).json({ message: 'Medicine not found or not available' });
+    }
+
+    if (!medicine.drugProduct) {
+      return res.json({ medicine, product: null, offers: [], priceRange: null });
+    }
+
+    const result = await drugCatalogService.getOffers(medicine.drugProduct, { excludeMedicineId: medicine._id });
+    res.json({ medicine, ...(result || { product: null, offers: [], priceRange: null }) });
+  } catch (error) {
+    console.error('Error comparing medicine prices:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
 // Get medicine categories (public route)
 router.get('/categories', async (req, res) => {
   try {
@@ -553,11 +662,14 @@ router.post('/', authenticateToken, async (req, res) => {
       minStockLevel,
       expiryDate,
       batchNumber,
+      costPrice,
+      supplier,
       prescriptionRequired,
       dosage,
       sideEffects,
       imageUrl,
-      tags
+      tags,
+      drugProductId
     } = req.body;
 
     // Validate required fields
@@ -565,15 +677,27 @@ router.post('/', authenticateToken, async (req, res) => {
       return res.status(400).json({ message: 'Please provide all required fields' });
     }
 
-    // Check if medicine with same name and batch number already exists for this vendor
+    // A product is listed once; new batches are received as lots of the existing listing
     const existingMedicine = await Medicine.findOne({
       vendorId: new mongoose.Types.ObjectId(req.user.id),
       name: name.trim(),
-      batchNumber: batchNumber.trim()
+      dosage: dosage.trim(),
+      isActive: true
     });
 
     if (existingMedicine) {
-      return res.status(400).json({ message: 'Medicine with this name and batch number already exists' });
+      return res.status(409).json({
+        message: 'This medicine is already listed. Receive the new batch as a lot of the existing listing',
+        medicineId: existingMedicine._id
+      });
+    }
+
+    let drugProduct = null;
+    if (drugProductId) {
+      drugProduct = await DrugProduct.findOne({ _id: drugProductId, isActive: true });
+      if (!drugProduct) {
+        return res.status(400).json({ message: 'Linked product not found in the catalogue' });
+      }
     }
 
     console.log('Creating medicine with vendorId:', req.user.id);
@@ -593,24 +717,41 @@ router.post('/', authenticateToken, async (req, res) => {
       dosage: dosage.trim(),
       sideEffects: sideEffects?.trim() || '',
       vendorId: new mongoose.Types.ObjectId(req.user.id), // Ensure proper ObjectId
+      drugProduct: drugProduct?._id || null,
       imageUrl: imageUrl || null,
-      tags: tags || []
+      tags: tags || [],
+      lots: [{
+        batchNumber: batchNumber.trim(),
+        expiryDate: new Date(expiryDate),
+        quantity: parseInt(stockQuantity) || 0,
+        receivedQuantity: parseInt(stockQuantity) || 0,
+        costPrice: costPrice !== undefined && costPrice !== '' ? parseFloat(costPrice) : null,
+        supplier: supplier?.trim()
+      }]
     });
 
     // Add initial stock entry if stock quantity > 0
     if (parseInt(stockQuantity) > 0) {
-      medicine.stockHistory.push({
+      medicine.recordStockMovement({
         type: 'in',
         quantity: parseInt(stockQuantity),
         reason: 'Initial stock',
         previousStock: 0,
-        newStock: parseInt(stockQuantity)
-      });
+        newStock: parseInt(stockQuantity),
+        lot: medicine.lots[0]._id,
+        batchNumber: medicine.lots[0].batchNumber
+      }, { actor: req.user.id, actorRole: req.user.role, reasonCode: 'initial_stock' });
     }
 
     const savedMedicine = await medicine.save();
     console.log('Medicine created successfully:', savedMedicine._id);
-    
+
+    // Unlinked listings come back with the catalogue products they probably are
+    if (!savedMedicine.drugProduct) {
+      const suggestedProducts = await drugCatalogService.suggestProducts(savedMedicine);
+      return res.status(201).json({ ...savedMedicine.toObject(), suggestedProducts });
+    }
+
     res.status(201).json(savedMedicine);
   } catch (error) {
     console.error('Error creating medicine:', error);
@@ -628,7 +769,7 @@ router.put('/:id', authenticateToken, async (req, res) => {
       return res.status(403).json({ message: 'Access denied. Only pharmacy vendors can update medicines.' });
     }
 
-    const medicine = await Medicine.findById(req.params.id);
+    const medicine = await Medicine.findById(req.params.id).select('+images.storageKeys');
     
     if (!medicine) {
       return res.status(404).json({ message: 'Medicine not found' });
@@ -653,7 +794,8 @@ router.put('/:id', authenticateToken, async (req, res) => {
       sideEffects,
       imageUrl,
       tags,
-      isActive
+      isActive,
+      drugProductId
     } = req.body;
 
     // Update fields
@@ -662,18 +804,54 @@ router.put('/:id', authenticateToken, async (req, res) => {
     if (manufacturer) medicine.manufacturer = manufacturer.trim();
     if (category) medicine.category = category;
     if (description) medicine.description = description.trim();
-    if (price !== undefined) medicine.price = parseFloat(price);
+    if (price !== undefined) {
+      // During a near-expiry markdown the new price becomes the regular price
+      if (medicine.markdown?.percentOff > 0) {
+        medicine.regularPrice = parseFloat(price);
+        medicine.applyMarkdown(medicine.markdown.percentOff);
+      } else {
+        medicine.price = parseFloat(price);
+      }
+    }
     if (minStockLevel !== undefined) medicine.minStockLevel = parseInt(minStockLevel);
-    if (expiryDate) medicine.expiryDate = new Date(expiryDate);
-    if (batchNumber) medicine.batchNumber = batchNumber.trim();
+    // Batch and expiry edits correct the current lot; new batches go through the lots endpoint
+    if (expiryDate || batchNumber) {
+      medicine.ensureLots();
+      const currentLot = medicine.lots.find(lot => lot.batchNumber === medicine.batchNumber);
+      if (currentLot) {
+        if (expiryDate) currentLot.expiryDate = new Date(expiryDate);
+        if (batchNumber) currentLot.batchNumber = batchNumber.trim();
+      }
+    }
     if (prescriptionRequired !== undefined) medicine.prescriptionRequired = Boolean(prescriptionRequired);
     if (dosage) medicine.dosage = dosage.trim();
     if (sideEffects !== undefined) medicine.sideEffects = sideEffects?.trim() || '';
-    if (imageUrl !== undefined) medicine.imageUrl = imageUrl || null;
+    // An uploaded image replaced by a link (or removed) is no longer needed
+    let replacedImageKeys = [];
+    if (imageUrl !== undefined && (imageUrl || null) !== medicine.imageUrl) {
+      replacedImageKeys = detachUploadedImage(medicine);
+      medicine.imageUrl = imageUrl || null;
+    }
     if (tags) medicine.tags = tags;
-    if (isActive !== undefined) medicine.isActive = Boolean(isActive);
+    if (isActive !== undefined) {
+      medicine.isActive = Boolean(isActive);
+      medicine.deactivationReason = null;
+    }
+    // Link to a catalogue product, or unlink with null
+    if (drugProductId !== undefined) {
+      if (drugProductId) {
+        const drugProduct = await DrugProduct.findOne({ _id: drugProductId, isActive: true });
+        if (!drugProduct) {
+          return res.status(400).json({ message: 'Linked product not found in the catalogue' });
+        }
+        medicine.drugProduct = drugProduct._id;
+      } else {
+        medicine.drugProduct = null;
+      }
+    }
 
     const updatedMedicine = await medicine.save();
+    await imageService.removeImageFiles(replacedImageKeys);
     res.json(updatedMedicine);
   } catch (error) {
     console.error('Error updating medicine:', error);
@@ -691,12 +869,16 @@ router.patch('/:id/stock', authenticateToken, async (req, res) => {
       return res.status(403).json({ message: 'Access denied. Only pharmacy vendors can update stock.' });
     }
 
-    const { quantity, type, reason } = req.body;
+    const { quantity, type, reason, lotId, batchNumber, reasonCode, orderId, disputeId } = req.body;
 
     if (!quantity || !type || !['in', 'out', 'expired', 'damaged'].includes(type)) {
       return res.status(400).json({ message: 'Invalid quantity or type. Type must be: in, out, expired, or damaged' });
     }
 
+    if (reasonCode && !MANUAL_REASON_CODES.includes(reasonCode)) {
+      return res.status(400).json({ message: `Invalid reason code. Must be one of: ${MANUAL_REASON_CODES.join(', ')}` });
+    }
+
     const medicine = await Medicine.findById(req.params.id);
     
     if (!medicine) {
@@ -712,12 +894,29 @@ router.patch('/:id/stock', authenticateToken, async (req, res) => {
       return res.status(400).json({ message: 'Quantity must be a positive number' });
     }
 
+    medicine.ensureLots();
+    let lot = null;
+    if (lotId || batchNumber) {
+      lot = lotId ? medicine.lots.id(lotId) : medicine.lots.find(candidate => candidate.batchNumber === batchNumber);
+      if (!lot) {
+        return res.status(404).json({ message: 'Lot not found. Receive a new batch through the lots endpoint' });
+      }
+    }
+
     // Check if there's enough stock for out/expired/damaged operations
-    if ((type === 'out' || type === 'expired' || type === 'damaged') && medicine.stockQuantity < parsedQuantity) {
+    const availableStock = lot ? lot.quantity : (type === 'out' ? medicine.getSellableQuantity() : medicine.stockQuantity);
+    if ((type === 'out' || type === 'expired' || type === 'damaged') && availableStock < parsedQuantity) {
       return res.status(400).json({ message: 'Insufficient stock quantity' });
     }
 
-    await medicine.updateStock(parsedQuantity, type, reason || '');
+    await medicine.updateStock(parsedQuantity, type, reason || '', {
+      lotId: lot?._id,
+      actor: req.user.id,
+      actorRole: req.user.role,
+      reasonCode,
+      order: orderId || null,
+      dispute: disputeId || null
+    });
     
     res.json({
       message: 'Stock updated successfully',
@@ -729,6 +928,266 @@ router.patch('/:id/stock', authenticateToken, async (req, res) => {
   }
 });
 
+// Loads a medicine the requesting vendor owns (admins may read any)
+const findVendorMedicine = async (req, res, { allowAdmin = false, select } = {}) => {
+  const allowedRoles = allowAdmin ? ['pharmacy_vendor', 'admin'] : ['pharmacy_vendor'];
+  if (!allowedRoles.includes(req.user.role)) {
+    res.status(403).json({ message: 'Access denied. Only pharmacy vendors can manage medicines.' });
+    return null;
+  }
+
+  const medicine = await Medicine.findById(req.params.id).select(select);
+  if (!medicine) {
+    res.status(404).json({ message: 'Medicine not found' });
+    return null;
+  }
+
+  if (req.user.role === 'pharmacy_vendor' && medicine.vendorId.toString() !== req.user.id) {
+    res.status(403).json({ message: 'Access denied. You can only manage your own medicines.' });
+    return null;
+  }
+
+  return medicine;
+};
+
+// Detaches a medicine's uploaded image and returns the storage keys to delete once the change is saved
+const detachUploadedImage = (medicine) => {
+  const storageKeys = medicine.images?.storageKeys || [];
+  medicine.images = { thumbnailUrl: null, detailUrl: null, storageKeys: [], uploadedAt: null };
+  return storageKeys;
+};
+
+// List a medicine's lots in the order they will be sold
+router.get('/:id/lots', authenticateToken, async (req, res) => {
+  try {
+    const medicine = await findVendorMedicine(req, res, { allowAdmin: true });
+    if (!medicine) return;
+
+    const now = new Date();
+    const soon = new Date();
+    soon.setDate(soon.getDate() + 30);
+
+    medicine.ensureLots();
+    const lots = [...medicine.lots]
+      .sort((a, b) => new Date(a.expiryDate) - new Date(b.expiryDate))
+      .map(lot => ({
+        ...lot.toObject(),
+        isExpired: lot.expiryDate <= now,
+        isExpiringSoon: lot.expiryDate > now && lot.expiryDate <= soon
+      }));
+
+    res.json({
+      medicineId: medicine._id,
+      name: medicine.name,
+      stockQuantity: medicine.stockQuantity,
+      sellableQuantity: medicine.getSellableQuantity(),
+      lots
+    });
+  } catch (error) {
+    console.error('Error fetching lots:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Receive a batch as a lot of an existing medicine
+router.post('/:id/lots', authenticateToken, async (req, res) => {
+  try {
+    const medicine = await findVendorMedicine(req, res);
+    if (!medicine) return;
+
+    const { batchNumber, expiryDate, quantity, costPrice, supplier } = req.body;
+    const parsedQuantity = parseInt(quantity);
+    const parsedExpiry = new Date(expiryDate);
+
+    if (!batchNumber || !expiryDate || Number.isNaN(parsedExpiry.getTime()) || !parsedQuantity || parsedQuantity <= 0) {
+      return res.status(400).json({ message: 'Batch number, a valid expiry date and a positive quantity are required' });
+    }
+
+    if (parsedExpiry <= new Date()) {
+      return res.status(400).json({ message: 'Cannot receive a batch that has already expired' });
+    }
+
+    let lot;
+    try {
+      lot = medicine.receiveLot({
+        batchNumber: batchNumber.trim(),
+        expiryDate: parsedExpiry,
+        quantity: parsedQuantity,
+        costPrice: costPrice !== undefined && costPrice !== '' ? parseFloat(costPrice) : undefined,
+        supplier: supplier?.trim()
+      }, '', { actor: req.user.id, actorRole: req.user.role });
+    } catch (lotError) {
+      return res.status(400).json({ message: lotError.message });
+    }
+
+    // A listing taken down because all its stock expired comes back with fresh stock
+    if (!medicine.isActive && medicine.deactivationReason === 'expired') {
+      medicine.isActive = true;
+      medicine.deactivationReason = null;
+    }
+
+    await medicine.save();
+    console.log(`📦 Batch ${lot.batchNumber} (${parsedQuantity} units) received for medicine ${medicine._id}`);
+
+    res.status(201).json({
+      message: 'Batch received successfully',
+      lot,
+      stockQuantity: medicine.stockQuantity
+    });
+  } catch (error) {
+    console.error('Error receiving batch:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Validation error', errors: error.errors });
+    }
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Correct a lot's batch number, expiry date, cost price or supplier
+router.patch('/:id/lots/:lotId', authenticateToken, async (req, res) => {
+  try {
+    const medicine = await findVendorMedicine(req, res);
+    if (!medicine) return;
+
+    const lot = medicine.lots.id(req.params.lotId);
+    if (!lot) {
+      return res.status(404).json({ message: 'Lot not found' });
+    }
+
+    const { batchNumber, expiryDate, costPrice, supplier } = req.body;
+
+    if (batchNumber && batchNumber.trim() !== lot.batchNumber &&
+        medicine.lots.some(other => other.batchNumber === batchNumber.trim())) {
+      return res.status(400).json({ message: 'Another lot already has this batch number' });
+    }
+
+    if (batchNumber) lot.batchNumber = batchNumber.trim();
+    if (expiryDate) lot.expiryDate = new Date(expiryDate);
+    if (costPrice !== undefined) lot.costPrice = costPrice === null || costPrice === '' ? null : parseFloat(costPrice);
+    if (supplier !== undefined) lot.supplier = supplier?.trim() || '';
+
+    await medicine.save();
+    res.json({ message: 'Lot updated successfully', lot });
+  } catch (error) {
+    console.error('Error updating lot:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Validation error', errors: error.errors });
+    }
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Orders that received units from a lot (recalls and returns)
+router.get('/:id/lots/:lotId/orders', authenticateToken, async (req, res) => {
+  try {
+    const medicine = await findVendorMedicine(req, res, { allowAdmin: true });
+    if (!medicine) return;
+
+    const lot = medicine.lots.id(req.params.lotId);
+    if (!lot) {
+      return res.status(404).json({ message: 'Lot not found' });
+    }
+
+    const orders = await Order.find({ 'items.lots.lot': lot._id })
+      .select('trackingId status customer shippingAddress.fullName shippingAddress.phone items createdAt')
+      .populate('customer', 'firstName lastName email phone')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      lot,
+      orders: orders.map(order => {
+        const item = order.items.find(orderItem => orderItem.lots.some(allocation => allocation.lot.equals(lot._id)));
+        const allocation = item.lots.find(entry => entry.lot.equals(lot._id));
+        return {
+          _id: order._id,
+          trackingId: order.trackingId,
+          status: order.status,
+          customer: order.customer,
+          shippingAddress: order.shippingAddress,
+          quantity: allocation.quantity,
+          createdAt: order.createdAt
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Error tracing lot orders:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Upload the product image (multipart field "image"); replaces any previous upload
+router.post('/:id/image', authenticateToken, (req, res) => {
+  imageUpload.single('image')(req, res, async (err) => {
+    try {
+      if (err) {
+        const message = err.code === 'LIMIT_FILE_SIZE' ? 'Image must be 5MB or smaller' : err.message;
+        return res.status(400).json({ message });
+      }
+
+      const medicine = await findVendorMedicine(req, res, { select: '+images.storageKeys' });
+      if (!medicine) return;
+
+      if (!req.file) {
+        return res.status(400).json({ message: 'An image file is required' });
+      }
+
+      const image = await imageService.processMedicineImage(medicine._id, req.file.buffer);
+      const previousImageKeys = detachUploadedImage(medicine);
+
+      medicine.images = {
+        thumbnailUrl: image.thumbnailUrl,
+        detailUrl: image.detailUrl,
+        storageKeys: image.storageKeys,
+        uploadedAt: new Date()
+      };
+      medicine.imageUrl = image.detailUrl;
+
+      try {
+        await medicine.save();
+      } catch (saveError) {
+        await imageService.removeImageFiles(image.storageKeys);
+        throw saveError;
+      }
+      await imageService.removeImageFiles(previousImageKeys);
+
+      console.log(`🖼️ Image uploaded for medicine ${medicine._id}`);
+      res.status(201).json({
+        message: 'Image uploaded successfully',
+        imageUrl: medicine.imageUrl,
+        images: {
+          thumbnailUrl: medicine.images.thumbnailUrl,
+          detailUrl: medicine.images.detailUrl,
+          uploadedAt: medicine.images.uploadedAt
+        }
+      });
+    } catch (error) {
+      if (error.name === 'ImageError') {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error('Error uploading medicine image:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+});
+
+// Remove the product image
+router.delete('/:id/image', authenticateToken, async (req, res) => {
+  try {
+    const medicine = await findVendorMedicine(req, res, { select: '+images.storageKeys' });
+    if (!medicine) return;
+
+    const previousImageKeys = detachUploadedImage(medicine);
+    medicine.imageUrl = null;
+    await medicine.save();
+    await imageService.removeImageFiles(previousImageKeys);
+
+    res.json({ message: 'Image removed successfully' });
+  } catch (error) {
+    console.error('Error removing medicine image:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
 // Delete a medicine (soft delete)
 router.delete('/:id', authenticateToken, async (req, res) => {
   try {
@@ -736,7 +1195,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       return res.status(403).json({ message: 'Access denied. Only pharmacy vendors can delete medicines.' });
     }
 
-    const medicine = await Medicine.findById(req.params.id);
+    const medicine = await Medicine.findById(req.params.id).select('+images.storageKeys');
     
     if (!medicine) {
       return res.status(404).json({ message: 'Medicine not found' });
@@ -746,8 +1205,15 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       return res.status(403).json({ message: 'Access denied. You can only delete your own medicines.' });
     }
 
+    // The listing is kept for order history, but its uploaded image is not
+    const previousImageKeys = detachUploadedImage(medicine);
+    if (previousImageKeys.length > 0) {
+      medicine.imageUrl = null;
+    }
+
     medicine.isActive = false;
     await medicine.save();
+    await imageService.removeImageFiles(previousImageKeys);
     
     res.json({ message: 'Medicine deleted successfully' });
   } catch (error) {
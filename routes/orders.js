@@ -1,128 +1,65 @@
 import express from 'express';
 import mongoose from 'mongoose';
 import User from '../models/User.js';
-import Medicine from '../models/Medicine.js';
 import Order from '../models/Order.js';
-import Payment from '../models/Payment.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
+import orderService, { CheckoutError } from '../services/orderService.js';
+import orderStatusService, { OrderTransitionError } from '../services/orderStatusService.js';
+import trackingService from '../services/trackingService.js';
+import substitutionService from '../services/substitutionService.js';
 
 const router = express.Router();
 
-// Helper function to map frontend payment methods to valid enum values
-const getValidPaymentMethod = (paymentMethod) => {
-  const paymentMethodMap = {
-    'cash_on_delivery': 'cash',
-    'credit_card': 'card', // Map credit_card to card for backward compatibility
-    'debit_card': 'card',
-    'mobile_banking': 'mobile_banking',
-    'bank_transfer': 'bank_transfer',
-    'bkash': 'bkash',
-    'nagad': 'nagad',
-    'rocket': 'rocket',
-    'stripe': 'stripe',
-    'sslcommerz': 'sslcommerz',
-    'dummy': 'dummy'
-  };
-  
-  return paymentMethodMap[paymentMethod] || paymentMethod || 'cash';
-};
-
-// Helper function to update payment status when order is delivered
-const updatePaymentForDeliveredOrder = async (order, vendorId) => {
-  try {
-    // Find existing payment for this order and vendor
-    const payment = await Payment.findOne({
-      orderId: order._id,
-      vendorId: vendorId
-    });
-
-    if (!payment) {
-      console.log(`⚠️ No payment found for order ${order._id} and vendor ${vendorId}`);
-      // Create payment if it doesn't exist (fallback)
-      return await createPaymentForDeliveredOrder(order, vendorId);
-    }
-
-    if (payment.status === 'completed') {
-      console.log(`💰 Payment already completed for order ${order._id} and vendor ${vendorId}`);
-      return payment;
+// Aggregation stages that expose the vendor's own shipment and its status as the order status
+const vendorShipmentStages = (vendorObjectId) => [
+  {
+    $addFields: {
+      vendorShipment: {
+        $arrayElemAt: [
+          {
+            $filter: {
+              input: { $ifNull: ['$shipments', []] },
+              cond: { $eq: ['$$this.vendor', vendorObjectId] }
+            }
+          },
+          0
+        ]
+      }
     }
-
-    // Update payment status to completed
-    payment.status = 'completed';
-    payment.paymentDetails = {
-      ...payment.paymentDetails,
-      deliveredAt: order.deliveredAt || new Date(),
-      completedAt: new Date()
-    };
-
-    await payment.save();
-    
-    console.log(`✅ Payment status updated to completed:`, {
-      transactionId: payment.transactionId,
-      amount: payment.amount,
-      vendorEarnings: payment.vendorEarnings,
-      medzyRevenue: payment.medzyRevenue,
-      status: payment.status
-    });
-
-    // Update order payment status
-    order.paymentStatus = 'paid';
-    await order.save();
-
-    return payment;
-  } catch (error) {
-    console.error('❌ Error updating payment for delivered order:', error);
-    throw error;
-  }
-};
-
-// Helper function to create payment when order is delivered (fallback)
-const createPaymentForDeliveredOrder = async (order, vendorId) => {
-  try {
-    // Calculate vendor's portion of the order
-    const vendorItems = order.items.filter(item => item.vendor.toString() === vendorId.toString());
-    const vendorAmount = vendorItems.reduce((total, item) => {
-      return total + (item.price * item.quantity);
-    }, 0);
-
-    if (vendorAmount <= 0) {
-      console.log(`⚠️ No items found for vendor ${vendorId} in order ${order._id}`);
-      return null;
+  },
+  {
+    $addFields: {
+      orderStatus: '$status',
+      status: { $ifNull: ['$vendorShipment.status', '$status'] }
     }
-
-    // Create payment record
-    const payment = new Payment({
-      transactionId: `TXN_${order.trackingId}_${vendorId}_${Date.now()}`,
-      userId: order.customer,
-      vendorId: vendorId,
-      orderId: order._id,
-      amount: vendorAmount,
-      status: 'completed', // Order is delivered, so payment is completed
-      paymentMethod: order.paymentMethod === 'cash_on_delivery' ? 'cash' : order.paymentMethod || 'cash',
-      paymentDetails: {
-        orderNumber: order.orderNumber,
-        trackingId: order.trackingId,
-        deliveredAt: order.deliveredAt || new Date()
-      }
-      // vendorEarnings and medzyRevenue will be calculated by the pre-save hook
-    });
-
-    await payment.save();
-    
-    console.log(`✅ Fallback payment created successfully:`, {
-      transactionId: payment.transactionId,
-      amount: vendorAmount,
-      vendorEarnings: payment.vendorEarnings,
-      medzyRevenue: payment.medzyRevenue,
-      orderId: order._id,
-      vendorId: vendorId
-    });
-
-    return payment;
-  } catch (error) {
-    console.error('❌ Error creating fallback payment for delivered order:', error);
-    throw error;
   }
+];
+
+// Customer view of an order: the vendor shipments rolled up into one order
+const formatCustomerOrder = (order) => {
+  const orderObj = order.toObject ? order.toObject() : order;
+  const shipments = orderObj.shipments || [];
+  const activeShipments = shipments.filter(shipment => shipment.status !== 'cancelled');
+  const latestEstimate = activeShipments
+    .map(shipment => shipment.estimatedDelivery)
+    .filter(Boolean)
+    .sort((a, b) => new Date(b) - new Date(a))[0];
+
+  return {
+    ...orderObj,
+    estimatedDelivery: latestEstimate || orderObj.estimatedDelivery,
+    shipments: shipments.map(shipment => {
+      const vendorId = shipment.vendor?._id || shipment.vendor;
+      return {
+        ...shipment,
+        items: orderObj.items.filter(item => {
+          const itemVendorId = item.vendor?._id || item.vendor;
+          return itemVendorId?.toString() === vendorId?.toString();
+        })
+      };
+    })
+  };
 };
 
 // General orders route - redirects based on user role
@@ -191,6 +128,10 @@ router.get('/', authenticateToken, async (req, res) => {
           {
             path: 'items.vendor',
             select: 'firstName lastName email phone'
+          },
+          {
+            path: 'shipments.vendor',
+            select: 'firstName lastName businessInfo.pharmacyName'
           }
         ])
         .sort({ createdAt: -1 })
@@ -201,7 +142,7 @@ router.get('/', authenticateToken, async (req, res) => {
 
       res.json({
         success: true,
-        orders,
+        orders: orders.map(formatCustomerOrder),
         pagination: {
           page,
           limit,
@@ -216,16 +157,19 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
-// Create order from cart
-router.post('/create', authenticateToken, async (req, res) => {
+// Create order from cart (send an Idempotency-Key header to make retries safe)
+router.post('/create', authenticateToken, idempotent, async (req, res) => {
   try {
     console.log('🛒 Order creation request received from user:', req.user.id);
-    console.log('📝 Request body:', JSON.stringify(req.body, null, 2));
     
     const { 
       paymentMethod, 
       shippingAddress, 
-      notes 
+      notes,
+      prescriptionId,
+      couponCode,
+      pointsToRedeem,
+      deliveryType
     } = req.body;
 
     if (!paymentMethod || !shippingAddress) {
@@ -242,9 +186,6 @@ router.post('/create', authenticateToken, async (req, res) => {
       }
     }
 
-    // Get user with cart
-    console.log('👤 Fetching user and cart...');
-    
     // Validate user ID before database query
     if (!req.user.id || req.user.id === 'customer' || req.user.id === 'admin' || req.user.id === 'vendor') {
       console.log('❌ Invalid user ID detected:', req.user.id);
@@ -256,169 +197,19 @@ router.post('/create', authenticateToken, async (req, res) => {
       console.log('❌ Invalid ObjectId format for user ID:', req.user.id);
       return res.status(400).json({ message: 'Invalid user ID format' });
     }
-    
-    const user = await User.findById(req.user.id).populate('cart.medicine');
-    if (!user) {
-      console.log('❌ User not found:', req.user.id);
-      return res.status(404).json({ message: 'User not found' });
-    }
 
-    console.log(`🛒 User cart contains ${user.cart?.length || 0} items`);
-    if (!user.cart || user.cart.length === 0) {
-      console.log('❌ Cart is empty');
-      return res.status(400).json({ message: 'Cart is empty' });
-    }
-
-    // Validate cart items and calculate totals
-    const orderItems = [];
-    let subtotal = 0;
-
-    console.log('🔍 Validating cart items...');
-    for (const cartItem of user.cart) {
-      const medicine = cartItem.medicine;
-      console.log(`📋 Processing cart item: ${medicine?.name || 'Unknown'} (${cartItem.quantity}x)`);
-      
-      if (!medicine || !medicine.isActive) {
-        console.log(`❌ Medicine unavailable: ${medicine ? medicine.name : 'unknown'}`);
-        return res.status(400).json({ 
-          message: `Medicine ${medicine ? medicine.name : 'unknown'} is no longer available` 
-        });
-      }
-
-      if (medicine.stockQuantity < cartItem.quantity) {
-        console.log(`❌ Insufficient stock for ${medicine.name}: need ${cartItem.quantity}, have ${medicine.stockQuantity}`);
-        return res.status(400).json({ 
-          message: `Insufficient stock for ${medicine.name}. Only ${medicine.stockQuantity} units available` 
-        });
-      }
-
-      const itemTotal = medicine.price * cartItem.quantity;
-      subtotal += itemTotal;
-
-      orderItems.push({
-        medicine: medicine._id,
-        quantity: cartItem.quantity,
-        price: medicine.price,
-        vendor: medicine.vendor || medicine.vendorId
-      });
-    }
-
-    // Calculate delivery fee and total
-    const deliveryFee = subtotal > 500 ? 0 : 50;
-    const total = subtotal + deliveryFee;
-
-    // Calculate estimated delivery (3-5 business days)
-    const estimatedDelivery = new Date();
-    estimatedDelivery.setDate(estimatedDelivery.getDate() + 4);
-
-    // Determine the vendor ID from the first item (all items should have the same vendor in a single order)
-    const primaryVendorId = orderItems.length > 0 ? orderItems[0].vendor : null;
-
-    console.log('🛒 Creating order with data:', {
-      customer: req.user.id,
-      paymentMethod,
-      shippingAddress: shippingAddress.fullName,
-      subtotal,
-      deliveryFee,
-      total,
-      itemsCount: orderItems.length,
-      vendorId: primaryVendorId
-    });
-
-    // Create order
-    const order = new Order({
-      customer: req.user.id,
-      items: orderItems,
+    // Reserve stock, save the order and vendor payments and clear the cart in one transaction
+    const order = await orderService.createOrderFromCart(req.user.id, {
       paymentMethod,
       shippingAddress,
-      subtotal,
-      deliveryFee,
-      total,
       notes,
-      estimatedDelivery,
-      vendorId: primaryVendorId  // Add vendorId to the order
+      prescriptionId,
+      couponCode,
+      pointsToRedeem,
+      express: deliveryType === 'express'
     });
 
-    console.log('💾 Saving order to database...');
-    await order.save();
-    console.log('✅ Order saved successfully with ID:', order._id);
-    console.log('🏷️ Order tracking ID:', order.trackingId);
-
-    // Update medicine stock quantities and create payment records
-    console.log('📦 Updating medicine stock quantities and creating payment records...');
-    const vendorPayments = new Map(); // Group items by vendor
-    
-    for (const cartItem of user.cart) {
-      const medicineId = cartItem.medicine._id || cartItem.medicine;
-      const medicine = await Medicine.findById(medicineId);
-      if (medicine) {
-        console.log(`📉 Reducing stock for ${medicine.name}: ${medicine.stockQuantity} - ${cartItem.quantity}`);
-        await medicine.updateStock(cartItem.quantity, 'out', `Order #${order.trackingId}`);
-        
-        // Group by vendor for payment creation
-        const vendorId = (medicine.vendor || medicine.vendorId).toString();
-        if (!vendorPayments.has(vendorId)) {
-          vendorPayments.set(vendorId, {
-            vendorId: medicine.vendor || medicine.vendorId,
-            items: [],
-            totalAmount: 0
-          });
-        }
-        
-        const vendorData = vendorPayments.get(vendorId);
-        vendorData.items.push({
-          medicine: medicine._id,
-          quantity: cartItem.quantity,
-          price: medicine.price
-        });
-        vendorData.totalAmount += medicine.price * cartItem.quantity;
-      }
-    }
-
-    // Create payment records for each vendor
-    console.log(`💰 Creating payment records for ${vendorPayments.size} vendors...`);
-    for (const [vendorId, vendorData] of vendorPayments) {
-      try {
-        const payment = new Payment({
-          transactionId: `TXN_${order.trackingId}_${vendorId}_${Date.now()}`,
-          userId: order.customer,
-          vendorId: vendorData.vendorId,
-          orderId: order._id,
-          amount: vendorData.totalAmount,
-          status: 'pending', // Will be updated to 'completed' when order is delivered
-          paymentMethod: getValidPaymentMethod(paymentMethod),
-          paymentDetails: {
-            orderNumber: order.orderNumber,
-            trackingId: order.trackingId,
-            orderCreatedAt: order.createdAt,
-            items: vendorData.items
-          }
-          // vendorEarnings and medzyRevenue will be calculated by the pre-save hook
-        });
-
-        await payment.save();
-        
-        console.log(`✅ Payment created for vendor ${vendorId}:`, {
-          transactionId: payment.transactionId,
-          amount: vendorData.totalAmount,
-          vendorEarnings: payment.vendorEarnings,
-          medzyRevenue: payment.medzyRevenue,
-          status: payment.status
-        });
-      } catch (paymentError) {
-        console.error(`❌ Failed to create payment for vendor ${vendorId}:`, paymentError);
-        // Don't fail order creation if payment creation fails
-      }
-    }
-
-    // Clear user cart
-    console.log('🧹 Clearing user cart...');
-    user.cart = [];
-    await user.save();
-    console.log('✅ Cart cleared successfully');
-
     // Populate order for response
-    console.log('🔄 Populating order data for response...');
     await order.populate([
       {
         path: 'items.medicine',
@@ -430,10 +221,7 @@ router.post('/create', authenticateToken, async (req, res) => {
       }
     ]);
 
-    console.log('🎉 Order creation completed successfully!');
-    console.log('📧 Order will be available in:');
-    console.log('   - Customer "My Orders" section');
-    console.log('   - Vendor "Order Management" section');
+    console.log('🎉 Order creation completed successfully:', order.trackingId);
 
     res.status(201).json({
       message: 'Order created successfully',
@@ -442,6 +230,11 @@ router.post('/create', authenticateToken, async (req, res) => {
         trackingId: order.trackingId,
         status: order.status,
         paymentStatus: order.paymentStatus,
+        deliveryFee: order.deliveryFee,
+        delivery: order.delivery,
+        discount: order.discount,
+        pointsRedeemed: order.pointsRedeemed,
+        pointsValue: order.pointsValue,
         total: order.total,
         estimatedDelivery: order.estimatedDelivery,
         createdAt: order.createdAt,
@@ -450,9 +243,27 @@ router.post('/create', authenticateToken, async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof CheckoutError) {
+      console.log('❌ Checkout rejected:', error.message);
+      // Offer in-stock alternatives for the item that could not be supplied
+      if (error.details?.medicineId) {
+        try {
+          const result = await substitutionService.findSubstitutes(error.details.medicineId, {
+            user: req.user.id,
+            quantity: error.details.requested || 1,
+            coordinates: req.body.shippingAddress?.coordinates || null,
+            limit: 3
+          });
+          error.details.substitutes = result?.substitutes || [];
+        } catch (substitutionError) {
+          console.error('Error finding substitutes:', substitutionError);
+        }
+      }
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+
     console.error('❌ Error creating order:', error);
     console.error('❌ Error stack:', error.stack);
-    console.error('❌ Request body:', JSON.stringify(req.body, null, 2));
     console.error('❌ User ID:', req.user?.id);
     
     res.status(500).json({ 
@@ -490,6 +301,10 @@ router.get('/my-orders', authenticateToken, async (req, res) => {
         {
           path: 'items.vendor',
           select: 'firstName lastName email phone'
+        },
+        {
+          path: 'shipments.vendor',
+          select: 'firstName lastName businessInfo.pharmacyName'
         }
       ])
       .sort({ createdAt: -1 })
@@ -499,7 +314,7 @@ router.get('/my-orders', authenticateToken, async (req, res) => {
     const total = await Order.countDocuments({ customer: req.user.id });
 
     res.json({
-      orders,
+      orders: orders.map(formatCustomerOrder),
       pagination: {
         currentPage: page,
         totalPages: Math.ceil(total / limit),
@@ -551,6 +366,10 @@ router.get('/:orderId', authenticateToken, async (req, res) => {
       {
         path: 'items.vendor',
         select: 'firstName lastName email phone'
+      },
+      {
+        path: 'shipments.vendor',
+        select: 'firstName lastName businessInfo.pharmacyName'
       }
     ]);
 
@@ -558,7 +377,7 @@ router.get('/:orderId', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'Order not found' });
     }
 
-    res.json({ order });
+    res.json({ order: formatCustomerOrder(order) });
 
   } catch (error) {
     console.error('Error fetching order:', error);
@@ -566,37 +385,17 @@ router.get('/:orderId', authenticateToken, async (req, res) => {
   }
 });
 
-// Track order by tracking ID
+// Track order by tracking ID (the order's own ID or one of its shipment IDs).
+// Public: returns the tracking timeline with masked customer details.
 router.get('/track/:trackingId', async (req, res) => {
   try {
-    const order = await Order.findOne({ 
-      trackingId: req.params.trackingId 
-    }).populate([
-      {
-        path: 'items.medicine',
-        select: 'name genericName'
-      }
-    ]);
+    const tracking = await trackingService.getPublicTracking(req.params.trackingId);
 
-    if (!order) {
+    if (!tracking) {
       return res.status(404).json({ message: 'Order not found' });
     }
 
-    res.json({
-      order: {
-        trackingId: order.trackingId,
-        status: order.status,
-        paymentStatus: order.paymentStatus,
-        total: order.total,
-        estimatedDelivery: order.estimatedDelivery,
-        statusHistory: order.statusHistory,
-        items: order.items.map(item => ({
-          name: item.medicine.name,
-          quantity: item.quantity,
-          price: item.price
-        }))
-      }
-    });
+    res.json({ order: tracking });
 
   } catch (error) {
     console.error('Error tracking order:', error);
@@ -604,36 +403,24 @@ router.get('/track/:trackingId', async (req, res) => {
   }
 });
 
-// Cancel order (only if pending)
+// Cancel order (only while every shipment is still pending)
 router.put('/:orderId/cancel', authenticateToken, async (req, res) => {
   try {
-    const order = await Order.findOne({
-      _id: req.params.orderId,
-      customer: req.user.id
-    }).populate('items.medicine');
-
-    if (!order) {
-      return res.status(404).json({ message: 'Order not found' });
-    }
-
-    if (order.status !== 'pending') {
-      return res.status(400).json({ message: 'Order cannot be cancelled' });
-    }
-
-    // Restore medicine stock
-    for (const item of order.items) {
-      const medicine = await Medicine.findById(item.medicine._id);
-      if (medicine) {
-        await medicine.updateStock(item.quantity, 'in', `Order cancellation #${order.trackingId}`);
-      }
-    }
-
-    order.status = 'cancelled';
-    await order.save();
+    await orderStatusService.updateOrderStatus({
+      orderId: req.params.orderId,
+      filter: { customer: req.user.id },
+      toStatus: 'cancelled',
+      actor: { id: req.user.id, role: 'customer' },
+      note: req.body?.reason || 'Cancelled by customer'
+    });
 
     res.json({ message: 'Order cancelled successfully' });
 
   } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      const message = error.statusCode === 404 ? error.message : 'Order cannot be cancelled';
+      return res.status(error.statusCode).json({ message });
+    }
     console.error('Error cancelling order:', error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -730,7 +517,10 @@ router.get('/vendor/orders', authenticateToken, async (req, res) => {
           foreignField: '_id',
           as: 'medicineData'
         }
-      }
+      },
+
+      // Vendors see and filter by the status of their own shipment
+      ...vendorShipmentStages(vendorObjectId)
     ];
 
     // Add search filter if provided
@@ -829,6 +619,7 @@ router.get('/vendor/orders', authenticateToken, async (req, res) => {
     pipeline.push({
       $project: {
         medicineData: 0,
+        shipments: 0,
         'customer.password': 0,
         'customer.cart': 0
       }
@@ -890,60 +681,31 @@ router.put('/vendor/:orderId/status', authenticateToken, async (req, res) => {
       return res.status(403).json({ message: 'Access denied. Pharmacy vendor role required.' });
     }
 
-    const validStatuses = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ message: 'Invalid status' });
-    }
-
-    const order = await Order.findById(req.params.orderId);
-    if (!order) {
-      return res.status(404).json({ message: 'Order not found' });
-    }
-
-    // Check if vendor has items in this order
-    const hasVendorItems = order.items.some(item => item.vendor.toString() === req.user.id);
-    if (!hasVendorItems) {
-      return res.status(403).json({ message: 'You can only update orders containing your medicines' });
-    }
-
-    // Add status update to order history
-    order.statusHistory = order.statusHistory || [];
-    order.statusHistory.push({
-      status: order.status,
-      timestamp: new Date(),
-      updatedBy: req.user.id,
-      notes: notes || `Status updated to ${status}`
+    // Only the vendor's own shipment changes; the order status is rolled up on save
+    const { order, shipment } = await orderStatusService.updateShipmentStatus({
+      orderId: req.params.orderId,
+      vendorId: req.user.id,
+      toStatus: status,
+      actor: { id: req.user.id, role: req.user.role },
+      note: notes
     });
 
-    order.status = status;
-    if (status === 'delivered') {
-      order.deliveredAt = new Date();
-      
-      // Update payment status when order is delivered
-      try {
-        const payment = await updatePaymentForDeliveredOrder(order, req.user.id);
-        if (payment) {
-          console.log(`💰 Payment status updated for delivered order: ${payment.transactionId}`);
-        }
-      } catch (paymentError) {
-        console.error('❌ Failed to update payment for delivered order:', paymentError);
-        // Don't fail the status update if payment update fails
-      }
-    }
-
-    await order.save();
-
     res.json({ 
       message: 'Order status updated successfully',
       order: {
         _id: order._id,
-        status: order.status,
+        status: shipment.status,
+        orderStatus: order.status,
         trackingId: order.trackingId,
+        shipmentTrackingId: shipment.trackingId,
         updatedAt: order.updatedAt
       }
     });
 
   } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Error updating order status:', error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -958,61 +720,123 @@ router.put('/vendor/update-status', authenticateToken, async (req, res) => {
       return res.status(403).json({ message: 'Access denied. Pharmacy vendor role required.' });
     }
 
-    const validStatuses = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ message: 'Invalid status' });
-    }
+    // Only the vendor's own shipment changes; the order status is rolled up on save
+    const { order, shipment } = await orderStatusService.updateShipmentStatus({
+      orderId: orderId,
+      vendorId: req.user.id,
+      toStatus: status,
+      actor: { id: req.user.id, role: req.user.role },
+      note: note
+    });
 
-    const order = await Order.findById(orderId);
-    if (!order) {
-      return res.status(404).json({ message: 'Order not found' });
+    res.json({ 
+      message: 'Order status updated successfully',
+      order: {
+        _id: order._id,
+        status: shipment.status,
+        orderStatus: order.status,
+        trackingId: order.trackingId,
+        shipmentTrackingId: shipment.trackingId,
+        updatedAt: order.updatedAt
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json({ message: error.message });
     }
+    console.error('Error updating order status:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    // Check if vendor has items in this order
-    const hasVendorItems = order.items.some(item => item.vendor.toString() === req.user.id);
-    if (!hasVendorItems) {
-      return res.status(403).json({ message: 'You can only update orders containing your medicines' });
+// Prescription verification queue (vendor only)
+router.get('/vendor/prescriptions', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'pharmacy_vendor') {
+      return res.status(403).json({ message: 'Access denied. Pharmacy vendor role required.' });
     }
 
-    // Add status update to order history
-    order.statusHistory = order.statusHistory || [];
-    order.statusHistory.push({
-      status: order.status,
-      timestamp: new Date(),
-      updatedBy: req.user.id,
-      notes: note || `Status updated to ${status}`
-    });
+    const { status = 'pending' } = req.query;
+    const validStatuses = ['pending', 'approved', 'rejected'];
+    if (!validStatuses.includes(status)) {
+      return res.status(400).json({ message: 'Invalid prescription status' });
+    }
 
-    order.status = status;
-    if (status === 'delivered') {
-      order.deliveredAt = new Date();
-      
-      // Update payment status when order is delivered
-      try {
-        const payment = await updatePaymentForDeliveredOrder(order, req.user.id);
-        if (payment) {
-          console.log(`💰 Payment status updated for delivered order: ${payment.transactionId}`);
+    const orders = await Order.find({
+      shipments: {
+        $elemMatch: {
+          vendor: req.user.id,
+          'prescriptionReview.status': status
         }
-      } catch (paymentError) {
-        console.error('❌ Failed to update payment for delivered order:', paymentError);
-        // Don't fail the status update if payment update fails
       }
+    })
+      .populate('customer', 'firstName lastName email phone')
+      .populate('items.medicine', 'name genericName dosage prescriptionRequired')
+      .sort({ createdAt: 1 }); // Oldest first so nobody waits at the back of the queue
+
+    const queue = orders.map(order => {
+      const shipment = order.getShipment(req.user.id);
+      const { prescription } = order.toObject();
+      return {
+        _id: order._id,
+        trackingId: order.trackingId,
+        shipmentTrackingId: shipment.trackingId,
+        status: shipment.status,
+        customer: order.customer,
+        prescription: prescription?.prescriptionId ? {
+          ...prescription,
+          fileUrl: `/api/prescriptions/${prescription.prescriptionId}/file`
+        } : null,
+        prescriptionReview: shipment.prescriptionReview,
+        items: order.getVendorItems(req.user.id),
+        createdAt: order.createdAt
+      };
+    });
+
+    res.json({ orders: queue, total: queue.length });
+
+  } catch (error) {
+    console.error('Error fetching prescription queue:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Approve or reject the prescription for the vendor's shipment (vendor only)
+router.put('/vendor/:orderId/prescription', authenticateToken, async (req, res) => {
+  try {
+    const { decision, notes, pharmacistName } = req.body;
+
+    if (req.user.role !== 'pharmacy_vendor') {
+      return res.status(403).json({ message: 'Access denied. Pharmacy vendor role required.' });
     }
 
-    await order.save();
+    const { order, shipment } = await orderStatusService.reviewPrescription({
+      orderId: req.params.orderId,
+      vendorId: req.user.id,
+      decision,
+      actor: { id: req.user.id, role: req.user.role },
+      pharmacistName,
+      notes
+    });
 
-    res.json({ 
-      message: 'Order status updated successfully',
+    res.json({
+      message: `Prescription ${decision} successfully`,
       order: {
         _id: order._id,
-        status: order.status,
+        status: shipment.status,
+        orderStatus: order.status,
         trackingId: order.trackingId,
-        updatedAt: order.updatedAt
+        shipmentTrackingId: shipment.trackingId,
+        prescriptionReview: shipment.prescriptionReview
       }
     });
 
   } catch (error) {
-    console.error('Error updating order status:', error);
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error reviewing prescription:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -1065,6 +889,7 @@ router.get('/vendor/stats', authenticateToken, async (req, res) => {
           createdAt: { $gte: startDate }
         }
       },
+      ...vendorShipmentStages(vendorObjectId),
       {
         $unwind: '$items'
       },
@@ -1100,6 +925,7 @@ router.get('/vendor/stats', authenticateToken, async (req, res) => {
           ]
         }
       },
+      ...vendorShipmentStages(vendorObjectId),
       {
         $unwind: '$items'
       },
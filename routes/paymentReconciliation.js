@@ -0,0 +1,85 @@
+import express from 'express';
+import PaymentReconciliation from '../models/PaymentReconciliation.js';
+import reconciliationService from '../services/reconciliationService.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Daily reports, newest first, without their entries. Filters: startDate, endDate
+router.get('/reports', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const from = req.query.startDate ? new Date(req.query.startDate) : undefined;
+    const to = req.query.endDate ? new Date(req.query.endDate) : undefined;
+    if ([from, to].some(date => date && Number.isNaN(date.getTime()))) {
+      return res.status(400).json({ success: false, message: 'startDate and endDate must be valid dates' });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 30, 100);
+    const result = await reconciliationService.getReports({ from, to }, { page, limit });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error fetching reconciliation reports:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// One day's report with the changes made and the discrepancies found
+router.get('/reports/:date', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    if (!DATE_PATTERN.test(req.params.date)) {
+      return res.status(400).json({ success: false, message: 'Date must be in YYYY-MM-DD format' });
+    }
+
+    const report = await PaymentReconciliation.findOne({ date: req.params.date })
+      .populate('discrepancies.payment', 'transactionId status amount paymentMethod')
+      .populate('discrepancies.order', 'trackingId status paymentStatus total');
+    if (!report) {
+      return res.status(404).json({ success: false, message: 'No reconciliation report for this date' });
+    }
+
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('Error fetching reconciliation report:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Check a day against the gateways again; ?email=true also sends it to finance
+router.post('/reports/:date', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    if (!DATE_PATTERN.test(req.params.date)) {
+      return res.status(400).json({ success: false, message: 'Date must be in YYYY-MM-DD format' });
+    }
+
+    let report = await reconciliationService.buildDailyReport(req.params.date);
+    if (req.query.email === 'true') {
+      report = await reconciliationService.sendReport(report);
+    }
+
+    res.json({ success: true, message: 'Reconciliation report built', report });
+  } catch (error) {
+    console.error('Error building reconciliation report:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Run the reconciliation now instead of waiting for the schedule
+router.post('/run', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await reconciliationService.runReconciliation();
+    if (!result) {
+      return res.status(409).json({ success: false, message: 'Reconciliation is already running' });
+    }
+
+    res.json({ success: true, message: 'Reconciliation complete', ...result });
+  } catch (error) {
+    console.error('Error running reconciliation:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+export default router;
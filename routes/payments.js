@@ -1,4 +1,5 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import jwt from 'jsonwebtoken';
 import Payment from '../models/Payment.js';
 import Order from '../models/Order.js';
@@ -6,14 +7,19 @@ import User from '../models/User.js';
 import CustomerPoint from '../models/CustomerPoint.js';
 import RevenueAdjustment from '../models/RevenueAdjustment.js';
 import paymentGatewayService from '../services/paymentGatewayService.js';
+import paymentService, { PaymentError } from '../services/paymentService.js';
+import webhookService from '../services/webhookService.js';
+import orderService, { CheckoutError } from '../services/orderService.js';
+import orderStatusService from '../services/orderStatusService.js';
 import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
 
 const router = express.Router();
 
 // Helper function to process refund with revenue adjustments and customer points
 const processRefundAdjustments = async (payment, refundAmount, supportTicketId = null, adminUserId) => {
   try {
-    // Get the order to determine vendor and commission
+    // Get the order to determine the vendor
     const order = await Order.findById(payment.orderId);
     if (!order) {
       console.error(`Order not found for payment ${payment._id}`);
@@ -27,8 +33,6 @@ const processRefundAdjustments = async (payment, refundAmount, supportTicketId =
       throw new Error('Vendor information missing for this order');
     }
     
-    const vendorCommissionPercentage = order.vendorCommissionPercentage || 15; // Default 15%
-    
     // Create revenue adjustment for the refund
     const revenueAdjustment = await RevenueAdjustment.createRefundAdjustment(
       refundAmount,
@@ -36,7 +40,7 @@ const processRefundAdjustments = async (payment, refundAmount, supportTicketId =
       payment._id,
       supportTicketId,
       order.vendorId,
-      vendorCommissionPercentage,
+      payment.commissionRate,
       adminUserId,
       payment.userId // Add customerId
     );
@@ -600,94 +604,79 @@ router.get('/history', authenticateToken, async (req, res) => {
 
 // ================= Multi-Gateway Payment Integration =================
 
-// Initialize payment (unified endpoint for all gateways)
-router.post('/initialize', authenticateToken, async (req, res) => {
+// Initialize payment (unified endpoint for all gateways). Send an Idempotency-Key header so
+// a double submit or retry gets the first order and payment back instead of new ones.
+router.post('/initialize', authenticateToken, idempotent, async (req, res) => {
   try {
     const { 
       gateway, 
-      amount, 
       currency = 'BDT', 
       description, 
       customerInfo, 
       shippingAddress, 
-      cartItems 
+      cartItems,
+      prescriptionId,
+      couponCode,
+      pointsToRedeem,
+      deliveryType
     } = req.body;
 
     console.log('🔍 Payment initialization request received:', {
       gateway,
-      amount,
       currency,
       customerName: customerInfo?.name,
       itemCount: cartItems?.length,
       userId: req.user.id
     });
 
-    if (!gateway || !amount) {
-      console.log('❌ Validation failed:', { gateway, amount });
+    const provider = paymentGatewayService.getProvider(gateway);
+    if (!provider) {
       return res.status(400).json({
         success: false,
-        message: 'Gateway and amount are required',
-        received: { gateway, amount }
+        message: `Unsupported payment gateway: ${gateway}`,
+        supportedGateways: paymentGatewayService.listProviders()
       });
     }
 
-    if (amount <= 0) {
-      console.log('❌ Invalid amount:', amount);
-      return res.status(400).json({
-        success: false,
-        message: 'Amount must be greater than 0',
-        received: { amount }
-      });
+    // Prices, vendors and availability come from the catalogue, never from the client
+    const items = (cartItems || []).map(item => ({
+      medicine: item.productId || item.medicine?._id || item.medicine || item._id,
+      quantity: parseInt(item.quantity) || 1
+    }));
+    if (items.length === 0) {
+      return res.status(400).json({ success: false, message: 'Cart items are required' });
+    }
+    if (items.some(item => !mongoose.isValidObjectId(item.medicine) || item.quantity < 1)) {
+      return res.status(400).json({ success: false, message: 'Each cart item needs a valid medicine and quantity' });
     }
 
-    console.log(`🚀 Initializing ${gateway} payment:`, {
-      gateway,
-      amount,
-      currency,
-      customerInfo: customerInfo?.name,
-      itemCount: cartItems?.length
-    });
-
-    // Get user info
-    const user = await User.findById(req.user.id);
-    
-    // Calculate totals
-    const subtotal = amount;
-    const deliveryFee = subtotal >= 500 ? 0 : 50; // Free delivery for orders above 500
-    const total = subtotal + deliveryFee;
-    
-    // Create order first - fix the schema requirements
-    const orderData = {
-      customer: req.user.id,  // Use 'customer' not 'customerId'
-      items: cartItems?.map(item => ({
-        medicine: item.productId || item.medicine || item._id, // Map productId to medicine
-        quantity: item.quantity || 1,
-        price: item.price || 0,
-        vendor: item.vendorId || item.vendor || req.user.id // Default to current user if no vendor
-      })) || [],
-      subtotal: subtotal,
-      deliveryFee: deliveryFee,
-      total: total,
-      paymentMethod: gateway,
-      status: 'pending',
-      paymentStatus: 'pending',
-      shippingAddress,
-      notes: description || `Payment via ${gateway}`
-    };
-
-    console.log('📦 Creating order with data:', {
-      customer: orderData.customer,
-      itemCount: orderData.items.length,
-      subtotal: orderData.subtotal,
-      total: orderData.total,
-      paymentMethod: orderData.paymentMethod
-    });
-    
-    const order = new Order(orderData);
-    await order.save();
+    // Same checkout as cash orders: prescription check, stock reservation, delivery,
+    // coupon and points, and one payment per vendor
+    let order;
+    try {
+      order = await orderService.createOrderForItems(req.user.id, items, {
+        paymentMethod: provider.name,
+        shippingAddress,
+        notes: description || `Payment via ${provider.name}`,
+        prescriptionId,
+        couponCode,
+        pointsToRedeem,
+        express: deliveryType === 'express'
+      });
+    } catch (error) {
+      if (error instanceof CheckoutError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+      throw error;
+    }
     console.log('📦 Order created successfully:', order._id);
 
     // Prepare customer data
+    const user = await User.findById(req.user.id);
     const customerData = {
       name: customerInfo?.name || `${user.firstName} ${user.lastName}`,
       email: customerInfo?.email || user.email,
@@ -697,126 +686,65 @@ router.post('/initialize', authenticateToken, async (req, res) => {
       postcode: customerInfo?.postcode || shippingAddress?.postalCode || '1000'
     };
 
-    // Initialize payment via gateway service
-    const paymentResponse = await paymentGatewayService.createPayment(gateway, {
-      amount,
-      currency,
-      orderId: order._id.toString(),
-      description: description || `Order #${order._id}`,
-      customer: customerData
-      // Let the payment gateway service generate its own dynamic URLs
-    });
-
-    console.log(`📨 ${gateway} payment response:`, {
-      success: paymentResponse.success,
-      hasRedirectUrl: !!(paymentResponse.data?.GatewayPageURL || paymentResponse.data?.redirectUrl),
-      paymentId: paymentResponse.data?.paymentId,
-      transactionId: paymentResponse.data?.transactionId
-    });
-
-    if (paymentResponse.success) {
-      // Get vendor ID from cart items by fetching medicine details
-      let vendorId = null;
-      
-      console.log('🛒 Cart items for vendorId lookup:', {
-        cartItemsLength: cartItems?.length,
-        firstItem: cartItems?.[0],
-        hasVendorId: cartItems?.[0]?.vendorId,
-        hasVendor: cartItems?.[0]?.vendor,
-        fallbackUserId: req.user.id
+    // One gateway transaction for all of the order's vendor payments
+    let charge;
+    try {
+      charge = await paymentService.startGatewayPayment(provider.name, order, {
+        customer: customerData,
+        currency,
+        description: description || `Order #${order.trackingId}`
+      });
+    } catch (error) {
+      // Nothing was charged: cancel the order so its stock, coupon and points are released
+      await orderStatusService.updateOrderStatus({
+        orderId: order._id,
+        toStatus: 'cancelled',
+        actor: { role: 'system' },
+        note: 'Payment could not be started'
       });
 
-      if (cartItems && cartItems.length > 0) {
-        // Get vendor ID from the first medicine in cart
-        const firstMedicineId = cartItems[0].medicine || cartItems[0].productId;
-        if (firstMedicineId) {
-          const Medicine = (await import('../models/Medicine.js')).default;
-          const medicine = await Medicine.findById(firstMedicineId);
-          if (medicine && medicine.vendor) {
-            vendorId = medicine.vendor;
-            console.log('🔍 Found vendor from medicine record:', vendorId);
-          }
-        }
-        
-        // Fallback to cart item vendor info if available
-        if (!vendorId) {
-          vendorId = cartItems[0].vendorId || cartItems[0].vendor?._id;
-        }
-      }
-      
-      // If still no vendor found, find any pharmacy vendor as fallback
-      if (!vendorId) {
-        const User = (await import('../models/User.js')).default;
-        const pharmacyVendor = await User.findOne({ role: 'pharmacy_vendor' });
-        if (pharmacyVendor) {
-          vendorId = pharmacyVendor._id;
-          console.log('🏪 Using fallback pharmacy vendor:', vendorId);
-        } else {
-          // Last resort: use customer ID (this should be avoided)
-          vendorId = req.user.id;
-          console.log('⚠️ No vendor found, using customer ID as fallback:', vendorId);
-        }
+      if (error instanceof PaymentError) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
       }
+      throw error;
+    }
 
-      console.log('💰 Using vendorId for payment:', vendorId);
+    console.log(`📨 ${gateway} payment response:`, {
+      hasRedirectUrl: !!(charge.data.GatewayPageURL || charge.data.redirectUrl),
+      paymentId: charge.data.paymentId,
+      transactionId: charge.data.transactionId,
+      payments: charge.payments.length
+    });
 
-      // Create payment record with the SSL Commerce transaction ID
-      const payment = new Payment({
+    // Return response with redirect URL for gateways that need it
+    const responseData = {
+      success: true,
+      message: `${gateway} payment initialized successfully`,
+      data: {
+        paymentId: charge.payments[0]._id,
+        paymentIds: charge.payments.map(payment => payment._id),
         orderId: order._id,
-        userId: req.user.id,
-        vendorId: vendorId,
-        amount,
-        paymentMethod: gateway,
-        status: 'pending',
-        transactionId: paymentResponse.data.transactionId, // Store SSL Commerce transaction ID for callback lookup
-        paymentDetails: {
-          ...paymentResponse.data,
-          customerInfo: customerData,
-          gatewayData: paymentResponse.data,
-          sslSessionKey: paymentResponse.data.sessionkey // Store session key for reference
-        }
-      });
-      
-      await payment.save();
-      console.log('💳 Payment record created:', payment._id, 'with transaction ID:', payment.transactionId);
-
-      // Return response with redirect URL for gateways that need it
-      const responseData = {
-        success: true,
-        message: `${gateway} payment initialized successfully`,
-        data: {
-          paymentId: payment._id,
-          orderId: order._id,
-          amount,
-          currency,
-          gateway,
-          ...paymentResponse.data
-        }
-      };
-
-      // Add specific URLs for different gateways
-      if (paymentResponse.data.GatewayPageURL) {
-        responseData.redirectUrl = paymentResponse.data.GatewayPageURL;
-        responseData.GatewayPageURL = paymentResponse.data.GatewayPageURL;
-      }
-      if (paymentResponse.data.redirectUrl) {
-        responseData.redirectUrl = paymentResponse.data.redirectUrl;
-      }
-      if (paymentResponse.data.paymentUrl) {
-        responseData.redirectUrl = paymentResponse.data.paymentUrl;
+        amount: charge.amount,
+        discount: order.discount,
+        currency,
+        gateway,
+        ...charge.data
       }
+    };
 
-      res.json(responseData);
-    } else {
-      // Delete the order if payment initialization failed
-      await Order.findByIdAndDelete(order._id);
-      
-      res.status(400).json({
-        success: false,
-        message: paymentResponse.error || 'Failed to initialize payment'
-      });
+    // Add specific URLs for different gateways
+    if (charge.data.GatewayPageURL) {
+      responseData.redirectUrl = charge.data.GatewayPageURL;
+      responseData.GatewayPageURL = charge.data.GatewayPageURL;
+    }
+    if (charge.data.redirectUrl) {
+      responseData.redirectUrl = charge.data.redirectUrl;
+    }
+    if (charge.data.paymentUrl) {
+      responseData.redirectUrl = charge.data.paymentUrl;
     }
 
+    res.json(responseData);
   } catch (error) {
     console.error('Payment initialization error:', error);
     res.status(500).json({
@@ -846,9 +774,8 @@ router.get('/verify/:transactionId', async (req, res) => {
     let payment = await Payment.findOne({
       $or: [
         { transactionId: transactionId },
-        { 'paymentDetails.sessionkey': transactionId },
-        { 'paymentDetails.sslSessionKey': transactionId },
-        { 'paymentDetails.paymentId': transactionId }
+        { gatewayTransactionId: transactionId },
+        { 'paymentDetails.gatewayPaymentId': transactionId }
       ]
     }).populate('orderId');
 
@@ -876,7 +803,7 @@ router.get('/verify/:transactionId', async (req, res) => {
         message: 'Payment completed successfully',
         transactionId: payment._id,
         gateway: payment.paymentMethod,
-        amount: payment.amount,
+        amount: payment.gatewayAmount ?? payment.amount,
         orderId: payment.orderId,
         completedAt: payment.completedAt
       });
@@ -894,42 +821,26 @@ router.get('/verify/:transactionId', async (req, res) => {
       });
     }
 
-    // For pending payments, try to verify with the gateway
-    if (gateway && payment.paymentMethod === gateway) {
-      try {
-        const verificationResult = await paymentGatewayService.verifyPayment(gateway, {
-          paymentId: payment._id,
-          transactionId,
-          sessionkey: payment.paymentDetails?.sslSessionKey,
-          ...payment.paymentDetails
-        });
+    // For pending payments, ask the gateway where the payment stands
+    if (gateway && payment.paymentMethod === gateway && payment.status === 'pending') {
+      const queryResult = await paymentGatewayService.queryPayment(payment);
 
-        if (verificationResult.success) {
-          // Update payment status
-          payment.status = 'completed';
-          payment.completedAt = new Date();
-          payment.verificationData = verificationResult.data;
-          await payment.save();
-
-          // Update order status
-          if (payment.orderId) {
-            payment.orderId.paymentStatus = 'paid';
-            payment.orderId.status = 'confirmed';
-            await payment.orderId.save();
-          }
+      if (queryResult.success && queryResult.status === 'completed') {
+        await paymentService.completePayment(payment, queryResult.data);
 
-          return res.json({
-            success: true,
-            status: 'VALID',
-            message: 'Payment verified and completed',
-            transactionId: payment._id,
-            gateway: payment.paymentMethod,
-            amount: payment.amount,
-            verificationData: verificationResult.data
-          });
-        }
-      } catch (verifyError) {
-        console.error('Gateway verification error:', verifyError);
+        return res.json({
+          success: true,
+          status: 'VALID',
+          message: 'Payment verified and completed',
+          transactionId: payment._id,
+          gateway: payment.paymentMethod,
+          amount: payment.gatewayAmount ?? payment.amount,
+          verificationData: queryResult.data
+        });
+      }
+
+      if (queryResult.success && ['failed', 'cancelled'].includes(queryResult.status)) {
+        await paymentService.closeUnpaidPayment(payment, queryResult.status, `Gateway reported the payment as ${queryResult.status}`, queryResult.data);
       }
     }
 
@@ -940,7 +851,7 @@ router.get('/verify/:transactionId', async (req, res) => {
       message: `Payment is ${payment.status}`,
       transactionId: payment._id,
       gateway: payment.paymentMethod,
-      amount: payment.amount,
+      amount: payment.gatewayAmount ?? payment.amount,
       createdAt: payment.createdAt
     });
 
@@ -954,94 +865,24 @@ router.get('/verify/:transactionId', async (req, res) => {
   }
 });
 
-// Stripe payment initiation
-router.post('/stripe/create', authenticateToken, async (req, res) => {
+// Start a payment for an existing order with any registered gateway
+router.post('/:gateway/create', authenticateToken, idempotent, async (req, res) => {
   try {
-    const { orderId, amount } = req.body;
-    
-    if (!orderId || !amount) {
+    const provider = paymentGatewayService.getProvider(req.params.gateway);
+    if (!provider) {
       return res.status(400).json({
         success: false,
-        message: 'Order ID and amount are required'
-      });
-    }
-
-    // Check if order exists and belongs to user
-    const order = await Order.findById(orderId);
-    if (!order) {
-      return res.status(404).json({ 
-        success: false,
-        message: 'Order not found' 
-      });
-    }
-
-    if (order.customerId.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied'
+        message: `Unsupported payment gateway: ${req.params.gateway}`,
+        supportedGateways: paymentGatewayService.listProviders()
       });
     }
 
-    const user = await User.findById(req.user.id);
-    const paymentResponse = await paymentGatewayService.createPayment('stripe', {
-      amount,
-      orderId,
-      customer: {
-        email: user.email,
-        name: `${user.firstName} ${user.lastName}`
-      }
-    });
-    
-    if (paymentResponse.success) {
-      // Create payment record
-      const payment = new Payment({
-        orderId,
-        amount,
-        paymentMethod: 'stripe',
-        status: 'pending',
-        userId: req.user.id,
-        paymentDetails: {
-          stripePaymentIntentId: paymentResponse.data.id,
-          clientSecret: paymentResponse.data.client_secret
-        }
-      });
-      
-      await payment.save();
-      
-      res.json({
-        success: true,
-        message: 'Stripe payment created successfully',
-        data: {
-          paymentId: payment._id,
-          clientSecret: paymentResponse.data.client_secret,
-          stripe: paymentResponse.data
-        }
-      });
-    } else {
-      res.status(400).json({ 
-        success: false,
-        message: paymentResponse.error 
-      });
-    }
-  } catch (error) {
-    console.error('Stripe payment creation error:', error);
-    res.status(500).json({ 
-      success: false,
-      message: 'Failed to create payment',
-      error: error.message 
-    });
-  }
-});
+    const { orderId } = req.body;
 
-// SSLCommerz payment initiation
-router.post('/sslcommerz/create', authenticateToken, async (req, res) => {
-  try {
-    const { orderId, amount } = req.body;
-    
-    if (!orderId || !amount) {
+    if (!orderId) {
       return res.status(400).json({
         success: false,
-        message: 'Order ID and amount are required'
+        message: 'Order ID is required'
       });
     }
 
@@ -1054,58 +895,48 @@ router.post('/sslcommerz/create', authenticateToken, async (req, res) => {
       });
     }
 
-    if (order.customerId.toString() !== req.user.id) {
+    if (order.customer.toString() !== req.user.id) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
       });
     }
 
+    if (order.status === 'cancelled') {
+      return res.status(409).json({ success: false, message: 'This order has been cancelled' });
+    }
+
+    // The amount is what the order's vendor payments still owe, not what the client sends
     const user = await User.findById(req.user.id);
-    const paymentResponse = await paymentGatewayService.createPayment('sslcommerz', {
-      amount,
-      orderId,
+    const charge = await paymentService.startGatewayPayment(provider.name, order, {
       customer: {
         name: `${user.firstName} ${user.lastName}`,
         email: user.email,
         phone: user.phone || '01700000000',
-        address: user.address || 'Dhaka, Bangladesh'
+        address: order.shippingAddress?.address || 'Dhaka, Bangladesh',
+        city: order.shippingAddress?.city || 'Dhaka',
+        postcode: order.shippingAddress?.postalCode || '1000'
+      }
+    });
+
+    res.json({
+      success: true,
+      message: `${provider.name} payment created successfully`,
+      data: {
+        ...charge.data,
+        gateway: provider.name,
+        gatewayPaymentId: charge.data.paymentId,
+        paymentId: charge.payments[0]._id,
+        paymentIds: charge.payments.map(payment => payment._id),
+        amount: charge.amount,
+        paymentUrl: charge.data.redirectUrl
       }
     });
-    
-    if (paymentResponse.success) {
-      // Create payment record
-      const payment = new Payment({
-        orderId,
-        amount,
-        paymentMethod: 'sslcommerz',
-        status: 'pending',
-        userId: req.user.id,
-        paymentDetails: {
-          sslSessionKey: paymentResponse.data.sessionkey,
-          gatewayPageURL: paymentResponse.data.GatewayPageURL
-        }
-      });
-      
-      await payment.save();
-      
-      res.json({
-        success: true,
-        message: 'SSLCommerz payment created successfully',
-        data: {
-          paymentId: payment._id,
-          paymentUrl: paymentResponse.data.GatewayPageURL,
-          sessionkey: paymentResponse.data.sessionkey
-        }
-      });
-    } else {
-      res.status(400).json({ 
-        success: false,
-        message: paymentResponse.error 
-      });
-    }
   } catch (error) {
-    console.error('SSLCommerz payment creation error:', error);
+    if (error instanceof PaymentError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error(`${req.params.gateway} payment creation error:`, error);
     res.status(500).json({ 
       success: false,
       message: 'Failed to create payment',
@@ -1114,341 +945,93 @@ router.post('/sslcommerz/create', authenticateToken, async (req, res) => {
   }
 });
 
-// Nagad payment initiation (Demo)
-router.post('/nagad/create', authenticateToken, async (req, res) => {
+// Generic payment verification endpoint
+router.post('/verify/:gateway', authenticateToken, async (req, res) => {
   try {
-    const { orderId, amount } = req.body;
-    
-    if (!orderId || !amount) {
+    const { gateway } = req.params;
+    const { paymentId, ...verificationData } = req.body;
+
+    if (!paymentId) {
       return res.status(400).json({
         success: false,
-        message: 'Order ID and amount are required'
+        message: 'Payment ID is required'
       });
     }
 
-    // Check if order exists and belongs to user
-    const order = await Order.findById(orderId);
-    if (!order) {
-      return res.status(404).json({ 
+    if (!paymentGatewayService.hasProvider(gateway)) {
+      return res.status(400).json({
         success: false,
-        message: 'Order not found' 
+        message: 'Unsupported payment gateway'
       });
     }
 
-    if (order.customerId.toString() !== req.user.id) {
-      return res.status(403).json({
+    // Find payment record
+    const payment = await Payment.findById(paymentId);
+    if (!payment) {
+      return res.status(404).json({
         success: false,
-        message: 'Access denied'
+        message: 'Payment not found'
       });
     }
 
-    const paymentResponse = await paymentGatewayService.createPayment('nagad', {
-      amount,
-      orderId
-    });
-    
-    if (paymentResponse.success) {
-      // Create payment record
-      const payment = new Payment({
-        orderId,
-        amount,
-        paymentMethod: 'nagad',
-        status: 'pending',
-        userId: req.user.id,
-        paymentDetails: {
-          nagadPaymentId: paymentResponse.data.paymentId,
-          paymentUrl: paymentResponse.data.paymentUrl
-        }
-      });
-      
-      await payment.save();
-      
-      res.json({
-        success: true,
-        message: 'Nagad payment created successfully (Demo)',
-        data: {
-          paymentId: payment._id,
-          paymentUrl: paymentResponse.data.paymentUrl,
-          nagadPaymentId: paymentResponse.data.paymentId
-        }
-      });
-    } else {
-      res.status(400).json({ 
+    // Verify user owns this payment
+    if (payment.userId.toString() !== req.user.id) {
+      return res.status(403).json({
         success: false,
-        message: paymentResponse.error 
+        message: 'Access denied'
       });
     }
-  } catch (error) {
-    console.error('Nagad payment creation error:', error);
-    res.status(500).json({ 
-      success: false,
-      message: 'Failed to create payment',
-      error: error.message 
-    });
-  }
-});
 
-// Rocket payment initiation (Demo)
-router.post('/rocket/create', authenticateToken, async (req, res) => {
-  try {
-    const { orderId, amount } = req.body;
-    
-    if (!orderId || !amount) {
+    if (payment.paymentMethod !== gateway.toLowerCase()) {
       return res.status(400).json({
         success: false,
-        message: 'Order ID and amount are required'
+        message: `This payment was not made with ${gateway}`
       });
     }
 
-    // Check if order exists and belongs to user
-    const order = await Order.findById(orderId);
-    if (!order) {
-      return res.status(404).json({ 
-        success: false,
-        message: 'Order not found' 
-      });
-    }
+    const verificationResult = await paymentGatewayService.verifyPayment(payment, verificationData);
 
-    if (order.customerId.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied'
-      });
-    }
+    if (verificationResult.success) {
+      await paymentService.completePayment(payment, verificationResult.data);
 
-    const paymentResponse = await paymentGatewayService.createPayment('rocket', {
-      amount,
-      orderId
-    });
-    
-    if (paymentResponse.success) {
-      // Create payment record
-      const payment = new Payment({
-        orderId,
-        amount,
-        paymentMethod: 'rocket',
-        status: 'pending',
-        userId: req.user.id,
-        paymentDetails: {
-          rocketPaymentId: paymentResponse.data.paymentId,
-          paymentUrl: paymentResponse.data.paymentUrl
-        }
-      });
-      
-      await payment.save();
-      
-      res.json({
+      return res.json({
         success: true,
-        message: 'Rocket payment created successfully (Demo)',
+        message: 'Payment verified successfully',
         data: {
           paymentId: payment._id,
-          paymentUrl: paymentResponse.data.paymentUrl,
-          rocketPaymentId: paymentResponse.data.paymentId
+          status: payment.status,
+          verificationData: verificationResult.data
         }
       });
-    } else {
-      res.status(400).json({ 
+    }
+
+    // Nothing is settled yet (or the gateway could not be reached); try again later
+    if (verificationResult.status === 'pending') {
+      return res.status(400).json({
         success: false,
-        message: paymentResponse.error 
+        status: 'pending',
+        message: verificationResult.error || 'Payment is not complete yet'
       });
     }
+
+    await paymentService.closeUnpaidPayment(payment, verificationResult.status, verificationResult.error, verificationResult.data);
+    res.status(400).json({
+      success: false,
+      message: verificationResult.error
+    });
+
   } catch (error) {
-    console.error('Rocket payment creation error:', error);
-    res.status(500).json({ 
+    console.error('Payment verification error:', error);
+    res.status(500).json({
       success: false,
-      message: 'Failed to create payment',
-      error: error.message 
+      message: 'Failed to verify payment',
+      error: error.message
     });
   }
 });
 
-// Dummy payment initiation (for testing)
-router.post('/dummy/create', authenticateToken, async (req, res) => {
-  try {
-    const { orderId, amount } = req.body;
-    
-    if (!orderId || !amount) {
-      return res.status(400).json({
-        success: false,
-        message: 'Order ID and amount are required'
-      });
-    }
-
-    // Check if order exists and belongs to user
-    const order = await Order.findById(orderId);
-    if (!order) {
-      return res.status(404).json({ 
-        success: false,
-        message: 'Order not found' 
-      });
-    }
-
-    if (order.customerId.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied'
-      });
-    }
-
-    const paymentResponse = await paymentGatewayService.createPayment('dummy', {
-      amount,
-      orderId
-    });
-    
-    if (paymentResponse.success) {
-      // Create payment record
-      const payment = new Payment({
-        orderId,
-        amount,
-        paymentMethod: 'dummy',
-        status: 'pending',
-        userId: req.user.id,
-        paymentDetails: {
-          dummyPaymentId: paymentResponse.data.paymentId,
-          paymentUrl: paymentResponse.data.paymentUrl
-        }
-      });
-      
-      await payment.save();
-      
-      res.json({
-        success: true,
-        message: 'Dummy payment created successfully (Test Mode)',
-        data: {
-          paymentId: payment._id,
-          paymentUrl: paymentResponse.data.paymentUrl,
-          dummyPaymentId: paymentResponse.data.paymentId,
-          note: 'This is a test payment. Use any test data to complete.'
-        }
-      });
-    } else {
-      res.status(400).json({ 
-        success: false,
-        message: paymentResponse.error 
-      });
-    }
-  } catch (error) {
-    console.error('Dummy payment creation error:', error);
-    res.status(500).json({ 
-      success: false,
-      message: 'Failed to create payment',
-      error: error.message 
-    });
-  }
-});
-
-// Generic payment verification endpoint
-router.post('/verify/:gateway', authenticateToken, async (req, res) => {
-  try {
-    const { gateway } = req.params;
-    const { paymentId, ...verificationData } = req.body;
-
-    if (!paymentId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Payment ID is required'
-      });
-    }
-
-    // Find payment record
-    const payment = await Payment.findById(paymentId);
-    if (!payment) {
-      return res.status(404).json({
-        success: false,
-        message: 'Payment not found'
-      });
-    }
-
-    // Verify user owns this payment
-    if (payment.userId.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied'
-      });
-    }
-
-    let verificationResult;
-
-    switch (gateway) {
-      case 'stripe':
-        verificationResult = await paymentGatewayService.verifyPayment('stripe', {
-          paymentIntentId: payment.paymentDetails.stripePaymentIntentId,
-          ...verificationData
-        });
-        break;
-      
-      case 'sslcommerz':
-        verificationResult = await paymentGatewayService.verifyPayment('sslcommerz', {
-          sessionkey: payment.paymentDetails.sslSessionKey,
-          ...verificationData
-        });
-        break;
-      
-      case 'nagad':
-      case 'rocket':
-      case 'dummy':
-        // For demo gateways, auto-approve based on test data
-        verificationResult = await paymentGatewayService.verifyPayment(gateway, {
-          paymentId: payment._id,
-          ...verificationData
-        });
-        break;
-      
-      default:
-        return res.status(400).json({
-          success: false,
-          message: 'Unsupported payment gateway'
-        });
-    }
-
-    if (verificationResult.success) {
-      // Update payment status
-      payment.status = 'completed';
-      payment.completedAt = new Date();
-      payment.verificationData = verificationResult.data;
-      await payment.save();
-
-      // Update order status
-      const order = await Order.findById(payment.orderId);
-      if (order) {
-        order.paymentStatus = 'paid';
-        order.status = 'confirmed';
-        await order.save();
-      }
-
-      res.json({
-        success: true,
-        message: 'Payment verified successfully',
-        data: {
-          paymentId: payment._id,
-          status: payment.status,
-          verificationData: verificationResult.data
-        }
-      });
-    } else {
-      // Update payment status to failed
-      payment.status = 'failed';
-      payment.failureReason = verificationResult.error;
-      await payment.save();
-
-      res.status(400).json({
-        success: false,
-        message: verificationResult.error
-      });
-    }
-
-  } catch (error) {
-    console.error('Payment verification error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to verify payment',
-      error: error.message
-    });
-  }
-});
-
-// Get payment by ID (for success page)
-router.get('/:paymentId', authenticateToken, async (req, res) => {
+// Get payment by ID (for success page)
+router.get('/:paymentId', authenticateToken, async (req, res) => {
   try {
     const { paymentId } = req.params;
     
@@ -1472,534 +1055,129 @@ router.get('/:paymentId', authenticateToken, async (req, res) => {
   }
 });
 
-// ================= SSLCommerz Callback Routes =================
+// ================= Gateway Callback Routes =================
 
-// SSLCommerz Success Callback
-router.post('/sslcommerz/success', async (req, res) => {
-  try {
-    console.log('🎉 SSLCommerz Success Callback received:', req.body);
-    console.log('📋 Request headers:', req.headers);
-    console.log('🔍 Request method:', req.method);
-    console.log('🌐 Request URL:', req.url);
-    
-    // Parse callback data (SSL Commerce sends form data)
-    let callbackData = req.body;
-    
-    // Log all available data for debugging
-    console.log('📊 Full callback data keys:', Object.keys(callbackData));
-    console.log('📋 Callback data values:', callbackData);
-    
-    const { 
-      tran_id, 
-      status, 
-      amount, 
-      currency,
-      bank_tran_id,
-      card_type,
-      card_no,
-      card_issuer,
-      card_brand,
-      val_id,
-      value_a: orderId, // Order ID stored in value_a
-      value_b: frontendUrl, // Frontend URL stored in value_b
-      gateway // This might be from our frontend
-    } = callbackData;
-
-    console.log('🔍 Extracted callback data:', {
-      tran_id,
-      status,
-      amount,
-      orderId,
-      frontendUrl,
-      hasData: Object.keys(callbackData).length > 0
-    });
-
-    // Check if this is a JSON API request from our frontend
-    const isApiRequest = req.headers['content-type']?.includes('application/json');
+// Customer returning from a gateway's checkout. SSLCommerz and the mock gateway post to
+// /success, /fail and /cancel (or use GET when their page falls back); bKash comes back to
+// /callback with the outcome in the query string. Every return is stored as a webhook event,
+// and a success is only trusted once the gateway confirms it.
+const handleGatewayReturn = (routeOutcome) => async (req, res) => {
+  const isApiRequest = req.headers['content-type']?.includes('application/json');
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
 
-    // If we don't have transaction data from SSL Commerce, 
-    // this might be an empty callback or test environment issue
-    if (!tran_id && Object.keys(callbackData).length === 0) {
-      console.log('⚠️ Empty callback received - SSL Commerce sandbox might be having issues');
-      const redirectUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
-      return res.redirect(`${redirectUrl}/payment/failed/empty-callback?error=no_transaction_data`);
+  try {
+    if (!paymentGatewayService.hasProvider(req.params.gateway)) {
+      return res.status(404).json({ success: false, message: 'Unknown payment gateway' });
     }
 
-    // For SSL Commerce, SUCCESS, VALID, or VALIDATED statuses are considered successful
-    if (status === 'VALID' || status === 'SUCCESS' || status === 'VALIDATED' || gateway === 'sslcommerz') {
-      // Find the payment record by transaction ID
-      let payment = await Payment.findOne({
-        transactionId: tran_id
-      }).populate('orderId');
+    const { event, notification } = await webhookService.record(req.params.gateway, 'return', req, routeOutcome);
+    console.log(`↩️ ${event.gateway} return (${notification.outcome}) received:`, notification.raw);
 
-      if (payment) {
-        // Update payment status
-        payment.status = 'completed';
-        payment.completedAt = new Date();
-        payment.paymentDetails = {
-          ...payment.paymentDetails,
-          sslTransactionId: tran_id,
-          sslBankTransactionId: bank_tran_id,
-          sslCardType: card_type,
-          sslCardNo: card_no,
-          sslCardIssuer: card_issuer,
-          sslCardBrand: card_brand,
-          sslVerifyKey: val_id,
-          gatewayResponse: JSON.stringify(req.body)
-        };
-        await payment.save();
-
-        // Update order status if exists
-        if (payment.orderId) {
-          payment.orderId.status = 'confirmed';
-          payment.orderId.paymentStatus = 'paid';
-          await payment.orderId.save();
-        }
-
-        // Clear user's cart after successful payment
-        await User.findByIdAndUpdate(payment.userId, { 
-          $set: { cart: [] } 
-        });
+    if (!notification.transactionId && !notification.gatewayPaymentId) {
+      console.log('⚠️ Empty callback received - the gateway sent no transaction data');
+      return res.redirect(`${frontendUrl}/payment/failed/empty-callback?error=no_transaction_data`);
+    }
 
-        console.log('✅ Payment completed successfully:', payment._id);
-        console.log('🛒 User cart cleared after successful payment');
-        
-        // Return JSON for API requests, redirect for form submissions
-        if (isApiRequest) {
-          return res.json({
-            success: true,
-            message: 'Payment completed successfully',
-            paymentId: payment._id,
-            payment: payment
-          });
-        } else {
-          // Redirect to frontend success page with transaction ID
-          const redirectFrontendUrl = frontendUrl || process.env.FRONTEND_URL || 'http://localhost:5173';
-          const redirectUrl = `${redirectFrontendUrl}/payment/success/${tran_id}?status=valid&amount=${amount}&orderId=${orderId}`;
-          
-          console.log('🔄 Redirecting to frontend success page:', redirectUrl);
-          return res.redirect(redirectUrl);
-        }
-      } else {
-        console.error('❌ Payment not found for transaction:', tran_id);
-        if (isApiRequest) {
-          return res.status(404).json({
-            success: false,
-            error: 'payment_not_found',
-            message: 'Payment not found'
-          });
-        } else {
-          const redirectFrontendUrl = frontendUrl || process.env.FRONTEND_URL || 'http://localhost:5173';
-          res.redirect(`${redirectFrontendUrl}/payment/failed/payment-not-found?tranId=${tran_id}`);
-        }
-      }
-    } else {
-      console.error('❌ Invalid SSLCommerz transaction status:', status);
+    if (notification.signatureValid === false) {
+      console.warn(`⚠️ Ignoring ${event.gateway} callback with an invalid signature`);
       if (isApiRequest) {
-        return res.status(400).json({
-          success: false,
-          error: 'invalid_status',
-          message: 'Invalid transaction status'
-        });
-      } else {
-        const redirectFrontendUrl = frontendUrl || process.env.FRONTEND_URL || 'http://localhost:5173';
-        res.redirect(`${redirectFrontendUrl}/payment/failed/invalid-status?tranId=${tran_id}`);
+        return res.status(400).json({ success: false, error: 'invalid_signature', message: 'Invalid callback signature' });
       }
+      return res.redirect(`${frontendUrl}/payment/failed/callback-error`);
     }
-  } catch (error) {
-    console.error('SSLCommerz success callback error:', error);
-    const isApiRequest = req.headers['content-type']?.includes('application/json');
-    
-    if (isApiRequest) {
-      return res.status(500).json({
-        success: false,
-        error: 'callback_error',
-        message: 'Payment callback processing failed'
-      });
-    } else {
-      const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
-      res.redirect(`${frontendUrl}/payment/failed/callback-error`);
-    }
-  }
-});
-
-// SSLCommerz Success Callback (GET version for when POST fails due to JS errors)
-router.get('/sslcommerz/success', async (req, res) => {
-  try {
-    console.log('🎉 SSLCommerz Success Callback (GET) received:', req.query);
-    console.log('📋 Request headers:', req.headers);
-    
-    const { 
-      tran_id, 
-      status, 
-      amount, 
-      currency,
-      bank_tran_id,
-      card_type,
-      val_id,
-      value_a: orderId, // Order ID stored in value_a
-      value_b: frontendUrl // Frontend URL stored in value_b
-    } = req.query;
-
-    if (status === 'VALID') {
-      // Find the payment record by transaction ID
-      const payment = await Payment.findOne({
-        transactionId: tran_id
-      }).populate('orderId');
 
-      if (payment) {
-        // Update payment status
-        payment.status = 'completed';
-        payment.completedAt = new Date();
-        payment.paymentDetails = {
-          ...payment.paymentDetails,
-          sslTransactionId: tran_id,
-          sslBankTransactionId: bank_tran_id,
-          sslCardType: card_type,
-          sslVerifyKey: val_id,
-          gatewayResponse: JSON.stringify(req.query),
-          receivedViaGet: true // Flag to indicate this came via GET
-        };
-        await payment.save();
-
-        // Update order status if exists
-        if (payment.orderId) {
-          payment.orderId.status = 'confirmed';
-          payment.orderId.paymentStatus = 'paid';
-          await payment.orderId.save();
-        }
+    // A replayed return (browser refresh, back button) finds its event already processed and
+    // is answered from the payment's current state
+    const settlement = await webhookService.process(event) ||
+      await paymentService.applyNotification(event.gateway, notification, { gatewayResponse: JSON.stringify(notification.raw) });
 
-        // Clear user's cart after successful payment
-        await User.findByIdAndUpdate(payment.userId, { 
-          $set: { cart: [] } 
-        });
+    const { payment } = settlement;
+    const tranId = payment?.gatewayTransactionId || payment?.transactionId || notification.transactionId || 'unknown-transaction';
+    const orderId = payment?.orderId || notification.orderId || 'unknown';
 
-        console.log('✅ Payment completed successfully (via GET):', payment._id);
-        console.log('🛒 User cart cleared after successful payment');
-        
-        // Redirect to frontend success page with transaction details
-        const redirectFrontendUrl = frontendUrl || process.env.FRONTEND_URL || 'http://localhost:5173';
-        const redirectUrl = `${redirectFrontendUrl}/payment/success/${tran_id}?status=valid&amount=${amount}&orderId=${orderId}`;
-        
-        console.log('🔄 Redirecting to frontend success page (GET):', redirectUrl);
-        res.redirect(redirectUrl);
-      } else {
-        console.error('❌ Payment not found for transaction (GET):', tran_id);
-        const redirectFrontendUrl = frontendUrl || process.env.FRONTEND_URL || 'http://localhost:5173';
-        res.redirect(`${redirectFrontendUrl}/payment/failed/payment-not-found?tranId=${tran_id}`);
+    if (!payment) {
+      console.error('❌ Payment not found for transaction:', tranId);
+      if (isApiRequest) {
+        return res.status(404).json({ success: false, error: 'payment_not_found', message: 'Payment not found' });
       }
-    } else {
-      console.error('❌ Invalid SSLCommerz transaction status (GET):', status);
-      const redirectFrontendUrl = frontendUrl || process.env.FRONTEND_URL || 'http://localhost:5173';
-      res.redirect(`${redirectFrontendUrl}/payment/failed/invalid-status?tranId=${tran_id}`);
+      return res.redirect(`${frontendUrl}/payment/failed/payment-not-found?tranId=${tranId}`);
     }
-  } catch (error) {
-    console.error('SSLCommerz success callback (GET) error:', error);
-    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
-    res.redirect(`${frontendUrl}/payment/failed/callback-error`);
-  }
-});
-
-// SSLCommerz Fail Callback
-router.post('/sslcommerz/fail', async (req, res) => {
-  try {
-    console.log('❌ SSLCommerz Fail Callback received:', req.body);
-    
-    const { 
-      tran_id, 
-      status, 
-      failedreason,
-      value_a: orderId,
-      value_b: frontendUrl
-    } = req.body;
-
-    // Find the payment record by transaction ID
-    const payment = await Payment.findOne({
-      transactionId: tran_id
-    });
 
-    if (payment) {
-      // Update payment status to failed
-      payment.status = 'failed';
-      payment.failureReason = failedreason || 'Payment failed';
-      payment.paymentDetails = {
-        ...payment.paymentDetails,
-        gatewayResponse: JSON.stringify(req.body)
-      };
-      await payment.save();
-
-      console.log('❌ Payment marked as failed:', payment._id);
+    if (settlement.result === 'completed' || settlement.result === 'already_completed') {
+      if (isApiRequest) {
+        return res.json({ success: true, message: 'Payment completed successfully', paymentId: payment._id, payment });
+      }
+      const redirectUrl = `${frontendUrl}/payment/success/${tranId}?status=valid&amount=${payment.gatewayAmount ?? payment.amount}&orderId=${orderId}`;
+      console.log('🔄 Redirecting to frontend success page:', redirectUrl);
+      return res.redirect(redirectUrl);
     }
 
-    // Redirect to frontend failure page with transaction details
-    const redirectFrontendUrl = frontendUrl || process.env.FRONTEND_URL || 'http://localhost:5173';
-    const tranIdForUrl = tran_id || 'unknown-transaction';
-    const redirectUrl = `${redirectFrontendUrl}/payment/failed/${tranIdForUrl}?reason=${encodeURIComponent(failedreason || 'Payment failed')}&orderId=${orderId || 'unknown'}`;
-    
-    console.log('❌ Redirecting to frontend failure page:', redirectUrl);
-    return res.redirect(redirectUrl);
-  } catch (error) {
-    console.error('SSLCommerz fail callback error:', error);
-    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
-    res.redirect(`${frontendUrl}/payment/failed/callback-error`);
-  }
-});
-
-// SSLCommerz Fail Callback (GET version)
-router.get('/sslcommerz/fail', async (req, res) => {
-  try {
-    console.log('❌ SSLCommerz Fail Callback (GET) received:', req.query);
-    
-    const { tran_id, status, failedreason } = req.query;
-
-    // Find the payment record by transaction ID
-    const payment = await Payment.findOne({
-      transactionId: tran_id
-    });
-
-    if (payment) {
-      // Update payment status to failed
-      payment.status = 'failed';
-      payment.failureReason = failedreason || 'Payment failed';
-      payment.paymentDetails = {
-        ...payment.paymentDetails,
-        gatewayResponse: JSON.stringify(req.query),
-        receivedViaGet: true
-      };
-      await payment.save();
-
-      console.log('❌ Payment marked as failed (GET):', payment._id);
+    if (notification.outcome === 'success') {
+      const error = settlement.reason || 'Payment could not be verified';
+      console.error(`❌ ${event.gateway} payment ${tranId} could not be verified:`, error);
+      if (isApiRequest) {
+        return res.status(400).json({ success: false, error: 'verification_failed', message: error });
+      }
+      return res.redirect(`${frontendUrl}/payment/failed/${tranId}?reason=${encodeURIComponent(error)}&orderId=${orderId}`);
     }
 
-    // Redirect to frontend failure page with dynamic route
-    const tranId = payment?.transactionId || tran_id || 'unknown';
-    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
-    const redirectUrl = `${frontendUrl}/payment/failed/${tranId}`;
-    
-    console.log('❌ Redirecting to frontend failure page (GET):', redirectUrl);
-    res.redirect(redirectUrl);
-  } catch (error) {
-    console.error('SSLCommerz fail callback (GET) error:', error);
-    res.redirect(`${process.env.FRONTEND_URL || 'http://localhost:5173'}/payment/failed/callback-error`);
-  }
-});
-
-// SSLCommerz Cancel Callback
-router.post('/sslcommerz/cancel', async (req, res) => {
-  try {
-    console.log('🚫 SSLCommerz Cancel Callback received:', req.body);
-    
-    const { 
-      tran_id,
-      value_a: orderId,
-      value_b: frontendUrl
-    } = req.body;
-
-    // Find the payment record by transaction ID
-    const payment = await Payment.findOne({
-      transactionId: tran_id
-    });
-
-    if (payment) {
-      // Update payment status to cancelled
-      payment.status = 'cancelled';
-      payment.paymentDetails = {
-        ...payment.paymentDetails,
-        gatewayResponse: JSON.stringify(req.body)
-      };
-      await payment.save();
-
-      console.log('🚫 Payment cancelled:', payment._id);
+    const reason = settlement.reason || 'Payment failed';
+    if (isApiRequest) {
+      return res.json({ success: false, error: `payment_${notification.outcome}`, message: reason, paymentId: payment._id });
     }
-
-    // Redirect to frontend with cancellation message
-    const redirectFrontendUrl = frontendUrl || process.env.FRONTEND_URL || 'http://localhost:5173';
-    const redirectUrl = `${redirectFrontendUrl}/payment/cancelled/${tran_id}?orderId=${orderId}`;
-    
-    console.log('🚫 Redirecting to frontend cancelled page:', redirectUrl);
+    const redirectUrl = notification.outcome === 'cancelled'
+      ? `${frontendUrl}/payment/cancelled/${tranId}?orderId=${orderId}`
+      : `${frontendUrl}/payment/failed/${tranId}?reason=${encodeURIComponent(reason)}&orderId=${orderId}`;
+    console.log(`🔄 Redirecting to frontend ${notification.outcome} page:`, redirectUrl);
     res.redirect(redirectUrl);
   } catch (error) {
-    console.error('SSLCommerz cancel callback error:', error);
-    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    console.error(`${req.params.gateway} return callback error:`, error);
+    if (isApiRequest) {
+      return res.status(500).json({ success: false, error: 'callback_error', message: 'Payment callback processing failed' });
+    }
     res.redirect(`${frontendUrl}/payment/failed/callback-error`);
   }
-});
+};
 
-// SSLCommerz Cancel Callback (GET version)
-router.get('/sslcommerz/cancel', async (req, res) => {
+router.post('/:gateway/success', handleGatewayReturn('success'));
+router.get('/:gateway/success', handleGatewayReturn('success'));
+router.post('/:gateway/fail', handleGatewayReturn('failed'));
+router.get('/:gateway/fail', handleGatewayReturn('failed'));
+router.post('/:gateway/cancel', handleGatewayReturn('cancelled'));
+router.get('/:gateway/cancel', handleGatewayReturn('cancelled'));
+router.all('/:gateway/callback', handleGatewayReturn());
+
+// Server-to-server payment notification (SSLCommerz IPN, bKash webhook, mock gateway,
+// Stripe events). Stored as a webhook event first; a replayed delivery of an event that was
+// already handled is acknowledged without acting on it again, and events that could not be
+// applied yet are retried from the event log.
+router.post('/:gateway/ipn', async (req, res) => {
   try {
-    console.log('🚫 SSLCommerz Cancel Callback (GET) received:', req.query);
-    
-    const { tran_id } = req.query;
-
-    // Find the payment record by transaction ID
-    const payment = await Payment.findOne({
-      transactionId: tran_id
-    });
-
-    if (payment) {
-      // Update payment status to cancelled
-      payment.status = 'cancelled';
-      payment.paymentDetails = {
-        ...payment.paymentDetails,
-        gatewayResponse: JSON.stringify(req.query),
-        receivedViaGet: true
-      };
-      await payment.save();
-
-      console.log('🚫 Payment cancelled (GET):', payment._id);
+    if (!paymentGatewayService.hasProvider(req.params.gateway)) {
+      return res.status(404).send('Unknown payment gateway');
     }
 
-    // Redirect to frontend with cancellation message using dynamic route
-    const tranId = payment?.transactionId || tran_id || 'unknown';
-    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
-    const redirectUrl = `${frontendUrl}/payment/cancelled/${tranId}`;
-    
-    console.log('🚫 Redirecting to frontend cancelled page (GET):', redirectUrl);
-    res.redirect(redirectUrl);
-  } catch (error) {
-    console.error('SSLCommerz cancel callback (GET) error:', error);
-    res.redirect(`${process.env.FRONTEND_URL || 'http://localhost:5173'}/payment/failed/callback-error`);
-  }
-});
-
-// SSLCommerz IPN (Instant Payment Notification)
-router.post('/sslcommerz/ipn', async (req, res) => {
-  try {
-    console.log('📡 SSLCommerz IPN received:', req.body);
-    
-    const { tran_id, status, val_id } = req.body;
-
-    // Validate the IPN with SSLCommerz
-    const validation = await paymentGatewayService.verifyPayment('sslcommerz', {
-      transactionId: tran_id,
-      validationId: val_id
-    });
+    const { event, notification } = await webhookService.record(req.params.gateway, 'ipn', req);
+    console.log(`📡 ${event.gateway} IPN received:`, notification.raw);
 
-    if (validation.success && status === 'VALID') {
-      // Find and update payment
-      const payment = await Payment.findOne({
-        transactionId: tran_id
-      }).populate('orderId');
-
-      if (payment && payment.status !== 'completed') {
-        payment.status = 'completed';
-        payment.paymentDetails = {
-          ...payment.paymentDetails,
-          ipnData: JSON.stringify(req.body)
-        };
-        await payment.save();
-
-        // Update order if exists
-        if (payment.orderId) {
-          payment.orderId.status = 'confirmed';
-          payment.orderId.paymentStatus = 'paid';
-          await payment.orderId.save();
-        }
+    if (event.status === 'rejected') {
+      console.warn(`⚠️ Ignoring ${event.gateway} IPN with an invalid signature`);
+      return res.status(400).send('Invalid signature');
+    }
 
-        console.log('✅ IPN processed successfully for payment:', payment._id);
-      }
+    const settlement = await webhookService.process(event);
+    if (!settlement) {
+      console.log(`ℹ️ IPN already handled as event ${event._id} (${event.status})`);
     }
 
     // Always respond with 200 to acknowledge IPN
     res.status(200).send('IPN received');
   } catch (error) {
-    console.error('SSLCommerz IPN error:', error);
+    console.error(`${req.params.gateway} IPN error:`, error);
     res.status(500).send('IPN processing failed');
   }
 });
 
-// Process SSLCommerz success for sandbox (when frontend callback is used)
-router.post('/process-success', authenticateToken, async (req, res) => {
-  try {
-    console.log('🎉 Processing SSLCommerz sandbox success for user:', req.user.id);
-    console.log('📋 Request body:', req.body);
-    
-    const { gateway, status, sandbox, tranId } = req.body;
-
-    if (gateway === 'sslcommerz' && status === 'success') {
-      // Find the payment by transaction ID if provided, otherwise find the most recent pending payment
-      let payment;
-      
-      if (tranId) {
-        payment = await Payment.findOne({
-          userId: req.user.id,
-          paymentMethod: 'sslcommerz',
-          transactionId: tranId,
-          status: 'pending'
-        }).populate('orderId');
-        console.log('🔍 Looking for payment with tranId:', tranId);
-      }
-      
-      if (!payment) {
-        // Fallback: Find the most recent pending SSLCommerz payment for this user
-        payment = await Payment.findOne({
-          userId: req.user.id,
-          paymentMethod: 'sslcommerz',
-          status: 'pending'
-        }).populate('orderId').sort({ createdAt: -1 });
-        console.log('🔍 Fallback: Found most recent pending payment');
-      }
-
-      if (payment) {
-        // Update payment status
-        payment.status = 'completed';
-        payment.paymentDetails = {
-          ...payment.paymentDetails,
-          sandbox: true,
-          processedAt: new Date(),
-          tranId: tranId || payment.transactionId,
-          gatewayResponse: JSON.stringify(req.body)
-        };
-        await payment.save();
-
-        // Update order status if exists
-        if (payment.orderId) {
-          payment.orderId.status = 'confirmed';
-          payment.orderId.paymentStatus = 'paid';
-          await payment.orderId.save();
-        }
-
-        // Clear user's cart after successful payment
-        await User.findByIdAndUpdate(req.user.id, { 
-          $set: { cart: [] } 
-        });
-
-        console.log('✅ SSLCommerz sandbox payment completed successfully:', payment._id);
-        console.log('💰 Vendor earnings: ৳', payment.vendorEarnings);
-        console.log('🏢 Medzy revenue: ৳', payment.medzyRevenue);
-        console.log('🛒 User cart cleared after successful payment');
-        
-        return res.json({
-          success: true,
-          message: 'Payment completed successfully',
-          payment: payment
-        });
-      } else {
-        console.error('❌ No pending SSLCommerz payment found for user:', req.user.id);
-        return res.status(404).json({
-          success: false,
-          error: 'payment_not_found',
-          message: 'No pending payment found'
-        });
-      }
-    } else {
-      return res.status(400).json({
-        success: false,
-        error: 'invalid_request',
-        message: 'Invalid payment processing request'
-      });
-    }
-  } catch (error) {
-    console.error('SSLCommerz success processing error:', error);
-    return res.status(500).json({
-      success: false,
-      error: 'processing_error',
-      message: 'Payment processing failed'
-    });
-  }
-});
-
 // Process SSLCommerz failure for sandbox (when frontend callback is used)
 router.post('/process-failure', authenticateToken, async (req, res) => {
   try {
@@ -2017,21 +1195,12 @@ router.post('/process-failure', authenticateToken, async (req, res) => {
       }).populate('orderId').sort({ createdAt: -1 });
 
       if (payment) {
-        // Update payment status
-        payment.status = 'failed';
-        payment.paymentDetails = {
-          ...payment.paymentDetails,
-          sandbox: true,
-          failedAt: new Date(),
-          gatewayResponse: JSON.stringify(req.body)
-        };
-        await payment.save();
-
-        // Update order status if exists
-        if (payment.orderId) {
-          payment.orderId.status = 'cancelled';
-          payment.orderId.paymentStatus = 'failed';
-          await payment.orderId.save();
+        const failed = await paymentService.closeUnpaidPayment(payment, 'failed', 'Payment failed', { gatewayResponse: JSON.stringify(req.body) });
+
+        // Only the payment status changes here; an order left unpaid is cancelled, and its
+        // stock released, by the payment reconciliation job once it expires
+        if (failed && payment.orderId) {
+          await Order.updateOne({ _id: payment.orderId._id, paymentStatus: 'pending' }, { $set: { paymentStatus: 'failed' } });
         }
 
         console.log('❌ SSLCommerz sandbox payment failed:', payment._id);
@@ -2066,95 +1235,6 @@ router.post('/process-failure', authenticateToken, async (req, res) => {
   }
 });
 
-// ================= TEST ENDPOINT FOR SSL COMMERCE CALLBACKS =================
-
-// Test SSL Commerce Success Callback (for development/testing)
-router.post('/test-sslcommerz-success/:transactionId', async (req, res) => {
-  try {
-    const { transactionId } = req.params;
-    
-    console.log('🧪 Testing SSL Commerce success callback for transaction:', transactionId);
-    
-    // Find the payment record
-    const payment = await Payment.findOne({ transactionId }).populate('orderId');
-    
-    if (!payment) {
-      return res.json({
-        success: false,
-        error: 'Payment not found',
-        transactionId
-      });
-    }
-    
-    // Simulate SSL Commerce success callback data
-    const simulatedCallbackData = {
-      tran_id: transactionId,
-      status: 'VALID',
-      amount: payment.amount.toString(),
-      currency: 'BDT',
-      bank_tran_id: `TEST_BANK_${Date.now()}`,
-      card_type: 'TEST-CARD',
-      card_no: '****1234',
-      card_issuer: 'Test Bank',
-      card_brand: 'VISA',
-      val_id: `VAL_${Date.now()}`,
-      value_a: payment.orderId?._id?.toString() || '',
-      value_b: process.env.FRONTEND_URL || 'http://localhost:5173'
-    };
-    
-    // Update payment status
-    payment.status = 'completed';
-    payment.completedAt = new Date();
-    payment.paymentDetails = {
-      ...payment.paymentDetails,
-      sslTransactionId: transactionId,
-      sslBankTransactionId: simulatedCallbackData.bank_tran_id,
-      sslCardType: simulatedCallbackData.card_type,
-      sslCardNo: simulatedCallbackData.card_no,
-      sslCardIssuer: simulatedCallbackData.card_issuer,
-      sslCardBrand: simulatedCallbackData.card_brand,
-      sslVerifyKey: simulatedCallbackData.val_id,
-      gatewayResponse: JSON.stringify(simulatedCallbackData)
-    };
-    await payment.save();
-
-    // Update order status if exists
-    if (payment.orderId) {
-      payment.orderId.status = 'confirmed';
-      payment.orderId.paymentStatus = 'paid';
-      await payment.orderId.save();
-    }
-
-    // Clear user's cart after successful payment
-    await User.findByIdAndUpdate(payment.userId, { 
-      $set: { cart: [] } 
-    });
-
-    console.log('✅ Test payment completed successfully:', payment._id);
-    
-    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
-    const redirectUrl = `${frontendUrl}/payment/success/${transactionId}?status=valid&amount=${payment.amount}&orderId=${payment.orderId?._id || ''}&test=true`;
-    
-    return res.json({
-      success: true,
-      message: 'Test payment completed successfully',
-      paymentId: payment._id,
-      redirectUrl,
-      callbackData: simulatedCallbackData
-    });
-    
-  } catch (error) {
-    console.error('Test SSL Commerce callback error:', error);
-    return res.status(500).json({
-      success: false,
-      error: 'test_callback_error',
-      message: error.message
-    });
-  }
-});
-
-// ================= END TEST ENDPOINTS =================
-
 // ================= BKASH REFUND ENDPOINTS =================
 
 // Process bKash refund (Admin only)
@@ -2169,12 +1249,9 @@ router.post('/bkash/refund', authenticateToken, requireAdmin, async (req, res) =
       });
     }
 
-    // Import bKash service
-    const BkashService = (await import('../services/bkashService.js')).default;
-    const bkashService = new BkashService();
-
     // Find the payment first
     const payment = await Payment.findOne({
+      paymentMethod: 'bkash',
       $or: [
         { 'paymentDetails.bkashPaymentID': paymentID },
         { 'paymentDetails.bkashTransactionID': trxID }
@@ -2189,11 +1266,9 @@ router.post('/bkash/refund', authenticateToken, requireAdmin, async (req, res) =
     }
 
     // Process refund through bKash
-    const refundResult = await bkashService.refundTransaction({
-      paymentID,
+    const refundResult = await paymentGatewayService.refundPayment(payment, {
       amount: parseFloat(amount).toFixed(2),
-      trxID,
-      sku: 'MEDZY_REFUND'
+      reason: reason || 'Admin initiated refund'
     });
 
     if (refundResult.success) {
@@ -2203,7 +1278,7 @@ router.post('/bkash/refund', authenticateToken, requireAdmin, async (req, res) =
         refundAmount: amount,
         refundReason: reason || 'Admin initiated refund',
         refundDate: new Date(),
-        refundTrxID: refundResult.refundTrxID,
+        refundTrxID: refundResult.data.refundTrxID,
         refundMethod: 'bkash',
         processedBy: req.user.id,
         supportTicketId: supportTicketId || null
@@ -2223,10 +1298,10 @@ router.post('/bkash/refund', authenticateToken, requireAdmin, async (req, res) =
           success: true,
           message: 'Refund processed successfully',
           data: {
-            refundTrxID: refundResult.refundTrxID,
-            amount: refundResult.amount,
-            currency: refundResult.currency,
-            transactionStatus: refundResult.transactionStatus,
+            refundTrxID: refundResult.data.refundTrxID,
+            amount: refundResult.data.amount,
+            currency: refundResult.data.currency,
+            transactionStatus: refundResult.data.transactionStatus,
             adjustments: {
               revenueAdjustmentId: adjustments.revenueAdjustment._id,
               pointsAwarded: adjustments.pointsAwarded,
@@ -2241,18 +1316,17 @@ router.post('/bkash/refund', authenticateToken, requireAdmin, async (req, res) =
           message: 'Refund processed successfully, but some adjustments failed',
           warning: 'Revenue adjustments and customer points may need manual processing',
           data: {
-            refundTrxID: refundResult.refundTrxID,
-            amount: refundResult.amount,
-            currency: refundResult.currency,
-            transactionStatus: refundResult.transactionStatus
+            refundTrxID: refundResult.data.refundTrxID,
+            amount: refundResult.data.amount,
+            currency: refundResult.data.currency,
+            transactionStatus: refundResult.data.transactionStatus
           }
         });
       }
     } else {
       res.status(400).json({
         success: false,
-        message: refundResult.message || 'Refund failed',
-        error: refundResult.error
+        message: refundResult.error || 'Refund failed'
       });
     }
   } catch (error) {
@@ -2270,12 +1344,8 @@ router.get('/bkash/refund-status/:paymentID/:trxID', authenticateToken, requireA
   try {
     const { paymentID, trxID } = req.params;
 
-    // Import bKash service
-    const BkashService = (await import('../services/bkashService.js')).default;
-    const bkashService = new BkashService();
-
     // Check refund status
-    const statusResult = await bkashService.checkRefundStatus(paymentID, trxID);
+    const statusResult = await paymentGatewayService.getProvider('bkash').checkRefundStatus(paymentID, trxID);
 
     if (statusResult.success) {
       res.json({
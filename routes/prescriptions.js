@@ -0,0 +1,116 @@
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import User from '../models/User.js';
+import Order from '../models/Order.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const uploadsDir = path.join(__dirname, '..', 'uploads');
+
+// Upload a prescription image to reuse at checkout
+router.post('/upload', authenticateToken, (req, res) => {
+  const upload = req.app.locals.upload;
+
+  upload.single('prescriptionImage')(req, res, async (err) => {
+    if (err) {
+      return res.status(400).json({ message: err.message });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'No prescription image uploaded' });
+    }
+
+    try {
+      const user = await User.findById(req.user.id);
+      if (!user) {
+        fs.unlinkSync(req.file.path);
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      const { doctorName, issuedAt, expiresAt, notes } = req.body;
+      user.prescriptions.push({
+        fileName: req.file.filename,
+        originalName: req.file.originalname,
+        mimeType: req.file.mimetype,
+        doctorName,
+        issuedAt: issuedAt || null,
+        expiresAt: expiresAt || null,
+        notes
+      });
+      await user.save();
+
+      const prescription = user.prescriptions[user.prescriptions.length - 1];
+      console.log('📄 Prescription uploaded:', prescription._id, 'by user', req.user.id);
+
+      res.status(201).json({
+        message: 'Prescription uploaded successfully',
+        prescription
+      });
+
+    } catch (error) {
+      console.error('Error uploading prescription:', error);
+      if (req.file && req.file.path && fs.existsSync(req.file.path)) {
+        fs.unlinkSync(req.file.path);
+      }
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+});
+
+// Get the customer's stored prescriptions
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('prescriptions');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const prescriptions = [...user.prescriptions].sort((a, b) => b.uploadedAt - a.uploadedAt);
+    res.json({ prescriptions });
+
+  } catch (error) {
+    console.error('Error fetching prescriptions:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// View a prescription image (owner, admin, or a vendor with an order that uses it)
+router.get('/:prescriptionId/file', authenticateToken, async (req, res) => {
+  try {
+    const owner = await User.findOne({ 'prescriptions._id': req.params.prescriptionId }).select('prescriptions');
+    if (!owner) {
+      return res.status(404).json({ message: 'Prescription not found' });
+    }
+
+    let allowed = owner._id.toString() === req.user.id || req.user.role === 'admin';
+    if (!allowed && req.user.role === 'pharmacy_vendor') {
+      allowed = await Order.exists({
+        'prescription.prescriptionId': req.params.prescriptionId,
+        'shipments.vendor': req.user.id
+      });
+    }
+
+    if (!allowed) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const prescription = owner.prescriptions.id(req.params.prescriptionId);
+    const filePath = path.join(uploadsDir, path.basename(prescription.fileName));
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ message: 'Prescription file not found' });
+    }
+
+    res.sendFile(filePath);
+
+  } catch (error) {
+    console.error('Error fetching prescription file:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+export default router;
@@ -167,7 +167,10 @@ router.put('/:id', authenticateToken, async (req, res) => {
         pharmacyName: businessInfo.pharmacyName || (user.businessInfo?.pharmacyName) || '',
         licenseNumber: businessInfo.licenseNumber || (user.businessInfo?.licenseNumber) || '',
         businessType: businessInfo.businessType || (user.businessInfo?.businessType) || 'pharmacy',
-        yearsInOperation: businessInfo.yearsInOperation || (user.businessInfo?.yearsInOperation) || null
+        yearsInOperation: businessInfo.yearsInOperation || (user.businessInfo?.yearsInOperation) || null,
+        deliveryRadiusKm: businessInfo.deliveryRadiusKm !== undefined
+          ? (parseFloat(businessInfo.deliveryRadiusKm) || null)
+          : (user.businessInfo?.deliveryRadiusKm ?? null)
       };
     }
 
@@ -273,7 +276,10 @@ router.put('/', authenticateToken, async (req, res) => {
         pharmacyName: businessInfo.pharmacyName || (user.businessInfo?.pharmacyName) || '',
         licenseNumber: businessInfo.licenseNumber || (user.businessInfo?.licenseNumber) || '',
         businessType: businessInfo.businessType || (user.businessInfo?.businessType) || 'pharmacy',
-        yearsInOperation: businessInfo.yearsInOperation || (user.businessInfo?.yearsInOperation) || null
+        yearsInOperation: businessInfo.yearsInOperation || (user.businessInfo?.yearsInOperation) || null,
+        deliveryRadiusKm: businessInfo.deliveryRadiusKm !== undefined
+          ? (parseFloat(businessInfo.deliveryRadiusKm) || null)
+          : (user.businessInfo?.deliveryRadiusKm ?? null)
       };
     }
 
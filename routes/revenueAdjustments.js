@@ -113,7 +113,7 @@ router.post('/adjustments', authenticateToken, requireRole(['admin']), async (re
       relatedPaymentId,
       relatedSupportId,
       vendorId,
-      vendorCommissionPercentage
+      commissionRate
     } = req.body;
     
     if (!type || !amount || !description) {
@@ -131,17 +131,17 @@ router.post('/adjustments', authenticateToken, requireRole(['admin']), async (re
       relatedPaymentId: relatedPaymentId || null,
       relatedSupportId: relatedSupportId || null,
       vendorId: vendorId || null,
-      vendorCommissionPercentage: vendorCommissionPercentage || 0,
+      commissionRate: commissionRate ?? null, // Platform share in percent, when no payment is related
       processedByUserId: req.user.id,
       status: 'completed',
       processedAt: new Date()
     };
     
-    // Calculate adjustments
-    const calculations = RevenueAdjustment.calculateAdjustments(
-      adjustmentData.amount,
-      adjustmentData.vendorCommissionPercentage
-    );
+    // Calculate adjustments against what the related payment earned each side
+    const payment = relatedPaymentId ? await Payment.findById(relatedPaymentId) : null;
+    const calculations = payment
+      ? RevenueAdjustment.calculatePaymentAdjustments(payment, adjustmentData.amount)
+      : RevenueAdjustment.calculateAdjustments(adjustmentData.amount, adjustmentData.amount, commissionRate ?? undefined);
     
     Object.assign(adjustmentData, calculations);
     
@@ -0,0 +1,98 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { STOCK_MOVEMENT_TYPES, STOCK_REASON_CODES } from '../models/StockMovement.js';
+import stockLedgerService from '../services/stockLedgerService.js';
+import { authenticateToken, requireRole, requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const ID_FILTERS = ['vendorId', 'medicineId', 'orderId', 'lotId'];
+
+// Ledger filters from the query string; vendors only ever see their own stock.
+// Returns an error message instead when a filter is invalid.
+const parseFilters = (req) => {
+  const { medicineId, orderId, lotId, batchNumber, type, reasonCode, startDate, endDate } = req.query;
+  const filters = {
+    vendorId: req.user.role === 'admin' ? req.query.vendorId : req.user.id,
+    medicineId,
+    orderId,
+    lotId,
+    batchNumber,
+    type,
+    reasonCode
+  };
+
+  const invalidId = ID_FILTERS.find(field => filters[field] && !mongoose.isValidObjectId(filters[field]));
+  if (invalidId) return { error: `Invalid ${invalidId}` };
+  if (type && !STOCK_MOVEMENT_TYPES.includes(type)) return { error: `type must be one of: ${STOCK_MOVEMENT_TYPES.join(', ')}` };
+  if (reasonCode && !STOCK_REASON_CODES.includes(reasonCode)) return { error: `reasonCode must be one of: ${STOCK_REASON_CODES.join(', ')}` };
+
+  if (startDate) filters.from = new Date(startDate);
+  if (endDate) filters.to = new Date(endDate);
+  if ([filters.from, filters.to].some(date => date && Number.isNaN(date.getTime()))) {
+    return { error: 'startDate and endDate must be valid dates' };
+  }
+
+  return { filters };
+};
+
+// Stock movements, newest first. Filters: medicineId, orderId, lotId, batchNumber, type,
+// reasonCode, startDate, endDate (and vendorId for admins)
+router.get('/', authenticateToken, requireRole(['pharmacy_vendor', 'admin']), async (req, res) => {
+  try {
+    const { filters, error } = parseFilters(req);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const result = await stockLedgerService.getMovements(filters, { page, limit });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error fetching stock movements:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Period stock reconciliation: ?startDate=&endDate= (defaults to the last 30 days), optional medicineId
+router.get('/reconciliation', authenticateToken, requireRole(['pharmacy_vendor', 'admin']), async (req, res) => {
+  try {
+    const { filters, error } = parseFilters(req);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const from = filters.from || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    if (filters.to && filters.to < from) {
+      return res.status(400).json({ success: false, message: 'endDate must be after startDate' });
+    }
+
+    const report = await stockLedgerService.getReconciliation({
+      vendorId: filters.vendorId,
+      medicineId: filters.medicineId,
+      from,
+      to: filters.to
+    });
+
+    res.json({ success: true, ...report });
+  } catch (error) {
+    console.error('Error building stock reconciliation:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Admin: copy the stock history embedded in medicines into the ledger
+// (also available as `npm run migrate:stock-history`)
+router.post('/migrate-history', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await stockLedgerService.migrateEmbeddedHistory();
+    res.json({ success: true, message: 'Stock history migrated', ...result });
+  } catch (error) {
+    console.error('Error migrating stock history:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+export default router;
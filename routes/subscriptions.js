@@ -0,0 +1,414 @@
+import express from 'express';
+import Subscription from '../models/Subscription.js';
+import Medicine from '../models/Medicine.js';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import orderService, { CheckoutError } from '../services/orderService.js';
+import subscriptionService from '../services/subscriptionService.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { escapeRegex } from '../utils/searchText.js';
+
+const router = express.Router();
+
+const SETTINGS_FIELDS = ['name', 'cadence', 'notes', 'maxPriceIncreasePercent', 'onOutOfStock', 'reminderDaysBefore'];
+const ADDRESS_FIELDS = ['fullName', 'phone', 'email', 'address', 'city', 'postalCode'];
+
+const pickSettings = (body) => SETTINGS_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) {
+    fields[field] = body[field];
+  }
+  return fields;
+}, {});
+
+const missingAddressField = (shippingAddress) => ADDRESS_FIELDS.find(field => !shippingAddress?.[field]);
+
+const findOwnSubscription = (req) => Subscription.findOne({ _id: req.params.id, customer: req.user.id });
+
+// Check prescription-only items against the chosen prescription
+const checkPrescription = async (customerId, medicines, prescriptionId) => {
+  const user = await User.findById(customerId).select('prescriptions');
+  try {
+    orderService.resolvePrescription(user, medicines, prescriptionId);
+    return null;
+  } catch (error) {
+    if (error instanceof CheckoutError) {
+      return { status: error.statusCode, message: error.message, ...error.details };
+    }
+    throw error;
+  }
+};
+
+// Suggest subscriptions from the medicines in the customer's medical profile
+router.get('/suggestions', authenticateToken, requireRole(['customer']), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('medicalProfile');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const now = new Date();
+    const currentMedications = (user.medicalProfile?.currentMedications || [])
+      .filter(medication => !medication.endDate || medication.endDate > now);
+
+    const suggestions = [];
+    for (const medication of currentMedications) {
+      const namePattern = new RegExp(escapeRegex(medication.name.trim()), 'i');
+      const matches = await Medicine.find({
+        isActive: true,
+        stockQuantity: { $gt: 0 },
+        $or: [{ name: namePattern }, { genericName: namePattern }]
+      })
+        .select('name genericName dosage price prescriptionRequired vendorId imageUrl')
+        .populate('vendorId', 'firstName lastName businessInfo.pharmacyName')
+        .sort({ price: 1 })
+        .limit(5);
+
+      suggestions.push({
+        medication: {
+          name: medication.name,
+          dosage: medication.dosage,
+          frequency: medication.frequency
+        },
+        matches
+      });
+    }
+
+    res.json({
+      success: true,
+      chronicConditions: (user.medicalProfile?.chronicConditions || []).map(condition => condition.name),
+      suggestions
+    });
+  } catch (error) {
+    console.error('Error fetching subscription suggestions:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Upcoming renewals for a pharmacy, to plan stock
+router.get('/vendor/upcoming', authenticateToken, requireRole(['pharmacy_vendor']), async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days, 10) || 14, 90);
+    const until = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+    const subscriptions = await Subscription.find({
+      vendor: req.user.id,
+      status: 'active',
+      nextRunAt: { $lte: until }
+    })
+      .select('items cadence nextRunAt')
+      .populate('items.medicine', 'name stockQuantity')
+      .sort({ nextRunAt: 1 });
+
+    // Total quantity needed per medicine over the window
+    const demand = new Map();
+    subscriptions.forEach(subscription => {
+      subscription.items.filter(item => item.medicine).forEach(item => {
+        const key = item.medicine._id.toString();
+        const entry = demand.get(key) || {
+          medicine: item.medicine._id,
+          name: item.medicine.name,
+          stockQuantity: item.medicine.stockQuantity,
+          quantityNeeded: 0
+        };
+        entry.quantityNeeded += item.quantity;
+        demand.set(key, entry);
+      });
+    });
+
+    res.json({ success: true, days, subscriptions, demand: [...demand.values()] });
+  } catch (error) {
+    console.error('Error fetching upcoming subscription renewals:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// List the customer's subscriptions
+router.get('/', authenticateToken, requireRole(['customer']), async (req, res) => {
+  try {
+    const filter = { customer: req.user.id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const subscriptions = await Subscription.find(filter)
+      .select('-history')
+      .populate('items.medicine', 'name genericName dosage price imageUrl')
+      .populate('vendor', 'firstName lastName businessInfo.pharmacyName')
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, subscriptions });
+  } catch (error) {
+    console.error('Error fetching subscriptions:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Create a subscription
+router.post('/', authenticateToken, requireRole(['customer']), async (req, res) => {
+  try {
+    const { items, shippingAddress, prescriptionId, startDate } = req.body;
+
+    const missingField = missingAddressField(shippingAddress);
+    if (missingField) {
+      return res.status(400).json({ success: false, message: `${missingField} is required in shipping address` });
+    }
+
+    const built = await subscriptionService.buildItems(items);
+    if (!built.success) {
+      return res.status(400).json({ success: false, message: built.message });
+    }
+
+    const prescriptionProblem = await checkPrescription(req.user.id, built.medicines, prescriptionId);
+    if (prescriptionProblem) {
+      const { status, ...body } = prescriptionProblem;
+      return res.status(status).json({ success: false, ...body });
+    }
+
+    const firstRun = startDate ? new Date(startDate) : new Date();
+    if (Number.isNaN(firstRun.getTime())) {
+      return res.status(400).json({ success: false, message: 'Invalid start date' });
+    }
+
+    const subscription = new Subscription({
+      ...pickSettings(req.body),
+      customer: req.user.id,
+      vendor: built.vendorId,
+      items: built.items,
+      shippingAddress,
+      prescriptionId: prescriptionId || null,
+      nextRunAt: firstRun
+    });
+    subscription.logEvent('created');
+    await subscription.save();
+
+    console.log('🔁 Subscription created:', subscription._id, 'for customer', req.user.id);
+    res.status(201).json({ success: true, message: 'Subscription created successfully', subscription });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Error creating subscription:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Subscription details with a preview of the next renewal
+router.get('/:id', authenticateToken, requireRole(['customer']), async (req, res) => {
+  try {
+    const subscription = await findOwnSubscription(req);
+    if (!subscription) {
+      return res.status(404).json({ success: false, message: 'Subscription not found' });
+    }
+
+    const review = await subscriptionService.reviewItems(subscription);
+    await subscription.populate([
+      { path: 'items.medicine', select: 'name genericName dosage price stockQuantity imageUrl' },
+      { path: 'vendor', select: 'firstName lastName businessInfo.pharmacyName' }
+    ]);
+
+    const { medicines, ...nextRenewal } = review;
+    res.json({ success: true, subscription, nextRenewal });
+  } catch (error) {
+    console.error('Error fetching subscription:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Orders placed by a subscription
+router.get('/:id/orders', authenticateToken, requireRole(['customer']), async (req, res) => {
+  try {
+    const subscription = await findOwnSubscription(req).select('_id');
+    if (!subscription) {
+      return res.status(404).json({ success: false, message: 'Subscription not found' });
+    }
+
+    const orders = await Order.find({ subscription: subscription._id, customer: req.user.id })
+      .select('trackingId status total createdAt estimatedDelivery')
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, orders });
+  } catch (error) {
+    console.error('Error fetching subscription orders:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Change items, cadence, address, prescription, next renewal date or settings
+router.put('/:id', authenticateToken, requireRole(['customer']), async (req, res) => {
+  try {
+    const subscription = await findOwnSubscription(req);
+    if (!subscription || subscription.status === 'cancelled') {
+      return res.status(404).json({ success: false, message: 'Subscription not found' });
+    }
+
+    const { items, shippingAddress, prescriptionId, nextRunAt } = req.body;
+
+    if (items !== undefined) {
+      const built = await subscriptionService.buildItems(items);
+      if (!built.success) {
+        return res.status(400).json({ success: false, message: built.message });
+      }
+      if (built.vendorId.toString() !== subscription.vendor.toString()) {
+        return res.status(400).json({ success: false, message: 'All medicines in a subscription must come from the same pharmacy' });
+      }
+      subscription.items = built.items;
+    }
+
+    if (shippingAddress !== undefined) {
+      const missingField = missingAddressField(shippingAddress);
+      if (missingField) {
+        return res.status(400).json({ success: false, message: `${missingField} is required in shipping address` });
+      }
+      subscription.shippingAddress = shippingAddress;
+    }
+
+    if (prescriptionId !== undefined) {
+      subscription.prescriptionId = prescriptionId || null;
+    }
+
+    if (items !== undefined || prescriptionId !== undefined) {
+      const medicines = await Medicine.find({ _id: { $in: subscription.items.map(item => item.medicine) } });
+      const prescriptionProblem = await checkPrescription(req.user.id, medicines, subscription.prescriptionId);
+      if (prescriptionProblem) {
+        const { status, ...body } = prescriptionProblem;
+        return res.status(status).json({ success: false, ...body });
+      }
+    }
+
+    if (nextRunAt !== undefined) {
+      const nextRun = new Date(nextRunAt);
+      if (Number.isNaN(nextRun.getTime()) || nextRun <= new Date()) {
+        return res.status(400).json({ success: false, message: 'Next renewal date must be in the future' });
+      }
+      subscription.nextRunAt = nextRun;
+      subscription.lastReminderFor = null;
+    }
+
+    subscription.set(pickSettings(req.body));
+    subscription.logEvent('updated');
+
+    // A held renewal is checked again on the next scheduler run
+    if (subscription.status === 'action_required') {
+      subscriptionService.resume(subscription, 'Subscription updated');
+    }
+
+    await subscription.save();
+    res.json({ success: true, message: 'Subscription updated successfully', subscription });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Error updating subscription:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Pause renewals, optionally until a date
+router.post('/:id/pause', authenticateToken, requireRole(['customer']), async (req, res) => {
+  try {
+    const subscription = await findOwnSubscription(req);
+    if (!subscription || subscription.status === 'cancelled') {
+      return res.status(404).json({ success: false, message: 'Subscription not found' });
+    }
+
+    let until = null;
+    if (req.body.until) {
+      until = new Date(req.body.until);
+      if (Number.isNaN(until.getTime()) || until <= new Date()) {
+        return res.status(400).json({ success: false, message: 'Pause end date must be in the future' });
+      }
+    }
+
+    subscriptionService.pause(subscription, until);
+    await subscription.save();
+
+    res.json({ success: true, message: 'Subscription paused', subscription });
+  } catch (error) {
+    console.error('Error pausing subscription:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Resume a paused or held subscription
+router.post('/:id/resume', authenticateToken, requireRole(['customer']), async (req, res) => {
+  try {
+    const subscription = await findOwnSubscription(req);
+    if (!subscription || subscription.status === 'cancelled') {
+      return res.status(404).json({ success: false, message: 'Subscription not found' });
+    }
+
+    if (subscription.status === 'active') {
+      return res.status(400).json({ success: false, message: 'Subscription is already active' });
+    }
+
+    subscriptionService.resume(subscription, 'Resumed by customer');
+    await subscription.save();
+
+    res.json({ success: true, message: 'Subscription resumed', subscription });
+  } catch (error) {
+    console.error('Error resuming subscription:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Skip the next renewal
+router.post('/:id/skip', authenticateToken, requireRole(['customer']), async (req, res) => {
+  try {
+    const subscription = await findOwnSubscription(req);
+    if (!subscription || subscription.status === 'cancelled') {
+      return res.status(404).json({ success: false, message: 'Subscription not found' });
+    }
+
+    subscriptionService.skipNext(subscription);
+    await subscription.save();
+
+    res.json({
+      success: true,
+      message: 'Next renewal skipped',
+      nextRunAt: subscription.nextRunAt,
+      subscription
+    });
+  } catch (error) {
+    console.error('Error skipping subscription renewal:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Accept current prices (releases a renewal held for a price rise)
+router.post('/:id/confirm-prices', authenticateToken, requireRole(['customer']), async (req, res) => {
+  try {
+    const subscription = await findOwnSubscription(req);
+    if (!subscription || subscription.status === 'cancelled') {
+      return res.status(404).json({ success: false, message: 'Subscription not found' });
+    }
+
+    await subscriptionService.confirmPrices(subscription);
+    await subscription.save();
+
+    res.json({ success: true, message: 'New prices confirmed', subscription });
+  } catch (error) {
+    console.error('Error confirming subscription prices:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Cancel a subscription (kept for its history)
+router.delete('/:id', authenticateToken, requireRole(['customer']), async (req, res) => {
+  try {
+    const subscription = await findOwnSubscription(req);
+    if (!subscription || subscription.status === 'cancelled') {
+      return res.status(404).json({ success: false, message: 'Subscription not found' });
+    }
+
+    subscription.status = 'cancelled';
+    subscription.logEvent('cancelled');
+    await subscription.save();
+
+    res.json({ success: true, message: 'Subscription cancelled successfully' });
+  } catch (error) {
+    console.error('Error cancelling subscription:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+export default router;
@@ -528,10 +528,9 @@ router.post('/:ticketId/process-refund-with-adjustments', authenticateToken, req
     // Helper function to process refund with adjustments
     const processRefundWithAdjustments = async (payment, refundAmount, supportTicketId, adminUserId) => {
       try {
-        // Get the order to determine vendor and commission
+        // Get the order to determine the vendor
         const Order = (await import('../models/Order.js')).default;
         const order = await Order.findById(payment.orderId);
-        const vendorCommissionPercentage = order?.vendorCommissionPercentage || 15;
         
         // Create revenue adjustment for the refund
         const revenueAdjustment = await RevenueAdjustment.createRefundAdjustment(
@@ -540,7 +539,7 @@ router.post('/:ticketId/process-refund-with-adjustments', authenticateToken, req
           payment._id,
           supportTicketId,
           order?.vendorId,
-          vendorCommissionPercentage,
+          payment.commissionRate,
           adminUserId
         );
         
@@ -0,0 +1,82 @@
+import express from 'express';
+import trackingService, { TrackingError } from '../services/trackingService.js';
+import { OrderTransitionError } from '../services/orderStatusService.js';
+import { authenticateToken, requireRole, authenticateCourier } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const sendTrackingError = (res, error, label) => {
+  if (error instanceof TrackingError || error instanceof OrderTransitionError) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  console.error(`Error ${label}:`, error);
+  res.status(500).json({ success: false, message: 'Server error' });
+};
+
+// Courier partners push checkpoints: { trackingId, reference?, events: [...] } or a single event
+router.post('/courier/events', authenticateCourier, async (req, res) => {
+  try {
+    const { trackingId, events, ...singleEvent } = req.body;
+    if (!trackingId) {
+      return res.status(400).json({ success: false, message: 'trackingId is required' });
+    }
+
+    const eventList = Array.isArray(events) ? events : [singleEvent];
+    if (eventList.length === 0) {
+      return res.status(400).json({ success: false, message: 'No events to record' });
+    }
+
+    const result = await trackingService.addEvents(trackingId, eventList, {
+      role: 'courier',
+      courier: req.courier.name
+    });
+
+    res.status(201).json({
+      success: true,
+      recorded: result.events.length,
+      status: result.shipment.status,
+      estimatedDelivery: result.shipment.estimatedDelivery
+    });
+  } catch (error) {
+    sendTrackingError(res, error, 'recording courier events');
+  }
+});
+
+// Public tracking with a normalized timeline and masked customer details
+router.get('/:trackingId', async (req, res) => {
+  try {
+    const tracking = await trackingService.getPublicTracking(req.params.trackingId);
+    if (!tracking) {
+      return res.status(404).json({ success: false, message: 'Tracking ID not found' });
+    }
+
+    res.json({ success: true, tracking });
+  } catch (error) {
+    console.error('Error fetching tracking:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Vendors and admins add location, note or ETA events against a tracking ID
+router.post('/:trackingId/events', authenticateToken, requireRole(['pharmacy_vendor', 'admin']), async (req, res) => {
+  try {
+    const { type, description, location, estimatedDelivery, occurredAt } = req.body;
+
+    const result = await trackingService.addEvents(
+      req.params.trackingId,
+      [{ type, description, location, estimatedDelivery, occurredAt }],
+      { role: req.user.role, id: req.user.id }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Tracking event added',
+      event: result.events[0],
+      estimatedDelivery: result.shipment.estimatedDelivery
+    });
+  } catch (error) {
+    sendTrackingError(res, error, 'adding tracking event');
+  }
+});
+
+export default router;
@@ -0,0 +1,89 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import WebhookEvent, { WEBHOOK_EVENT_KINDS, WEBHOOK_EVENT_STATUSES } from '../models/WebhookEvent.js';
+import webhookService, { WebhookEventError } from '../services/webhookService.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Payment gateway notifications, newest first. Filters: gateway, kind, status, result,
+// transactionId, paymentId, startDate, endDate
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { gateway, kind, status, result, transactionId, paymentId, startDate, endDate } = req.query;
+
+    if (kind && !WEBHOOK_EVENT_KINDS.includes(kind)) {
+      return res.status(400).json({ success: false, message: `kind must be one of: ${WEBHOOK_EVENT_KINDS.join(', ')}` });
+    }
+    if (status && !WEBHOOK_EVENT_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `status must be one of: ${WEBHOOK_EVENT_STATUSES.join(', ')}` });
+    }
+    if (paymentId && !mongoose.isValidObjectId(paymentId)) {
+      return res.status(400).json({ success: false, message: 'Invalid paymentId' });
+    }
+
+    const from = startDate ? new Date(startDate) : undefined;
+    const to = endDate ? new Date(endDate) : undefined;
+    if ([from, to].some(date => date && Number.isNaN(date.getTime()))) {
+      return res.status(400).json({ success: false, message: 'startDate and endDate must be valid dates' });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const events = await webhookService.getEvents(
+      { gateway, kind, status, result, transactionId, paymentId, from, to },
+      { page, limit }
+    );
+
+    res.json({ success: true, ...events });
+  } catch (error) {
+    console.error('Error fetching webhook events:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// One event with its full payload
+router.get('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid event ID' });
+    }
+
+    const event = await WebhookEvent.findById(req.params.id)
+      .populate('payment', 'transactionId status amount paymentMethod orderId')
+      .populate('reprocessedBy', 'firstName lastName email');
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Webhook event not found' });
+    }
+
+    res.json({ success: true, event });
+  } catch (error) {
+    console.error('Error fetching webhook event:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Apply a failed event again
+router.post('/:id/reprocess', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid event ID' });
+    }
+
+    const event = await webhookService.reprocess(req.params.id, req.user.id);
+    const processed = event.status === 'processed';
+    res.json({
+      success: processed,
+      message: processed ? 'Webhook event processed' : `Webhook event could not be processed: ${event.lastError}`,
+      event
+    });
+  } catch (error) {
+    if (error instanceof WebhookEventError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Error re-processing webhook event:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,220 @@
+// End-to-end run of an online checkout against the mock gateway (scripts/mockGateway.js):
+// the payment is created, the customer is redirected and pays, the gateway's IPN completes
+// the payment and the customer's return is verified. A declined payment is run as well.
+//
+// It runs on a throwaway database that is dropped afterwards. Checkout reserves stock in a
+// transaction, so the database has to be a replica set:
+//   GATEWAY_E2E_MONGODB_URI=mongodb://localhost:27017/medzy_gateway_e2e?replicaSet=rs0 npm run test:gateway
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import connectDB from '../config/database.js';
+import { createMockGatewayApp } from './mockGateway.js';
+
+const uri = process.env.GATEWAY_E2E_MONGODB_URI;
+const MEDICINE_PRICE = 120;
+const QUANTITY = 2;
+const STOCK = 10;
+
+const shippingAddress = {
+  fullName: 'Gateway Test',
+  phone: '01700000001',
+  email: 'gateway.customer@example.com',
+  address: 'House 1, Road 1',
+  city: 'Dhaka',
+  postalCode: '1205'
+};
+
+const check = (condition, message) => {
+  if (!condition) {
+    throw new Error(message);
+  }
+  console.log(`✅ ${message}`);
+};
+
+const listen = (app) => new Promise((resolve) => {
+  const server = app.listen(0, () => resolve(server));
+});
+
+const urlOf = (server) => `http://localhost:${server.address().port}`;
+
+const waitFor = async (condition, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const result = await condition();
+    if (result) return result;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  return null;
+};
+
+const seed = async ({ User, Medicine }) => {
+  const vendor = await User.create({
+    email: 'gateway.vendor@example.com',
+    phone: '01700000002',
+    password: 'password123',
+    dateOfBirth: new Date('1990-01-01'),
+    gender: 'other',
+    role: 'pharmacy_vendor',
+    firstName: 'Gateway',
+    lastName: 'Vendor'
+  });
+  const customer = await User.create({
+    email: shippingAddress.email,
+    phone: shippingAddress.phone,
+    password: 'password123',
+    dateOfBirth: new Date('1990-01-01'),
+    gender: 'other',
+    role: 'customer',
+    firstName: 'Gateway',
+    lastName: 'Customer'
+  });
+
+  const expiryDate = new Date();
+  expiryDate.setFullYear(expiryDate.getFullYear() + 1);
+  const medicine = await Medicine.create({
+    name: 'Napa 500',
+    genericName: 'Paracetamol',
+    manufacturer: 'Beximco',
+    category: 'Tablet',
+    description: 'Paracetamol 500mg tablet',
+    price: MEDICINE_PRICE,
+    stockQuantity: STOCK,
+    minStockLevel: 1,
+    expiryDate,
+    batchNumber: 'E2E-1',
+    dosage: '500mg',
+    vendorId: vendor._id
+  });
+
+  return { customer, medicine };
+};
+
+const run = async () => {
+  if (!uri || !/(e2e|test)/i.test(new URL(uri).pathname)) {
+    throw new Error('Set GATEWAY_E2E_MONGODB_URI to a test database (its name must contain "e2e" or "test"); it is dropped afterwards');
+  }
+
+  const gateway = await listen(createMockGatewayApp({ log: () => {} }));
+  const backendApp = express();
+  const backend = await listen(backendApp);
+
+  // Providers read these when a payment is created, so they are set before the routes load
+  process.env.MONGODB_URI = uri;
+  process.env.MOCK_GATEWAY_URL = urlOf(gateway);
+  process.env.BACKEND_URL = urlOf(backend);
+  process.env.FRONTEND_URL = 'http://frontend.test';
+
+  const { default: paymentRoutes } = await import('../routes/payments.js');
+  const { default: User } = await import('../models/User.js');
+  const { default: Medicine } = await import('../models/Medicine.js');
+  const { default: Order } = await import('../models/Order.js');
+  const { default: Payment } = await import('../models/Payment.js');
+  const { default: WebhookEvent } = await import('../models/WebhookEvent.js');
+
+  // Same body handling as server.js: gateways sign the raw body
+  const keepRawBody = (req, res, buf) => {
+    req.rawBody = buf;
+  };
+  backendApp.use(express.json({ verify: keepRawBody }));
+  backendApp.use(express.urlencoded({ extended: true, verify: keepRawBody }));
+  backendApp.use('/api/payments', paymentRoutes);
+
+  await connectDB();
+  await mongoose.connection.dropDatabase();
+  // Collections are created up front; older servers cannot create them inside a transaction
+  await Promise.all(Object.values(mongoose.models).map(Model => Model.createCollection()));
+
+  try {
+    const { customer, medicine } = await seed({ User, Medicine });
+    const token = jwt.sign(
+      { id: customer._id.toString(), role: customer.role },
+      process.env.JWT_SECRET || 'medsy_secret_key_2024'
+    );
+
+    const initialize = async () => {
+      const response = await fetch(`${urlOf(backend)}/api/payments/initialize`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          gateway: 'mock',
+          amount: 1, // ignored: checkout prices the order from the catalogue
+          cartItems: [{ productId: medicine._id.toString(), quantity: QUANTITY, price: 1 }],
+          shippingAddress
+        })
+      });
+      return { status: response.status, body: await response.json() };
+    };
+
+    // The customer picks an outcome on the gateway's page; the gateway answers with the
+    // form it posts back to the backend and sends its IPN
+    const payAtGateway = async (redirectUrl, outcome) => {
+      const response = await fetch(redirectUrl, {
+        method: 'POST',
+        headers: { Accept: 'application/json', 'Content-Type': 'application/json' },
+        body: JSON.stringify({ outcome })
+      });
+      return response.json();
+    };
+
+    // 1. Create
+    const created = await initialize();
+    check(created.status === 200 && created.body.success, 'Payment created for the checkout');
+    const { orderId, transactionId, amount } = created.body.data;
+    const order = await Order.findById(orderId);
+    check(amount === order.total, `Charged the catalogue price plus delivery (${amount}), not the client's amount`);
+    check(Boolean(created.body.redirectUrl), 'Customer is sent to the gateway');
+
+    const reserved = await Medicine.findById(medicine._id);
+    check(reserved.stockQuantity === STOCK - QUANTITY, 'Stock reserved at checkout');
+
+    // 2. Redirect and pay
+    const callback = await payAtGateway(created.body.redirectUrl, 'success');
+    check(Boolean(callback.redirectUrl && callback.fields?.tran_id === transactionId), 'Gateway returns the signed callback');
+
+    // 3. IPN
+    const completed = await waitFor(() => Payment.findOne({ gatewayTransactionId: transactionId, status: 'completed' }));
+    check(Boolean(completed), 'IPN completed the payment');
+    const event = await WebhookEvent.findOne({ gateway: 'mock', status: 'processed' });
+    check(event?.result === 'completed', 'IPN stored as a processed webhook event');
+
+    // 4. Customer return and verify
+    const returned = await fetch(callback.redirectUrl, {
+      method: 'POST',
+      body: new URLSearchParams(callback.fields),
+      redirect: 'manual'
+    });
+    const location = returned.headers.get('location') || '';
+    check(returned.status === 302 && location.startsWith(`${process.env.FRONTEND_URL}/payment/success/`), 'Customer return lands on the success page');
+
+    const verified = await (await fetch(`${urlOf(backend)}/api/payments/verify/${transactionId}`)).json();
+    check(verified.success && verified.status === 'VALID', 'Verify reports the payment as paid');
+
+    const paidOrder = await Order.findById(orderId);
+    check(paidOrder.paymentStatus === 'paid', 'Order marked as paid');
+
+    // A declined payment: nothing completes and the order stays unpaid
+    const declined = await initialize();
+    check(declined.status === 200, 'Second payment created');
+    await payAtGateway(declined.body.redirectUrl, 'failed');
+    const failed = await waitFor(() => Payment.findOne({ gatewayTransactionId: declined.body.data.transactionId, status: 'failed' }));
+    check(Boolean(failed), 'Declined payment recorded as failed');
+    const unpaidOrder = await Order.findById(declined.body.data.orderId);
+    check(unpaidOrder.paymentStatus !== 'paid', 'Declined order not marked as paid');
+
+    console.log('🎉 Gateway end-to-end run passed');
+  } finally {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    gateway.close();
+    backend.close();
+  }
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Gateway end-to-end run failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,17 @@
+// Moves the stockHistory arrays embedded in medicines into the StockMovement ledger.
+// Run once after deploying the ledger: npm run migrate:stock-history (safe to re-run)
+import mongoose from 'mongoose';
+import connectDB from '../config/database.js';
+import stockLedgerService from '../services/stockLedgerService.js';
+
+await connectDB();
+
+try {
+  const result = await stockLedgerService.migrateEmbeddedHistory();
+  process.exitCode = result.failed > 0 ? 1 : 0;
+} catch (error) {
+  console.error('❌ Stock history migration failed:', error);
+  process.exitCode = 1;
+} finally {
+  await mongoose.connection.close();
+}
@@ -0,0 +1,242 @@
+// Local stand-in for a hosted payment gateway, so checkout can be run end to end offline.
+// Start it with `npm run mock:gateway` and pay with gateway "mock" (or nagad / rocket).
+//
+// It mirrors the SSLCommerz flow: the backend opens a session, the customer is sent to
+// /pay/:sessionkey and picks an outcome, the gateway posts an IPN to the backend and
+// redirects the browser to the success, fail or cancel URL. Callbacks are signed with
+// MOCK_GATEWAY_SECRET. Failures are simulated through POST /control, e.g.
+//   { "createError": true }       session creation returns 502
+//   { "validateError": true }     validation API returns 503
+//   { "ipnMode": "drop" }         IPN is never sent ("duplicate" sends it twice)
+//   { "ipnDelayMs": 5000 }        IPN arrives after the browser redirect
+//   { "autoOutcome": "success" }  /pay completes immediately without showing a page
+import 'dotenv/config';
+import crypto from 'crypto';
+import { pathToFileURL } from 'url';
+import express from 'express';
+import axios from 'axios';
+import { signMockGatewayFields } from '../services/paymentProviders/mockGatewayProvider.js';
+
+const OUTCOME_STATUSES = { success: 'VALID', failed: 'FAILED', cancelled: 'CANCELLED' };
+const OUTCOME_URLS = { success: 'success_url', failed: 'fail_url', cancelled: 'cancel_url' };
+
+const DEFAULT_BEHAVIOUR = {
+  createError: false,
+  validateError: false,
+  ipnMode: 'send',
+  ipnDelayMs: 0,
+  autoOutcome: null
+};
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const randomId = (prefix) => `${prefix}${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+
+// Page that posts the callback fields on to the merchant, like a gateway's return redirect
+const autoPostPage = (url, fields) => `<!doctype html>
+<html><body onload="document.forms[0].submit()">
+<form method="POST" action="${escapeHtml(url)}">
+${Object.entries(fields).map(([key, value]) => `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}">`).join('\n')}
+<noscript><button type="submit">Continue</button></noscript>
+</form>
+</body></html>`;
+
+const checkoutPage = (session) => `<!doctype html>
+<html><head><title>Mock gateway</title></head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 40px auto">
+<h2>Mock ${escapeHtml(session.gateway)} checkout</h2>
+<p>Transaction <code>${escapeHtml(session.tran_id)}</code></p>
+<p>Amount: <strong>${escapeHtml(session.amount)} ${escapeHtml(session.currency)}</strong></p>
+${['success', 'failed', 'cancelled'].map(outcome => `<form method="POST" action="/pay/${escapeHtml(session.sessionkey)}" style="display:inline">
+<input type="hidden" name="outcome" value="${outcome}"><button type="submit">${outcome === 'success' ? 'Pay' : outcome === 'failed' ? 'Decline' : 'Cancel'}</button>
+</form>`).join('\n')}
+</body></html>`;
+
+export const createMockGatewayApp = ({ publicUrl, behaviour: initialBehaviour = {}, log = console.log } = {}) => {
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  const sessions = new Map();
+  const byTransaction = new Map();
+  const byValidation = new Map();
+  let behaviour = { ...DEFAULT_BEHAVIOUR, ...initialBehaviour };
+
+  const baseUrl = (req) => publicUrl || `${req.protocol}://${req.get('host')}`;
+
+  const callbackFields = (session) => {
+    const fields = {
+      tran_id: session.tran_id,
+      val_id: session.val_id || '',
+      status: session.status,
+      amount: session.amount,
+      currency: session.currency,
+      bank_tran_id: session.bank_tran_id || '',
+      card_type: session.status === 'VALID' ? 'MOCK-VISA' : '',
+      tran_date: session.settledAt?.toISOString() || '',
+      value_a: session.value_a || '',
+      value_b: session.value_b || ''
+    };
+    if (session.status === 'FAILED') fields.failedreason = 'Declined by the mock gateway';
+    return { ...fields, ...signMockGatewayFields(fields) };
+  };
+
+  const sendIpn = async (session) => {
+    if (!session.ipn_url || behaviour.ipnMode === 'drop') {
+      log(`📭 Mock gateway: IPN for ${session.tran_id} dropped`);
+      return;
+    }
+
+    const deliveries = behaviour.ipnMode === 'duplicate' ? 2 : 1;
+    for (let attempt = 0; attempt < deliveries; attempt++) {
+      try {
+        await axios.post(session.ipn_url, new URLSearchParams(callbackFields(session)).toString(), {
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          timeout: 10000
+        });
+        log(`📡 Mock gateway: IPN for ${session.tran_id} delivered (${session.status})`);
+      } catch (error) {
+        log(`❌ Mock gateway: IPN for ${session.tran_id} failed: ${error.message}`);
+      }
+    }
+  };
+
+  const settle = (session, outcome) => {
+    if (session.status === 'PENDING') {
+      session.status = OUTCOME_STATUSES[outcome];
+      session.settledAt = new Date();
+      if (session.status === 'VALID') {
+        session.val_id = randomId('VAL');
+        session.bank_tran_id = randomId('BANK');
+        byValidation.set(session.val_id, session);
+      }
+      setTimeout(() => sendIpn(session), behaviour.ipnDelayMs);
+    }
+    return { url: session[OUTCOME_URLS[outcome]], fields: callbackFields(session) };
+  };
+
+  // Open a checkout session
+  app.post('/api/v1/sessions', (req, res) => {
+    if (behaviour.createError) {
+      return res.status(502).json({ status: 'FAILED', failedreason: 'Simulated gateway outage' });
+    }
+
+    const { tran_id, amount } = req.body;
+    if (!tran_id || !(parseFloat(amount) > 0)) {
+      return res.status(400).json({ status: 'FAILED', failedreason: 'tran_id and a positive amount are required' });
+    }
+    if (byTransaction.has(tran_id)) {
+      return res.status(409).json({ status: 'FAILED', failedreason: 'Duplicate tran_id' });
+    }
+
+    const session = {
+      ...req.body,
+      amount: parseFloat(amount).toFixed(2),
+      currency: req.body.currency || 'BDT',
+      gateway: req.body.gateway || 'mock',
+      sessionkey: randomId('MOCKSESS'),
+      status: 'PENDING',
+      refunds: [],
+      createdAt: new Date()
+    };
+    sessions.set(session.sessionkey, session);
+    byTransaction.set(tran_id, session);
+
+    res.json({
+      status: 'SUCCESS',
+      sessionkey: session.sessionkey,
+      GatewayPageURL: `${baseUrl(req)}/pay/${session.sessionkey}`
+    });
+  });
+
+  // Hosted checkout page
+  app.get('/pay/:sessionkey', (req, res) => {
+    const session = sessions.get(req.params.sessionkey);
+    if (!session) {
+      return res.status(404).send('Unknown payment session');
+    }
+
+    const outcome = req.query.outcome || behaviour.autoOutcome;
+    if (OUTCOME_STATUSES[outcome]) {
+      const { url, fields } = settle(session, outcome);
+      return res.send(autoPostPage(url, fields));
+    }
+    res.send(checkoutPage(session));
+  });
+
+  // Customer's choice. JSON clients get the redirect back instead of a page, for scripted tests.
+  app.post('/pay/:sessionkey', (req, res) => {
+    const session = sessions.get(req.params.sessionkey);
+    if (!session) {
+      return res.status(404).json({ status: 'FAILED', failedreason: 'Unknown payment session' });
+    }
+
+    const outcome = req.body.outcome || 'success';
+    if (!OUTCOME_STATUSES[outcome]) {
+      return res.status(400).json({ status: 'FAILED', failedreason: 'outcome must be success, failed or cancelled' });
+    }
+
+    const { url, fields } = settle(session, outcome);
+    if (req.accepts(['html', 'json']) === 'json') {
+      return res.json({ redirectUrl: url, method: 'POST', fields });
+    }
+    res.send(autoPostPage(url, fields));
+  });
+
+  // Validation API, called by the backend with the val_id from a callback
+  app.get('/api/v1/validate', (req, res) => {
+    if (behaviour.validateError) {
+      return res.status(503).json({ status: 'FAILED', failedreason: 'Simulated validation outage' });
+    }
+
+    const session = byValidation.get(req.query.val_id);
+    if (!session) {
+      return res.json({ status: 'INVALID_TRANSACTION' });
+    }
+    res.json({ ...callbackFields(session), status: session.refunds.length > 0 ? 'REFUNDED' : 'VALID' });
+  });
+
+  app.get('/api/v1/transactions/:tranId', (req, res) => {
+    const session = byTransaction.get(req.params.tranId);
+    if (!session) {
+      return res.status(404).json({ status: 'FAILED', failedreason: 'Unknown transaction' });
+    }
+    res.json({ ...callbackFields(session), refunds: session.refunds });
+  });
+
+  app.post('/api/v1/refunds', (req, res) => {
+    const session = byTransaction.get(req.body.tran_id);
+    if (!session || session.status !== 'VALID') {
+      return res.status(400).json({ status: 'FAILED', failedreason: 'Only completed transactions can be refunded' });
+    }
+
+    const amount = parseFloat(req.body.amount || session.amount);
+    const refunded = session.refunds.reduce((sum, refund) => sum + refund.amount, 0);
+    if (!(amount > 0) || refunded + amount > parseFloat(session.amount) + 0.001) {
+      return res.status(400).json({ status: 'FAILED', failedreason: 'Refund exceeds the paid amount' });
+    }
+
+    const refund = { refund_ref_id: randomId('RFD'), amount, reason: req.body.reason, createdAt: new Date() };
+    session.refunds.push(refund);
+    res.json({ status: 'success', ...refund });
+  });
+
+  app.get('/control', (req, res) => res.json(behaviour));
+
+  app.post('/control', (req, res) => {
+    behaviour = req.body.reset ? { ...DEFAULT_BEHAVIOUR } : { ...behaviour, ...req.body };
+    delete behaviour.reset;
+    res.json(behaviour);
+  });
+
+  return app;
+};
+
+// Run as a script: node scripts/mockGateway.js
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = parseInt(process.env.MOCK_GATEWAY_PORT) || 5055;
+  const app = createMockGatewayApp({ publicUrl: process.env.MOCK_GATEWAY_URL });
+  app.listen(port, () => {
+    console.log(`🧪 Mock payment gateway listening on port ${port}`);
+  });
+}
@@ -0,0 +1,18 @@
+// Brings the payments collection's indexes in line with the Payment schema, replacing the
+// unique index on the gateway validation id with the per-vendor one that shared checkout
+// transactions need. Run once after deploying: npm run migrate:payment-indexes (safe to re-run)
+import mongoose from 'mongoose';
+import connectDB from '../config/database.js';
+import Payment from '../models/Payment.js';
+
+await connectDB();
+
+try {
+  const dropped = await Payment.syncIndexes();
+  console.log(`✅ Payment indexes in sync${dropped.length > 0 ? `, dropped: ${dropped.join(', ')}` : ''}`);
+} catch (error) {
+  console.error('❌ Payment index sync failed:', error);
+  process.exitCode = 1;
+} finally {
+  await mongoose.connection.close();
+}
@@ -29,6 +29,19 @@ import medicineReminderRoutes from './routes/medicineReminders.js';
 import medicalProfileRoutes from './routes/medicalProfile.js';
 import customerPointRoutes from './routes/customerPoints.js';
 import revenueAdjustmentRoutes from './routes/revenueAdjustments.js';
+import prescriptionRoutes from './routes/prescriptions.js';
+import couponRoutes from './routes/coupons.js';
+import deliveryRoutes from './routes/delivery.js';
+import subscriptionRoutes from './routes/subscriptions.js';
+import trackingRoutes from './routes/tracking.js';
+import expiryRoutes from './routes/expiry.js';
+import catalogRoutes from './routes/catalog.js';
+import drugProductRoutes from './routes/drugProducts.js';
+import stockMovementRoutes from './routes/stockMovements.js';
+import webhookEventRoutes from './routes/webhookEvents.js';
+import paymentReconciliationRoutes from './routes/paymentReconciliation.js';
+import commissionPolicyRoutes from './routes/commissionPolicies.js';
+import storageService from './services/storageService.js';
 
 // Load .env file from current backend directory
 const __filename = fileURLToPath(import.meta.url);
@@ -71,10 +84,19 @@ const upload = multer({
 // Make upload middleware available globally
 app.locals.upload = upload;
 
+// Public files (medicine images) kept on local disk by the storage service
+if (storageService.localRoot) {
+  app.use('/uploads/public', express.static(storageService.localRoot, { maxAge: '7d', fallthrough: false }));
+}
+
 // Middleware
 app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true })); // For SSL Commerce form data
+// Raw bodies are kept for gateway webhook signatures (bKash, Stripe), which sign the exact bytes
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, verify: keepRawBody })); // For SSL Commerce form data
 
 // Connect to MongoDB
 connectDB();
@@ -89,6 +111,21 @@ import './services/emailService.js';
 // Initialize notification service (includes cron jobs)
 import './services/notificationService.js';
 
+// Initialize subscription renewal scheduler (cron)
+import './services/subscriptionService.js';
+
+// Initialize expiry management jobs (cron)
+import './services/expiryService.js';
+
+// Initialize low-stock alert job (cron)
+import './services/replenishmentService.js';
+
+// Initialize webhook event retry job (cron)
+import './services/webhookService.js';
+
+// Initialize payment reconciliation jobs (cron)
+import './services/reconciliationService.js';
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
@@ -109,6 +146,18 @@ app.use('/api/medicine-reminders', medicineReminderRoutes);
 app.use('/api/medical-profile', medicalProfileRoutes);
 app.use('/api/customer-points', customerPointRoutes);
 app.use('/api/revenue-adjustments', revenueAdjustmentRoutes);
+app.use('/api/prescriptions', prescriptionRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/delivery', deliveryRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/tracking', trackingRoutes);
+app.use('/api/expiry', expiryRoutes);
+app.use('/api/catalog', catalogRoutes);
+app.use('/api/drug-products', drugProductRoutes);
+app.use('/api/stock-movements', stockMovementRoutes);
+app.use('/api/webhook-events', webhookEventRoutes);
+app.use('/api/payment-reconciliation', paymentReconciliationRoutes);
+app.use('/api/commission-policies', commissionPolicyRoutes);
 
 // Enhanced health check with database diagnostics
 app.get('/api/health', async (req, res) => {
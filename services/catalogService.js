@@ -0,0 +1,461 @@
+import fs from 'fs';
+import { once } from 'events';
+import ExcelJS from 'exceljs';
+import Medicine from '../models/Medicine.js';
+import CatalogImport from '../models/CatalogImport.js';
+
+// Rows handled between progress saves; the event loop is released after each batch
+const BATCH_SIZE = 100;
+
+// Spreadsheet columns, in export order. Imports match headers case- and space-insensitively.
+export const CATALOG_COLUMNS = [
+  'name', 'genericName', 'manufacturer', 'category', 'dosage', 'description', 'price',
+  'batchNumber', 'expiryDate', 'stockQuantity', 'costPrice', 'supplier', 'minStockLevel',
+  'prescriptionRequired', 'sideEffects', 'tags', 'imageUrl'
+];
+
+// Read-only columns added to exports and ignored on import
+const EXPORT_ONLY_COLUMNS = ['totalStock', 'isActive'];
+
+const REQUIRED_COLUMNS = ['name', 'batchNumber'];
+
+const HEADER_ALIASES = {
+  quantity: 'stockQuantity',
+  stock: 'stockQuantity',
+  batch: 'batchNumber',
+  expiry: 'expiryDate',
+  generic: 'genericName'
+};
+
+const normalizeHeader = (header) => String(header ?? '').toLowerCase().replace(/[^a-z]/g, '');
+
+const COLUMN_BY_HEADER = Object.fromEntries([
+  ...CATALOG_COLUMNS.map(column => [normalizeHeader(column), column]),
+  ...Object.entries(HEADER_ALIASES)
+]);
+
+// A problem with one row; the import carries on with the next row
+class RowError extends Error {
+  constructor(message, field = null) {
+    super(message);
+    this.name = 'RowError';
+    this.field = field;
+  }
+}
+
+// Plain value of a spreadsheet cell (XLSX cells may hold rich text, links or formulas)
+const cellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return value.text;
+    if (value.result !== undefined) return value.result;
+    return '';
+  }
+  return value;
+};
+
+const isBlank = (value) => value === '' || value === null || value === undefined;
+
+// Ledger context of stock changes made by a vendor's import
+const importContext = (vendorId) => ({ actor: vendorId, actorRole: 'pharmacy_vendor', reasonCode: 'catalog_import' });
+
+const parseNumber = (value, field, { integer = false } = {}) => {
+  const parsed = typeof value === 'number' ? value : Number(String(value).replace(/,/g, '').trim());
+  if (!Number.isFinite(parsed) || parsed < 0 || (integer && !Number.isInteger(parsed))) {
+    throw new RowError(`${field} must be ${integer ? 'a whole number' : 'a number'} of 0 or more`, field);
+  }
+  return parsed;
+};
+
+const parseDate = (value, field) => {
+  const parsed = value instanceof Date ? value : new Date(String(value).trim());
+  if (Number.isNaN(parsed.getTime())) {
+    throw new RowError(`${field} must be a date (YYYY-MM-DD)`, field);
+  }
+  return parsed;
+};
+
+const parseBoolean = (value, field) => {
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (['true', 'yes', 'y', '1'].includes(text)) return true;
+  if (['false', 'no', 'n', '0'].includes(text)) return false;
+  throw new RowError(`${field} must be yes or no`, field);
+};
+
+// Spreadsheet row -> typed fields; blank cells are left out so updates keep current values
+const parseRow = (cells) => {
+  const row = {};
+  for (const [column, raw] of Object.entries(cells)) {
+    const value = cellValue(raw);
+    if (isBlank(value) || (typeof value === 'string' && value.trim() === '')) continue;
+
+    switch (column) {
+      case 'price':
+      case 'costPrice':
+        row[column] = parseNumber(value, column);
+        break;
+      case 'stockQuantity':
+      case 'minStockLevel':
+        row[column] = parseNumber(value, column, { integer: true });
+        break;
+      case 'expiryDate':
+        row[column] = parseDate(value, column);
+        break;
+      case 'prescriptionRequired':
+        row[column] = parseBoolean(value, column);
+        break;
+      case 'tags':
+        row[column] = String(value).split(/[;|]/).map(tag => tag.trim()).filter(Boolean);
+        break;
+      default:
+        row[column] = String(value).trim();
+    }
+  }
+
+  if (!row.name) throw new RowError('name is required', 'name');
+  if (!row.batchNumber) throw new RowError('batchNumber is required', 'batchNumber');
+  return row;
+};
+
+// First Mongoose validation message of a document, as a row error
+const validateListing = (medicine) => {
+  const validation = medicine.validateSync();
+  if (validation) {
+    const [field, error] = Object.entries(validation.errors)[0];
+    throw new RowError(error.kind === 'required' ? `${field} is required` : error.message, field);
+  }
+};
+
+const csvEscape = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+class CatalogService {
+  // Record an uploaded file and process it in the background
+  async startImport(vendorId, { filePath, fileName, format, dryRun }) {
+    const job = await CatalogImport.create({ vendor: vendorId, fileName, format, dryRun });
+
+    setImmediate(() => {
+      this.runImport(job, filePath)
+        .catch(error => console.error(`Error running catalogue import ${job._id}:`, error))
+        .finally(() => fs.promises.unlink(filePath).catch(() => {}));
+    });
+
+    return job;
+  }
+
+  async runImport(job, filePath) {
+    job.status = 'processing';
+    job.startedAt = new Date();
+    await job.save();
+
+    // In a dry run, remember which name+batch keys earlier rows would have created
+    const seenKeys = new Set();
+    let columns = null;
+    let pending = 0;
+
+    try {
+      for await (const { number, values } of this.readRows(filePath, job.format)) {
+        if (!columns) {
+          columns = this.mapHeader(values);
+          continue;
+        }
+
+        const cells = {};
+        columns.forEach((column, index) => {
+          if (column) cells[column] = values[index];
+        });
+        if (Object.values(cells).every(value => isBlank(cellValue(value)))) continue;
+
+        job.totals.rows += 1;
+        try {
+          const outcome = await this.importRow(job.vendor, parseRow(cells), { dryRun: job.dryRun, seenKeys });
+          job.totals[outcome] += 1;
+        } catch (error) {
+          if (!(error instanceof RowError) && error.name !== 'ValidationError') {
+            console.error(`Unexpected error importing row ${number}:`, error);
+          }
+          job.addRowError({
+            row: number,
+            name: cellValue(cells.name) || undefined,
+            batchNumber: cellValue(cells.batchNumber) || undefined,
+            field: error.field || undefined,
+            message: error instanceof RowError ? error.message : 'Could not save this row'
+          });
+        }
+
+        if (++pending >= BATCH_SIZE) {
+          pending = 0;
+          await job.save();
+          await new Promise(resolve => setImmediate(resolve));
+        }
+      }
+
+      if (!columns) {
+        throw new RowError('The file is empty');
+      }
+
+      job.status = 'completed';
+    } catch (error) {
+      job.status = 'failed';
+      job.failureReason = error instanceof RowError ? error.message : 'The file could not be read';
+      if (!(error instanceof RowError)) {
+        console.error(`Error reading catalogue import ${job._id}:`, error);
+      }
+    }
+
+    job.completedAt = new Date();
+    await job.save();
+    console.log(`📥 Catalogue import ${job._id} ${job.status}: ${job.totals.created} created, ${job.totals.updated} updated, ${job.totals.failed} failed${job.dryRun ? ' (dry run)' : ''}`);
+    return job;
+  }
+
+  // Yields { number, values } for each row of the first sheet; values are 0-indexed cells.
+  // XLSX files are streamed; CSV files are parsed whole (bounded by the upload size limit).
+  async *readRows(filePath, format) {
+    if (format === 'xlsx') {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookReader(filePath, {
+        sharedStrings: 'cache',
+        hyperlinks: 'ignore',
+        // Styles are needed to tell date cells from numbers
+        styles: 'cache',
+        worksheets: 'emit'
+      });
+      for await (const worksheet of workbook) {
+        for await (const row of worksheet) {
+          yield { number: row.number, values: row.values.slice(1) };
+        }
+        break;
+      }
+      return;
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    // Keep cells as text; numbers and dates are parsed per column
+    const worksheet = await workbook.csv.readFile(filePath, { map: value => value });
+    for (let number = 1; number <= worksheet.rowCount; number++) {
+      yield { number, values: worksheet.getRow(number).values.slice(1) };
+    }
+  }
+
+  // Column for each header cell (null for unknown columns)
+  mapHeader(headerValues) {
+    const columns = headerValues.map(header => COLUMN_BY_HEADER[normalizeHeader(cellValue(header))] || null);
+    const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+    if (missing.length > 0) {
+      throw new RowError(`Missing required column(s): ${missing.join(', ')}`);
+    }
+    return columns;
+  }
+
+  // Upsert one row on name + batch number. Returns 'created' or 'updated'.
+  async importRow(vendorId, row, { dryRun = false, seenKeys = new Set() } = {}) {
+    const key = `${row.name}\u0000${row.batchNumber}`;
+
+    // Same product and batch: update the listing and set the lot's stock
+    let medicine = await Medicine.findOne({
+      vendorId,
+      name: row.name,
+      $or: [{ 'lots.batchNumber': row.batchNumber }, { batchNumber: row.batchNumber }]
+    });
+
+    // Same product, new batch: receive the batch as a lot of the active listing
+    if (!medicine && row.dosage) {
+      medicine = await Medicine.findOne({ vendorId, name: row.name, dosage: row.dosage, isActive: true });
+    }
+
+    if (!medicine) {
+      if (dryRun && seenKeys.has(key)) return 'updated';
+      await this.createListing(vendorId, row, dryRun);
+      seenKeys.add(key);
+      return 'created';
+    }
+
+    await this.updateListing(medicine, row, dryRun);
+    seenKeys.add(key);
+    return 'updated';
+  }
+
+  async createListing(vendorId, row, dryRun) {
+    if (!row.expiryDate) {
+      throw new RowError('expiryDate is required for a new batch', 'expiryDate');
+    }
+    if (row.price === undefined) {
+      throw new RowError('price is required for a new listing', 'price');
+    }
+
+    const quantity = row.stockQuantity || 0;
+    const medicine = new Medicine({
+      name: row.name,
+      genericName: row.genericName,
+      manufacturer: row.manufacturer,
+      category: row.category,
+      description: row.description,
+      price: row.price,
+      stockQuantity: quantity,
+      minStockLevel: row.minStockLevel ?? 10,
+      expiryDate: row.expiryDate,
+      batchNumber: row.batchNumber,
+      prescriptionRequired: row.prescriptionRequired || false,
+      dosage: row.dosage,
+      sideEffects: row.sideEffects || '',
+      vendorId,
+      imageUrl: row.imageUrl || null,
+      tags: row.tags || [],
+      lots: [{
+        batchNumber: row.batchNumber,
+        expiryDate: row.expiryDate,
+        quantity,
+        receivedQuantity: quantity,
+        costPrice: row.costPrice ?? null,
+        supplier: row.supplier
+      }]
+    });
+
+    if (quantity > 0) {
+      medicine.recordStockMovement({
+        type: 'in',
+        quantity,
+        reason: 'Catalogue import',
+        previousStock: 0,
+        newStock: quantity,
+        lot: medicine.lots[0]._id,
+        batchNumber: row.batchNumber
+      }, importContext(vendorId));
+    }
+
+    validateListing(medicine);
+    if (!dryRun) {
+      await medicine.save();
+    }
+    return medicine;
+  }
+
+  async updateListing(medicine, row, dryRun) {
+    ['genericName', 'manufacturer', 'category', 'description', 'dosage', 'sideEffects', 'imageUrl', 'tags', 'minStockLevel', 'prescriptionRequired']
+      .forEach(field => {
+        if (row[field] !== undefined) medicine[field] = row[field];
+      });
+
+    if (row.price !== undefined) {
+      // During a near-expiry markdown the new price becomes the regular price
+      if (medicine.markdown?.percentOff > 0) {
+        medicine.regularPrice = row.price;
+        medicine.applyMarkdown(medicine.markdown.percentOff);
+      } else {
+        medicine.price = row.price;
+      }
+    }
+
+    medicine.ensureLots();
+    let lot = medicine.lots.find(candidate => candidate.batchNumber === row.batchNumber);
+    let stockChange = 0;
+
+    if (lot) {
+      if (row.expiryDate && new Date(lot.expiryDate).getTime() !== row.expiryDate.getTime()) {
+        throw new RowError(`Batch ${row.batchNumber} is already recorded with a different expiry date`, 'expiryDate');
+      }
+      if (row.costPrice !== undefined) lot.costPrice = row.costPrice;
+      if (row.supplier !== undefined) lot.supplier = row.supplier;
+      if (row.stockQuantity !== undefined) stockChange = row.stockQuantity - lot.quantity;
+    } else {
+      if (!row.expiryDate) {
+        throw new RowError('expiryDate is required for a new batch', 'expiryDate');
+      }
+      lot = medicine.receiveLot({
+        batchNumber: row.batchNumber,
+        expiryDate: row.expiryDate,
+        quantity: row.stockQuantity || 0,
+        costPrice: row.costPrice,
+        supplier: row.supplier
+      }, 'Catalogue import', importContext(medicine.vendorId));
+
+      // A listing taken down because all its stock expired comes back with fresh stock
+      if (!medicine.isActive && medicine.deactivationReason === 'expired' && row.expiryDate > new Date()) {
+        medicine.isActive = true;
+        medicine.deactivationReason = null;
+      }
+    }
+
+    validateListing(medicine);
+    if (dryRun) {
+      return medicine;
+    }
+
+    // The spreadsheet holds the counted stock of the batch; record the difference
+    if (stockChange > 0) {
+      return medicine.updateStock(stockChange, 'in', 'Catalogue import', { lotId: lot._id, ...importContext(medicine.vendorId) });
+    }
+    if (stockChange < 0) {
+      return medicine.updateStock(-stockChange, 'adjustment', 'Catalogue import', { lotId: lot._id, ...importContext(medicine.vendorId) });
+    }
+    return medicine.save();
+  }
+
+  // Stream the vendor's catalogue, one row per batch, as CSV or XLSX
+  async exportCatalog(vendorId, format, stream) {
+    const header = [...CATALOG_COLUMNS, ...EXPORT_ONLY_COLUMNS];
+    const cursor = Medicine.find({ vendorId })
+      .sort({ name: 1 })
+      .lean()
+      .cursor();
+
+    let workbook = null;
+    let worksheet = null;
+    if (format === 'xlsx') {
+      workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+      worksheet = workbook.addWorksheet('Catalogue');
+      worksheet.addRow(header).commit();
+    } else {
+      stream.write(header.join(',') + '\n');
+    }
+
+    let rows = 0;
+    for await (const medicine of cursor) {
+      const lots = medicine.lots?.length > 0
+        ? medicine.lots
+        : [{ batchNumber: medicine.batchNumber, expiryDate: medicine.expiryDate, quantity: medicine.stockQuantity }];
+
+      for (const lot of lots) {
+        const record = {
+          ...medicine,
+          batchNumber: lot.batchNumber,
+          expiryDate: formatDate(lot.expiryDate),
+          stockQuantity: lot.quantity,
+          costPrice: lot.costPrice ?? '',
+          supplier: lot.supplier || '',
+          prescriptionRequired: medicine.prescriptionRequired ? 'yes' : 'no',
+          tags: (medicine.tags || []).join(';'),
+          // Markdowns are temporary; export the price the vendor set
+          price: medicine.regularPrice ?? medicine.price,
+          totalStock: medicine.stockQuantity,
+          isActive: medicine.isActive ? 'yes' : 'no'
+        };
+        const values = header.map(column => record[column] ?? '');
+
+        if (worksheet) {
+          worksheet.addRow(values).commit();
+        } else if (!stream.write(values.map(csvEscape).join(',') + '\n')) {
+          await once(stream, 'drain');
+        }
+        rows++;
+      }
+    }
+
+    if (workbook) {
+      worksheet.commit();
+      await workbook.commit();
+    } else {
+      stream.end();
+    }
+    return rows;
+  }
+}
+
+export default new CatalogService();
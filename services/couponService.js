@@ -0,0 +1,114 @@
+import Coupon from '../models/Coupon.js';
+
+// Round to paisa so the per-vendor shares add up to the discount exactly
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+class CouponService {
+  // Work out what a coupon is worth for a basket without using it.
+  // vendorTotals maps vendor id -> that vendor's item subtotal.
+  async quoteCoupon(code, { customerId, vendorTotals, deliveryFee = 0 }) {
+    if (!code) {
+      return { success: false, message: 'Coupon code is required' };
+    }
+
+    const coupon = await Coupon.findOne({ code: code.toString().trim().toUpperCase() });
+    if (!coupon) {
+      return { success: false, message: 'Invalid coupon code' };
+    }
+
+    const unavailableReason = coupon.getUnavailableReason(customerId);
+    if (unavailableReason) {
+      return { success: false, message: unavailableReason };
+    }
+
+    // Vendor-funded coupons only cover that vendor's items
+    const eligibleVendors = [...vendorTotals.keys()].filter(vendorKey => (
+      coupon.fundedBy !== 'vendor' || vendorKey === coupon.vendorId.toString()
+    ));
+    const eligibleSubtotal = eligibleVendors.reduce((total, vendorKey) => total + vendorTotals.get(vendorKey), 0);
+
+    if (eligibleSubtotal === 0) {
+      return { success: false, message: 'This coupon does not apply to the items in your cart' };
+    }
+
+    if (eligibleSubtotal < coupon.minBasket) {
+      return {
+        success: false,
+        message: `Add ৳${roundAmount(coupon.minBasket - eligibleSubtotal)} more of eligible items to use this coupon`
+      };
+    }
+
+    let itemDiscount = 0;
+    let deliveryDiscount = 0;
+
+    if (coupon.type === 'percentage') {
+      itemDiscount = eligibleSubtotal * coupon.value / 100;
+      if (coupon.maxDiscount !== null) {
+        itemDiscount = Math.min(itemDiscount, coupon.maxDiscount);
+      }
+    } else if (coupon.type === 'flat') {
+      itemDiscount = Math.min(coupon.value, eligibleSubtotal);
+    } else if (coupon.type === 'free_delivery') {
+      deliveryDiscount = deliveryFee;
+    }
+
+    itemDiscount = roundAmount(itemDiscount);
+
+    return {
+      success: true,
+      coupon,
+      itemDiscount,
+      deliveryDiscount,
+      totalDiscount: roundAmount(itemDiscount + deliveryDiscount),
+      vendorDiscounts: this.splitDiscount(itemDiscount, eligibleVendors, vendorTotals)
+    };
+  }
+
+  // Share an item discount between vendors in proportion to their subtotals
+  splitDiscount(itemDiscount, vendorKeys, vendorTotals) {
+    const vendorDiscounts = new Map();
+    const eligibleSubtotal = vendorKeys.reduce((total, vendorKey) => total + vendorTotals.get(vendorKey), 0);
+
+    let allocated = 0;
+    vendorKeys.forEach((vendorKey, index) => {
+      const share = index === vendorKeys.length - 1
+        ? roundAmount(itemDiscount - allocated)
+        : roundAmount(itemDiscount * vendorTotals.get(vendorKey) / eligibleSubtotal);
+      allocated += share;
+      vendorDiscounts.set(vendorKey, share);
+    });
+
+    return vendorDiscounts;
+  }
+
+  // Snapshot kept on the order
+  toOrderCoupon(quote) {
+    return {
+      couponId: quote.coupon._id,
+      code: quote.coupon.code,
+      type: quote.coupon.type,
+      fundedBy: quote.coupon.fundedBy,
+      vendorId: quote.coupon.vendorId,
+      itemDiscount: quote.itemDiscount,
+      deliveryDiscount: quote.deliveryDiscount
+    };
+  }
+
+  async redeemCoupon(quote, { customerId, orderId }, session = null) {
+    return Coupon.redeem(quote.coupon._id, {
+      customerId,
+      orderId,
+      discountAmount: quote.totalDiscount
+    }, session);
+  }
+
+  async releaseCoupon(couponId, orderId, session = null) {
+    const released = await Coupon.release(couponId, orderId, session);
+    if (released) {
+      console.log(`🎟️ Coupon ${couponId} use released for order ${orderId}`);
+    }
+    return released;
+  }
+}
+
+export default new CouponService();
@@ -0,0 +1,144 @@
+import DeliveryZone from '../models/DeliveryZone.js';
+import User from '../models/User.js';
+
+const EARTH_RADIUS_KM = 6371;
+
+// Pricing used until an admin configures zones: ৳50, free from ৳500
+const FALLBACK_ZONE = {
+  name: 'Standard',
+  baseFee: 50,
+  freeDeliveryThreshold: 500,
+  estimatedDays: 4
+};
+
+// Local delivery ETA: time to pack the order plus riding time at an average city speed
+const LOCAL_DELIVERY_PREP_MINUTES = parseInt(process.env.LOCAL_DELIVERY_PREP_MINUTES || '30', 10);
+const LOCAL_DELIVERY_SPEED_KMH = parseFloat(process.env.LOCAL_DELIVERY_SPEED_KMH || '20');
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+const hasCoordinates = (coordinates) => (
+  Array.isArray(coordinates) &&
+  coordinates.length === 2 &&
+  coordinates.every(value => typeof value === 'number' && !Number.isNaN(value))
+);
+
+class DeliveryPricingService {
+  // Great-circle distance between two [longitude, latitude] points
+  distanceKm(from, to) {
+    const [fromLng, fromLat] = from;
+    const [toLng, toLat] = to;
+    const dLat = toRadians(toLat - fromLat);
+    const dLng = toRadians(toLng - fromLng);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(fromLat)) * Math.cos(toRadians(toLat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+  }
+
+  // Minutes until a local delivery from a pharmacy this far away arrives
+  estimateEtaMinutes(distanceKm) {
+    if (distanceKm === null || distanceKm === undefined) {
+      return null;
+    }
+    const travelMinutes = (distanceKm / LOCAL_DELIVERY_SPEED_KMH) * 60;
+    // Rounded up to 5 minutes; an exact-looking ETA overpromises
+    return Math.ceil((LOCAL_DELIVERY_PREP_MINUTES + travelMinutes) / 5) * 5;
+  }
+
+  // Distance from the farthest vendor to the customer, or null when either side has no location
+  async getDeliveryDistance(vendorIds, customerCoordinates) {
+    if (!hasCoordinates(customerCoordinates) || vendorIds.length === 0) {
+      return null;
+    }
+
+    const vendors = await User.find({ _id: { $in: vendorIds } }).select('address.coordinates');
+    const distances = vendors
+      .filter(vendor => hasCoordinates(vendor.address?.coordinates))
+      .map(vendor => this.distanceKm(vendor.address.coordinates, customerCoordinates));
+
+    if (distances.length === 0) {
+      return null;
+    }
+
+    return Math.round(Math.max(...distances) * 10) / 10;
+  }
+
+  async getZone(city, postalCode) {
+    const zone = await DeliveryZone.findForAddress(city, postalCode);
+    return zone || new DeliveryZone(FALLBACK_ZONE);
+  }
+
+  // Delivery fee for a basket going to an address
+  async quote({ subtotal, city, postalCode, vendorIds = [], customerCoordinates = null, express = false }) {
+    const zone = await this.getZone(city, postalCode);
+
+    if (express && !zone.express?.available) {
+      return {
+        success: false,
+        message: `Express delivery is not available in ${zone.name}`
+      };
+    }
+
+    const distanceKm = await this.getDeliveryDistance(vendorIds, customerCoordinates);
+    const freeDeliveryApplied = zone.freeDeliveryThreshold !== null && subtotal >= zone.freeDeliveryThreshold;
+
+    const baseFee = freeDeliveryApplied ? 0 : zone.baseFee;
+    const distanceFee = freeDeliveryApplied ? 0 : zone.getDistanceFee(distanceKm);
+    // Free delivery covers standard delivery only
+    const expressSurcharge = express ? zone.express.surcharge : 0;
+
+    const estimatedDays = express ? zone.express.estimatedDays : zone.estimatedDays;
+    const estimatedDelivery = new Date();
+    estimatedDelivery.setDate(estimatedDelivery.getDate() + estimatedDays);
+
+    return {
+      success: true,
+      zone: zone.name,
+      deliveryType: express ? 'express' : 'standard',
+      distanceKm,
+      baseFee,
+      distanceFee,
+      expressSurcharge,
+      freeDeliveryApplied,
+      freeDeliveryThreshold: zone.freeDeliveryThreshold,
+      amountToFreeDelivery: zone.freeDeliveryThreshold !== null && !freeDeliveryApplied
+        ? zone.freeDeliveryThreshold - subtotal
+        : 0,
+      expressAvailable: Boolean(zone.express?.available),
+      fee: baseFee + distanceFee + expressSurcharge,
+      estimatedDays,
+      estimatedDelivery
+    };
+  }
+
+  // Quote for a customer's cart (cart.medicine must be populated). The address
+  // defaults to the customer's profile address.
+  async quoteCart(user, { city, postalCode, express = false, coordinates } = {}) {
+    const cartItems = user.cart.filter(item => item.medicine);
+    const subtotal = cartItems.reduce((total, item) => total + item.medicine.price * item.quantity, 0);
+    const vendorIds = [...new Set(cartItems.map(item => (item.medicine.vendorId._id || item.medicine.vendorId).toString()))];
+
+    return this.quote({
+      subtotal,
+      city: city || user.address?.city,
+      postalCode: postalCode || user.address?.postalCode,
+      vendorIds,
+      customerCoordinates: hasCoordinates(coordinates) ? coordinates : user.address?.coordinates,
+      express
+    });
+  }
+
+  // Snapshot kept on the order
+  toOrderDelivery(quote) {
+    return {
+      zone: quote.zone,
+      deliveryType: quote.deliveryType,
+      distanceKm: quote.distanceKm,
+      baseFee: quote.baseFee,
+      distanceFee: quote.distanceFee,
+      expressSurcharge: quote.expressSurcharge
+    };
+  }
+}
+
+export default new DeliveryPricingService();
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import DrugProduct from '../models/DrugProduct.js';
+import Medicine from '../models/Medicine.js';
+
+const vendorName = (vendor) => vendor?.businessInfo?.pharmacyName || (vendor ? `${vendor.firstName} ${vendor.lastName}` : 'Unknown Vendor');
+
+class DrugCatalogService {
+  // Master products a vendor's listing probably is, for linking instead of free text
+  async suggestProducts(listing, options = {}) {
+    const matches = await DrugProduct.findMatches(listing, options);
+    return matches.map(({ product, score }) => ({ ...product.toObject(), matchScore: score }));
+  }
+
+  // Listings of one master product across pharmacies that can be bought now, cheapest first
+  async getOffers(drugProductId, { excludeMedicineId = null } = {}) {
+    const product = await DrugProduct.findById(drugProductId);
+    if (!product) {
+      return null;
+    }
+
+    const filter = {
+      drugProduct: product._id,
+      isActive: true,
+      stockQuantity: { $gt: 0 },
+      expiryDate: { $gt: new Date() }
+    };
+    if (excludeMedicineId) {
+      filter._id = { $ne: new mongoose.Types.ObjectId(excludeMedicineId) };
+    }
+
+    const listings = await Medicine.find(filter)
+      .select('name price regularPrice markdown stockQuantity minStockLevel expiryDate prescriptionRequired imageUrl vendorId')
+      .populate('vendorId', 'firstName lastName businessInfo.pharmacyName address.city')
+      .sort({ price: 1 })
+      .limit(50);
+
+    const offers = listings.map(listing => ({
+      medicineId: listing._id,
+      name: listing.name,
+      price: listing.price,
+      regularPrice: listing.regularPrice,
+      onMarkdown: listing.markdown?.percentOff > 0,
+      pricePerUnit: Math.round((listing.price / product.packSize) * 100) / 100,
+      isLowStock: listing.stockQuantity <= listing.minStockLevel,
+      prescriptionRequired: listing.prescriptionRequired,
+      imageUrl: listing.imageUrl,
+      vendor: {
+        id: listing.vendorId?._id || null,
+        name: vendorName(listing.vendorId),
+        city: listing.vendorId?.address?.city || null
+      }
+    }));
+
+    const prices = offers.map(offer => offer.price);
+    return {
+      product,
+      offers,
+      priceRange: prices.length > 0
+        ? { lowest: prices[0], highest: prices[prices.length - 1], pharmacies: new Set(offers.map(offer => String(offer.vendor.id))).size }
+        : null
+    };
+  }
+}
+
+export default new DrugCatalogService();
@@ -0,0 +1,330 @@
+import cron from 'node-cron';
+import Medicine from '../models/Medicine.js';
+import Donation from '../models/Donation.js';
+import ExpirySettings from '../models/ExpirySettings.js';
+import User from '../models/User.js';
+import { sendEmail } from './emailService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Digest buckets, in days until expiry
+const DIGEST_WINDOWS = [30, 60, 90];
+
+// Medicine categories mapped to the donation form values
+const DONATION_FORMS = {
+  Tablet: 'tablet',
+  Capsule: 'capsule',
+  Syrup: 'syrup',
+  Injection: 'injection',
+  Ointment: 'cream',
+  Drops: 'drops',
+  Inhaler: 'inhaler'
+};
+
+const daysUntil = (date, now = new Date()) => Math.ceil((new Date(date) - now) / DAY_MS);
+
+class ExpiryService {
+  constructor() {
+    this.startExpiryJobs();
+  }
+
+  startExpiryJobs() {
+    // Write off expired stock and refresh markdowns every night at 1 AM
+    cron.schedule('0 1 * * *', async () => {
+      try {
+        await this.writeOffExpiredStock();
+        await this.applyMarkdowns();
+      } catch (error) {
+        console.error('Error in nightly expiry job:', error);
+      }
+    });
+
+    // Send vendors their expiry digest every Monday at 8 AM
+    cron.schedule('0 8 * * 1', async () => {
+      try {
+        await this.sendVendorDigests();
+      } catch (error) {
+        console.error('Error sending expiry digests:', error);
+      }
+    });
+
+    console.log('Expiry management jobs scheduled - nightly write-off, weekly digest');
+  }
+
+  // Write expired lots off through updateStock and take down listings with no
+  // unexpired stock left
+  async writeOffExpiredStock() {
+    const now = new Date();
+    const medicines = await Medicine.find({
+      $or: [
+        { lots: { $elemMatch: { expiryDate: { $lte: now }, quantity: { $gt: 0 } } } },
+        { 'lots.0': { $exists: false }, expiryDate: { $lte: now }, stockQuantity: { $gt: 0 } },
+        { isActive: true, expiryDate: { $lte: now } }
+      ]
+    });
+
+    let unitsWrittenOff = 0;
+    let listingsDeactivated = 0;
+
+    for (const medicine of medicines) {
+      try {
+        medicine.ensureLots();
+        const expiredLots = medicine.lots.filter(lot => lot.expiryDate <= now && lot.quantity > 0);
+
+        for (const lot of expiredLots) {
+          const quantity = lot.quantity;
+          await medicine.updateStock(quantity, 'expired', `Batch ${lot.batchNumber} expired`, { lotId: lot._id });
+          unitsWrittenOff += quantity;
+        }
+
+        if (medicine.isActive && medicine.getSellableQuantity() === 0 && medicine.expiryDate <= now) {
+          medicine.isActive = false;
+          medicine.deactivationReason = 'expired';
+          await medicine.save();
+          listingsDeactivated++;
+        }
+      } catch (error) {
+        console.error(`Error writing off expired stock for medicine ${medicine._id}:`, error);
+      }
+    }
+
+    console.log(`🗑️ Expiry write-off: ${unitsWrittenOff} units written off, ${listingsDeactivated} listings deactivated`);
+    return { unitsWrittenOff, listingsDeactivated };
+  }
+
+  // Mark down listings whose next lot to be sold is close to expiry, and restore
+  // the regular price once it no longer is
+  async applyMarkdowns() {
+    const now = new Date();
+    const vendorSettings = await ExpirySettings.find({ markdownEnabled: true });
+    const settingsByVendor = new Map(vendorSettings.map(settings => [settings.vendor.toString(), settings]));
+    const longestWindow = Math.max(0, ...vendorSettings.flatMap(settings => settings.markdownTiers.map(tier => tier.withinDays)));
+
+    const medicines = await Medicine.find({
+      $or: [
+        { 'markdown.percentOff': { $gt: 0 } },
+        {
+          vendorId: { $in: vendorSettings.map(settings => settings.vendor) },
+          isActive: true,
+          expiryDate: { $gt: now, $lte: new Date(now.getTime() + longestWindow * DAY_MS) }
+        }
+      ]
+    });
+
+    let updated = 0;
+    for (const medicine of medicines) {
+      const settings = settingsByVendor.get(medicine.vendorId.toString());
+      const percentOff = settings && medicine.getSellableQuantity() > 0
+        ? settings.getMarkdownPercent(daysUntil(medicine.expiryDate, now))
+        : 0;
+
+      if (percentOff === (medicine.markdown?.percentOff || 0)) {
+        continue;
+      }
+
+      medicine.applyMarkdown(percentOff);
+      await medicine.save();
+      updated++;
+    }
+
+    console.log(`🏷️ Near-expiry markdowns updated on ${updated} listings`);
+    return { updated };
+  }
+
+  // Lots of a vendor with stock expiring within the longest digest window, grouped by window
+  async getExpiryReport(vendorId, settings = null) {
+    const now = new Date();
+    const horizon = new Date(now.getTime() + DIGEST_WINDOWS[DIGEST_WINDOWS.length - 1] * DAY_MS);
+    const expirySettings = settings || await ExpirySettings.forVendor(vendorId);
+
+    const medicines = await Medicine.find({
+      vendorId,
+      $or: [
+        { lots: { $elemMatch: { expiryDate: { $lte: horizon }, quantity: { $gt: 0 } } } },
+        { 'lots.0': { $exists: false }, expiryDate: { $lte: horizon }, stockQuantity: { $gt: 0 } }
+      ]
+    }).select('name dosage price regularPrice markdown isActive expiryDate batchNumber stockQuantity lots');
+
+    const windows = DIGEST_WINDOWS.map(days => ({ withinDays: days, lots: [] }));
+    const expired = [];
+    const donationCandidates = [];
+
+    for (const medicine of medicines) {
+      medicine.ensureLots();
+      for (const lot of medicine.lots.filter(candidate => candidate.quantity > 0 && candidate.expiryDate <= horizon)) {
+        const daysLeft = daysUntil(lot.expiryDate, now);
+        const entry = {
+          medicineId: medicine._id,
+          name: medicine.name,
+          dosage: medicine.dosage,
+          lotId: lot._id,
+          batchNumber: lot.batchNumber,
+          expiryDate: lot.expiryDate,
+          daysLeft,
+          quantity: lot.quantity,
+          costValue: lot.costPrice !== null ? lot.costPrice * lot.quantity : null,
+          markdownPercent: medicine.batchNumber === lot.batchNumber ? medicine.markdown?.percentOff || 0 : 0
+        };
+
+        if (daysLeft <= 0) {
+          expired.push(entry);
+          continue;
+        }
+
+        windows.find(window => daysLeft <= window.withinDays).lots.push(entry);
+        if (daysLeft <= expirySettings.donationOfferDays) {
+          donationCandidates.push(entry);
+        }
+      }
+    }
+
+    windows.forEach(window => window.lots.sort((a, b) => a.daysLeft - b.daysLeft));
+    return { windows, expired, donationCandidates };
+  }
+
+  async sendVendorDigests() {
+    const vendors = await User.find({ role: 'pharmacy_vendor', isActive: { $ne: false } })
+      .select('firstName lastName email businessInfo.pharmacyName');
+
+    let sent = 0;
+    for (const vendor of vendors) {
+      try {
+        const settings = await ExpirySettings.forVendor(vendor._id);
+        if (!settings.digestEnabled || !vendor.email) continue;
+
+        const report = await this.getExpiryReport(vendor._id, settings);
+        const lotCount = report.windows.reduce((total, window) => total + window.lots.length, 0);
+        if (lotCount === 0 && report.expired.length === 0) continue;
+
+        await sendEmail({
+          to: vendor.email,
+          subject: `Expiry digest: ${lotCount} batch(es) expiring within ${DIGEST_WINDOWS[DIGEST_WINDOWS.length - 1]} days`,
+          html: this.renderDigest(vendor, report)
+        });
+        sent++;
+      } catch (error) {
+        console.error(`Error sending expiry digest to vendor ${vendor._id}:`, error);
+      }
+    }
+
+    console.log(`📧 Expiry digests sent to ${sent} vendors`);
+    return { sent };
+  }
+
+  renderDigest(vendor, report) {
+    const name = vendor.businessInfo?.pharmacyName || `${vendor.firstName} ${vendor.lastName}`;
+    const rows = (lots) => lots.map(lot => `
+      <tr>
+        <td style="padding: 6px; border-bottom: 1px solid #e5e7eb;">${lot.name} ${lot.dosage}</td>
+        <td style="padding: 6px; border-bottom: 1px solid #e5e7eb;">${lot.batchNumber}</td>
+        <td style="padding: 6px; border-bottom: 1px solid #e5e7eb;">${new Date(lot.expiryDate).toDateString()}</td>
+        <td style="padding: 6px; border-bottom: 1px solid #e5e7eb;">${lot.quantity}</td>
+        <td style="padding: 6px; border-bottom: 1px solid #e5e7eb;">${lot.markdownPercent ? `${lot.markdownPercent}% off` : '-'}</td>
+      </tr>
+    `).join('');
+
+    let previousLimit = 0;
+    const sections = report.windows.filter(window => window.lots.length > 0).map(window => {
+      const from = previousLimit;
+      previousLimit = window.withinDays;
+      return `
+        <h3 style="color: #374151;">Expiring in ${from > 0 ? `${from + 1}-` : ''}${window.withinDays} days</h3>
+        <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+          <tr style="text-align: left;"><th>Medicine</th><th>Batch</th><th>Expires</th><th>Units</th><th>Markdown</th></tr>
+          ${rows(window.lots)}
+        </table>
+      `;
+    }).join('');
+
+    const donationOffer = report.donationCandidates.length > 0 ? `
+      <div style="background: #ecfdf5; padding: 12px; border-radius: 6px; margin-top: 16px;">
+        <p><strong>💚 Donate instead of writing off?</strong></p>
+        <p>${report.donationCandidates.length} batch(es) are close to expiry. You can list them as a donation from the Expiry page of your dashboard so they reach patients before they expire.</p>
+      </div>
+    ` : '';
+
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 700px; margin: 0 auto;">
+        <h2 style="color: #2563eb;">⏳ Expiry digest for ${name}</h2>
+        ${report.expired.length > 0 ? `<p style="color: #dc2626;">${report.expired.length} expired batch(es) are still in stock and will be written off tonight.</p>` : ''}
+        ${sections}
+        ${donationOffer}
+      </div>
+    `;
+  }
+
+  // List near-expiry stock from a lot as a donation and take it out of stock
+  async donateLot(vendorId, { medicineId, lotId, quantity, manufacturingDate, unit, reason, availability }) {
+    const medicine = await Medicine.findOne({ _id: medicineId, vendorId });
+    if (!medicine) {
+      return { success: false, status: 404, message: 'Medicine not found' };
+    }
+
+    medicine.ensureLots();
+    const lot = medicine.lots.id(lotId);
+    if (!lot) {
+      return { success: false, status: 404, message: 'Lot not found' };
+    }
+
+    if (lot.expiryDate <= new Date()) {
+      return { success: false, status: 400, message: 'Expired stock cannot be donated' };
+    }
+
+    const donatedQuantity = parseInt(quantity, 10) || lot.quantity;
+    if (donatedQuantity < 1 || donatedQuantity > lot.quantity) {
+      return { success: false, status: 400, message: `Only ${lot.quantity} units of batch ${lot.batchNumber} are in stock` };
+    }
+
+    if (!manufacturingDate || new Date(manufacturingDate) >= lot.expiryDate) {
+      return { success: false, status: 400, message: 'A manufacturing date before the expiry date is required' };
+    }
+
+    const vendor = await User.findById(vendorId).select('email phone address');
+    if (!vendor?.address?.city || !(vendor.address.street || vendor.address.address)) {
+      return { success: false, status: 400, message: 'Add your pharmacy address to your profile before donating' };
+    }
+
+    const donation = new Donation({
+      donor: vendorId,
+      medicineName: medicine.name,
+      genericName: medicine.genericName,
+      brand: medicine.manufacturer,
+      dosage: medicine.dosage,
+      form: DONATION_FORMS[medicine.category] || 'other',
+      quantity: donatedQuantity,
+      unit: unit || 'pieces',
+      expiryDate: lot.expiryDate,
+      manufacturingDate: new Date(manufacturingDate),
+      batchNumber: lot.batchNumber,
+      manufacturer: medicine.manufacturer,
+      description: medicine.description?.slice(0, 500),
+      reason: reason || 'Near-expiry pharmacy stock',
+      condition: 'excellent',
+      unopened: true,
+      donorContact: {
+        phone: vendor.phone,
+        email: vendor.email
+      },
+      pickupLocation: {
+        address: vendor.address.street || vendor.address.address,
+        city: vendor.address.city,
+        postalCode: vendor.address.postalCode || 'N/A'
+      },
+      availability: availability || {
+        availableDays: ['saturday', 'sunday', 'monday', 'tuesday', 'wednesday', 'thursday'],
+        availableTime: { from: '10:00', to: '18:00' }
+      }
+    });
+
+    await donation.save();
+    await medicine.updateStock(donatedQuantity, 'donated', `Donation ${donation._id}`, {
+      lotId: lot._id,
+      actor: vendorId,
+      actorRole: 'pharmacy_vendor'
+    });
+
+    console.log(`💚 ${donatedQuantity} units of batch ${lot.batchNumber} donated by vendor ${vendorId}`);
+    return { success: true, donation, medicine };
+  }
+}
+
+export default new ExpiryService();
@@ -0,0 +1,85 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import storageService from './storageService.js';
+
+// Image formats accepted, recognised by their leading bytes rather than the client's Content-Type
+const IMAGE_SIGNATURES = [
+  { type: 'image/jpeg', matches: (bytes) => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff },
+  { type: 'image/png', matches: (bytes) => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { type: 'image/webp', matches: (bytes) => bytes.toString('ascii', 0, 4) === 'RIFF' && bytes.toString('ascii', 8, 12) === 'WEBP' }
+];
+
+// Sizes generated for every medicine image
+const IMAGE_VARIANTS = {
+  thumbnail: { width: 200, height: 200, fit: 'cover', quality: 75 },
+  detail: { width: 1000, height: 1000, fit: 'inside', quality: 82 }
+};
+
+// Reject images with absurd dimensions before decoding them
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+export class ImageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImageError';
+    this.statusCode = 400;
+  }
+}
+
+class ImageService {
+  detectImageType(buffer) {
+    if (!buffer || buffer.length < 12) return null;
+    return IMAGE_SIGNATURES.find(signature => signature.matches(buffer))?.type || null;
+  }
+
+  // Validates an uploaded medicine image and stores its thumbnail and detail variants as WebP.
+  // Returns the URLs and storage keys to save on the medicine.
+  async processMedicineImage(medicineId, buffer) {
+    if (!this.detectImageType(buffer)) {
+      throw new ImageError('Only JPEG, PNG and WebP images are allowed');
+    }
+
+    let metadata;
+    const outputs = {};
+    try {
+      metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+      for (const [variant, options] of Object.entries(IMAGE_VARIANTS)) {
+        outputs[variant] = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+          .rotate() // honour the camera's EXIF orientation; metadata is stripped on output
+          .resize({ width: options.width, height: options.height, fit: options.fit, withoutEnlargement: options.fit === 'inside' })
+          .webp({ quality: options.quality })
+          .toBuffer();
+      }
+    } catch (error) {
+      if (error.message?.includes('pixel limit')) {
+        throw new ImageError('The image dimensions are too large');
+      }
+      throw new ImageError('The image could not be read');
+    }
+
+    const version = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const image = { thumbnailUrl: null, detailUrl: null, storageKeys: [], width: metadata.width, height: metadata.height };
+
+    try {
+      for (const [variant, output] of Object.entries(outputs)) {
+        const key = `medicines/${medicineId}/${version}-${variant}.webp`;
+        image[`${variant}Url`] = await storageService.put(key, output, 'image/webp');
+        image.storageKeys.push(key);
+      }
+    } catch (error) {
+      await storageService.deleteMany(image.storageKeys);
+      throw error;
+    }
+
+    return image;
+  }
+
+  // Removes the stored variants of an uploaded image
+  async removeImageFiles(storageKeys = []) {
+    if (storageKeys.length > 0) {
+      await storageService.deleteMany(storageKeys);
+    }
+  }
+}
+
+export default new ImageService();
@@ -0,0 +1,97 @@
+import CustomerPoint from '../models/CustomerPoint.js';
+
+// Largest share of the basket that points may pay for
+const MAX_REDEEM_SHARE = parseFloat(process.env.POINTS_MAX_REDEEM_SHARE || '0.2');
+// Points earned per BDT of goods paid
+const EARN_RATE = parseFloat(process.env.POINTS_EARN_RATE || '0.01');
+
+class LoyaltyService {
+  // Check a points redemption against the balance and the basket cap.
+  // basketAmount is the item value after coupon discounts.
+  async quoteRedemption(customerId, points, basketAmount) {
+    const requestedPoints = parseInt(points, 10);
+    if (!requestedPoints || requestedPoints <= 0) {
+      return { success: false, message: 'Invalid points amount' };
+    }
+
+    const customerPoints = await CustomerPoint.findOne({ customerId });
+    const availablePoints = customerPoints ? customerPoints.availablePoints : 0;
+    const conversionRate = customerPoints ? customerPoints.pointConversionRate : 1;
+
+    if (requestedPoints > availablePoints) {
+      return { success: false, message: 'Insufficient points', availablePoints };
+    }
+
+    const maxPoints = Math.floor((basketAmount * MAX_REDEEM_SHARE) / conversionRate);
+    if (requestedPoints > maxPoints) {
+      return {
+        success: false,
+        message: `You can use at most ${maxPoints} points on this order (${Math.round(MAX_REDEEM_SHARE * 100)}% of the basket)`,
+        availablePoints,
+        maxPoints
+      };
+    }
+
+    return {
+      success: true,
+      points: requestedPoints,
+      amount: requestedPoints * conversionRate,
+      availablePoints,
+      maxPoints
+    };
+  }
+
+  // Spend the quoted points on an order; false when the balance changed meanwhile
+  async redeemForOrder(customerId, quote, order, session = null) {
+    const updated = await CustomerPoint.redeemForOrder(
+      customerId,
+      quote.points,
+      order._id,
+      `Points used for order #${order.trackingId || order._id}`,
+      session
+    );
+    return Boolean(updated);
+  }
+
+  // Points for the delivered goods the customer actually paid for
+  calculateEarnedPoints(order) {
+    if (!order.subtotal) {
+      return 0;
+    }
+
+    const deliveredSubtotal = order.shipments.length > 0
+      ? order.shipments
+        .filter(shipment => shipment.status === 'delivered')
+        .reduce((total, shipment) => total + shipment.subtotal, 0)
+      : order.subtotal;
+    const paidShare = 1 - ((order.coupon?.itemDiscount || 0) + (order.pointsValue || 0)) / order.subtotal;
+
+    return Math.max(0, Math.floor(deliveredSubtotal * paidShare * EARN_RATE));
+  }
+
+  // Credit points for a delivered order (once)
+  async awardForDeliveredOrder(order, session = null) {
+    if (order.pointsEarned > 0) {
+      return 0;
+    }
+
+    const points = this.calculateEarnedPoints(order);
+    if (points === 0) {
+      return 0;
+    }
+
+    let customerPoints = await CustomerPoint.findOne({ customerId: order.customer }).session(session);
+    if (!customerPoints) {
+      customerPoints = new CustomerPoint({ customerId: order.customer });
+      customerPoints.$session(session);
+    }
+
+    await customerPoints.addPoints(points, `Points earned for order #${order.trackingId}`, order._id, 'earned');
+    order.pointsEarned = points;
+
+    console.log(`🎁 ${points} points earned by customer ${order.customer} for order ${order.trackingId}`);
+    return points;
+  }
+}
+
+export default new LoyaltyService();
@@ -0,0 +1,364 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Medicine from '../models/Medicine.js';
+import Order from '../models/Order.js';
+import Payment from '../models/Payment.js';
+import couponService from './couponService.js';
+import deliveryPricingService from './deliveryPricingService.js';
+import loyaltyService from './loyaltyService.js';
+
+// Raised when checkout cannot go ahead; carries the HTTP status the route should send
+export class CheckoutError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'CheckoutError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// Map frontend payment methods to valid Payment enum values
+export const getValidPaymentMethod = (paymentMethod) => {
+  const paymentMethodMap = {
+    'cash_on_delivery': 'cash',
+    'credit_card': 'card', // Map credit_card to card for backward compatibility
+    'debit_card': 'card',
+    'mobile_banking': 'mobile_banking',
+    'bank_transfer': 'bank_transfer',
+    'bkash': 'bkash',
+    'nagad': 'nagad',
+    'rocket': 'rocket',
+    'stripe': 'stripe',
+    'sslcommerz': 'sslcommerz',
+    'dummy': 'dummy'
+  };
+
+  return paymentMethodMap[paymentMethod] || paymentMethod || 'cash';
+};
+
+class OrderService {
+  // Run a unit of work inside a MongoDB transaction. withTransaction retries the
+  // callback on transient errors (e.g. write conflicts), so it must be re-runnable.
+  async runInTransaction(work) {
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await work(session);
+      });
+      return result;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  // Check that prescription-only medicines are covered by one of the customer's
+  // stored prescriptions. Returns the snapshot to keep on the order, or null when
+  // nothing in the order needs a prescription.
+  resolvePrescription(user, medicines, prescriptionId) {
+    const rxMedicines = medicines.filter(medicine => medicine && medicine.prescriptionRequired);
+    if (rxMedicines.length === 0) {
+      return null;
+    }
+
+    const rxDetails = {
+      prescriptionRequired: true,
+      medicines: rxMedicines.map(medicine => ({ _id: medicine._id, name: medicine.name }))
+    };
+
+    if (!prescriptionId) {
+      throw new CheckoutError(
+        `A prescription is required for ${rxMedicines.map(medicine => medicine.name).join(', ')}`,
+        400,
+        rxDetails
+      );
+    }
+
+    const prescription = user.prescriptions.id(prescriptionId);
+    if (!prescription) {
+      throw new CheckoutError('Prescription not found', 404, rxDetails);
+    }
+
+    if (prescription.expiresAt && prescription.expiresAt < new Date()) {
+      throw new CheckoutError('Prescription has expired. Please upload a new one', 400, rxDetails);
+    }
+
+    return {
+      prescriptionId: prescription._id,
+      fileName: prescription.fileName,
+      originalName: prescription.originalName,
+      doctorName: prescription.doctorName,
+      issuedAt: prescription.issuedAt,
+      uploadedAt: prescription.uploadedAt
+    };
+  }
+
+  // Price delivery for a basket, turning an unavailable option into a CheckoutError
+  async quoteDelivery({ subtotal, shippingAddress, vendorIds, customerCoordinates, express }) {
+    const quote = await deliveryPricingService.quote({
+      subtotal,
+      city: shippingAddress?.city,
+      postalCode: shippingAddress?.postalCode,
+      vendorIds,
+      customerCoordinates,
+      express
+    });
+    if (!quote.success) {
+      throw new CheckoutError(quote.message, 400, { deliveryType: 'express' });
+    }
+    return quote;
+  }
+
+  // Quote a coupon for the basket, turning a rejection into a CheckoutError
+  async applyCoupon(couponCode, { customerId, vendorTotals, deliveryFee }) {
+    const quote = await couponService.quoteCoupon(couponCode, { customerId, vendorTotals, deliveryFee });
+    if (!quote.success) {
+      throw new CheckoutError(quote.message, 400, { couponCode });
+    }
+    return quote;
+  }
+
+  // Check a points redemption against the basket, turning a rejection into a CheckoutError
+  async applyPoints(customerId, pointsToRedeem, basketAmount) {
+    const quote = await loyaltyService.quoteRedemption(customerId, pointsToRedeem, basketAmount);
+    if (!quote.success) {
+      throw new CheckoutError(quote.message, 400, {
+        availablePoints: quote.availablePoints,
+        maxPoints: quote.maxPoints
+      });
+    }
+    return quote;
+  }
+
+  // Item amounts left for each vendor after the coupon, and the points value shared across them
+  splitPointsValue(pointsValue, vendorTotals, couponQuote) {
+    const netTotals = new Map([...vendorTotals].map(([vendorKey, total]) => (
+      [vendorKey, total - (couponQuote?.vendorDiscounts.get(vendorKey) || 0)]
+    )));
+    return couponService.splitDiscount(pointsValue, [...netTotals.keys()], netTotals);
+  }
+
+  // Create an order from the customer's cart. Stock reservation, order, per-vendor
+  // payments, coupon and points redemption and cart clearing either all commit
+  // together or not at all.
+  async createOrderFromCart(customerId, options) {
+    return this.runInTransaction(async (session) => {
+      const user = await User.findById(customerId)
+        .populate('cart.medicine')
+        .session(session);
+
+      if (!user) {
+        throw new CheckoutError('User not found', 404);
+      }
+
+      if (!user.cart || user.cart.length === 0) {
+        throw new CheckoutError('Cart is empty');
+      }
+
+      const order = await this.placeOrder(user, user.cart, options, session);
+
+      // Clear user cart
+      user.cart = [];
+      await user.save({ session });
+
+      return order;
+    });
+  }
+
+  // Create an order for a given list of { medicine, quantity } (e.g. a subscription
+  // renewal), through the same pipeline as a cart checkout
+  async createOrderForItems(customerId, items, options) {
+    return this.runInTransaction(async (session) => {
+      const user = await User.findById(customerId).session(session);
+      if (!user) {
+        throw new CheckoutError('User not found', 404);
+      }
+
+      if (!items || items.length === 0) {
+        throw new CheckoutError('No items to order');
+      }
+
+      const medicines = await Medicine.find({
+        _id: { $in: items.map(item => item.medicine) }
+      }).session(session);
+
+      const lineItems = items.map(item => ({
+        medicine: medicines.find(medicine => medicine._id.toString() === item.medicine.toString()) || null,
+        quantity: item.quantity
+      }));
+
+      return this.placeOrder(user, lineItems, options, session);
+    });
+  }
+
+  // Shared order pipeline: prescription check, stock reservation, delivery pricing,
+  // coupon and points, the order itself and one payment per vendor.
+  // lineItems are { medicine (document), quantity }; must run inside a transaction.
+  async placeOrder(user, lineItems, {
+    paymentMethod, shippingAddress, notes, prescriptionId, couponCode, pointsToRedeem, express = false, subscriptionId
+  }, session) {
+    const customerId = user._id;
+
+    const prescription = this.resolvePrescription(
+      user,
+      lineItems.map(lineItem => lineItem.medicine),
+      prescriptionId
+    );
+
+    const order = new Order({
+      customer: customerId,
+      paymentMethod,
+      shippingAddress,
+      notes,
+      prescription: prescription || undefined,
+      subscription: subscriptionId
+    });
+    order.trackingId = Order.generateTrackingId();
+
+    // Reserve stock for every item and snapshot the price
+    const orderItems = [];
+    const vendorPayments = new Map(); // Group items by vendor
+    let subtotal = 0;
+
+    for (const cartItem of lineItems) {
+      const medicine = cartItem.medicine;
+
+      if (!medicine || !medicine.isActive) {
+        throw new CheckoutError(
+          `Medicine ${medicine ? medicine.name : 'unknown'} is no longer available`,
+          400,
+          medicine ? { medicineId: medicine._id, requested: cartItem.quantity, available: 0 } : {}
+        );
+      }
+
+      // Taken first-expiry-first-out; the lots used are kept on the item
+      const reservedLots = await Medicine.reserveStock(
+        medicine._id,
+        cartItem.quantity,
+        `Order #${order.trackingId}`,
+        session,
+        { actor: customerId, actorRole: 'customer', reasonCode: 'sale', order: order._id }
+      );
+
+      if (!reservedLots) {
+        const current = await Medicine.findById(medicine._id).select('stockQuantity expiryDate lots').session(session);
+        const available = current ? current.getSellableQuantity() : 0;
+        throw new CheckoutError(
+          `Insufficient stock for ${medicine.name}. Only ${available} units available`,
+          400,
+          { medicineId: medicine._id, requested: cartItem.quantity, available }
+        );
+      }
+
+      const vendorId = medicine.vendorId;
+      orderItems.push({
+        medicine: medicine._id,
+        quantity: cartItem.quantity,
+        price: medicine.price,
+        vendor: vendorId,
+        prescriptionRequired: medicine.prescriptionRequired,
+        lots: reservedLots
+      });
+      subtotal += medicine.price * cartItem.quantity;
+
+      const vendorKey = vendorId.toString();
+      if (!vendorPayments.has(vendorKey)) {
+        vendorPayments.set(vendorKey, { vendorId, items: [], totalAmount: 0 });
+      }
+      const vendorData = vendorPayments.get(vendorKey);
+      vendorData.items.push({
+        medicine: medicine._id,
+        quantity: cartItem.quantity,
+        price: medicine.price
+      });
+      vendorData.totalAmount += medicine.price * cartItem.quantity;
+    }
+
+    // Calculate delivery fee and total
+    const deliveryQuote = await this.quoteDelivery({
+      subtotal,
+      shippingAddress,
+      vendorIds: [...vendorPayments.values()].map(vendorData => vendorData.vendorId),
+      customerCoordinates: user.address?.coordinates,
+      express
+    });
+    const deliveryFee = deliveryQuote.fee;
+
+    // Apply the coupon and points, if any; both are redeemed once the order is saved
+    const vendorTotals = new Map(
+      [...vendorPayments].map(([vendorKey, vendorData]) => [vendorKey, vendorData.totalAmount])
+    );
+
+    let couponQuote = null;
+    if (couponCode) {
+      couponQuote = await this.applyCoupon(couponCode, { customerId, vendorTotals, deliveryFee });
+      order.discount = couponQuote.totalDiscount;
+      order.coupon = couponService.toOrderCoupon(couponQuote);
+    }
+
+    let pointsQuote = null;
+    let vendorPointsValues = new Map();
+    if (pointsToRedeem) {
+      pointsQuote = await this.applyPoints(customerId, pointsToRedeem, subtotal - (couponQuote?.itemDiscount || 0));
+      order.pointsRedeemed = pointsQuote.points;
+      order.pointsValue = pointsQuote.amount;
+      vendorPointsValues = this.splitPointsValue(pointsQuote.amount, vendorTotals, couponQuote);
+    }
+
+    order.items = orderItems;
+    order.subtotal = subtotal;
+    order.deliveryFee = deliveryFee;
+    order.delivery = deliveryPricingService.toOrderDelivery(deliveryQuote);
+    order.total = subtotal + deliveryFee - order.discount - order.pointsValue;
+    order.estimatedDelivery = deliveryQuote.estimatedDelivery;
+    order.vendorId = orderItems[0].vendor; // Primary vendor for the order
+
+    await order.save({ session });
+
+    if (couponQuote) {
+      const redeemed = await couponService.redeemCoupon(couponQuote, { customerId, orderId: order._id }, session);
+      if (!redeemed) {
+        throw new CheckoutError('This coupon has just reached its usage limit', 400, { couponCode });
+      }
+    }
+
+    if (pointsQuote) {
+      const redeemed = await loyaltyService.redeemForOrder(customerId, pointsQuote, order, session);
+      if (!redeemed) {
+        throw new CheckoutError('Insufficient points');
+      }
+    }
+
+    // Create payment records for each vendor; completed when the order is delivered
+    for (const [vendorKey, vendorData] of vendorPayments) {
+      const vendorDiscount = couponQuote?.vendorDiscounts.get(vendorKey) || 0;
+      const vendorPointsValue = vendorPointsValues.get(vendorKey) || 0;
+      const payment = new Payment({
+        transactionId: `TXN_${order.trackingId}_${vendorKey}_${Date.now()}`,
+        userId: order.customer,
+        vendorId: vendorData.vendorId,
+        orderId: order._id,
+        amount: vendorData.totalAmount - vendorDiscount - vendorPointsValue,
+        discountAmount: vendorDiscount,
+        discountFundedBy: vendorDiscount > 0 ? couponQuote.coupon.fundedBy : null,
+        pointsDiscount: vendorPointsValue,
+        status: 'pending',
+        paymentMethod: getValidPaymentMethod(paymentMethod),
+        paymentDetails: {
+          trackingId: order.trackingId,
+          orderCreatedAt: order.createdAt,
+          items: vendorData.items
+        }
+        // vendorEarnings and medzyRevenue will be calculated by the pre-save hook
+      });
+
+      await payment.save({ session });
+    }
+
+    console.log(`✅ Order ${order.trackingId} committed with ${vendorPayments.size} vendor payment(s)`);
+
+    return order;
+  }
+}
+
+export default new OrderService();
@@ -0,0 +1,486 @@
+import Order from '../models/Order.js';
+import Medicine from '../models/Medicine.js';
+import Payment from '../models/Payment.js';
+import CustomerPoint from '../models/CustomerPoint.js';
+import orderService from './orderService.js';
+import notificationService from './notificationService.js';
+import paymentGatewayService from './paymentGatewayService.js';
+import couponService from './couponService.js';
+import loyaltyService from './loyaltyService.js';
+import { sendEmail } from './emailService.js';
+import { escapeHtml } from '../utils/html.js';
+
+// Raised when a status change is not allowed; carries the HTTP status for the route
+export class OrderTransitionError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'OrderTransitionError';
+    this.statusCode = statusCode;
+  }
+}
+
+const FULFILMENT_ROLES = ['pharmacy_vendor', 'admin'];
+
+// Allowed status moves and the actor roles that may make each of them.
+// delivered and cancelled are terminal.
+export const ORDER_TRANSITIONS = {
+  pending: {
+    confirmed: [...FULFILMENT_ROLES, 'system'],
+    cancelled: ['customer', ...FULFILMENT_ROLES, 'system']
+  },
+  confirmed: {
+    processing: FULFILMENT_ROLES,
+    cancelled: [...FULFILMENT_ROLES, 'system']
+  },
+  processing: {
+    shipped: FULFILMENT_ROLES,
+    cancelled: FULFILMENT_ROLES
+  },
+  shipped: {
+    delivered: [...FULFILMENT_ROLES, 'system']
+  },
+  delivered: {},
+  cancelled: {}
+};
+
+// Payment methods settled at the door; nothing to refund when these are cancelled
+const OFFLINE_PAYMENT_METHODS = ['cash', 'cash_on_delivery'];
+
+const STATUS_MESSAGES = {
+  confirmed: 'has been confirmed by the pharmacy',
+  processing: 'is being prepared',
+  shipped: 'is on its way',
+  delivered: 'has been delivered',
+  cancelled: 'has been cancelled'
+};
+
+class OrderStatusService {
+  constructor() {
+    // Checks that can veto a move, keyed by the status entered
+    this.transitionGuards = new Map();
+    // Side effects run inside the transaction, keyed by the status entered
+    this.transitionHooks = new Map();
+    // Side effects run once the change is committed (notifications)
+    this.afterCommitHooks = [];
+
+    this.guardTransition('confirmed', (context) => this.requireApprovedPrescription(context));
+
+    this.onTransition('cancelled', (context) => this.restockShipment(context));
+    this.onTransition('cancelled', (context) => this.voidShipmentPayments(context));
+    this.onTransition('cancelled', (context) => this.returnRedeemedPoints(context));
+    this.onTransition('cancelled', (context) => this.releaseOrderCoupon(context));
+    this.onTransition('delivered', (context) => this.completeShipmentPayment(context));
+    this.onTransition('delivered', (context) => this.awardLoyaltyPoints(context));
+    this.afterCommit((context) => this.refundOnlinePayments(context));
+    this.afterCommit((context) => this.notifyCustomer(context));
+  }
+
+  // Register a check that runs before a shipment enters the given status;
+  // it should throw an OrderTransitionError to block the move
+  guardTransition(status, guard) {
+    if (!this.transitionGuards.has(status)) {
+      this.transitionGuards.set(status, []);
+    }
+    this.transitionGuards.get(status).push(guard);
+  }
+
+  // Register a hook that runs when a shipment enters the given status
+  onTransition(status, handler) {
+    if (!this.transitionHooks.has(status)) {
+      this.transitionHooks.set(status, []);
+    }
+    this.transitionHooks.get(status).push(handler);
+  }
+
+  // Register a hook that runs after any committed status change
+  afterCommit(handler) {
+    this.afterCommitHooks.push(handler);
+  }
+
+  canTransition(fromStatus, toStatus, role) {
+    const allowedRoles = ORDER_TRANSITIONS[fromStatus]?.[toStatus];
+    return Boolean(allowedRoles && allowedRoles.includes(role));
+  }
+
+  assertTransition(fromStatus, toStatus, role) {
+    if (!ORDER_TRANSITIONS[toStatus]) {
+      throw new OrderTransitionError('Invalid status');
+    }
+
+    const allowedRoles = ORDER_TRANSITIONS[fromStatus]?.[toStatus];
+    if (!allowedRoles) {
+      throw new OrderTransitionError(`Cannot change status from ${fromStatus} to ${toStatus}`);
+    }
+
+    if (!allowedRoles.includes(role)) {
+      throw new OrderTransitionError(`You are not allowed to change status from ${fromStatus} to ${toStatus}`, 403);
+    }
+  }
+
+  // Move one vendor's shipment to a new status
+  async updateShipmentStatus({ orderId, vendorId, toStatus, actor, note, filter = {} }) {
+    const transitions = await orderService.runInTransaction(async (session) => {
+      const order = await this.loadOrder(orderId, filter, session);
+      const shipment = order.getShipment(vendorId);
+
+      if (!shipment) {
+        throw new OrderTransitionError('You can only update orders containing your medicines', 403);
+      }
+
+      const transition = await this.applyTransition(order, shipment, toStatus, { actor, note, session });
+      await order.save({ session });
+      return [transition];
+    });
+
+    await this.runAfterCommitHooks(transitions);
+    return transitions[0];
+  }
+
+  // Move every active shipment of an order to a new status (e.g. customer cancellation)
+  async updateOrderStatus({ orderId, toStatus, actor, note, filter = {} }) {
+    const transitions = await orderService.runInTransaction(async (session) => {
+      const order = await this.loadOrder(orderId, filter, session);
+      const activeShipments = order.shipments.filter(shipment => shipment.status !== 'cancelled');
+
+      if (activeShipments.length === 0) {
+        throw new OrderTransitionError(`Order cannot be moved to ${toStatus}`);
+      }
+
+      // Validate every shipment before touching any of them
+      activeShipments.forEach(shipment => this.assertTransition(shipment.status, toStatus, actor.role));
+
+      const results = [];
+      for (const shipment of activeShipments) {
+        results.push(await this.applyTransition(order, shipment, toStatus, { actor, note, session }));
+      }
+
+      await order.save({ session });
+      return results;
+    });
+
+    await this.runAfterCommitHooks(transitions);
+    return transitions;
+  }
+
+  // Record a pharmacist's decision on a shipment's prescription. A rejection
+  // cancels the shipment in the same transaction.
+  async reviewPrescription({ orderId, vendorId, decision, actor, pharmacistName, notes }) {
+    if (!['approved', 'rejected'].includes(decision)) {
+      throw new OrderTransitionError('Decision must be either approved or rejected');
+    }
+
+    const result = await orderService.runInTransaction(async (session) => {
+      const order = await this.loadOrder(orderId, {}, session);
+      const shipment = order.getShipment(vendorId);
+
+      if (!shipment) {
+        throw new OrderTransitionError('You can only review orders containing your medicines', 403);
+      }
+
+      const review = shipment.prescriptionReview;
+      if (!review?.required) {
+        throw new OrderTransitionError('This order does not need a prescription review');
+      }
+
+      if (review.status !== 'pending') {
+        throw new OrderTransitionError(`Prescription has already been ${review.status}`);
+      }
+
+      review.status = decision;
+      review.reviewedBy = actor.id;
+      review.reviewedAt = new Date();
+      review.pharmacistName = pharmacistName;
+      review.notes = notes;
+
+      const transitions = [];
+      if (decision === 'rejected') {
+        transitions.push(await this.applyTransition(order, shipment, 'cancelled', {
+          actor,
+          note: `Prescription rejected${notes ? `: ${notes}` : ''}`,
+          session
+        }));
+      }
+
+      await order.save({ session });
+      return { order, shipment, transitions };
+    });
+
+    console.log(`🩺 Prescription for shipment ${result.shipment.trackingId} ${decision} by ${actor.id}`);
+    await this.runAfterCommitHooks(result.transitions);
+    return result;
+  }
+
+  async loadOrder(orderId, filter, session) {
+    const order = await Order.findOne({ _id: orderId, ...filter }).session(session);
+    if (!order) {
+      throw new OrderTransitionError('Order not found', 404);
+    }
+
+    order.ensureShipments();
+    return order;
+  }
+
+  // Validate the move, record who made it and run the hooks for the new status
+  async applyTransition(order, shipment, toStatus, { actor, note, session }) {
+    const fromStatus = shipment.status;
+    this.assertTransition(fromStatus, toStatus, actor.role);
+
+    for (const guard of this.transitionGuards.get(toStatus) || []) {
+      await guard({ order, shipment, fromStatus, toStatus, actor, session });
+    }
+
+    shipment.status = toStatus;
+    shipment.statusHistory.push({
+      status: toStatus,
+      timestamp: new Date(),
+      note: note || `Status updated to ${toStatus}`,
+      updatedBy: actor.id || undefined,
+      actorRole: actor.role
+    });
+
+    const context = { order, shipment, fromStatus, toStatus, actor, note, session };
+    for (const hook of this.transitionHooks.get(toStatus) || []) {
+      await hook(context);
+    }
+
+    console.log(`🔄 Shipment ${shipment.trackingId} moved ${fromStatus} → ${toStatus} by ${actor.role} ${actor.id || ''}`);
+    return context;
+  }
+
+  async runAfterCommitHooks(transitions) {
+    for (const context of transitions) {
+      for (const hook of this.afterCommitHooks) {
+        try {
+          await hook(context);
+        } catch (error) {
+          // The status change is committed; a failed side effect must not undo it
+          console.error('❌ Order status after-commit hook failed:', error);
+        }
+      }
+    }
+  }
+
+  // ================= BUILT-IN HOOKS =================
+
+  // Prescription-only items can only be confirmed once a pharmacist approved the prescription
+  async requireApprovedPrescription({ shipment }) {
+    const review = shipment.prescriptionReview;
+    if (review?.required && review.status !== 'approved') {
+      throw new OrderTransitionError('The prescription must be approved by a pharmacist before this order can be confirmed');
+    }
+  }
+
+  // Return the shipment's items to stock, into the lots they were taken from. Orders placed
+  // before lots were recorded took their stock through updateStock, so it goes back the same way.
+  async restockShipment({ order, shipment, actor, session }) {
+    const context = { actor: actor.id || null, actorRole: actor.role, reasonCode: 'order_cancellation', order: order._id };
+
+    for (const item of order.getVendorItems(shipment.vendor)) {
+      const medicineId = item.medicine._id || item.medicine;
+      const reason = `Order cancellation #${order.trackingId}`;
+
+      if (item.lots?.length > 0) {
+        await Medicine.releaseStock(medicineId, item.lots, reason, session, context);
+        continue;
+      }
+
+      const medicine = await Medicine.findById(medicineId).session(session);
+      if (medicine) {
+        await medicine.updateStock(item.quantity, 'in', reason, context);
+      }
+    }
+  }
+
+  // Void the vendor's unpaid payments, so a late gateway success cannot complete them (it is
+  // refunded instead); collect paid online ones for a gateway refund
+  async voidShipmentPayments(context) {
+    const { order, shipment, session } = context;
+    const payments = await Payment.find({
+      orderId: order._id,
+      vendorId: shipment.vendor,
+      status: { $in: ['pending', 'failed', 'cancelled', 'completed'] }
+    }).session(session);
+
+    context.refundPaymentIds = [];
+    for (const payment of payments) {
+      if (payment.status !== 'completed') {
+        payment.status = 'voided';
+        await payment.save({ session });
+        console.log(`🚫 Payment ${payment.transactionId} voided for cancelled shipment ${shipment.trackingId}`);
+      } else if (!OFFLINE_PAYMENT_METHODS.includes(payment.paymentMethod)) {
+        context.refundPaymentIds.push(payment._id);
+      }
+    }
+  }
+
+  // Give back the loyalty points spent on the order once all of it is cancelled
+  async returnRedeemedPoints({ order, session }) {
+    if (order.rollUpStatus() !== 'cancelled') {
+      return;
+    }
+
+    const customerPoints = await CustomerPoint.findOne({ customerId: order.customer }).session(session);
+    if (!customerPoints) {
+      return;
+    }
+
+    const returnedPoints = await customerPoints.returnOrderPoints(
+      order._id,
+      `Points returned for cancelled order #${order.trackingId}`,
+      { session }
+    );
+    if (returnedPoints > 0) {
+      console.log(`🎁 Returned ${returnedPoints} points to customer ${order.customer} for order ${order.trackingId}`);
+    }
+  }
+
+  // Give the coupon use back once all of the order is cancelled
+  async releaseOrderCoupon({ order, session }) {
+    if (order.rollUpStatus() !== 'cancelled' || !order.coupon?.couponId) {
+      return;
+    }
+
+    await couponService.releaseCoupon(order.coupon.couponId, order._id, session);
+  }
+
+  // Complete the vendor's payment once their shipment is delivered
+  async completeShipmentPayment({ order, shipment, session }) {
+    shipment.deliveredAt = new Date();
+
+    // A retried online checkout leaves voided payments behind; the live one is the newest
+    let payment = await Payment.findOne({
+      orderId: order._id,
+      vendorId: shipment.vendor,
+      status: { $nin: ['voided', 'refunded'] }
+    }).sort({ createdAt: -1 }).session(session);
+
+    if (!payment) {
+      console.log(`⚠️ No payment found for order ${order._id} and vendor ${shipment.vendor}, creating one`);
+      const vendorAmount = order.getVendorItems(shipment.vendor)
+        .reduce((total, item) => total + (item.price * item.quantity), 0);
+
+      if (vendorAmount <= 0) {
+        return;
+      }
+
+      payment = new Payment({
+        transactionId: `TXN_${order.trackingId}_${shipment.vendor}_${Date.now()}`,
+        userId: order.customer,
+        vendorId: shipment.vendor,
+        orderId: order._id,
+        amount: vendorAmount,
+        paymentMethod: order.paymentMethod === 'cash_on_delivery' ? 'cash' : order.paymentMethod || 'cash',
+        paymentDetails: {
+          trackingId: order.trackingId
+        }
+        // vendorEarnings and medzyRevenue will be calculated by the pre-save hook
+      });
+    }
+
+    if (payment.status !== 'completed') {
+      payment.status = 'completed';
+      payment.paymentDetails = {
+        ...payment.paymentDetails,
+        deliveredAt: shipment.deliveredAt,
+        completedAt: new Date()
+      };
+      await payment.save({ session });
+      console.log(`💰 Payment ${payment.transactionId} completed for delivered shipment ${shipment.trackingId}`);
+    }
+
+    // Order is paid once no vendor payment is left pending
+    const pendingPayments = await Payment.countDocuments({
+      orderId: order._id,
+      status: 'pending'
+    }).session(session);
+    if (pendingPayments === 0) {
+      order.paymentStatus = 'paid';
+    }
+  }
+
+  // Credit loyalty points once every active shipment of the order is delivered
+  async awardLoyaltyPoints({ order, session }) {
+    if (order.rollUpStatus() !== 'delivered') {
+      return;
+    }
+
+    await loyaltyService.awardForDeliveredOrder(order, session);
+  }
+
+  // Start gateway refunds for online payments of a cancelled shipment. Runs after
+  // commit because the gateway call cannot be rolled back with the transaction.
+  async refundOnlinePayments({ order, toStatus, note, refundPaymentIds = [] }) {
+    if (toStatus !== 'cancelled' || refundPaymentIds.length === 0) {
+      return;
+    }
+
+    for (const paymentId of refundPaymentIds) {
+      const payment = await Payment.findById(paymentId);
+      if (!payment || payment.status !== 'completed') continue;
+
+      const refundResult = await paymentGatewayService.refundPayment(payment, {
+        reason: note || `Order #${order.trackingId} cancelled`
+      });
+
+      if (!refundResult.success) {
+        // Left as completed so an admin can refund it manually
+        console.error(`❌ Automatic refund failed for payment ${payment.transactionId}:`, refundResult.error);
+        continue;
+      }
+
+      payment.status = 'refunded';
+      payment.refundDetails = {
+        refundAmount: refundResult.data.amount,
+        refundReason: note || 'Order cancelled',
+        refundDate: new Date(),
+        refundTrxID: refundResult.data.refundTrxID,
+        refundMethod: payment.paymentMethod
+      };
+      await payment.save();
+      console.log(`↩️ Payment ${payment.transactionId} refunded through ${payment.paymentMethod}`);
+    }
+
+    // Order is refunded once none of its payments still hold the customer's money
+    const heldPayments = await Payment.countDocuments({ orderId: order._id, status: 'completed' });
+    if (heldPayments === 0 && order.paymentStatus === 'paid') {
+      await Order.updateOne({ _id: order._id }, { $set: { paymentStatus: 'refunded' } });
+    }
+  }
+
+  // Tell the customer about the change by push and email
+  async notifyCustomer({ order, shipment, toStatus, note }) {
+    const message = STATUS_MESSAGES[toStatus];
+    if (!message) return;
+
+    const title = `Order ${order.trackingId} update`;
+    const body = `Your shipment ${shipment.trackingId} ${message}.`;
+
+    await notificationService.sendPushNotification({ _id: order.customer }, {
+      title,
+      body,
+      data: {
+        orderId: order._id.toString(),
+        trackingId: shipment.trackingId,
+        status: toStatus
+      }
+    });
+
+    if (order.shippingAddress?.email) {
+      await sendEmail({
+        to: order.shippingAddress.email,
+        subject: title,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #2563eb;">📦 ${title}</h2>
+            <p>Hi ${escapeHtml(order.shippingAddress.fullName)},</p>
+            <p>${body}</p>
+            ${note ? `<p><strong>Note:</strong> ${escapeHtml(note)}</p>` : ''}
+            <p style="color: #6b7280; font-size: 14px;">Track your order any time with tracking ID <strong>${order.trackingId}</strong>.</p>
+          </div>
+        `
+      });
+    }
+  }
+}
+
+export default new OrderStatusService();
@@ -0,0 +1,138 @@
+// Loaded on demand so the bKash SDK is only needed when bKash is used
+const loadBkashService = async () => (await import('../bkashService.js')).default;
+
+// bKash redirects the customer back with ?paymentID=...&status=success|failure|cancel
+const CALLBACK_OUTCOMES = { success: 'success', failure: 'failed', cancel: 'cancelled' };
+
+const TRANSACTION_STATUSES = {
+  Completed: 'completed',
+  Initiated: 'pending',
+  Pending: 'pending',
+  Failed: 'failed',
+  Cancelled: 'cancelled',
+  Expired: 'cancelled'
+};
+
+const STATUS_OUTCOMES = { completed: 'success', pending: 'pending', failed: 'failed', cancelled: 'cancelled' };
+
+// Webhook bodies are signed with HMAC-SHA256 of the raw body, keyed with BKASH_WEBHOOK_SECRET
+export const BKASH_SIGNATURE_HEADER = 'x-bkash-signature';
+
+export default class BkashProvider {
+  constructor() {
+    this.name = 'bkash';
+  }
+
+  async createPayment({ amount, orderId, customer }) {
+    const bkashService = await loadBkashService();
+    const transactionId = `BKASH_${orderId}_${Date.now()}`;
+    const result = await bkashService.createPayment(amount, transactionId, customer);
+
+    if (!result.success) {
+      throw new Error(result.message || 'Failed to create bKash payment');
+    }
+
+    return {
+      transactionId,
+      paymentId: result.paymentID,
+      redirectUrl: result.bkashURL,
+      details: { bkashPaymentID: result.paymentID }
+    };
+  }
+
+  // A payment only moves money once it is executed after the customer approves it
+  async verifyPayment(payment) {
+    const paymentID = payment.paymentDetails?.bkashPaymentID;
+    if (!paymentID) {
+      throw new Error('Missing bKash payment ID');
+    }
+
+    const bkashService = await loadBkashService();
+    const result = await bkashService.executePayment(paymentID);
+    if (result.success) {
+      return { status: 'completed', details: this.paymentDetails(result) };
+    }
+
+    // Executing twice fails, so fall back to what bKash has on record
+    const query = await this.queryPayment(payment);
+    if (query.status === 'completed') {
+      return query;
+    }
+    return { status: 'failed', reason: result.message || 'bKash payment was not completed', details: query.details };
+  }
+
+  async queryPayment(payment) {
+    const paymentID = payment.paymentDetails?.bkashPaymentID;
+    if (!paymentID) {
+      throw new Error('Missing bKash payment ID');
+    }
+
+    const bkashService = await loadBkashService();
+    const result = await bkashService.queryPayment(paymentID);
+    if (!result.success) {
+      throw new Error(result.message || 'bKash payment query failed');
+    }
+
+    return {
+      status: TRANSACTION_STATUSES[result.data?.transactionStatus] || 'pending',
+      details: this.paymentDetails(result.data)
+    };
+  }
+
+  async refundPayment(payment, { amount }) {
+    if (!payment.paymentDetails?.bkashPaymentID) {
+      throw new Error('Missing bKash payment ID');
+    }
+
+    const bkashService = await loadBkashService();
+    const refund = await bkashService.refundTransaction({
+      paymentID: payment.paymentDetails.bkashPaymentID,
+      trxID: payment.paymentDetails.bkashTransactionID,
+      amount,
+      sku: 'MEDZY_REFUND'
+    });
+
+    if (!refund.success) {
+      throw new Error(refund.message || 'bKash refund failed');
+    }
+    return { refundTrxID: refund.refundTrxID, currency: refund.currency, transactionStatus: refund.transactionStatus };
+  }
+
+  async checkRefundStatus(paymentID, trxID) {
+    const bkashService = await loadBkashService();
+    return bkashService.checkRefundStatus(paymentID, trxID);
+  }
+
+  // Both name the payment by bKash's paymentID, not our transaction id. The customer's
+  // callback is an unsigned redirect (the payment is executed server-side before it counts);
+  // webhook posts carry a transactionStatus and must be signed.
+  async parseWebhook({ body = {}, query = {}, headers = {}, rawBody }, outcome) {
+    const isWebhook = Object.keys(body).length > 0;
+    const fields = isWebhook ? body : query;
+
+    let signatureValid;
+    if (isWebhook) {
+      const bkashService = await loadBkashService();
+      signatureValid = bkashService.verifyWebhookSignature(rawBody ?? '', headers[BKASH_SIGNATURE_HEADER]);
+    }
+
+    return {
+      gatewayPaymentId: fields.paymentID,
+      outcome: CALLBACK_OUTCOMES[fields.status] || STATUS_OUTCOMES[TRANSACTION_STATUSES[fields.transactionStatus]] || outcome || 'failed',
+      amount: fields.amount,
+      reason: fields.statusMessage,
+      signatureValid,
+      details: this.paymentDetails(fields),
+      raw: fields
+    };
+  }
+
+  paymentDetails(result = {}) {
+    return {
+      bkashPaymentID: result.paymentID,
+      bkashTransactionID: result.trxID,
+      customerMsisdn: result.customerMsisdn,
+      paymentExecuteTime: result.paymentExecuteTime
+    };
+  }
+}
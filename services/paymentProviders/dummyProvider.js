@@ -0,0 +1,35 @@
+// In-process test gateway: no redirect, and the payment settles when it is verified.
+// Pass { simulateFailure: true } to the verification to have it declined.
+export default class DummyProvider {
+  constructor() {
+    this.name = 'dummy';
+  }
+
+  get enabled() {
+    return process.env.NODE_ENV !== 'production';
+  }
+
+  async createPayment({ orderId }) {
+    const transactionId = `DUMMY_${orderId}_${Date.now()}`;
+    return { transactionId, paymentId: transactionId, redirectUrl: null, details: {} };
+  }
+
+  async verifyPayment(payment, { simulateFailure } = {}) {
+    if (simulateFailure === true || simulateFailure === 'true') {
+      return { status: 'failed', reason: 'Payment was declined by the bank' };
+    }
+    return { status: 'completed', details: { gatewayValidationId: `DUMMY_VAL_${Date.now()}` } };
+  }
+
+  async queryPayment(payment) {
+    return { status: payment.status, details: {} };
+  }
+
+  async refundPayment() {
+    return { refundTrxID: `DUMMY_REFUND_${Date.now()}` };
+  }
+
+  parseWebhook() {
+    throw new Error('The dummy gateway does not send notifications');
+  }
+}
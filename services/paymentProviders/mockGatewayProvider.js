@@ -0,0 +1,144 @@
+import crypto from 'crypto';
+import axios from 'axios';
+
+const STATUS_MAP = {
+  VALID: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  PENDING: 'pending'
+};
+
+const OUTCOMES = { completed: 'success', failed: 'failed', cancelled: 'cancelled' };
+
+// HMAC over the fields named in verify_key, the way the mock gateway signs its callbacks
+export const signMockGatewayFields = (fields, secret = process.env.MOCK_GATEWAY_SECRET || 'medzy_mock_gateway_secret') => {
+  const keys = Object.keys(fields).filter(key => key !== 'verify_sign' && key !== 'verify_key').sort();
+  const payload = keys.map(key => `${key}=${fields[key] ?? ''}`).join('&');
+  return {
+    verify_key: keys.join(','),
+    verify_sign: crypto.createHmac('sha256', secret).update(payload).digest('hex')
+  };
+};
+
+const hasValidSignature = (fields) => {
+  if (!fields.verify_sign || !fields.verify_key) return false;
+  const signed = Object.fromEntries(fields.verify_key.split(',').map(key => [key, fields[key]]));
+  const expected = signMockGatewayFields(signed).verify_sign;
+  return expected.length === fields.verify_sign.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(fields.verify_sign));
+};
+
+// Talks to the local mock gateway (npm run mock:gateway), which behaves like a hosted
+// checkout: redirect, customer choice, IPN, validation, query and refund. Nagad and
+// Rocket have no merchant integration yet and use it too. Never enabled in production
+// unless MOCK_GATEWAY_URL is set explicitly.
+export default class MockGatewayProvider {
+  constructor(name = 'mock') {
+    this.name = name;
+  }
+
+  get baseUrl() {
+    return (process.env.MOCK_GATEWAY_URL || 'http://localhost:5055').replace(/\/$/, '');
+  }
+
+  get enabled() {
+    return process.env.NODE_ENV !== 'production' || Boolean(process.env.MOCK_GATEWAY_URL);
+  }
+
+  async request(method, path, data) {
+    try {
+      const response = await axios({ method, url: `${this.baseUrl}${path}`, data, timeout: 10000 });
+      return response.data;
+    } catch (error) {
+      const reason = error.response?.data?.failedreason || error.message;
+      throw new Error(`Mock gateway (${this.name}): ${reason}`);
+    }
+  }
+
+  async createPayment({ amount, currency, orderId, customer = {} }) {
+    const backendUrl = process.env.BACKEND_URL || 'http://localhost:5000';
+    const callbackBase = `${backendUrl}/api/payments/${this.name}`;
+    const transactionId = `${this.name.toUpperCase()}_${orderId}_${Date.now()}`;
+
+    const session = await this.request('post', '/api/v1/sessions', {
+      tran_id: transactionId,
+      amount,
+      currency,
+      gateway: this.name,
+      success_url: `${callbackBase}/success`,
+      fail_url: `${callbackBase}/fail`,
+      cancel_url: `${callbackBase}/cancel`,
+      ipn_url: `${callbackBase}/ipn`,
+      cus_name: customer.name,
+      cus_email: customer.email,
+      value_a: orderId,
+      value_b: process.env.FRONTEND_URL || 'http://localhost:5173'
+    });
+
+    return {
+      transactionId,
+      paymentId: session.sessionkey,
+      redirectUrl: session.GatewayPageURL,
+      details: { sessionkey: session.sessionkey }
+    };
+  }
+
+  async verifyPayment(payment, { validationId } = {}) {
+    if (!validationId) {
+      return this.queryPayment(payment);
+    }
+
+    const validation = await this.request('get', `/api/v1/validate?val_id=${encodeURIComponent(validationId)}`);
+    if (validation.status !== 'VALID') {
+      return { status: 'failed', reason: `Mock gateway validation returned ${validation.status}` };
+    }
+    if (validation.tran_id !== payment.transactionId) {
+      return { status: 'failed', reason: 'Validation belongs to another transaction' };
+    }
+    if (Math.abs(parseFloat(validation.amount) - payment.amount) > 0.01) {
+      return { status: 'failed', reason: `Paid amount ${validation.amount} does not match ${payment.amount}` };
+    }
+    return { status: 'completed', details: this.paymentDetails(validation) };
+  }
+
+  async queryPayment(payment) {
+    const transaction = await this.request('get', `/api/v1/transactions/${encodeURIComponent(payment.transactionId)}`);
+    return { status: STATUS_MAP[transaction.status] || 'pending', details: this.paymentDetails(transaction) };
+  }
+
+  async refundPayment(payment, { amount, reason }) {
+    const refund = await this.request('post', '/api/v1/refunds', {
+      tran_id: payment.transactionId,
+      amount,
+      reason
+    });
+    return { refundTrxID: refund.refund_ref_id };
+  }
+
+  // signatureValid is false for unsigned or tampered callbacks, which must be ignored
+  parseWebhook({ body = {}, query = {} }, outcome) {
+    const fields = Object.keys(body).length > 0 ? body : query;
+    const signatureValid = hasValidSignature(fields);
+    const status = STATUS_MAP[fields.status];
+
+    return {
+      transactionId: fields.tran_id,
+      outcome: OUTCOMES[status] || outcome || 'failed',
+      validationId: fields.val_id,
+      amount: fields.amount,
+      orderId: fields.value_a,
+      frontendUrl: fields.value_b,
+      reason: fields.failedreason,
+      signatureValid,
+      details: this.paymentDetails(fields),
+      raw: fields
+    };
+  }
+
+  paymentDetails(fields = {}) {
+    return {
+      gatewayValidationId: fields.val_id,
+      sslCardType: fields.card_type
+    };
+  }
+}
@@ -0,0 +1,224 @@
+import crypto from 'crypto';
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const SSLCommerzPayment = require('sslcommerz-lts');
+
+// Gateway statuses, as sent in callbacks and returned by the validation and query APIs
+const STATUS_MAP = {
+  VALID: 'completed',
+  VALIDATED: 'completed',
+  SUCCESS: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  UNATTEMPTED: 'cancelled',
+  EXPIRED: 'cancelled',
+  PENDING: 'pending'
+};
+
+const OUTCOMES = { completed: 'success', failed: 'failed', cancelled: 'cancelled' };
+
+const md5 = (value) => crypto.createHash('md5').update(value).digest('hex');
+
+export default class SSLCommerzProvider {
+  constructor() {
+    this.name = 'sslcommerz';
+    this.config = {
+      store_id: process.env.SSLCOMMERZ_STORE_ID || 'test_store',
+      store_passwd: process.env.SSLCOMMERZ_STORE_PASSWORD || 'test_password',
+      is_live: process.env.NODE_ENV === 'production' // true for live, false for sandbox
+    };
+  }
+
+  // Placeholder credentials: payments go to the frontend's demo checkout instead
+  get isDemo() {
+    return this.config.store_id === 'test_store';
+  }
+
+  client() {
+    return new SSLCommerzPayment(this.config.store_id, this.config.store_passwd, this.config.is_live);
+  }
+
+  async createPayment({ amount, currency, orderId, customer = {} }) {
+    const tranId = `SSL_${orderId}_${Date.now()}`;
+
+    // Use backend callback URLs for better transaction handling
+    const backendUrl = process.env.BACKEND_URL || 'http://localhost:5000';
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+    if (this.isDemo) {
+      console.log('⚠️ Using SSLCommerz demo/test credentials - returning simulated response');
+      const sessionkey = `DEMO_SSL_${Date.now()}`;
+      return {
+        transactionId: tranId,
+        paymentId: sessionkey,
+        redirectUrl: `${frontendUrl}/payment/demo-sslcommerz?amount=${amount}&orderId=${orderId}`,
+        details: { sessionkey, isDemo: true }
+      };
+    }
+
+    const data = {
+      total_amount: amount,
+      currency,
+      tran_id: tranId, // use unique tran_id for each api call
+      success_url: `${backendUrl}/api/payments/sslcommerz/success`,
+      fail_url: `${backendUrl}/api/payments/sslcommerz/fail`,
+      cancel_url: `${backendUrl}/api/payments/sslcommerz/cancel`,
+      ipn_url: `${backendUrl}/api/payments/sslcommerz/ipn`,
+      shipping_method: 'Courier',
+      product_name: 'Medicine Order',
+      product_category: 'Healthcare',
+      product_profile: 'general',
+      cus_name: customer.name,
+      cus_email: customer.email,
+      cus_add1: customer.address || 'Dhaka',
+      cus_add2: 'Dhaka',
+      cus_city: customer.city || 'Dhaka',
+      cus_state: customer.city || 'Dhaka',
+      cus_postcode: customer.postcode || '1000',
+      cus_country: 'Bangladesh',
+      cus_phone: customer.phone,
+      cus_fax: customer.phone,
+      ship_name: customer.name,
+      ship_add1: customer.address || 'Dhaka',
+      ship_add2: 'Dhaka',
+      ship_city: customer.city || 'Dhaka',
+      ship_state: customer.city || 'Dhaka',
+      ship_postcode: customer.postcode || '1000',
+      ship_country: 'Bangladesh',
+      multi_card_name: 'mastercard,visacard,amexcard',
+      value_a: orderId, // Store order ID for callback reference
+      value_b: frontendUrl, // Store frontend URL for proper redirection
+      value_c: 'medzy_payment',
+      value_d: new Date().toISOString(),
+      // Disable EMI to prevent API errors
+      emi_option: 0,
+      emi_max_inst_option: 0,
+      emi_selected_inst: 0,
+      emi_allow_only: 0,
+      integration_check: 0
+    };
+
+    console.log('🚀 Initializing SSLCommerz payment...', { store_id: this.config.store_id, is_live: this.config.is_live });
+    const apiResponse = await this.client().init(data);
+
+    if (!apiResponse?.GatewayPageURL) {
+      console.error('❌ SSLCommerz API did not return GatewayPageURL:', apiResponse);
+      throw new Error(apiResponse?.failedreason || 'Failed to initialize SSLCommerz payment - no GatewayPageURL received');
+    }
+
+    return {
+      transactionId: tranId,
+      paymentId: apiResponse.sessionkey,
+      redirectUrl: apiResponse.GatewayPageURL,
+      details: { sessionkey: apiResponse.sessionkey }
+    };
+  }
+
+  // Validates the val_id SSLCommerz sent back; without one, asks for the transaction's status
+  async verifyPayment(payment, { validationId } = {}) {
+    if (this.isDemo) {
+      return { status: 'completed', details: { demo: true } };
+    }
+    if (!validationId) {
+      return this.queryPayment(payment);
+    }
+
+    const validation = await this.client().validate({ val_id: validationId });
+    const status = STATUS_MAP[validation?.status] || 'failed';
+
+    if (status === 'completed') {
+      if (validation.tran_id !== payment.transactionId) {
+        return { status: 'failed', reason: 'Validation belongs to another transaction' };
+      }
+      if (Math.abs(parseFloat(validation.amount) - payment.amount) > 0.01) {
+        return { status: 'failed', reason: `Paid amount ${validation.amount} does not match ${payment.amount}` };
+      }
+    }
+
+    return {
+      status,
+      reason: status === 'completed' ? undefined : `SSLCommerz validation returned ${validation?.status}`,
+      details: this.paymentDetails(validation)
+    };
+  }
+
+  async queryPayment(payment) {
+    const result = await this.client().transactionQueryByTransactionId({ tran_id: payment.transactionId });
+    // Retries leave several attempts under one tran_id; any valid one means it was paid
+    const attempts = result?.element || [];
+    const paid = attempts.find(attempt => STATUS_MAP[attempt.status] === 'completed');
+    const latest = paid || attempts[0];
+
+    if (!latest) {
+      return { status: 'pending', details: {} };
+    }
+    return { status: STATUS_MAP[latest.status] || 'pending', details: this.paymentDetails(latest) };
+  }
+
+  async refundPayment(payment, { amount, reason }) {
+    if (!payment.paymentDetails?.sslBankTransactionId) {
+      throw new Error('Missing SSLCommerz bank transaction ID');
+    }
+
+    const refund = await this.client().initiateRefund({
+      refund_amount: amount,
+      refund_remarks: encodeURIComponent(reason),
+      bank_tran_id: payment.paymentDetails.sslBankTransactionId,
+      refe_id: payment.transactionId
+    });
+
+    if (refund?.status !== 'success') {
+      throw new Error(refund?.errorReason || 'SSLCommerz refund was not accepted');
+    }
+    return { refundTrxID: refund.refund_ref_id };
+  }
+
+  // SSLCommerz signs callbacks and IPNs: verify_sign is the md5 of the fields listed in
+  // verify_key plus md5(store_passwd), sorted by name and joined as key=value&...
+  hasValidSignature(fields) {
+    if (!fields.verify_sign || !fields.verify_key) return false;
+
+    const signed = Object.fromEntries(fields.verify_key.split(',').map(key => [key, fields[key] ?? '']));
+    signed.store_passwd = md5(this.config.store_passwd);
+    const expected = md5(Object.keys(signed).sort().map(key => `${key}=${signed[key]}`).join('&'));
+
+    return expected.length === String(fields.verify_sign).length &&
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(fields.verify_sign)));
+  }
+
+  // Callbacks come as form posts (or a query string when the browser falls back to GET).
+  // Demo checkouts are posted by our own frontend and carry no signature.
+  parseWebhook({ body = {}, query = {} }, outcome) {
+    const fields = Object.keys(body).length > 0 ? body : query;
+    const status = STATUS_MAP[fields.status];
+
+    return {
+      transactionId: fields.tran_id,
+      outcome: OUTCOMES[status] || outcome || 'failed',
+      validationId: fields.val_id,
+      amount: fields.amount,
+      orderId: fields.value_a,
+      frontendUrl: fields.value_b,
+      reason: fields.failedreason || fields.error,
+      signatureValid: this.isDemo ? undefined : this.hasValidSignature(fields),
+      details: this.paymentDetails(fields),
+      raw: fields
+    };
+  }
+
+  paymentDetails(fields = {}) {
+    return {
+      sslTransactionId: fields.tran_id,
+      sslBankTransactionId: fields.bank_tran_id,
+      sslCardType: fields.card_type,
+      sslCardNo: fields.card_no,
+      sslCardIssuer: fields.card_issuer,
+      sslCardBrand: fields.card_brand,
+      sslCardIssuerCountry: fields.card_issuer_country,
+      sslCurrencyAmount: fields.currency_amount,
+      sslStoreAmount: fields.store_amount,
+      sslVerifyKey: fields.val_id,
+      gatewayValidationId: fields.val_id
+    };
+  }
+}
@@ -0,0 +1,116 @@
+import Stripe from 'stripe';
+
+const INTENT_STATUSES = {
+  succeeded: 'completed',
+  processing: 'pending',
+  requires_payment_method: 'pending',
+  requires_confirmation: 'pending',
+  requires_action: 'pending',
+  requires_capture: 'pending',
+  canceled: 'cancelled'
+};
+
+const EVENT_OUTCOMES = {
+  'payment_intent.succeeded': 'success',
+  'payment_intent.payment_failed': 'failed',
+  'payment_intent.canceled': 'cancelled'
+};
+
+// Card payments through Stripe. The client is created on first use, once STRIPE_SECRET_KEY is set
+export default class StripeProvider {
+  constructor() {
+    this.name = 'stripe';
+    this.stripe = null;
+  }
+
+  async client() {
+    if (!process.env.STRIPE_SECRET_KEY) {
+      throw new Error('Stripe is not configured');
+    }
+    if (!this.stripe) {
+      this.stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+    }
+    return this.stripe;
+  }
+
+  // Stripe has no hosted redirect here; the frontend confirms the intent with its client secret
+  async createPayment({ amount, orderId, customer = {} }) {
+    const stripe = await this.client();
+    const paymentIntent = await stripe.paymentIntents.create({
+      amount: Math.round(amount * 100), // Stripe expects amount in cents
+      currency: (process.env.STRIPE_CURRENCY || 'usd').toLowerCase(),
+      automatic_payment_methods: { enabled: true },
+      metadata: {
+        orderId,
+        customerEmail: customer.email,
+        customerName: customer.name
+      }
+    });
+
+    return {
+      transactionId: `STRIPE_${paymentIntent.id}`,
+      paymentId: paymentIntent.id,
+      redirectUrl: null,
+      details: {
+        clientSecret: paymentIntent.client_secret,
+        currency: paymentIntent.currency
+      }
+    };
+  }
+
+  async verifyPayment(payment) {
+    return this.queryPayment(payment);
+  }
+
+  async queryPayment(payment) {
+    const intentId = payment.paymentDetails?.gatewayPaymentId;
+    if (!intentId) {
+      throw new Error('Missing Stripe payment intent ID');
+    }
+
+    const stripe = await this.client();
+    const paymentIntent = await stripe.paymentIntents.retrieve(intentId);
+    return {
+      status: INTENT_STATUSES[paymentIntent.status] || 'pending',
+      reason: paymentIntent.last_payment_error?.message,
+      details: { gatewayPaymentId: paymentIntent.id }
+    };
+  }
+
+  async refundPayment(payment, { amount }) {
+    const stripe = await this.client();
+    const refund = await stripe.refunds.create({
+      payment_intent: payment.paymentDetails?.gatewayPaymentId,
+      amount: Math.round(amount * 100)
+    });
+    return { refundTrxID: refund.id };
+  }
+
+  // Events are only used as a hint; the intent is always re-read from Stripe before
+  // a payment is completed, so a forged event cannot mark anything paid. With
+  // STRIPE_WEBHOOK_SECRET set, the Stripe-Signature header is checked as well.
+  async parseWebhook({ body = {}, headers = {}, rawBody }, outcome) {
+    const intent = body.data?.object || {};
+
+    let signatureValid;
+    if (process.env.STRIPE_WEBHOOK_SECRET) {
+      try {
+        const stripe = await this.client();
+        stripe.webhooks.constructEvent(rawBody ?? '', headers['stripe-signature'], process.env.STRIPE_WEBHOOK_SECRET);
+        signatureValid = true;
+      } catch (error) {
+        signatureValid = false;
+      }
+    }
+
+    return {
+      gatewayPaymentId: intent.id,
+      outcome: EVENT_OUTCOMES[body.type] || outcome || 'failed',
+      orderId: intent.metadata?.orderId,
+      reason: intent.last_payment_error?.message,
+      signatureValid,
+      details: { gatewayPaymentId: intent.id },
+      raw: body
+    };
+  }
+}
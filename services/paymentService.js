@@ -0,0 +1,311 @@
+import Payment from '../models/Payment.js';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import paymentGatewayService from './paymentGatewayService.js';
+import orderService from './orderService.js';
+
+// Raised when a gateway payment cannot be started; carries the HTTP status for the route
+export class PaymentError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PaymentError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Payments a confirmed gateway success may complete: a failure or cancellation reported
+// earlier can be overtaken by the customer paying after all
+const COMPLETABLE_STATUSES = ['pending', 'failed', 'cancelled'];
+
+// $set for what a gateway reported, skipping fields it did not send
+const gatewayDetailsUpdate = (details = {}) => Object.fromEntries(
+  Object.entries(details)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => [`paymentDetails.${key}`, value])
+);
+
+// Moves payments between pending, completed, failed and cancelled as gateways report back
+class PaymentService {
+  // Payments settled together with this one: every vendor payment charged in the same
+  // gateway transaction, or just this payment when it has its own
+  chargeFilter(payment) {
+    return payment.gatewayTransactionId
+      ? { gatewayTransactionId: payment.gatewayTransactionId }
+      : { _id: payment._id };
+  }
+
+  // Start one gateway transaction for the vendor payments still open on an order. On the
+  // first attempt the order's pending payments are charged as they are; after that they are
+  // replaced by fresh payments and the earlier ones voided, so a late success on an
+  // abandoned attempt cannot be counted as well. Returns { payments, amount, data }.
+  async startGatewayPayment(gateway, order, { customer, currency, description } = {}) {
+    let payments = await Payment.find({ orderId: order._id, status: { $in: ['pending', 'failed', 'cancelled'] } });
+    if (payments.length === 0) {
+      throw new PaymentError('Nothing is left to pay on this order', 409);
+    }
+
+    const firstAttempt = payments.every(payment => payment.status === 'pending' && !payment.gatewayTransactionId);
+    if (!firstAttempt) {
+      payments = await this.replacePayments(order, payments);
+    }
+
+    // The vendor payments cover the items; delivery (less any coupon delivery discount) is
+    // charged with them, once per order
+    const deliveryCharged = await Payment.exists({ orderId: order._id, status: { $in: ['completed', 'refunded'] } });
+    const deliveryAmount = deliveryCharged ? 0 : Math.max(0, (order.deliveryFee || 0) - (order.coupon?.deliveryDiscount || 0));
+    const amount = payments.reduce((total, payment) => total + payment.amount, 0) + deliveryAmount;
+    const response = await paymentGatewayService.createPayment(gateway, {
+      amount,
+      currency,
+      orderId: order._id.toString(),
+      description: description || `Order #${order.trackingId || order._id}`,
+      customer
+    });
+    if (!response.success) {
+      throw new PaymentError(response.error || 'Failed to initialize payment');
+    }
+
+    const charge = {
+      gatewayTransactionId: response.data.transactionId,
+      gatewayAmount: amount,
+      paymentMethod: gateway,
+      ...gatewayDetailsUpdate({
+        bkashPaymentID: response.data.bkashPaymentID,
+        gatewayPaymentId: response.data.paymentId
+      })
+    };
+    await Payment.updateMany({ _id: { $in: payments.map(payment => payment._id) } }, { $set: charge });
+    payments.forEach(payment => payment.set(charge));
+
+    console.log(`💳 ${gateway} transaction ${charge.gatewayTransactionId} started for ${payments.length} payment(s) on order ${order._id}`);
+    return { payments, amount, data: response.data };
+  }
+
+  // Fresh pending copies of an earlier attempt's payments, at the commission they were charged
+  async replacePayments(order, payments) {
+    return orderService.runInTransaction(async (session) => {
+      const replacements = [];
+      for (const payment of payments) {
+        const replacement = new Payment({
+          transactionId: `TXN_${order.trackingId}_${payment.vendorId}_${Date.now()}`,
+          userId: payment.userId,
+          vendorId: payment.vendorId,
+          orderId: payment.orderId,
+          amount: payment.amount,
+          discountAmount: payment.discountAmount,
+          discountFundedBy: payment.discountFundedBy,
+          pointsDiscount: payment.pointsDiscount,
+          commissionRate: payment.commissionRate,
+          commissionBreakdown: payment.commissionBreakdown,
+          paymentMethod: payment.paymentMethod,
+          status: 'pending'
+        });
+        await replacement.save({ session });
+        replacements.push(replacement);
+      }
+
+      await Payment.updateMany(
+        { _id: { $in: payments.map(payment => payment._id) } },
+        { $set: { status: 'voided', failureReason: 'Replaced by a new payment attempt' } },
+        { session }
+      );
+      return replacements;
+    });
+  }
+
+  // Mark a payment paid, together with the rest of its checkout, confirm its order and clear
+  // the customer's cart. The status change is a single conditional update, so repeated or
+  // concurrent callbacks for the same transaction complete it once; a val_id can only ever
+  // confirm one checkout (unique index). A customer may retry after a failed attempt, so only
+  // refunded or voided payments cannot complete.
+  // Returns false when the payment was not completed by this call.
+  async completePayment(payment, details) {
+    const update = { status: 'completed', completedAt: new Date(), ...gatewayDetailsUpdate(details) };
+    const completable = COMPLETABLE_STATUSES.includes(payment.status);
+
+    // A voided payment (cancelled shipment, or an attempt replaced by a new one) is never
+    // completed; money taken for it anyway is sent back below
+    let result;
+    try {
+      result = await Payment.updateMany(
+        { ...this.chargeFilter(payment), status: { $in: COMPLETABLE_STATUSES } },
+        { $set: update, $unset: { failureReason: '' } }
+      );
+    } catch (error) {
+      if (error.code === 11000) {
+        console.error(`❌ Validation ${details?.gatewayValidationId} already confirmed another payment; ${payment.transactionId} left as ${payment.status}`);
+        return false;
+      }
+      throw error;
+    }
+
+    await this.refundVoidedPayments(payment, details, result.modifiedCount > 0);
+
+    if (result.modifiedCount === 0) {
+      console.log(`ℹ️ Payment ${payment.transactionId} was already ${payment.status === 'pending' ? 'completed' : payment.status}`);
+      return false;
+    }
+    if (completable) {
+      payment.set(update);
+      payment.failureReason = undefined;
+    }
+
+    // The order's status is left to the transition engine; only what it has been paid changes
+    await Order.updateOne(
+      { _id: payment.orderId?._id || payment.orderId, status: { $ne: 'cancelled' } },
+      { $set: { paymentStatus: 'paid' } }
+    );
+
+    // Clear user's cart after successful payment
+    await User.findByIdAndUpdate(payment.userId, { $set: { cart: [] } });
+
+    console.log(`✅ Payment completed successfully: ${payment._id} (${result.modifiedCount} payment(s) in the transaction)`);
+    return true;
+  }
+
+  // Refund the voided payments of a transaction the gateway reports as paid. Each is claimed
+  // (voided -> refunded) before the gateway is asked, so a repeated notification cannot refund
+  // twice. When nothing in the transaction was completed the delivery charged with it goes
+  // back too. A failed refund leaves the payment voided for the daily report to flag.
+  async refundVoidedPayments(payment, details, chargeCompleted) {
+    const voided = await Payment.find({ ...this.chargeFilter(payment), status: 'voided' });
+    if (voided.length === 0) {
+      return;
+    }
+
+    let deliveryAmount = 0;
+    if (!chargeCompleted && payment.gatewayAmount) {
+      const charged = await Payment.find(this.chargeFilter(payment)).select('amount');
+      deliveryAmount = Math.max(0, payment.gatewayAmount - charged.reduce((total, charge) => total + charge.amount, 0));
+    }
+
+    const reason = `Paid after payment ${payment.transactionId} was voided`;
+    let refunded = 0;
+    for (const voidedPayment of voided) {
+      const claimed = await Payment.findOneAndUpdate(
+        { _id: voidedPayment._id, status: 'voided' },
+        { $set: { status: 'refunded', ...gatewayDetailsUpdate(details) } },
+        { new: true }
+      );
+      if (!claimed) continue;
+
+      const refundAmount = claimed.amount + (refunded === 0 ? deliveryAmount : 0);
+      const refundResult = await paymentGatewayService.refundPayment(claimed, { amount: refundAmount, reason });
+      if (!refundResult.success) {
+        console.error(`❌ Payment ${claimed.transactionId} was paid after being voided and could not be refunded:`, refundResult.error);
+        await Payment.updateOne(
+          { _id: claimed._id },
+          { $set: { status: 'voided', failureReason: `Paid after being voided; automatic refund failed: ${refundResult.error}` } }
+        );
+        continue;
+      }
+
+      await Payment.updateOne({ _id: claimed._id }, {
+        $set: {
+          refundDetails: {
+            refundAmount: refundResult.data.amount,
+            refundReason: reason,
+            refundDate: new Date(),
+            refundTrxID: refundResult.data.refundTrxID,
+            refundMethod: claimed.paymentMethod
+          }
+        }
+      });
+      refunded++;
+      console.log(`↩️ Payment ${claimed.transactionId} was paid after being voided; refunded through ${claimed.paymentMethod}`);
+    }
+
+    // An order nothing is paid on any more has had its money returned
+    const orderId = payment.orderId?._id || payment.orderId;
+    if (refunded > 0 && !(await Payment.exists({ orderId, status: 'completed' }))) {
+      await Order.updateOne({ _id: orderId, paymentStatus: { $ne: 'refunded' } }, { $set: { paymentStatus: 'refunded' } });
+    }
+  }
+
+  // Record a failed or cancelled attempt for the payment and the rest of its checkout; late
+  // callbacks never undo a completed payment
+  async closeUnpaidPayment(payment, status, reason, details) {
+    const update = {
+      status: status === 'cancelled' ? 'cancelled' : 'failed',
+      failureReason: reason || 'Payment failed',
+      ...gatewayDetailsUpdate(details)
+    };
+
+    const closed = await Payment.updateMany({ ...this.chargeFilter(payment), status: 'pending' }, { $set: update });
+    if (closed.modifiedCount === 0) {
+      return false;
+    }
+    payment.set(update);
+
+    console.log(`❌ Payment marked as ${update.status}:`, payment._id);
+    return true;
+  }
+
+  // Payment a gateway notification refers to, by our transaction id or the gateway's own id.
+  // For a checkout paid in one transaction this is one of its vendor payments; settling it
+  // settles them all.
+  findNotifiedPayment(gateway, notification) {
+    const conditions = [];
+    if (notification.transactionId) {
+      conditions.push({ gatewayTransactionId: notification.transactionId }, { transactionId: notification.transactionId });
+    }
+    if (notification.gatewayPaymentId) conditions.push({ 'paymentDetails.gatewayPaymentId': notification.gatewayPaymentId });
+    if (conditions.length === 0) return null;
+
+    return Payment.findOne({ paymentMethod: gateway, $or: conditions });
+  }
+
+  // Act on a gateway notification whose signature, where the gateway signs, has already been
+  // checked. A reported success is confirmed with the gateway before the payment completes.
+  // Returns { payment, result, reason } where result is one of
+  //   completed, already_completed     the payment is paid
+  //   failed, cancelled, unchanged     a failure was recorded, or the payment was no longer pending
+  //   rejected                         the gateway did not confirm the reported success
+  //   verification_pending             the gateway could not be reached; try again later
+  //   payment_not_found, ignored       nothing to act on
+  async applyNotification(gateway, notification, extraDetails = {}) {
+    const payment = await this.findNotifiedPayment(gateway, notification);
+    if (!payment) {
+      return { payment: null, result: 'payment_not_found', reason: 'No payment matches this notification' };
+    }
+
+    const details = { ...notification.details, ...extraDetails };
+
+    if (notification.outcome === 'success') {
+      // A repeated success (browser refresh, gateway retry) is answered without re-verifying
+      if (payment.status === 'completed') {
+        return { payment, result: 'already_completed' };
+      }
+
+      const verification = await paymentGatewayService.verifyPayment(payment, { validationId: notification.validationId });
+      if (verification.success) {
+        if (await this.completePayment(payment, { ...details, ...verification.data })) {
+          return { payment, result: 'completed' };
+        }
+        if (await Payment.exists({ _id: payment._id, status: 'completed' })) {
+          return { payment, result: 'already_completed' };
+        }
+        if (payment.status === 'voided') {
+          return { payment, result: 'rejected', reason: 'This payment was cancelled before it was paid; the amount is being refunded' };
+        }
+        return { payment, result: 'rejected', reason: 'This payment confirmation was already used' };
+      }
+
+      if (verification.status === 'pending') {
+        return { payment, result: 'verification_pending', reason: verification.error || 'The gateway has not confirmed the payment yet' };
+      }
+      await this.closeUnpaidPayment(payment, verification.status, verification.error, details);
+      return { payment, result: 'rejected', reason: verification.error || 'Payment could not be verified' };
+    }
+
+    if (notification.outcome !== 'failed' && notification.outcome !== 'cancelled') {
+      return { payment, result: 'ignored', reason: `Nothing to do for outcome ${notification.outcome}` };
+    }
+
+    const reason = notification.reason || (notification.outcome === 'cancelled' ? 'Payment cancelled' : 'Payment failed');
+    const closed = await this.closeUnpaidPayment(payment, notification.outcome, reason, details);
+    return { payment, result: closed ? notification.outcome : 'unchanged', reason };
+  }
+}
+
+export default new PaymentService();
@@ -0,0 +1,486 @@
+import cron from 'node-cron';
+import Payment from '../models/Payment.js';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import PaymentReconciliation from '../models/PaymentReconciliation.js';
+import paymentGatewayService from './paymentGatewayService.js';
+import paymentService from './paymentService.js';
+import orderStatusService from './orderStatusService.js';
+import { sendEmail } from './emailService.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Payments asked about per run; the least recently checked go first
+const BATCH_SIZE = 200;
+// Settled payments re-checked against the gateways for one day's report
+const REPORT_CHECK_LIMIT = 500;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// YYYY-MM-DD of a date in server time
+const dayKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const dayBounds = (date) => {
+  const start = new Date(`${date}T00:00:00`);
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+  return { start, end };
+};
+
+const money = (value) => Math.round((value || 0) * 100) / 100;
+
+const actionFor = (action, payment, reason) => ({
+  action,
+  payment: payment._id,
+  order: payment.orderId?._id || payment.orderId,
+  transactionId: payment.transactionId,
+  gateway: payment.paymentMethod,
+  amount: payment.amount,
+  reason
+});
+
+// Brings gateway payments that never heard back (abandoned checkout, lost IPN) to a final
+// state by asking the gateway, cancels online orders left unpaid, and builds a daily
+// report of where our records and the gateways disagree.
+class ReconciliationService {
+  constructor() {
+    this.running = false;
+    this.startReconciliationJobs();
+  }
+
+  startReconciliationJobs() {
+    // Reconcile stale pending payments and expired orders every 15 minutes
+    cron.schedule('*/15 * * * *', async () => {
+      try {
+        await this.runReconciliation();
+      } catch (error) {
+        console.error('Error in payment reconciliation job:', error);
+      }
+    });
+
+    // Check yesterday against the gateways and send finance the report at 6 AM
+    cron.schedule('0 6 * * *', async () => {
+      try {
+        const yesterday = new Date();
+        yesterday.setDate(yesterday.getDate() - 1);
+        const report = await this.buildDailyReport(dayKey(yesterday));
+        await this.sendReport(report);
+      } catch (error) {
+        console.error('Error building payment reconciliation report:', error);
+      }
+    });
+
+    console.log('Payment reconciliation jobs scheduled - every 15 minutes, daily report at 6 AM');
+  }
+
+  getSettings() {
+    return {
+      // A pending payment is asked about once it is this old
+      reconcileAfterMinutes: parseFloat(process.env.PAYMENT_RECONCILE_AFTER_MINUTES) || 30,
+      // Payments still pending, and online orders still unpaid, are given up on after this
+      paymentExpiryHours: parseFloat(process.env.PAYMENT_EXPIRY_HOURS) || 24
+    };
+  }
+
+  // Gateways we can query; cash and manual methods are settled outside of them
+  onlineMethods() {
+    return paymentGatewayService.listProviders();
+  }
+
+  async runReconciliation(now = new Date()) {
+    if (this.running) {
+      console.log('⏭️ Payment reconciliation already running, skipping');
+      return null;
+    }
+
+    this.running = true;
+    try {
+      const payments = await this.reconcilePendingPayments(now);
+      const orders = await this.cancelExpiredOrders(now);
+      const actions = [...payments.actions, ...orders.actions];
+
+      await this.recordRun(actions, now);
+      console.log(`🧾 Payment reconciliation: ${payments.checked} pending payments checked, ${actions.length} changes, ${payments.unreachable} unreachable`);
+
+      return { checked: payments.checked, unreachable: payments.unreachable, actions, ordersSkipped: orders.skipped };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Ask the gateways about payments pending longer than reconcileAfterMinutes and settle
+  // them the way a late IPN would. Payments the gateway still has as pending are cancelled
+  // once they pass paymentExpiryHours.
+  async reconcilePendingPayments(now = new Date()) {
+    const { reconcileAfterMinutes, paymentExpiryHours } = this.getSettings();
+    const payments = await Payment.find({
+      status: 'pending',
+      paymentMethod: { $in: this.onlineMethods() },
+      createdAt: { $lte: new Date(now.getTime() - reconcileAfterMinutes * MINUTE_MS) }
+    })
+      .sort({ reconciliationCheckedAt: 1, createdAt: 1 })
+      .limit(BATCH_SIZE);
+
+    const actions = [];
+    let unreachable = 0;
+
+    for (const payment of payments) {
+      try {
+        await Payment.updateOne({ _id: payment._id }, { $set: { reconciliationCheckedAt: now } });
+
+        const result = await paymentGatewayService.queryPayment(payment);
+        if (!result.success) {
+          unreachable++;
+          continue;
+        }
+
+        if (result.status === 'completed') {
+          if (await paymentService.completePayment(payment, result.data)) {
+            actions.push(...await this.chargeActions('completed', 'completed', payment, 'Paid at the gateway; the confirmation never reached us'));
+          }
+        } else if (result.status === 'failed' || result.status === 'cancelled') {
+          const reason = `Gateway reported the payment as ${result.status}`;
+          if (await paymentService.closeUnpaidPayment(payment, result.status, reason, result.data)) {
+            actions.push(...await this.chargeActions(result.status, result.status, payment, reason));
+            await this.markOrderUnpaid(payment);
+          }
+        } else if (now - payment.createdAt >= paymentExpiryHours * HOUR_MS) {
+          const reason = `Not completed within ${paymentExpiryHours} hours`;
+          if (await paymentService.closeUnpaidPayment(payment, 'cancelled', reason, result.data)) {
+            actions.push(...await this.chargeActions('expired', 'cancelled', payment, reason));
+            await this.markOrderUnpaid(payment);
+          }
+        }
+      } catch (error) {
+        console.error(`Error reconciling payment ${payment.transactionId}:`, error);
+      }
+    }
+
+    return { checked: payments.length, unreachable, actions };
+  }
+
+  // An action for each payment settled along with this one: the vendor payments of a
+  // checkout share one gateway transaction and move to the new status together
+  async chargeActions(action, status, payment, reason) {
+    const settled = await Payment.find({ ...paymentService.chargeFilter(payment), status })
+      .select('_id orderId transactionId paymentMethod amount');
+    return settled.map(settledPayment => actionFor(action, settledPayment, reason));
+  }
+
+  // The order is unpaid once none of its payments is still open or paid
+  async markOrderUnpaid(payment) {
+    const orderId = payment.orderId?._id || payment.orderId;
+    const open = await Payment.exists({ orderId, status: { $in: ['pending', 'completed'] } });
+    if (!open) {
+      await Order.updateOne({ _id: orderId, paymentStatus: 'pending' }, { $set: { paymentStatus: 'failed' } });
+    }
+  }
+
+  // Online orders still unpaid after paymentExpiryHours, with no payment left open
+  expiredOrderFilter(now) {
+    const { paymentExpiryHours } = this.getSettings();
+    return {
+      paymentMethod: { $in: this.onlineMethods() },
+      paymentStatus: { $in: ['pending', 'failed'] },
+      status: { $in: ['pending', 'confirmed'] },
+      createdAt: { $lte: new Date(now.getTime() - paymentExpiryHours * HOUR_MS) }
+    };
+  }
+
+  // Cancel expired unpaid orders. The cancellation hooks put back the stock checkout reserved,
+  // void the unpaid payments and release coupons and points; an order whose payment is still
+  // open is left alone.
+  async cancelExpiredOrders(now = new Date()) {
+    const orders = await Order.find(this.expiredOrderFilter(now))
+      .select('_id trackingId total paymentMethod')
+      .sort({ createdAt: 1 })
+      .limit(BATCH_SIZE);
+
+    const actions = [];
+    let skipped = 0;
+
+    for (const order of orders) {
+      if (await Payment.exists({ orderId: order._id, status: { $in: ['pending', 'completed'] } })) {
+        skipped++;
+        continue;
+      }
+
+      try {
+        await orderStatusService.updateOrderStatus({
+          orderId: order._id,
+          toStatus: 'cancelled',
+          actor: { role: 'system' },
+          note: 'Cancelled automatically: the order was not paid in time',
+          filter: { paymentStatus: { $in: ['pending', 'failed'] } }
+        });
+
+        actions.push({
+          action: 'order_cancelled',
+          order: order._id,
+          gateway: order.paymentMethod,
+          amount: order.total,
+          reason: `Order #${order.trackingId} was not paid in time`
+        });
+        console.log(`🚫 Cancelled unpaid order ${order.trackingId}`);
+      } catch (error) {
+        // Reported as order_not_cancelled in the daily report
+        skipped++;
+        console.error(`Could not cancel unpaid order ${order.trackingId}:`, error.message);
+      }
+    }
+
+    return { actions, skipped };
+  }
+
+  // Add a run's changes to today's report
+  async recordRun(actions, now = new Date()) {
+    const date = dayKey(now);
+    const { start, end } = dayBounds(date);
+    const count = (...types) => actions.filter(action => types.includes(action.action)).length;
+
+    await PaymentReconciliation.findOneAndUpdate(
+      { date },
+      {
+        $setOnInsert: { periodStart: start, periodEnd: end },
+        $inc: {
+          runs: 1,
+          'summary.paymentsCompleted': count('completed'),
+          'summary.amountRecovered': money(actions
+            .filter(action => action.action === 'completed')
+            .reduce((total, action) => total + (action.amount || 0), 0)),
+          'summary.paymentsFailed': count('failed', 'cancelled'),
+          'summary.paymentsExpired': count('expired'),
+          'summary.ordersCancelled': count('order_cancelled')
+        },
+        $push: { actions: { $each: actions } }
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  // Check one day against the gateways: every gateway payment settled that day is asked
+  // about again, and orders are checked against their payments. Rebuilding a day replaces
+  // its discrepancies and keeps the actions recorded by the runs.
+  async buildDailyReport(date) {
+    const { start, end } = dayBounds(date);
+    const onlineMethods = this.onlineMethods();
+    const discrepancies = [];
+
+    const settledPayments = await Payment.find({
+      paymentMethod: { $in: onlineMethods },
+      $or: [
+        { completedAt: { $gte: start, $lt: end } },
+        { status: { $in: ['completed', 'failed', 'cancelled', 'voided'] }, updatedAt: { $gte: start, $lt: end } }
+      ]
+    })
+      .sort({ updatedAt: 1 })
+      .limit(REPORT_CHECK_LIMIT);
+
+    for (const payment of settledPayments) {
+      const entry = {
+        payment: payment._id,
+        order: payment.orderId,
+        transactionId: payment.transactionId,
+        gateway: payment.paymentMethod,
+        amount: payment.amount,
+        localStatus: payment.status
+      };
+
+      const result = await paymentGatewayService.queryPayment(payment);
+      if (!result.success) {
+        discrepancies.push({ ...entry, type: 'gateway_unreachable', message: result.error });
+      } else if (payment.status === 'completed' && result.status !== 'completed') {
+        discrepancies.push({ ...entry, type: 'unpaid_at_gateway', gatewayStatus: result.status, message: 'Completed here but not paid at the gateway' });
+      } else if (payment.status !== 'completed' && result.status === 'completed') {
+        discrepancies.push({ ...entry, type: 'paid_at_gateway', gatewayStatus: result.status, message: 'The customer was charged but the payment is not completed here' });
+      }
+    }
+
+    // Payments the gateway never answered for, past the point they should have been settled
+    const { paymentExpiryHours } = this.getSettings();
+    const stuckPayments = await Payment.find({
+      status: 'pending',
+      paymentMethod: { $in: onlineMethods },
+      createdAt: { $lt: new Date(end.getTime() - paymentExpiryHours * HOUR_MS) }
+    }).limit(REPORT_CHECK_LIMIT);
+    for (const payment of stuckPayments) {
+      discrepancies.push({
+        type: 'gateway_unreachable',
+        payment: payment._id,
+        order: payment.orderId,
+        transactionId: payment.transactionId,
+        gateway: payment.paymentMethod,
+        amount: payment.amount,
+        localStatus: payment.status,
+        message: `Still pending after ${paymentExpiryHours} hours; the gateway could not confirm it either way`
+      });
+    }
+
+    discrepancies.push(...await this.findOrderMismatches(start, end, onlineMethods));
+
+    const unpaidOrders = await Order.find(this.expiredOrderFilter(end))
+      .select('_id trackingId total paymentMethod paymentStatus')
+      .limit(REPORT_CHECK_LIMIT);
+    for (const order of unpaidOrders) {
+      discrepancies.push({
+        type: 'order_not_cancelled',
+        order: order._id,
+        gateway: order.paymentMethod,
+        amount: order.total,
+        localStatus: order.paymentStatus,
+        message: `Order #${order.trackingId} is past the payment deadline but was not cancelled`
+      });
+    }
+
+    const report = await PaymentReconciliation.findOneAndUpdate(
+      { date },
+      {
+        $setOnInsert: { periodStart: start, periodEnd: end },
+        $set: {
+          discrepancies,
+          reportedAt: new Date(),
+          'summary.paymentsChecked': settledPayments.length,
+          'summary.discrepancies': discrepancies.length,
+          'summary.discrepancyAmount': money(discrepancies.reduce((total, entry) => total + (entry.amount || 0), 0))
+        }
+      },
+      { upsert: true, new: true }
+    );
+
+    console.log(`📊 Payment reconciliation report for ${date}: ${settledPayments.length} payments checked, ${discrepancies.length} discrepancies`);
+    return report;
+  }
+
+  // Gateway orders changed during the period whose payment status disagrees with their payments
+  async findOrderMismatches(start, end, onlineMethods) {
+    const orders = await Order.find({
+      paymentMethod: { $in: onlineMethods },
+      updatedAt: { $gte: start, $lt: end }
+    })
+      .select('_id trackingId total status paymentStatus paymentMethod')
+      .limit(REPORT_CHECK_LIMIT);
+    if (orders.length === 0) return [];
+
+    const payments = await Payment.find({ orderId: { $in: orders.map(order => order._id) } })
+      .select('orderId status amount transactionId');
+    const statusesByOrder = new Map();
+    for (const payment of payments) {
+      const key = payment.orderId.toString();
+      if (!statusesByOrder.has(key)) statusesByOrder.set(key, []);
+      statusesByOrder.get(key).push(payment);
+    }
+
+    const mismatches = [];
+    for (const order of orders) {
+      const orderPayments = statusesByOrder.get(order._id.toString()) || [];
+      const paid = orderPayments.filter(payment => payment.status === 'completed');
+      const paidOrRefunded = orderPayments.some(payment => ['completed', 'refunded'].includes(payment.status));
+
+      let message;
+      if (order.paymentStatus === 'paid' && !paidOrRefunded) {
+        message = 'Order is marked paid but has no completed payment';
+      } else if (!['paid', 'refunded'].includes(order.paymentStatus) && paid.length > 0) {
+        message = 'A payment completed but the order is not marked paid';
+      } else if (order.status === 'cancelled' && paid.length > 0) {
+        message = 'Order was cancelled but its payment was not refunded';
+      }
+
+      if (message) {
+        mismatches.push({
+          type: 'order_payment_mismatch',
+          order: order._id,
+          payment: paid[0]?._id,
+          transactionId: paid[0]?.transactionId,
+          gateway: order.paymentMethod,
+          amount: paid.length > 0 ? paid.reduce((total, payment) => total + payment.amount, 0) : order.total,
+          localStatus: `${order.status}/${order.paymentStatus}`,
+          message: `Order #${order.trackingId}: ${message}`
+        });
+      }
+    }
+    return mismatches;
+  }
+
+  // Finance gets the report at FINANCE_REPORT_EMAILS, or every admin when it is not set
+  async getReportRecipients() {
+    const configured = (process.env.FINANCE_REPORT_EMAILS || '')
+      .split(',')
+      .map(email => email.trim())
+      .filter(Boolean);
+    if (configured.length > 0) return configured;
+
+    const admins = await User.find({ role: 'admin', isActive: { $ne: false } }).select('email');
+    return admins.map(admin => admin.email).filter(Boolean);
+  }
+
+  async sendReport(report) {
+    const recipients = await this.getReportRecipients();
+    if (recipients.length === 0) {
+      console.warn(`⚠️ No recipients for the payment reconciliation report of ${report.date}`);
+      return report;
+    }
+
+    const { summary } = report;
+    const rows = report.discrepancies.map(entry => `
+      <tr>
+        <td style="padding: 6px; border-bottom: 1px solid #e5e7eb;">${entry.type}</td>
+        <td style="padding: 6px; border-bottom: 1px solid #e5e7eb;">${entry.transactionId || entry.order || '-'}</td>
+        <td style="padding: 6px; border-bottom: 1px solid #e5e7eb;">${entry.gateway || '-'}</td>
+        <td style="padding: 6px; border-bottom: 1px solid #e5e7eb;">${money(entry.amount)}</td>
+        <td style="padding: 6px; border-bottom: 1px solid #e5e7eb;">${entry.message || ''}</td>
+      </tr>
+    `).join('');
+
+    await sendEmail({
+      to: recipients.join(','),
+      subject: `Payment reconciliation ${report.date}: ${summary.discrepancies} discrepancies`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto;">
+          <h2 style="color: #2563eb;">🧾 Payment reconciliation for ${report.date}</h2>
+          <ul>
+            <li>Payments checked against the gateways: ${summary.paymentsChecked}</li>
+            <li>Payments completed by reconciliation: ${summary.paymentsCompleted} (BDT ${money(summary.amountRecovered)})</li>
+            <li>Payments failed or cancelled: ${summary.paymentsFailed}, expired: ${summary.paymentsExpired}</li>
+            <li>Unpaid orders cancelled: ${summary.ordersCancelled}</li>
+            <li>Discrepancies: ${summary.discrepancies} (BDT ${money(summary.discrepancyAmount)})</li>
+          </ul>
+          ${rows ? `
+          <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+            <tr style="text-align: left;"><th>Type</th><th>Transaction / order</th><th>Gateway</th><th>Amount</th><th>Details</th></tr>
+            ${rows}
+          </table>` : '<p>Everything matches the gateways.</p>'}
+        </div>
+      `
+    });
+
+    report.emailedTo = recipients;
+    await PaymentReconciliation.updateOne({ _id: report._id }, { $set: { emailedTo: recipients } });
+    return report;
+  }
+
+  async getReports({ from, to } = {}, { page = 1, limit = 30 } = {}) {
+    const query = {};
+    if (from || to) {
+      query.date = {};
+      if (from) query.date.$gte = dayKey(from);
+      if (to) query.date.$lte = dayKey(to);
+    }
+
+    const [reports, total] = await Promise.all([
+      PaymentReconciliation.find(query)
+        .select('-actions -discrepancies')
+        .sort({ date: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      PaymentReconciliation.countDocuments(query)
+    ]);
+
+    return {
+      reports,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+}
+
+export default new ReconciliationService();
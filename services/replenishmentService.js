@@ -0,0 +1,206 @@
+import cron from 'node-cron';
+import mongoose from 'mongoose';
+import Medicine from '../models/Medicine.js';
+import StockMovement from '../models/StockMovement.js';
+import User from '../models/User.js';
+import notificationService from './notificationService.js';
+import { sendEmail } from './emailService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days of sales used to measure consumption
+const LOOKBACK_DAYS = parseInt(process.env.REORDER_LOOKBACK_DAYS || '30', 10);
+// Days a supplier takes to deliver an order
+const LEAD_TIME_DAYS = parseInt(process.env.REORDER_LEAD_TIME_DAYS || '7', 10);
+// Extra cover kept on top of the lead time; below lead time + safety an item needs reordering
+const SAFETY_DAYS = parseInt(process.env.REORDER_SAFETY_DAYS || '7', 10);
+// Cover a reorder should bring the stock back up to
+const TARGET_COVER_DAYS = parseInt(process.env.REORDER_TARGET_COVER_DAYS || '30', 10);
+
+class ReplenishmentService {
+  constructor() {
+    // Check cover and alert vendors every morning at 9 AM
+    cron.schedule('0 9 * * *', async () => {
+      try {
+        await this.sendLowStockAlerts();
+      } catch (error) {
+        console.error('Error sending low-stock alerts:', error);
+      }
+    });
+
+    console.log('Low-stock alert job scheduled - daily at 9 AM');
+  }
+
+  getDefaults() {
+    return {
+      lookbackDays: LOOKBACK_DAYS,
+      leadTimeDays: LEAD_TIME_DAYS,
+      safetyDays: SAFETY_DAYS,
+      targetCoverDays: TARGET_COVER_DAYS
+    };
+  }
+
+  // Units each of a vendor's medicines sold since a date: the `out` movements,
+  // net of stock returned by cancellations
+  async getUnitsSold(vendorId, since) {
+    const sales = await StockMovement.aggregate([
+      {
+        $match: {
+          vendor: new mongoose.Types.ObjectId(vendorId.toString()),
+          occurredAt: { $gte: since },
+          $or: [{ type: 'out' }, { type: 'in', reasonCode: 'order_cancellation' }]
+        }
+      },
+      {
+        $group: {
+          _id: '$medicine',
+          unitsSold: { $sum: { $cond: [{ $eq: ['$type', 'out'] }, '$quantity', { $multiply: ['$quantity', -1] }] } }
+        }
+      }
+    ]);
+    return new Map(sales.map(sale => [sale._id.toString(), sale.unitsSold]));
+  }
+
+  // Consumption, cover and reorder suggestion for one medicine, given its units
+  // sold over the lookback window
+  analyzeMedicine(medicine, unitsSold, options = {}) {
+    const { lookbackDays, leadTimeDays, safetyDays, targetCoverDays } = { ...this.getDefaults(), ...options };
+    const now = Date.now();
+
+    // Listings younger than the window are measured over their own age
+    const listedDays = medicine.createdAt ? (now - new Date(medicine.createdAt).getTime()) / DAY_MS : lookbackDays;
+    const observedDays = Math.max(1, Math.min(lookbackDays, listedDays));
+    const averageDailyConsumption = Math.max(0, unitsSold) / observedDays;
+
+    const sellableQuantity = medicine.getSellableQuantity();
+    const daysOfCover = averageDailyConsumption > 0 ? sellableQuantity / averageDailyConsumption : null;
+    const reorderThresholdDays = leadTimeDays + safetyDays;
+
+    let needsReorder;
+    let suggestedQuantity;
+    if (averageDailyConsumption > 0) {
+      needsReorder = daysOfCover < reorderThresholdDays;
+      suggestedQuantity = Math.max(0, Math.ceil(averageDailyConsumption * (leadTimeDays + targetCoverDays) - sellableQuantity));
+    } else {
+      // No recent sales: fall back to the static minimum and refill to twice it
+      needsReorder = sellableQuantity <= medicine.minStockLevel;
+      suggestedQuantity = Math.max(0, medicine.minStockLevel * 2 - sellableQuantity);
+    }
+
+    return {
+      medicineId: medicine._id,
+      name: medicine.name,
+      dosage: medicine.dosage,
+      stockQuantity: medicine.stockQuantity,
+      sellableQuantity,
+      minStockLevel: medicine.minStockLevel,
+      unitsSold: Math.max(0, unitsSold),
+      averageDailyConsumption: Math.round(averageDailyConsumption * 100) / 100,
+      daysOfCover: daysOfCover === null ? null : Math.round(daysOfCover * 10) / 10,
+      stockoutDate: daysOfCover === null ? null : new Date(now + daysOfCover * DAY_MS),
+      needsReorder,
+      suggestedQuantity: needsReorder ? suggestedQuantity : 0,
+      lastCostPrice: [...medicine.lots].reverse().find(lot => lot.costPrice !== null)?.costPrice ?? null
+    };
+  }
+
+  // Replenishment report for a vendor's active listings, most urgent first
+  async getVendorReport(vendorId, options = {}) {
+    const { lookbackDays } = { ...this.getDefaults(), ...options };
+    const [medicines, unitsSold] = await Promise.all([
+      Medicine.find({ vendorId, isActive: true })
+        .select('name dosage stockQuantity minStockLevel expiryDate batchNumber lots createdAt lowStockAlertedAt'),
+      this.getUnitsSold(vendorId, new Date(Date.now() - lookbackDays * DAY_MS))
+    ]);
+
+    const items = medicines
+      .map(medicine => this.analyzeMedicine(medicine, unitsSold.get(medicine._id.toString()) || 0, options))
+      .sort((a, b) => {
+        if (a.needsReorder !== b.needsReorder) return a.needsReorder ? -1 : 1;
+        return (a.daysOfCover ?? Infinity) - (b.daysOfCover ?? Infinity);
+      });
+
+    return { settings: { ...this.getDefaults(), ...options }, items, medicines };
+  }
+
+  // Tell each vendor once about items that newly dropped below the reorder threshold;
+  // the flag clears when cover recovers so the next drop alerts again
+  async sendLowStockAlerts() {
+    const vendors = await User.find({ role: 'pharmacy_vendor', isActive: { $ne: false } })
+      .select('firstName lastName email notificationPreferences businessInfo.pharmacyName');
+
+    let alertsSent = 0;
+    for (const vendor of vendors) {
+      try {
+        const { items, medicines } = await this.getVendorReport(vendor._id);
+        const alertedIds = new Set(medicines.filter(medicine => medicine.lowStockAlertedAt).map(medicine => medicine._id.toString()));
+
+        const newlyLow = items.filter(item => item.needsReorder && !alertedIds.has(item.medicineId.toString()));
+        const recovered = items.filter(item => !item.needsReorder && alertedIds.has(item.medicineId.toString()));
+
+        if (recovered.length > 0) {
+          await Medicine.updateMany(
+            { _id: { $in: recovered.map(item => item.medicineId) } },
+            { $set: { lowStockAlertedAt: null } }
+          );
+        }
+
+        if (newlyLow.length === 0) continue;
+
+        await this.notifyVendor(vendor, newlyLow);
+        await Medicine.updateMany(
+          { _id: { $in: newlyLow.map(item => item.medicineId) } },
+          { $set: { lowStockAlertedAt: new Date() } }
+        );
+        alertsSent++;
+      } catch (error) {
+        console.error(`Error checking stock cover for vendor ${vendor._id}:`, error);
+      }
+    }
+
+    console.log(`📉 Low-stock alerts sent to ${alertsSent} vendors`);
+    return { alertsSent };
+  }
+
+  async notifyVendor(vendor, items) {
+    const title = `${items.length} item(s) need reordering`;
+    const preferences = vendor.notificationPreferences || {};
+
+    if (preferences.push !== false) {
+      await notificationService.sendPushNotification(vendor, {
+        title,
+        body: items.slice(0, 3).map(item => item.name).join(', ') + (items.length > 3 ? ` and ${items.length - 3} more` : ''),
+        data: { type: 'low_stock', count: String(items.length) }
+      });
+    }
+
+    if (preferences.email !== false && vendor.email) {
+      const rows = items.map(item => `
+        <tr>
+          <td style="padding: 6px; border-bottom: 1px solid #e5e7eb;">${item.name} ${item.dosage}</td>
+          <td style="padding: 6px; border-bottom: 1px solid #e5e7eb;">${item.sellableQuantity}</td>
+          <td style="padding: 6px; border-bottom: 1px solid #e5e7eb;">${item.daysOfCover === null ? '-' : `${item.daysOfCover} days`}</td>
+          <td style="padding: 6px; border-bottom: 1px solid #e5e7eb;">${item.suggestedQuantity}</td>
+        </tr>
+      `).join('');
+
+      await sendEmail({
+        to: vendor.email,
+        subject: `Low stock: ${title}`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 700px; margin: 0 auto;">
+            <h2 style="color: #d97706;">📉 ${title}</h2>
+            <p>Hi ${vendor.businessInfo?.pharmacyName || vendor.firstName},</p>
+            <p>At the current rate of sales these medicines will run out before a new delivery arrives:</p>
+            <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+              <tr style="text-align: left;"><th>Medicine</th><th>In stock</th><th>Cover</th><th>Suggested order</th></tr>
+              ${rows}
+            </table>
+          </div>
+        `
+      });
+    }
+  }
+}
+
+export default new ReplenishmentService();
@@ -0,0 +1,372 @@
+import Medicine from '../models/Medicine.js';
+import DrugProduct from '../models/DrugProduct.js';
+import User from '../models/User.js';
+import deliveryPricingService from './deliveryPricingService.js';
+import {
+  SEARCH_SYNONYMS,
+  tokenize,
+  phoneticKey,
+  consonantKey,
+  editDistance,
+  escapeRegex,
+  medicineSearchTerms
+} from '../utils/searchText.js';
+
+// How long the in-memory vocabulary and catalogue synonyms are reused
+const VOCABULARY_TTL_MS = 10 * 60 * 1000;
+// Listings scored per search; the best of these are paginated
+const MAX_CANDIDATES = 1000;
+
+// A query word found in these fields counts this much
+const FIELD_WEIGHTS = {
+  name: 10,
+  genericName: 8,
+  tags: 4,
+  manufacturer: 3,
+  dosage: 2
+};
+
+// How much a match counts depending on how the query word was matched
+const MATCH_WEIGHTS = {
+  exact: 1,
+  phonetic: 0.9,
+  synonym: 0.8,
+  prefix: 0.7,
+  fuzzy: 0.6
+};
+
+class SearchService {
+  constructor() {
+    this.vocabulary = null;
+    this.loadedAt = 0;
+    this.loading = null;
+    this.locationsBackfilled = false;
+  }
+
+  // Terms used by active listings, grouped by spelling-insensitive keys, plus brand -> generic
+  // synonyms from the master catalogue. Reloaded every few minutes.
+  async ensureVocabulary() {
+    if (this.vocabulary && Date.now() - this.loadedAt < VOCABULARY_TTL_MS) {
+      return this.vocabulary;
+    }
+    if (!this.loading) {
+      this.loading = this.loadVocabulary().finally(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  async loadVocabulary() {
+    await this.backfillSearchTerms();
+
+    const [terms, products] = await Promise.all([
+      Medicine.distinct('searchTerms', { isActive: true }),
+      DrugProduct.find({ isActive: true }).select('brandName genericName aliases').lean()
+    ]);
+
+    const byPhonetic = new Map();
+    const byConsonants = new Map();
+    for (const term of terms) {
+      const phonetic = phoneticKey(term);
+      if (!byPhonetic.has(phonetic)) byPhonetic.set(phonetic, []);
+      byPhonetic.get(phonetic).push(term);
+
+      const consonants = consonantKey(term);
+      if (consonants.length >= 4) {
+        if (!byConsonants.has(consonants)) byConsonants.set(consonants, []);
+        byConsonants.get(consonants).push(term);
+      }
+    }
+
+    const synonyms = new Map(Object.entries(SEARCH_SYNONYMS));
+    for (const product of products) {
+      const generic = tokenize(product.genericName);
+      for (const brand of [product.brandName, ...(product.aliases || [])]) {
+        const brandTokens = tokenize(brand);
+        // Single-word brands only; "Napa Extra" is found through its words anyway
+        if (brandTokens.length === 1 && !generic.includes(brandTokens[0])) {
+          synonyms.set(brandTokens[0], [...new Set([...(synonyms.get(brandTokens[0]) || []), ...generic])]);
+        }
+      }
+    }
+
+    this.vocabulary = {
+      terms: new Set(terms),
+      termList: terms.map(term => ({ term, phonetic: phoneticKey(term) })),
+      byPhonetic,
+      byConsonants,
+      synonyms
+    };
+    this.loadedAt = Date.now();
+    console.log(`🔎 Search vocabulary loaded: ${terms.length} terms, ${synonyms.size} synonyms`);
+    return this.vocabulary;
+  }
+
+  // Index listings saved before search terms existed
+  async backfillSearchTerms() {
+    const cursor = Medicine.find({ searchTerms: { $exists: false } })
+      .select('name genericName manufacturer dosage tags')
+      .lean()
+      .cursor();
+
+    let batch = [];
+    let updated = 0;
+    for await (const medicine of cursor) {
+      batch.push({
+        updateOne: {
+          filter: { _id: medicine._id },
+          update: { $set: { searchTerms: medicineSearchTerms(medicine) } }
+        }
+      });
+      if (batch.length === 500) {
+        await Medicine.bulkWrite(batch);
+        updated += batch.length;
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      await Medicine.bulkWrite(batch);
+      updated += batch.length;
+    }
+
+    if (updated > 0) {
+      console.log(`🔎 Indexed ${updated} medicines for search`);
+    }
+  }
+
+  // Index terms that may stand for one query word, each with how much a match counts
+  expandToken(token, vocabulary, { allowPrefix = false } = {}) {
+    const expansions = new Map();
+    const add = (term, weight) => {
+      if ((expansions.get(term) || 0) < weight) expansions.set(term, weight);
+    };
+
+    add(token, MATCH_WEIGHTS.exact);
+
+    for (const term of vocabulary.byPhonetic.get(phoneticKey(token)) || []) {
+      add(term, MATCH_WEIGHTS.phonetic);
+    }
+
+    for (const synonym of vocabulary.synonyms.get(token) || []) {
+      add(synonym, MATCH_WEIGHTS.synonym);
+    }
+
+    // Typos: close spellings of words that are actually in the catalogue
+    if (token.length >= 4 && !vocabulary.terms.has(token)) {
+      const maxDistance = token.length >= 8 ? 2 : 1;
+      const phonetic = phoneticKey(token);
+      for (const { term, phonetic: termPhonetic } of vocabulary.termList) {
+        if (Math.abs(term.length - token.length) > maxDistance + 1) continue;
+        if (editDistance(token, term, maxDistance) <= maxDistance ||
+          editDistance(phonetic, termPhonetic, maxDistance) <= maxDistance) {
+          add(term, MATCH_WEIGHTS.fuzzy);
+        }
+      }
+
+      // Transliterations that differ only in their vowels
+      const consonants = consonantKey(token);
+      for (const term of vocabulary.byConsonants.get(consonants) || []) {
+        add(term, MATCH_WEIGHTS.fuzzy);
+      }
+    }
+
+    return { token, expansions, prefix: allowPrefix && token.length >= 2 ? token : null };
+  }
+
+  // Per-field tokens of a listing
+  fieldTokens(medicine) {
+    return {
+      name: tokenize(medicine.name),
+      genericName: tokenize(medicine.genericName),
+      tags: (medicine.tags || []).flatMap(tokenize),
+      manufacturer: tokenize(medicine.manufacturer),
+      dosage: tokenize(medicine.dosage)
+    };
+  }
+
+  // Relevance of a listing and how many query words it matched
+  scoreMedicine(medicine, queryTerms, queryText) {
+    const fields = this.fieldTokens(medicine);
+    let score = 0;
+    let matched = 0;
+
+    for (const { expansions, prefix } of queryTerms) {
+      let best = 0;
+      for (const [field, tokens] of Object.entries(fields)) {
+        for (const token of tokens) {
+          let weight = expansions.get(token) || 0;
+          if (prefix && token !== prefix && token.startsWith(prefix)) {
+            weight = Math.max(weight, MATCH_WEIGHTS.prefix);
+          }
+          best = Math.max(best, weight * FIELD_WEIGHTS[field]);
+        }
+      }
+      if (best > 0) matched++;
+      score += best;
+    }
+
+    // Whole-name matches beat listings that merely mention every word
+    const name = tokenize(medicine.name).join(' ');
+    if (name === queryText) {
+      score += 15;
+    } else if (name.startsWith(queryText)) {
+      score += 8;
+    }
+
+    return { score: Math.round(score * 100) / 100, matched };
+  }
+
+  // Ranked search. `filter` holds the route's other conditions (category, price, stock...).
+  // Returns ordered ids with scores; listings matching every query word come first.
+  async search(text, filter = {}) {
+    const tokens = [...new Set(tokenize(text))].slice(0, 8);
+    if (tokens.length === 0) {
+      return { results: [], total: 0, tokens };
+    }
+
+    const vocabulary = await this.ensureVocabulary();
+    const queryTerms = tokens.map((token, index) => this.expandToken(token, vocabulary, {
+      // The last word may still be being typed
+      allowPrefix: index === tokens.length - 1
+    }));
+
+    const allTerms = [...new Set(queryTerms.flatMap(term => [...term.expansions.keys()]))];
+    const conditions = [{ searchTerms: { $in: allTerms } }];
+    for (const { prefix } of queryTerms) {
+      if (prefix) conditions.push({ searchTerms: { $regex: `^${escapeRegex(prefix)}` } });
+    }
+
+    const candidates = await Medicine.find({ ...filter, $or: conditions })
+      .select('name genericName manufacturer dosage tags stockQuantity')
+      .limit(MAX_CANDIDATES)
+      .lean();
+
+    const queryText = tokens.join(' ');
+    const scored = candidates
+      .map(medicine => ({ medicine, ...this.scoreMedicine(medicine, queryTerms, queryText) }))
+      .filter(result => result.score > 0);
+
+    // Require every word when some listings have them all; otherwise rank partial matches
+    const complete = scored.filter(result => result.matched === tokens.length);
+    const results = (complete.length > 0 ? complete : scored)
+      .sort((a, b) => b.score - a.score ||
+        (b.medicine.stockQuantity > 0) - (a.medicine.stockQuantity > 0) ||
+        a.medicine.name.localeCompare(b.medicine.name))
+      .map(result => ({ id: result.medicine._id, score: result.score }));
+
+    return { results, total: results.length, tokens };
+  }
+
+  // Vendors saved before coordinates were derived from latitude/longitude
+  async backfillVendorLocations() {
+    if (this.locationsBackfilled) return;
+
+    const result = await User.updateMany(
+      {
+        'address.latitude': { $type: 'number', $gte: -90, $lte: 90 },
+        'address.longitude': { $type: 'number', $gte: -180, $lte: 180 },
+        'address.coordinates': null
+      },
+      [{ $set: { 'address.coordinates': ['$address.longitude', '$address.latitude'] } }]
+    );
+    this.locationsBackfilled = true;
+
+    if (result.modifiedCount > 0) {
+      console.log(`📍 Set map coordinates for ${result.modifiedCount} users`);
+    }
+  }
+
+  // Listings from pharmacies near a point, nearest first by default. One $geoNear pipeline
+  // over vendors: each pharmacy's own delivery radius applies, and totals cover every match.
+  // `filter` holds the listing conditions; rankedIds (from search) limits and orders by relevance.
+  async searchNearby({ latitude, longitude, maxDistanceKm, filter = {}, rankedIds = null, sortBy = 'distance', sortOrder = 1, skip = 0, limit = 12 }) {
+    await this.backfillVendorLocations();
+
+    const listingFilter = { ...filter };
+    if (rankedIds) {
+      listingFilter._id = { $in: rankedIds };
+    }
+
+    let sort;
+    if (sortBy === 'relevance' && rankedIds) {
+      sort = { relevanceRank: 1, distanceMeters: 1 };
+    } else if (sortBy === 'distance' || sortBy === 'relevance') {
+      sort = { distanceMeters: sortOrder, _id: 1 };
+    } else {
+      sort = { [sortBy]: sortOrder, distanceMeters: 1, _id: 1 };
+    }
+
+    const [result] = await User.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: [longitude, latitude] },
+          key: 'address.coordinates',
+          distanceField: 'distanceMeters',
+          maxDistance: maxDistanceKm * 1000,
+          spherical: true,
+          query: { role: 'pharmacy_vendor', isActive: true }
+        }
+      },
+      // A pharmacy is only shown to customers inside its delivery radius
+      {
+        $match: {
+          $expr: {
+            $lte: ['$distanceMeters', { $multiply: [{ $ifNull: ['$businessInfo.deliveryRadiusKm', maxDistanceKm] }, 1000] }]
+          }
+        }
+      },
+      {
+        $lookup: {
+          from: Medicine.collection.name,
+          let: { vendorId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$vendorId', '$$vendorId'] }, ...listingFilter } },
+            { $project: { searchTerms: 0, lots: 0 } }
+          ],
+          as: 'medicine'
+        }
+      },
+      { $unwind: '$medicine' },
+      {
+        $replaceRoot: {
+          newRoot: {
+            $mergeObjects: ['$medicine', {
+              distanceMeters: '$distanceMeters',
+              vendorId: {
+                _id: '$_id',
+                firstName: '$firstName',
+                lastName: '$lastName',
+                email: '$email',
+                phone: '$phone',
+                businessInfo: '$businessInfo',
+                address: '$address'
+              }
+            }]
+          }
+        }
+      },
+      ...(rankedIds ? [{ $addFields: { relevanceRank: { $indexOfArray: [rankedIds, '$_id'] } } }] : []),
+      { $sort: sort },
+      {
+        $facet: {
+          medicines: [{ $skip: skip }, { $limit: limit }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const medicines = result.medicines.map(medicine => {
+      const distance = Math.round(medicine.distanceMeters / 100) / 10;
+      return {
+        ...medicine,
+        distance,
+        etaMinutes: deliveryPricingService.estimateEtaMinutes(distance)
+      };
+    });
+
+    return { medicines, total: result.total[0]?.count || 0 };
+  }
+}
+
+export default new SearchService();
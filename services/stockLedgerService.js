@@ -0,0 +1,224 @@
+import mongoose from 'mongoose';
+import Medicine from '../models/Medicine.js';
+import Order from '../models/Order.js';
+import StockMovement, { DEFAULT_REASON_CODES } from '../models/StockMovement.js';
+
+// Reason codes of embedded history entries, recognised from the reasons the app used to write
+const LEGACY_REASON_PATTERNS = [
+  [/^Initial stock/i, 'initial_stock'],
+  [/^Order cancellation/i, 'order_cancellation'],
+  [/^Order #/i, 'sale'],
+  [/^Catalogue import/i, 'catalog_import'],
+  [/^Donation/i, 'donation'],
+  [/^Batch .+ received/i, 'restock'],
+  [/^Batch .+ expired/i, 'expiry']
+];
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+// Sales and cancellations named the order by its tracking id
+const legacyTrackingId = (reason) => reason?.match(/^Order (?:cancellation )?#(\S+)/i)?.[1];
+
+class StockLedgerService {
+  // Filter for ledger queries; vendors are always limited to their own stock
+  buildFilter({ vendorId, medicineId, type, reasonCode, orderId, lotId, batchNumber, from, to }) {
+    const filter = {};
+    if (vendorId) filter.vendor = toObjectId(vendorId);
+    if (medicineId) filter.medicine = toObjectId(medicineId);
+    if (type) filter.type = type;
+    if (reasonCode) filter.reasonCode = reasonCode;
+    if (orderId) filter.order = toObjectId(orderId);
+    if (lotId) filter.lot = toObjectId(lotId);
+    if (batchNumber) filter.batchNumber = batchNumber;
+    if (from || to) {
+      filter.occurredAt = {};
+      if (from) filter.occurredAt.$gte = from;
+      if (to) filter.occurredAt.$lte = to;
+    }
+    return filter;
+  }
+
+  async getMovements(filters, { page = 1, limit = 50 } = {}) {
+    const filter = this.buildFilter(filters);
+    const [movements, total] = await Promise.all([
+      StockMovement.find(filter)
+        .populate('medicine', 'name dosage')
+        .populate('actor', 'firstName lastName role')
+        .populate('order', 'trackingId')
+        .sort({ occurredAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      StockMovement.countDocuments(filter)
+    ]);
+
+    return { movements, total, page, totalPages: Math.ceil(total / limit) };
+  }
+
+  // Stock reconciliation for a period: per medicine, the opening balance, movements by
+  // reason code, and whether the recorded balances agree with the movements between them.
+  // When the period runs up to now the closing balance is also checked against the listing.
+  async getReconciliation({ vendorId, medicineId, from, to }) {
+    const scope = this.buildFilter({ vendorId, medicineId });
+    const periodEnd = to || new Date();
+    const checkCurrentStock = periodEnd >= new Date(Date.now() - 1000);
+
+    const [openings, totals] = await Promise.all([
+      StockMovement.aggregate([
+        { $match: { ...scope, occurredAt: { $lt: from } } },
+        { $sort: { occurredAt: 1, _id: 1 } },
+        { $group: { _id: '$medicine', balance: { $last: '$newStock' } } }
+      ]),
+      StockMovement.aggregate([
+        { $match: { ...scope, occurredAt: { $gte: from, $lte: periodEnd } } },
+        { $sort: { occurredAt: 1, _id: 1 } },
+        {
+          $group: {
+            _id: { medicine: '$medicine', reasonCode: '$reasonCode', type: '$type' },
+            change: { $sum: StockMovement.signedQuantityExpression() },
+            movements: { $sum: 1 },
+            firstPreviousStock: { $first: '$previousStock' },
+            firstAt: { $first: '$occurredAt' },
+            lastNewStock: { $last: '$newStock' },
+            lastAt: { $last: '$occurredAt' }
+          }
+        }
+      ])
+    ]);
+
+    const rows = new Map();
+    const rowFor = (medicine) => {
+      const key = medicine.toString();
+      if (!rows.has(key)) {
+        rows.set(key, { medicineId: medicine, byReason: {}, received: 0, removed: 0, movements: 0, first: null, last: null });
+      }
+      return rows.get(key);
+    };
+
+    openings.forEach(opening => {
+      rowFor(opening._id).openingBalance = opening.balance;
+    });
+    totals.forEach(total => {
+      const row = rowFor(total._id.medicine);
+      row.byReason[total._id.reasonCode] = (row.byReason[total._id.reasonCode] || 0) + total.change;
+      row.movements += total.movements;
+      if (total._id.type === 'in') row.received += total.change;
+      else row.removed -= total.change;
+      if (!row.first || total.firstAt < row.first.at) row.first = { at: total.firstAt, previousStock: total.firstPreviousStock };
+      if (!row.last || total.lastAt >= row.last.at) row.last = { at: total.lastAt, newStock: total.lastNewStock };
+    });
+
+    const medicines = await Medicine.find({ _id: { $in: [...rows.values()].map(row => row.medicineId) } })
+      .select('name dosage stockQuantity isActive');
+    const medicineById = new Map(medicines.map(medicine => [medicine._id.toString(), medicine]));
+
+    const items = [...rows.values()].map(row => {
+      const medicine = medicineById.get(row.medicineId.toString());
+      // Stock that predates the ledger shows up as the first movement's starting balance
+      const openingBalance = row.openingBalance ?? row.first?.previousStock ?? 0;
+      const netChange = row.received - row.removed;
+      const expectedClosing = openingBalance + netChange;
+      const recordedClosing = row.last ? row.last.newStock : openingBalance;
+
+      const item = {
+        medicineId: row.medicineId,
+        name: medicine?.name || null,
+        dosage: medicine?.dosage || null,
+        openingBalance,
+        received: row.received,
+        removed: row.removed,
+        netChange,
+        byReason: row.byReason,
+        movements: row.movements,
+        expectedClosing,
+        recordedClosing,
+        // Non-zero when balances moved without a matching ledger entry
+        discrepancy: recordedClosing - expectedClosing
+      };
+      if (checkCurrentStock && medicine) {
+        item.currentStock = medicine.stockQuantity;
+        item.stockDiscrepancy = medicine.stockQuantity - recordedClosing;
+      }
+      return item;
+    }).sort((a, b) => Math.abs(b.discrepancy) - Math.abs(a.discrepancy) || String(a.name).localeCompare(String(b.name)));
+
+    return {
+      period: { from, to: periodEnd },
+      summary: {
+        medicines: items.length,
+        received: items.reduce((sum, item) => sum + item.received, 0),
+        removed: items.reduce((sum, item) => sum + item.removed, 0),
+        withDiscrepancies: items.filter(item => item.discrepancy !== 0 || (item.stockDiscrepancy ?? 0) !== 0).length
+      },
+      items
+    };
+  }
+
+  legacyReasonCode(entry) {
+    const match = LEGACY_REASON_PATTERNS.find(([pattern]) => pattern.test(entry.reason || ''));
+    return match ? match[1] : DEFAULT_REASON_CODES[entry.type] || 'correction';
+  }
+
+  // Move the stockHistory arrays embedded in medicines into the ledger. Safe to re-run:
+  // entries already copied are skipped by their legacyId, and each array is removed
+  // only once all of its entries are in the ledger.
+  async migrateEmbeddedHistory({ batchSize = 100 } = {}) {
+    const result = { medicines: 0, movements: 0, failed: 0 };
+    const failedIds = [];
+
+    while (true) {
+      const docs = await Medicine.collection
+        .find({ 'stockHistory.0': { $exists: true }, _id: { $nin: failedIds } }, { projection: { vendorId: 1, stockHistory: 1 } })
+        .limit(batchSize)
+        .toArray();
+      if (docs.length === 0) break;
+
+      const trackingIds = new Set();
+      docs.forEach(doc => doc.stockHistory.forEach(entry => {
+        const trackingId = legacyTrackingId(entry.reason);
+        if (trackingId) trackingIds.add(trackingId);
+      }));
+      const orders = await Order.find({ trackingId: { $in: [...trackingIds] } }).select('trackingId').lean();
+      const orderByTrackingId = new Map(orders.map(order => [order.trackingId, order._id]));
+
+      for (const doc of docs) {
+        const movements = doc.stockHistory.map(entry => ({
+          medicine: doc._id,
+          vendor: doc.vendorId,
+          type: entry.type,
+          reasonCode: this.legacyReasonCode(entry),
+          reason: entry.reason,
+          quantity: Math.abs(entry.quantity ?? 0),
+          previousStock: entry.previousStock ?? 0,
+          newStock: entry.newStock ?? 0,
+          lot: entry.lot,
+          batchNumber: entry.batchNumber,
+          order: orderByTrackingId.get(legacyTrackingId(entry.reason)) || null,
+          occurredAt: entry.date || doc._id.getTimestamp(),
+          legacyId: entry._id
+        }));
+
+        try {
+          await StockMovement.insertMany(movements, { ordered: false, throwOnValidationError: true });
+        } catch (error) {
+          // Entries copied by an earlier, interrupted run
+          const duplicatesOnly = error.writeErrors?.length > 0 && error.writeErrors.every(writeError => writeError.code === 11000);
+          if (!duplicatesOnly) {
+            console.error(`❌ Could not migrate stock history of medicine ${doc._id}:`, error.message);
+            failedIds.push(doc._id);
+            result.failed++;
+            continue;
+          }
+        }
+
+        await Medicine.collection.updateOne({ _id: doc._id }, { $unset: { stockHistory: '' } });
+        result.medicines++;
+        result.movements += movements.length;
+      }
+    }
+
+    console.log(`📒 Stock history migrated: ${result.movements} movements from ${result.medicines} medicines (${result.failed} failed)`);
+    return result;
+  }
+}
+
+export default new StockLedgerService();
@@ -0,0 +1,84 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Files are addressed by a key like "medicines/<id>/<name>.webp"; drivers map keys to where bytes live
+class LocalDiskStorage {
+  constructor() {
+    this.rootDir = process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '..', 'uploads', 'public');
+    // Served by express.static in server.js
+    this.publicPath = '/uploads/public';
+    this.baseUrl = (process.env.STORAGE_PUBLIC_URL || process.env.BACKEND_URL || 'http://localhost:5000').replace(/\/$/, '');
+  }
+
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(path.resolve(this.rootDir) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+    return this.getUrl(key);
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  getUrl(key) {
+    return `${this.baseUrl}${this.publicPath}/${key}`;
+  }
+}
+
+const DRIVERS = {
+  local: LocalDiskStorage
+};
+
+class StorageService {
+  constructor() {
+    const driverName = process.env.STORAGE_DRIVER || 'local';
+    const Driver = DRIVERS[driverName];
+    if (!Driver) {
+      console.warn(`⚠️ Unknown STORAGE_DRIVER "${driverName}", using local disk`);
+    }
+    this.driver = new (Driver || LocalDiskStorage)();
+  }
+
+  // Stores the bytes and returns their public URL
+  async put(key, buffer, contentType) {
+    return this.driver.put(key, buffer, contentType);
+  }
+
+  async delete(key) {
+    return this.driver.delete(key);
+  }
+
+  // Removes several files; a failure is logged rather than thrown so cleanup never blocks a request
+  async deleteMany(keys = []) {
+    await Promise.all(keys.map(key => this.driver.delete(key).catch(error => {
+      console.error(`❌ Failed to delete stored file ${key}:`, error.message);
+    })));
+  }
+
+  getUrl(key) {
+    return this.driver.getUrl(key);
+  }
+
+  // Directory a driver serves files from, when it keeps them on this machine
+  get localRoot() {
+    return this.driver instanceof LocalDiskStorage ? this.driver.rootDir : null;
+  }
+}
+
+export default new StorageService();
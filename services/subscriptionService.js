@@ -0,0 +1,374 @@
+import cron from 'node-cron';
+import Subscription from '../models/Subscription.js';
+import Medicine from '../models/Medicine.js';
+import User from '../models/User.js';
+import orderService, { CheckoutError } from './orderService.js';
+import notificationService from './notificationService.js';
+import { sendEmail } from './emailService.js';
+import { escapeHtml } from '../utils/html.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Longest pre-renewal notice window a customer can choose
+const MAX_REMINDER_DAYS = 7;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric'
+});
+
+class SubscriptionService {
+  constructor() {
+    // Renewals and pre-renewal notices are checked at the top of every hour
+    this.startRenewalScheduler();
+  }
+
+  startRenewalScheduler() {
+    cron.schedule('0 * * * *', async () => {
+      try {
+        await this.resumeEndedPauses();
+        await this.sendRenewalNotices();
+        await this.processDueRenewals();
+      } catch (error) {
+        console.error('Error in subscription scheduler:', error);
+      }
+    });
+
+    console.log('Subscription renewal scheduler started - running every hour');
+  }
+
+  // Validate requested items ({ medicineId, quantity }) for a subscription. All
+  // medicines must be active and sold by one pharmacy; prices are agreed as of now.
+  async buildItems(requestedItems) {
+    if (!Array.isArray(requestedItems) || requestedItems.length === 0) {
+      return { success: false, message: 'At least one medicine is required' };
+    }
+
+    const medicineIds = requestedItems.map(item => item.medicineId);
+    const medicines = await Medicine.find({ _id: { $in: medicineIds }, isActive: true });
+
+    const items = [];
+    for (const requested of requestedItems) {
+      const medicine = medicines.find(candidate => candidate._id.toString() === String(requested.medicineId));
+      if (!medicine) {
+        return { success: false, message: `Medicine ${requested.medicineId} is not available` };
+      }
+
+      const quantity = parseInt(requested.quantity, 10);
+      if (!quantity || quantity < 1) {
+        return { success: false, message: `Invalid quantity for ${medicine.name}` };
+      }
+
+      items.push({ medicine: medicine._id, quantity, agreedPrice: medicine.price });
+    }
+
+    const vendorIds = new Set(medicines.map(medicine => medicine.vendorId.toString()));
+    if (vendorIds.size > 1) {
+      return { success: false, message: 'All medicines in a subscription must come from the same pharmacy' };
+    }
+
+    return { success: true, items, medicines, vendorId: medicines[0].vendorId };
+  }
+
+  // Compare the subscription against current stock and prices
+  async reviewItems(subscription) {
+    const medicines = await Medicine.find({ _id: { $in: subscription.items.map(item => item.medicine) } });
+
+    const review = { orderable: [], outOfStock: [], unavailable: [], priceChanges: [], heldForPrice: [], medicines };
+
+    for (const item of subscription.items) {
+      const medicine = medicines.find(candidate => candidate._id.toString() === item.medicine.toString());
+
+      if (!medicine || !medicine.isActive) {
+        review.unavailable.push({ medicine: item.medicine, name: medicine ? medicine.name : 'Unknown medicine' });
+        continue;
+      }
+
+      if (medicine.price !== item.agreedPrice) {
+        const changePercent = item.agreedPrice > 0
+          ? Math.round(((medicine.price - item.agreedPrice) / item.agreedPrice) * 1000) / 10
+          : 100;
+        const change = {
+          medicine: medicine._id,
+          name: medicine.name,
+          agreedPrice: item.agreedPrice,
+          currentPrice: medicine.price,
+          changePercent
+        };
+        review.priceChanges.push(change);
+        if (changePercent > subscription.maxPriceIncreasePercent) {
+          review.heldForPrice.push(change);
+        }
+      }
+
+      if (medicine.stockQuantity < item.quantity) {
+        review.outOfStock.push({
+          medicine: medicine._id,
+          name: medicine.name,
+          quantity: item.quantity,
+          available: medicine.stockQuantity
+        });
+        continue;
+      }
+
+      review.orderable.push({ medicine: medicine._id, quantity: item.quantity });
+    }
+
+    return review;
+  }
+
+  // ============ SCHEDULER ============
+
+  // Paused subscriptions with an end date become active again
+  async resumeEndedPauses() {
+    const subscriptions = await Subscription.find({ status: 'paused', pausedUntil: { $ne: null, $lte: new Date() } });
+
+    for (const subscription of subscriptions) {
+      this.resume(subscription, 'Pause period ended');
+      await subscription.save();
+    }
+  }
+
+  async sendRenewalNotices() {
+    const now = new Date();
+    const subscriptions = await Subscription.find({
+      status: 'active',
+      nextRunAt: { $gt: now, $lte: new Date(now.getTime() + MAX_REMINDER_DAYS * DAY_MS) }
+    });
+
+    for (const subscription of subscriptions) {
+      const noticeFrom = subscription.nextRunAt.getTime() - subscription.reminderDaysBefore * DAY_MS;
+      const alreadySent = subscription.lastReminderFor &&
+        subscription.lastReminderFor.getTime() === subscription.nextRunAt.getTime();
+
+      if (noticeFrom > now.getTime() || alreadySent) {
+        continue;
+      }
+
+      try {
+        const review = await this.reviewItems(subscription);
+        await this.notifyCustomer(subscription, 'reminder', { review });
+
+        subscription.lastReminderFor = subscription.nextRunAt;
+        subscription.logEvent('reminder_sent', { runDate: subscription.nextRunAt });
+        await subscription.save();
+      } catch (error) {
+        console.error(`Error sending renewal notice for subscription ${subscription._id}:`, error);
+      }
+    }
+  }
+
+  async processDueRenewals() {
+    const subscriptions = await Subscription.find({ status: 'active', nextRunAt: { $lte: new Date() } });
+
+    for (const subscription of subscriptions) {
+      try {
+        await this.renew(subscription);
+      } catch (error) {
+        console.error(`Error renewing subscription ${subscription._id}:`, error);
+      }
+    }
+  }
+
+  // Place the order for one due renewal. Price rises beyond the customer's limit
+  // and prescription problems hold the subscription until the customer responds;
+  // stock shortages ship what is available or skip the renewal.
+  async renew(subscription) {
+    const runDate = subscription.nextRunAt;
+    const review = await this.reviewItems(subscription);
+
+    if (review.heldForPrice.length > 0) {
+      return this.hold(subscription, runDate, 'Prices rose above your limit. Please confirm the new prices', { review });
+    }
+
+    const user = await User.findById(subscription.customer);
+    if (!user) {
+      return this.hold(subscription, runDate, 'Customer account not found');
+    }
+
+    try {
+      orderService.resolvePrescription(user, review.medicines, subscription.prescriptionId);
+    } catch (error) {
+      if (!(error instanceof CheckoutError)) throw error;
+      return this.hold(subscription, runDate, error.message);
+    }
+
+    const shortage = review.outOfStock.length > 0 || review.unavailable.length > 0;
+    const skipRenewal = review.orderable.length === 0 ||
+      (shortage && subscription.onOutOfStock === 'skip_renewal');
+
+    // Claim the renewal by moving the schedule on, so a second instance cannot place it twice
+    const claimed = await Subscription.findOneAndUpdate(
+      { _id: subscription._id, status: 'active', nextRunAt: runDate },
+      { $set: { nextRunAt: Subscription.nextRunAfter(runDate, subscription.cadence) } },
+      { new: true }
+    );
+    if (!claimed) {
+      return null;
+    }
+
+    if (skipRenewal) {
+      claimed.logEvent('skipped', { runDate, note: 'Medicines out of stock' });
+      await claimed.save();
+      await this.notifyCustomer(claimed, 'skipped_out_of_stock', { review });
+      return null;
+    }
+
+    let order;
+    try {
+      order = await orderService.createOrderForItems(claimed.customer, review.orderable, {
+        paymentMethod: claimed.paymentMethod,
+        shippingAddress: claimed.shippingAddress,
+        notes: claimed.notes,
+        prescriptionId: claimed.prescriptionId,
+        subscriptionId: claimed._id
+      });
+    } catch (error) {
+      if (!(error instanceof CheckoutError)) throw error;
+
+      claimed.logEvent('renewal_failed', { runDate, note: error.message });
+      await claimed.save();
+      await this.notifyCustomer(claimed, 'failed', { reason: error.message });
+      return null;
+    }
+
+    claimed.lastOrder = order._id;
+    claimed.logEvent('order_created', {
+      runDate,
+      order: order._id,
+      note: shortage ? `Not included: ${[...review.outOfStock, ...review.unavailable].map(item => item.name).join(', ')}` : undefined
+    });
+    await claimed.save();
+
+    console.log(`🔁 Subscription ${claimed._id} renewed as order ${order.trackingId}`);
+    await this.notifyCustomer(claimed, 'ordered', { order, review });
+    return order;
+  }
+
+  async hold(subscription, runDate, reason, details = {}) {
+    const held = await Subscription.findOneAndUpdate(
+      { _id: subscription._id, status: 'active', nextRunAt: runDate },
+      {
+        $set: { status: 'action_required' },
+        $push: { history: { type: 'held', runDate, note: reason } }
+      },
+      { new: true }
+    );
+
+    if (held) {
+      console.log(`⏸️ Subscription ${held._id} held: ${reason}`);
+      await this.notifyCustomer(held, 'held', { reason, ...details });
+    }
+    return null;
+  }
+
+  // ============ CUSTOMER ACTIONS ============
+
+  pause(subscription, until = null) {
+    subscription.status = 'paused';
+    subscription.pausedUntil = until;
+    subscription.logEvent('paused', { note: until ? `Until ${formatDate(until)}` : undefined });
+  }
+
+  // Reactivate a paused or held subscription; a renewal missed meanwhile runs at the next check
+  resume(subscription, note) {
+    subscription.status = 'active';
+    subscription.pausedUntil = null;
+    subscription.logEvent('resumed', { note });
+  }
+
+  skipNext(subscription) {
+    const skippedRun = subscription.nextRunAt;
+    subscription.advance();
+    subscription.lastReminderFor = null;
+    subscription.logEvent('skipped', { runDate: skippedRun, note: 'Skipped by customer' });
+  }
+
+  // Accept the current prices for every item and release a held renewal
+  async confirmPrices(subscription) {
+    const medicines = await Medicine.find({ _id: { $in: subscription.items.map(item => item.medicine) } });
+
+    subscription.items.forEach(item => {
+      const medicine = medicines.find(candidate => candidate._id.toString() === item.medicine.toString());
+      if (medicine) {
+        item.agreedPrice = medicine.price;
+      }
+    });
+    subscription.logEvent('prices_confirmed');
+
+    if (subscription.status === 'action_required') {
+      this.resume(subscription, 'New prices confirmed');
+    }
+  }
+
+  // ============ NOTIFICATIONS ============
+
+  async notifyCustomer(subscription, type, { review, order, reason } = {}) {
+    const label = subscription.name || 'medicine subscription';
+    let title;
+    const lines = [];
+
+    switch (type) {
+      case 'reminder':
+        title = `Your ${label} renews on ${formatDate(subscription.nextRunAt)}`;
+        lines.push('Your next delivery will be ordered automatically. You can still change, skip or pause it.');
+        break;
+      case 'ordered':
+        title = `Your ${label} has been ordered`;
+        lines.push(`Order ${order.trackingId} has been placed and will be paid on delivery.`);
+        break;
+      case 'held':
+        title = `Action needed on your ${label}`;
+        lines.push(`We have not placed your renewal: ${reason}.`);
+        break;
+      case 'skipped_out_of_stock':
+        title = `Your ${label} renewal was skipped`;
+        lines.push(`The pharmacy does not have your medicines in stock. Your next renewal is on ${formatDate(subscription.nextRunAt)}.`);
+        break;
+      case 'failed':
+        title = `Your ${label} renewal could not be placed`;
+        lines.push(`${reason}. Your next renewal is on ${formatDate(subscription.nextRunAt)}.`);
+        break;
+      default:
+        return;
+    }
+
+    if (review) {
+      review.priceChanges.forEach(change => {
+        lines.push(`${change.name}: price changed from ৳${change.agreedPrice} to ৳${change.currentPrice} (${change.changePercent > 0 ? '+' : ''}${change.changePercent}%)`);
+      });
+      review.outOfStock.forEach(item => {
+        lines.push(`${item.name}: only ${item.available} of ${item.quantity} in stock`);
+      });
+      review.unavailable.forEach(item => {
+        lines.push(`${item.name}: no longer sold by this pharmacy`);
+      });
+    }
+
+    await notificationService.sendPushNotification({ _id: subscription.customer }, {
+      title,
+      body: lines[0],
+      data: {
+        subscriptionId: subscription._id.toString(),
+        type,
+        ...(order ? { orderId: order._id.toString() } : {})
+      }
+    });
+
+    if (subscription.shippingAddress?.email) {
+      await sendEmail({
+        to: subscription.shippingAddress.email,
+        subject: title,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #2563eb;">🔁 ${escapeHtml(title)}</h2>
+            <p>Hi ${escapeHtml(subscription.shippingAddress.fullName)},</p>
+            ${lines.map(line => `<p>${escapeHtml(line)}</p>`).join('')}
+          </div>
+        `
+      });
+    }
+  }
+}
+
+export default new SubscriptionService();
@@ -0,0 +1,197 @@
+import Medicine from '../models/Medicine.js';
+import Review from '../models/Review.js';
+import User from '../models/User.js';
+import { normalizeText } from '../models/DrugProduct.js';
+import { escapeRegex, tokenize } from '../utils/searchText.js';
+import deliveryPricingService from './deliveryPricingService.js';
+
+// How much each factor counts when ranking substitutes (sums to 1)
+const RANK_WEIGHTS = {
+  price: 0.5,
+  distance: 0.3,
+  rating: 0.2
+};
+
+// Allergies recorded by drug class, and the generics in that class
+const ALLERGY_CLASSES = {
+  penicillin: ['penicillin', 'amoxicillin', 'ampicillin', 'flucloxacillin', 'cloxacillin', 'piperacillin', 'phenoxymethylpenicillin'],
+  cephalosporin: ['cefixime', 'cefuroxime', 'ceftriaxone', 'cephalexin', 'cefadroxil', 'cefpodoxime', 'cefepime'],
+  sulfa: ['sulfamethoxazole', 'sulfasalazine', 'sulfadiazine', 'cotrimoxazole'],
+  nsaid: ['ibuprofen', 'diclofenac', 'naproxen', 'aspirin', 'ketorolac', 'aceclofenac', 'etoricoxib', 'celecoxib', 'mefenamic'],
+  aspirin: ['aspirin', 'acetylsalicylic'],
+  macrolide: ['azithromycin', 'clarithromycin', 'erythromycin'],
+  quinolone: ['ciprofloxacin', 'levofloxacin', 'moxifloxacin', 'ofloxacin'],
+  tetracycline: ['doxycycline', 'tetracycline', 'minocycline'],
+  statin: ['atorvastatin', 'rosuvastatin', 'simvastatin'],
+  opioid: ['tramadol', 'morphine', 'codeine', 'pethidine', 'tapentadol']
+};
+
+// Words in allergy names that do not name a substance
+const ALLERGY_FILLER_WORDS = new Set(['drug', 'drugs', 'medicine', 'medicines', 'allergy', 'class', 'group', 'antibiotic', 'antibiotics']);
+
+const hasCoordinates = (coordinates) => (
+  Array.isArray(coordinates) && coordinates.length === 2 && coordinates.every(value => typeof value === 'number')
+);
+
+class SubstitutionService {
+  // Generic words a user must not be given, from their recorded allergies
+  getAllergyTerms(user) {
+    const terms = new Set();
+    for (const allergy of user?.medicalProfile?.allergies || []) {
+      for (const token of tokenize(allergy.name)) {
+        if (ALLERGY_FILLER_WORDS.has(token)) continue;
+        terms.add(token);
+        // "Penicillins", "NSAIDs" and "sulfa drugs" name a whole class
+        const className = Object.keys(ALLERGY_CLASSES).find(name => token === name || token === `${name}s`);
+        if (className) {
+          ALLERGY_CLASSES[className].forEach(generic => terms.add(generic));
+        }
+      }
+    }
+    return terms;
+  }
+
+  // The recorded allergy a listing conflicts with, or null
+  findAllergyConflict(medicine, allergyTerms) {
+    if (allergyTerms.size === 0) return null;
+    const tokens = [...tokenize(medicine.genericName), ...tokenize(medicine.name)];
+    return tokens.find(token => allergyTerms.has(token)) || null;
+  }
+
+  // Same generic, strength and form (or the same catalogue product)
+  isEquivalent(original, candidate) {
+    if (original.drugProduct && candidate.drugProduct &&
+      original.drugProduct.toString() === candidate.drugProduct.toString()) {
+      return true;
+    }
+    return normalizeText(candidate.genericName) === normalizeText(original.genericName) &&
+      normalizeText(candidate.dosage) === normalizeText(original.dosage) &&
+      candidate.category === original.category;
+  }
+
+  async getVendorRatings(vendorIds) {
+    const ratings = await Review.aggregate([
+      { $match: { vendor: { $in: vendorIds }, isActive: true } },
+      { $group: { _id: '$vendor', averageRating: { $avg: '$rating' }, totalReviews: { $sum: 1 } } }
+    ]);
+    return new Map(ratings.map(rating => [rating._id.toString(), {
+      averageRating: Math.round(rating.averageRating * 10) / 10,
+      totalReviews: rating.totalReviews
+    }]));
+  }
+
+  // In-stock listings that can replace a medicine, best first. `user` (a User or id)
+  // filters out allergy conflicts and supplies the location used for distance.
+  async findSubstitutes(medicineId, { user = null, quantity = 1, coordinates = null, limit = 5 } = {}) {
+    const original = await Medicine.findById(medicineId)
+      .select('name genericName dosage category price drugProduct vendorId');
+    if (!original) {
+      return null;
+    }
+
+    const customer = user && !user.medicalProfile
+      ? await User.findById(user).select('medicalProfile.allergies address.coordinates')
+      : user;
+    const allergyTerms = this.getAllergyTerms(customer);
+    const origin = hasCoordinates(coordinates) ? coordinates : customer?.address?.coordinates;
+
+    const result = {
+      original: {
+        _id: original._id,
+        name: original.name,
+        genericName: original.genericName,
+        dosage: original.dosage,
+        category: original.category,
+        price: original.price
+      },
+      allergyConflict: this.findAllergyConflict(original, allergyTerms),
+      substitutes: []
+    };
+
+    const genericTerms = tokenize(original.genericName);
+    const sameProduct = [
+      ...(genericTerms.length > 0 ? [{ searchTerms: { $all: genericTerms } }] : []),
+      // Listings not yet indexed for search
+      ...(original.genericName ? [{ genericName: new RegExp(`^\\s*${escapeRegex(original.genericName.trim())}\\s*$`, 'i') }] : []),
+      ...(original.drugProduct ? [{ drugProduct: original.drugProduct }] : [])
+    ];
+    if (sameProduct.length === 0) {
+      return result;
+    }
+
+    const candidates = await Medicine.find({
+      _id: { $ne: original._id },
+      isActive: true,
+      stockQuantity: { $gte: quantity },
+      expiryDate: { $gt: new Date() },
+      $or: sameProduct
+    })
+      .select('name genericName manufacturer dosage category price stockQuantity expiryDate lots prescriptionRequired imageUrl images.thumbnailUrl drugProduct vendorId')
+      .populate('vendorId', 'firstName lastName businessInfo.pharmacyName businessInfo.deliveryRadiusKm address.city address.coordinates isActive')
+      .limit(200);
+
+    const available = candidates.filter(candidate =>
+      candidate.vendorId?.isActive !== false &&
+      this.isEquivalent(original, candidate) &&
+      candidate.getSellableQuantity() >= quantity &&
+      !this.findAllergyConflict(candidate, allergyTerms)
+    );
+    if (available.length === 0) {
+      return result;
+    }
+
+    const ratings = await this.getVendorRatings([...new Set(available.map(candidate => candidate.vendorId._id))]);
+    const lowestPrice = Math.min(...available.map(candidate => candidate.price));
+
+    const ranked = available.map(candidate => {
+      const vendor = candidate.vendorId;
+      const distance = hasCoordinates(origin) && hasCoordinates(vendor.address?.coordinates)
+        ? Math.round(deliveryPricingService.distanceKm(vendor.address.coordinates, origin) * 10) / 10
+        : null;
+      const deliveryRadiusKm = vendor.businessInfo?.deliveryRadiusKm;
+      if (distance !== null && deliveryRadiusKm && distance > deliveryRadiusKm) {
+        return null;
+      }
+      const rating = ratings.get(vendor._id.toString());
+
+      // Each factor scored 0-1; unknown distance and unrated vendors sit in the middle
+      const priceScore = candidate.price > 0 ? lowestPrice / candidate.price : 1;
+      const distanceScore = distance === null ? 0.5 : 1 / (1 + distance / 5);
+      const ratingScore = rating ? rating.averageRating / 5 : 0.5;
+      const score = RANK_WEIGHTS.price * priceScore + RANK_WEIGHTS.distance * distanceScore + RANK_WEIGHTS.rating * ratingScore;
+
+      return {
+        _id: candidate._id,
+        name: candidate.name,
+        genericName: candidate.genericName,
+        manufacturer: candidate.manufacturer,
+        dosage: candidate.dosage,
+        category: candidate.category,
+        price: candidate.price,
+        priceDifference: Math.round((candidate.price - original.price) * 100) / 100,
+        prescriptionRequired: candidate.prescriptionRequired,
+        imageUrl: candidate.imageUrl,
+        thumbnailUrl: candidate.images?.thumbnailUrl || null,
+        sameVendor: vendor._id.toString() === original.vendorId.toString(),
+        distance,
+        etaMinutes: deliveryPricingService.estimateEtaMinutes(distance),
+        pharmacy: {
+          _id: vendor._id,
+          name: vendor.businessInfo?.pharmacyName || `${vendor.firstName} ${vendor.lastName}`,
+          city: vendor.address?.city || null,
+          rating: rating?.averageRating || 0,
+          totalReviews: rating?.totalReviews || 0
+        },
+        score: Math.round(score * 1000) / 1000
+      };
+    });
+
+    result.substitutes = ranked
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score || a.price - b.price)
+      .slice(0, limit);
+    return result;
+  }
+}
+
+export default new SubstitutionService();
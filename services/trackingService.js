@@ -0,0 +1,318 @@
+import Order from '../models/Order.js';
+import orderStatusService from './orderStatusService.js';
+import notificationService from './notificationService.js';
+
+// Raised when a tracking event cannot be recorded; carries the HTTP status for the route
+export class TrackingError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'TrackingError';
+    this.statusCode = statusCode;
+  }
+}
+
+const STATUS_TITLES = {
+  pending: 'Order placed',
+  confirmed: 'Confirmed by the pharmacy',
+  processing: 'Being prepared',
+  shipped: 'Handed to the courier',
+  delivered: 'Delivered',
+  cancelled: 'Cancelled'
+};
+
+const EVENT_TITLES = {
+  checkpoint: 'In transit',
+  location: 'Location update',
+  note: 'Update',
+  delivery_attempt: 'Delivery attempted',
+  eta_update: 'Delivery estimate updated'
+};
+
+// Who is shown as the source of a timeline entry
+const SOURCE_LABELS = {
+  customer: 'customer',
+  pharmacy_vendor: 'pharmacy',
+  admin: 'medzy',
+  system: 'medzy',
+  courier: 'courier'
+};
+
+// Event types each kind of actor may add
+const ALLOWED_EVENT_TYPES = {
+  courier: ['checkpoint', 'location', 'note', 'delivery_attempt', 'eta_update'],
+  pharmacy_vendor: ['location', 'note', 'eta_update'],
+  admin: ['checkpoint', 'location', 'note', 'delivery_attempt', 'eta_update']
+};
+
+// Shipments the courier can still report on
+const TRACKABLE_STATUSES = ['confirmed', 'processing', 'shipped'];
+
+class TrackingService {
+  // "Rahim Uddin" -> "R**** U****"
+  maskName(fullName) {
+    if (!fullName) return '';
+    return fullName
+      .trim()
+      .split(/\s+/)
+      .map(part => part[0] + '*'.repeat(Math.max(part.length - 1, 1)))
+      .join(' ');
+  }
+
+  // Order and, for a shipment tracking ID, the shipment it refers to
+  async findByTrackingId(trackingId) {
+    const order = await Order.findOne({
+      $or: [
+        { trackingId },
+        { 'shipments.trackingId': trackingId }
+      ]
+    });
+
+    if (!order) {
+      return null;
+    }
+
+    order.ensureShipments();
+    const shipment = order.shipments.find(candidate => candidate.trackingId === trackingId) || null;
+    return { order, shipment };
+  }
+
+  // Status changes and tracking events of one shipment, oldest first
+  buildShipmentTimeline(shipment) {
+    const statusEntries = shipment.statusHistory.map(entry => ({
+      type: 'status',
+      status: entry.status,
+      title: STATUS_TITLES[entry.status] || entry.status,
+      // Default notes only repeat the status
+      description: entry.note && !entry.note.startsWith('Status updated to') ? entry.note : undefined,
+      source: SOURCE_LABELS[entry.actorRole] || 'medzy',
+      shipmentTrackingId: shipment.trackingId,
+      occurredAt: entry.timestamp
+    }));
+
+    const trackingEntries = (shipment.trackingEvents || []).map(event => ({
+      type: event.type,
+      title: EVENT_TITLES[event.type],
+      description: event.description,
+      location: event.location?.name || event.location?.city
+        ? { name: event.location.name, city: event.location.city }
+        : undefined,
+      estimatedDelivery: event.estimatedDelivery,
+      source: SOURCE_LABELS[event.source],
+      courier: event.courier,
+      shipmentTrackingId: shipment.trackingId,
+      occurredAt: event.occurredAt
+    }));
+
+    return [...statusEntries, ...trackingEntries]
+      .sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt));
+  }
+
+  // Latest delivery estimate across the shipments still on their way
+  latestEstimate(shipments) {
+    return shipments
+      .filter(shipment => shipment.status !== 'cancelled')
+      .map(shipment => shipment.estimatedDelivery)
+      .filter(Boolean)
+      .sort((a, b) => new Date(b) - new Date(a))[0] || null;
+  }
+
+  // Tracking view for the public endpoint. No contact details, address or
+  // user IDs: only a masked name and the delivery city.
+  async getPublicTracking(trackingId) {
+    const found = await this.findByTrackingId(trackingId);
+    if (!found) {
+      return null;
+    }
+
+    const { order, shipment } = found;
+    await order.populate([
+      { path: 'items.medicine', select: 'name genericName' },
+      { path: 'shipments.vendor', select: 'firstName lastName businessInfo.pharmacyName' }
+    ]);
+
+    const shipments = shipment ? [shipment] : order.shipments;
+    const formatItems = (vendorId) => order.getVendorItems(vendorId).map(item => ({
+      name: item.medicine?.name,
+      quantity: item.quantity,
+      price: item.price
+    }));
+
+    const formattedShipments = shipments.map(current => {
+      const vendor = current.vendor;
+      return {
+        trackingId: current.trackingId,
+        pharmacy: vendor?.businessInfo?.pharmacyName ||
+          [vendor?.firstName, vendor?.lastName].filter(Boolean).join(' '),
+        status: current.status,
+        courier: current.courier?.name || null,
+        estimatedDelivery: current.estimatedDelivery,
+        deliveredAt: current.deliveredAt,
+        items: formatItems(vendor?._id || vendor),
+        timeline: this.buildShipmentTimeline(current)
+      };
+    });
+
+    const timeline = formattedShipments
+      .flatMap(current => current.timeline)
+      .sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt));
+
+    return {
+      trackingId: shipment ? shipment.trackingId : order.trackingId,
+      orderTrackingId: order.trackingId,
+      status: shipment ? shipment.status : order.status,
+      paymentStatus: order.paymentStatus,
+      total: order.total,
+      customerName: this.maskName(order.shippingAddress?.fullName),
+      deliveryCity: order.shippingAddress?.city,
+      estimatedDelivery: this.latestEstimate(shipments) || order.estimatedDelivery,
+      deliveredAt: shipment ? shipment.deliveredAt : order.deliveredAt,
+      lastUpdate: timeline.length > 0 ? timeline[timeline.length - 1] : null,
+      shipments: formattedShipments,
+      timeline
+    };
+  }
+
+  // Add tracking events against a shipment tracking ID. actor is { role, id }
+  // for vendors and admins or { role: 'courier', courier } for courier partners.
+  // A courier event with status "delivered" completes the shipment.
+  async addEvents(trackingId, events, actor) {
+    const found = await this.findByTrackingId(trackingId);
+    if (!found) {
+      throw new TrackingError('Tracking ID not found', 404);
+    }
+
+    const { order } = found;
+    // An order tracking ID is accepted when the order has a single shipment
+    const shipment = found.shipment || (order.shipments.length === 1 ? order.shipments[0] : null);
+    if (!shipment) {
+      throw new TrackingError('This order has several shipments. Use the shipment tracking ID');
+    }
+
+    if (actor.role === 'pharmacy_vendor' && shipment.vendor.toString() !== actor.id.toString()) {
+      throw new TrackingError('You can only add events to your own shipments', 403);
+    }
+
+    if (actor.role === 'courier') {
+      if (shipment.courier?.name && shipment.courier.name !== actor.courier) {
+        throw new TrackingError('This shipment is assigned to another courier', 403);
+      }
+      if (!TRACKABLE_STATUSES.includes(shipment.status)) {
+        throw new TrackingError(`Shipment is ${shipment.status}`);
+      }
+    }
+
+    const recorded = [];
+    let deliveredEvent = null;
+    let etaChanged = false;
+
+    for (const event of events) {
+      const type = event.type || (actor.role === 'courier' ? 'checkpoint' : 'note');
+      if (!ALLOWED_EVENT_TYPES[actor.role]?.includes(type)) {
+        throw new TrackingError(`Event type ${type} is not allowed`);
+      }
+
+      if (event.externalId && shipment.trackingEvents.some(existing => (
+        existing.externalId === event.externalId && existing.courier === actor.courier
+      ))) {
+        continue; // Already recorded
+      }
+
+      const occurredAt = event.occurredAt ? new Date(event.occurredAt) : new Date();
+      if (Number.isNaN(occurredAt.getTime())) {
+        throw new TrackingError('Invalid event time');
+      }
+
+      let estimatedDelivery;
+      if (event.estimatedDelivery) {
+        estimatedDelivery = new Date(event.estimatedDelivery);
+        if (Number.isNaN(estimatedDelivery.getTime())) {
+          throw new TrackingError('Invalid estimated delivery date');
+        }
+      } else if (type === 'eta_update') {
+        throw new TrackingError('estimatedDelivery is required for an ETA update');
+      }
+
+      const delivered = actor.role === 'courier' && event.status === 'delivered';
+      if (!event.description && !event.location && !estimatedDelivery && !delivered) {
+        throw new TrackingError('An event needs a description, a location or an estimated delivery date');
+      }
+
+      shipment.trackingEvents.push({
+        type,
+        description: event.description || (delivered ? 'Delivered to the customer' : undefined),
+        location: event.location,
+        estimatedDelivery,
+        source: actor.role,
+        courier: actor.courier,
+        externalId: event.externalId,
+        createdBy: actor.id,
+        occurredAt
+      });
+      recorded.push(shipment.trackingEvents[shipment.trackingEvents.length - 1]);
+
+      if (estimatedDelivery) {
+        shipment.estimatedDelivery = estimatedDelivery;
+        etaChanged = true;
+      }
+
+      if (delivered) {
+        deliveredEvent = event;
+      }
+    }
+
+    if (recorded.length === 0) {
+      return { order, shipment, events: [] };
+    }
+
+    if (actor.role === 'courier' && !shipment.courier?.name) {
+      shipment.courier = { name: actor.courier, reference: events.find(event => event.reference)?.reference };
+    }
+
+    if (etaChanged) {
+      order.estimatedDelivery = this.latestEstimate(order.shipments);
+    }
+
+    await order.save();
+    console.log(`📍 ${recorded.length} tracking event(s) added to shipment ${shipment.trackingId} by ${actor.courier || actor.role}`);
+
+    await this.notifyCustomer(order, shipment, recorded);
+
+    if (deliveredEvent && shipment.status === 'shipped') {
+      await orderStatusService.updateShipmentStatus({
+        orderId: order._id,
+        vendorId: shipment.vendor,
+        toStatus: 'delivered',
+        actor: { role: 'system' },
+        note: deliveredEvent.description || `Delivered by ${actor.courier}`
+      });
+    }
+
+    return { order, shipment, events: recorded };
+  }
+
+  // Tell the customer about failed delivery attempts and new delivery estimates
+  async notifyCustomer(order, shipment, events) {
+    const attempt = events.find(event => event.type === 'delivery_attempt');
+    const etaEvent = [...events].reverse().find(event => event.estimatedDelivery);
+
+    let body;
+    if (attempt) {
+      body = `We tried to deliver shipment ${shipment.trackingId}${attempt.description ? `: ${attempt.description}` : ''}.`;
+    } else if (etaEvent) {
+      body = `Shipment ${shipment.trackingId} is now expected on ${etaEvent.estimatedDelivery.toDateString()}.`;
+    } else {
+      return;
+    }
+
+    await notificationService.sendPushNotification({ _id: order.customer }, {
+      title: `Order ${order.trackingId} update`,
+      body,
+      data: {
+        orderId: order._id.toString(),
+        trackingId: shipment.trackingId
+      }
+    });
+  }
+}
+
+export default new TrackingService();
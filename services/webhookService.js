@@ -0,0 +1,266 @@
+import crypto from 'crypto';
+import cron from 'node-cron';
+import WebhookEvent from '../models/WebhookEvent.js';
+import paymentGatewayService from './paymentGatewayService.js';
+import paymentService from './paymentService.js';
+
+export class WebhookEventError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'WebhookEventError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Delays before each automatic retry of an event that could not be applied yet
+const RETRY_DELAYS_MS = [1, 5, 15, 60, 240].map(minutes => minutes * 60 * 1000);
+
+// An event left in received or processing this long was interrupted by a restart
+const ABANDONED_AFTER_MS = 5 * 60 * 1000;
+
+// Results that may change if the same notification is applied again later
+const RETRYABLE_RESULTS = ['payment_not_found', 'verification_pending'];
+
+const KEPT_HEADERS = ['content-type', 'user-agent', 'stripe-signature', 'x-bkash-signature'];
+
+// JSON with sorted keys, so the same payload always hashes the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const pickHeaders = (headers = {}) => Object.fromEntries(
+  KEPT_HEADERS.filter(name => headers[name] !== undefined).map(name => [name, headers[name]])
+);
+
+// Every gateway notification is stored before it is acted on. Replays of a delivery are
+// counted on the original event instead of being applied twice, events that could not be
+// applied (payment not saved yet, gateway unreachable) are retried on a backoff, and admins
+// can inspect events and re-process failed ones.
+class WebhookService {
+  constructor() {
+    this.startRetryJob();
+  }
+
+  startRetryJob() {
+    // Retry failed and interrupted events every 5 minutes
+    cron.schedule('*/5 * * * *', async () => {
+      try {
+        await this.retryDueEvents();
+      } catch (error) {
+        console.error('Error retrying webhook events:', error);
+      }
+    });
+
+    console.log('Webhook retry job scheduled - every 5 minutes');
+  }
+
+  eventKey(gateway, kind, payload) {
+    return crypto.createHash('sha256').update(`${gateway}:${kind}:${canonicalJson(payload)}`).digest('hex');
+  }
+
+  // Parse and store an inbound notification. Returns { event, notification, duplicate };
+  // a duplicate is a replay of a delivery that was already stored.
+  async record(gateway, kind, req, routeOutcome) {
+    const provider = paymentGatewayService.requireProvider(gateway);
+    const notification = await provider.parseWebhook(
+      { body: req.body, query: req.query, headers: req.headers, rawBody: req.rawBody },
+      routeOutcome
+    );
+    const payload = notification.raw || {};
+    // Rejected deliveries get their own key, so a forged copy cannot block the genuine one
+    const eventKey = this.eventKey(provider.name, notification.signatureValid === false ? `${kind}:rejected` : kind, payload);
+
+    try {
+      const event = await WebhookEvent.create({
+        gateway: provider.name,
+        kind,
+        eventKey,
+        payload,
+        headers: pickHeaders(req.headers),
+        sourceIp: req.ip,
+        signatureValid: typeof notification.signatureValid === 'boolean' ? notification.signatureValid : null,
+        notification: {
+          transactionId: notification.transactionId,
+          gatewayPaymentId: notification.gatewayPaymentId,
+          outcome: notification.outcome,
+          validationId: notification.validationId,
+          amount: notification.amount,
+          reason: notification.reason,
+          details: notification.details
+        },
+        status: notification.signatureValid === false ? 'rejected' : 'received',
+        result: notification.signatureValid === false ? 'invalid_signature' : undefined
+      });
+      return { event, notification, duplicate: false };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+
+    const event = await WebhookEvent.findOneAndUpdate(
+      { eventKey },
+      { $inc: { deliveries: 1 }, $set: { lastDeliveredAt: new Date() } },
+      { new: true }
+    );
+    console.log(`🔁 Replayed ${provider.name} ${kind} delivery for event ${event._id} (${event.status})`);
+    return { event, notification, duplicate: true };
+  }
+
+  // Apply a stored event to its payment. Only one worker can hold an event at a time; returns
+  // null when the event is not in a state that allows processing (already processed, rejected,
+  // or being processed elsewhere). Pass adminId for a manual re-process.
+  async process(event, { adminId } = {}) {
+    const abandonedBefore = new Date(Date.now() - ABANDONED_AFTER_MS);
+    const claimed = await WebhookEvent.findOneAndUpdate(
+      {
+        _id: event._id,
+        $or: [
+          { status: { $in: ['received', 'failed'] } },
+          { status: 'processing', processingStartedAt: { $lt: abandonedBefore } }
+        ]
+      },
+      {
+        $set: { status: 'processing', processingStartedAt: new Date(), ...(adminId && { reprocessedBy: adminId }) },
+        $inc: { attempts: 1 },
+        $unset: { nextRetryAt: '' }
+      },
+      { new: true }
+    );
+    if (!claimed) {
+      return null;
+    }
+
+    let settlement;
+    try {
+      settlement = await paymentService.applyNotification(claimed.gateway, claimed.notification, {
+        gatewayResponse: JSON.stringify(claimed.payload)
+      });
+    } catch (error) {
+      console.error(`❌ Webhook event ${claimed._id} failed:`, error.message);
+      await this.markFailed(claimed, 'error', error.message);
+      throw error;
+    }
+
+    if (RETRYABLE_RESULTS.includes(settlement.result)) {
+      console.warn(`⏳ Webhook event ${claimed._id} not applied (${settlement.result}): ${settlement.reason}`);
+      await this.markFailed(claimed, settlement.result, settlement.reason, settlement.payment);
+      return settlement;
+    }
+
+    await WebhookEvent.updateOne({ _id: claimed._id }, {
+      $set: {
+        status: 'processed',
+        result: settlement.result,
+        payment: settlement.payment?._id,
+        processedAt: new Date()
+      },
+      $unset: { lastError: '', processingStartedAt: '' }
+    });
+    console.log(`📬 Webhook event ${claimed._id} processed: ${settlement.result}`);
+    return settlement;
+  }
+
+  async markFailed(event, result, message, payment) {
+    const delay = RETRY_DELAYS_MS[event.attempts - 1];
+    await WebhookEvent.updateOne({ _id: event._id }, {
+      $set: {
+        status: 'failed',
+        result,
+        lastError: message,
+        ...(payment && { payment: payment._id }),
+        // Once the delays run out it stays failed until an admin re-processes it
+        ...(delay && { nextRetryAt: new Date(Date.now() + delay) })
+      },
+      $unset: { processingStartedAt: '' }
+    });
+  }
+
+  // Events whose retry is due, and events interrupted before they finished
+  async retryDueEvents() {
+    const now = new Date();
+    const abandonedBefore = new Date(now.getTime() - ABANDONED_AFTER_MS);
+    const events = await WebhookEvent.find({
+      $or: [
+        { status: 'failed', nextRetryAt: { $lte: now } },
+        { status: 'received', createdAt: { $lt: abandonedBefore } },
+        { status: 'processing', processingStartedAt: { $lt: abandonedBefore } }
+      ]
+    })
+      .sort({ createdAt: 1 })
+      .limit(100);
+
+    let processed = 0;
+    for (const event of events) {
+      try {
+        const settlement = await this.process(event);
+        if (settlement && !RETRYABLE_RESULTS.includes(settlement.result)) processed++;
+      } catch (error) {
+        // Already recorded on the event; carry on with the rest
+      }
+    }
+
+    if (events.length > 0) {
+      console.log(`🔄 Webhook retry: ${processed} of ${events.length} events processed`);
+    }
+    return { attempted: events.length, processed };
+  }
+
+  // Admin: list events, newest first. Filters: gateway, kind, status, result, transactionId,
+  // paymentId, startDate, endDate
+  async getEvents(filters = {}, { page = 1, limit = 50 } = {}) {
+    const query = {};
+    if (filters.gateway) query.gateway = filters.gateway;
+    if (filters.kind) query.kind = filters.kind;
+    if (filters.status) query.status = filters.status;
+    if (filters.result) query.result = filters.result;
+    if (filters.transactionId) query['notification.transactionId'] = filters.transactionId;
+    if (filters.paymentId) query.payment = filters.paymentId;
+    if (filters.from || filters.to) {
+      query.createdAt = {};
+      if (filters.from) query.createdAt.$gte = filters.from;
+      if (filters.to) query.createdAt.$lte = filters.to;
+    }
+
+    const [events, total] = await Promise.all([
+      WebhookEvent.find(query)
+        .select('-payload -headers')
+        .populate('payment', 'transactionId status amount paymentMethod')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebhookEvent.countDocuments(query)
+    ]);
+
+    return {
+      events,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  // Admin: apply a failed event again, whether or not it still has automatic retries left
+  async reprocess(eventId, adminId) {
+    const event = await WebhookEvent.findById(eventId);
+    if (!event) {
+      throw new WebhookEventError('Webhook event not found', 404);
+    }
+    if (event.status !== 'failed') {
+      throw new WebhookEventError(`Only failed events can be re-processed; this one is ${event.status}`, 409);
+    }
+
+    let claimed = true;
+    try {
+      claimed = Boolean(await this.process(event, { adminId }));
+    } catch (error) {
+      // Recorded on the event, which is returned with its error
+    }
+    if (!claimed) {
+      throw new WebhookEventError('This event is already being processed', 409);
+    }
+    return WebhookEvent.findById(eventId).populate('payment', 'transactionId status amount paymentMethod');
+  }
+}
+
+export default new WebhookService();
@@ -0,0 +1,23 @@
+import cron from 'node-cron';
+import mongoose from 'mongoose';
+
+// Services schedule their jobs when they are imported; stop them so the test process can exit
+export const stopScheduledJobs = () => {
+  cron.getTasks().forEach(task => task.stop());
+};
+
+export const objectId = () => new mongoose.Types.ObjectId();
+
+// Stand-in for a mongoose query: awaitable, and chainable through the calls services make
+export const query = (result) => {
+  const chain = {
+    session: () => chain,
+    select: () => chain,
+    sort: () => chain,
+    limit: () => chain,
+    populate: () => chain,
+    exec: () => Promise.resolve(result),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
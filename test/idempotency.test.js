@@ -0,0 +1,142 @@
+import { describe, it, before, beforeEach, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { objectId, query } from './helpers.js';
+
+const userId = objectId().toString();
+
+// In-memory stand-in for the collection, keyed like its unique index
+const records = new Map();
+const recordKey = ({ userId: user, key }) => `${user}:${key}`;
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+let handled;
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { id: userId };
+  next();
+});
+app.post('/api/orders', idempotent, (req, res) => {
+  handled++;
+  if (req.body.fail) {
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+  res.status(201).json({ success: true, orderId: `order-${handled}` });
+});
+
+let server;
+let baseUrl;
+
+const post = async (body, key) => {
+  const response = await fetch(`${baseUrl}/api/orders`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(key && { 'Idempotency-Key': key }) },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, replayed: response.headers.get('idempotent-replayed'), body: await response.json() };
+};
+
+before(async () => {
+  server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => server.close());
+
+describe('idempotent requests', () => {
+  beforeEach(() => {
+    records.clear();
+    handled = 0;
+    mock.method(console, 'log', () => {});
+    mock.method(IdempotencyKey, 'create', async (claim) => {
+      if (records.has(recordKey(claim))) throw duplicateKeyError();
+      const record = { _id: objectId(), status: 'processing', updatedAt: new Date(), ...claim };
+      records.set(recordKey(claim), record);
+      return record;
+    });
+    mock.method(IdempotencyKey, 'findOne', (filter) => query(records.get(recordKey(filter)) || null));
+    mock.method(IdempotencyKey, 'updateOne', (filter, update) => {
+      Object.assign(records.get(recordKey(filter)), update.$set);
+      return query({ modifiedCount: 1 });
+    });
+    mock.method(IdempotencyKey, 'deleteOne', (filter) => {
+      for (const [storedKey, record] of records) {
+        if ((filter._id && record._id === filter._id) || storedKey === recordKey(filter)) {
+          records.delete(storedKey);
+        }
+      }
+      return query({ deletedCount: 1 });
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('runs requests without a key every time', async () => {
+    await post({ items: 1 });
+    await post({ items: 1 });
+    assert.equal(handled, 2);
+    assert.equal(IdempotencyKey.create.mock.callCount(), 0);
+  });
+
+  it('replays the stored response for a retry instead of running the request again', async () => {
+    const first = await post({ items: 1 }, 'checkout-1');
+    const retry = await post({ items: 1 }, 'checkout-1');
+
+    assert.equal(handled, 1);
+    assert.equal(first.status, 201);
+    assert.equal(first.replayed, null);
+    assert.equal(retry.status, 201);
+    assert.equal(retry.replayed, 'true');
+    assert.deepEqual(retry.body, first.body);
+  });
+
+  it('rejects a key reused for a different request', async () => {
+    await post({ items: 1 }, 'checkout-1');
+    const reused = await post({ items: 2 }, 'checkout-1');
+
+    assert.equal(reused.status, 422);
+    assert.equal(handled, 1);
+  });
+
+  it('answers 409 while the first request still holds the key', async () => {
+    await post({ items: 1 }, 'checkout-1');
+    // As if the first request had not answered yet
+    Object.assign(records.get(`${userId}:checkout-1`), { status: 'processing', updatedAt: new Date() });
+
+    const concurrent = await post({ items: 1 }, 'checkout-1');
+    assert.equal(concurrent.status, 409);
+    assert.equal(handled, 1);
+  });
+
+  it('frees the key after a server error so the retry runs', async () => {
+    mock.method(console, 'error', () => {});
+    const failed = await post({ fail: true }, 'checkout-1');
+    assert.equal(failed.status, 500);
+    assert.equal(records.size, 0);
+
+    const retry = await post({ fail: true }, 'checkout-1');
+    assert.equal(retry.replayed, null);
+    assert.equal(handled, 2);
+  });
+
+  it('takes over a key whose request was abandoned', async () => {
+    await post({ items: 1 }, 'checkout-1');
+    Object.assign(records.get(`${userId}:checkout-1`), { status: 'processing', updatedAt: new Date(Date.now() - 10 * 60 * 1000) });
+
+    const retry = await post({ items: 1 }, 'checkout-1');
+    assert.equal(retry.status, 201);
+    assert.equal(retry.replayed, null);
+    assert.equal(handled, 2);
+  });
+
+  it('rejects keys longer than 255 characters', async () => {
+    const response = await post({ items: 1 }, 'k'.repeat(256));
+    assert.equal(response.status, 400);
+    assert.equal(handled, 0);
+  });
+});
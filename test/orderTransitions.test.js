@@ -0,0 +1,192 @@
+import { describe, it, beforeEach, afterEach, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Order from '../models/Order.js';
+import Medicine from '../models/Medicine.js';
+import orderService from '../services/orderService.js';
+import orderStatusService, { ORDER_TRANSITIONS, OrderTransitionError } from '../services/orderStatusService.js';
+import { stopScheduledJobs, objectId, query } from './helpers.js';
+
+after(stopScheduledJobs);
+
+const vendorA = objectId();
+const vendorB = objectId();
+const medicineA = objectId();
+const medicineB = objectId();
+const lotA = objectId();
+
+const buildOrder = () => {
+  const order = new Order({
+    customer: objectId(),
+    trackingId: 'MEDTEST1',
+    items: [
+      {
+        medicine: medicineA,
+        vendor: vendorA,
+        quantity: 2,
+        price: 50,
+        lots: [{ lot: lotA, batchNumber: 'A-1', expiryDate: new Date('2030-01-01'), quantity: 2 }]
+      },
+      // Placed before lots were recorded on order items
+      { medicine: medicineB, vendor: vendorB, quantity: 3, price: 20 }
+    ],
+    paymentMethod: 'cash_on_delivery',
+    shippingAddress: {
+      fullName: 'Test Customer',
+      phone: '01700000001',
+      email: 'customer@example.com',
+      address: 'House 1, Road 1',
+      city: 'Dhaka',
+      postalCode: '1205'
+    },
+    subtotal: 160,
+    total: 160
+  });
+  order.ensureShipments();
+  return order;
+};
+
+describe('order transition table', () => {
+  it('lets fulfilment roles move a shipment forward one step at a time', () => {
+    assert.equal(orderStatusService.canTransition('pending', 'confirmed', 'pharmacy_vendor'), true);
+    assert.equal(orderStatusService.canTransition('confirmed', 'processing', 'admin'), true);
+    assert.equal(orderStatusService.canTransition('processing', 'shipped', 'pharmacy_vendor'), true);
+    assert.equal(orderStatusService.canTransition('shipped', 'delivered', 'system'), true);
+    assert.equal(orderStatusService.canTransition('pending', 'shipped', 'admin'), false);
+  });
+
+  it('only lets customers cancel a pending order', () => {
+    assert.equal(orderStatusService.canTransition('pending', 'cancelled', 'customer'), true);
+    assert.equal(orderStatusService.canTransition('confirmed', 'cancelled', 'customer'), false);
+    assert.equal(orderStatusService.canTransition('pending', 'confirmed', 'customer'), false);
+  });
+
+  it('treats delivered and cancelled as terminal', () => {
+    assert.deepEqual(ORDER_TRANSITIONS.delivered, {});
+    assert.deepEqual(ORDER_TRANSITIONS.cancelled, {});
+    assert.equal(orderStatusService.canTransition('delivered', 'cancelled', 'admin'), false);
+  });
+
+  it('rejects unknown statuses, skipped steps and other roles with their HTTP status', () => {
+    assert.throws(() => orderStatusService.assertTransition('pending', 'lost', 'admin'),
+      (error) => error instanceof OrderTransitionError && error.statusCode === 400);
+    assert.throws(() => orderStatusService.assertTransition('pending', 'delivered', 'admin'),
+      (error) => error instanceof OrderTransitionError && error.statusCode === 400);
+    assert.throws(() => orderStatusService.assertTransition('processing', 'cancelled', 'customer'),
+      (error) => error instanceof OrderTransitionError && error.statusCode === 403);
+  });
+});
+
+describe('order status updates', () => {
+  let order;
+  let saved;
+
+  beforeEach(() => {
+    order = buildOrder();
+    saved = 0;
+    mock.method(order, 'save', async () => { saved++; return order; });
+    mock.method(orderService, 'runInTransaction', (work) => work(null));
+    mock.method(orderStatusService, 'loadOrder', async () => order);
+    // Side effects with their own collections; each test opts back into the one it checks
+    for (const hook of ['voidShipmentPayments', 'returnRedeemedPoints', 'releaseOrderCoupon',
+      'completeShipmentPayment', 'awardLoyaltyPoints', 'refundOnlinePayments', 'notifyCustomer']) {
+      mock.method(orderStatusService, hook, async () => {});
+    }
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('moves a vendor shipment, records who moved it and notifies after the commit', async () => {
+    const actor = { id: vendorA, role: 'pharmacy_vendor' };
+    const transition = await orderStatusService.updateShipmentStatus({ orderId: order._id, vendorId: vendorA, toStatus: 'confirmed', actor });
+
+    const shipment = order.getShipment(vendorA);
+    assert.equal(transition.fromStatus, 'pending');
+    assert.equal(shipment.status, 'confirmed');
+    assert.equal(shipment.statusHistory.at(-1).actorRole, 'pharmacy_vendor');
+    assert.equal(order.getShipment(vendorB).status, 'pending');
+    assert.equal(saved, 1);
+    assert.equal(orderStatusService.notifyCustomer.mock.callCount(), 1);
+  });
+
+  it('refuses to move a shipment of another vendor', async () => {
+    await assert.rejects(
+      orderStatusService.updateShipmentStatus({ orderId: order._id, vendorId: objectId(), toStatus: 'confirmed', actor: { id: objectId(), role: 'pharmacy_vendor' } }),
+      (error) => error instanceof OrderTransitionError && error.statusCode === 403
+    );
+    assert.equal(saved, 0);
+  });
+
+  it('keeps a prescription order pending until a pharmacist approves it', async () => {
+    const shipment = order.getShipment(vendorA);
+    shipment.prescriptionReview = { required: true, status: 'pending' };
+
+    await assert.rejects(
+      orderStatusService.updateShipmentStatus({ orderId: order._id, vendorId: vendorA, toStatus: 'confirmed', actor: { id: vendorA, role: 'pharmacy_vendor' } }),
+      /prescription must be approved/
+    );
+    assert.equal(shipment.status, 'pending');
+
+    shipment.prescriptionReview.status = 'approved';
+    await orderStatusService.updateShipmentStatus({ orderId: order._id, vendorId: vendorA, toStatus: 'confirmed', actor: { id: vendorA, role: 'pharmacy_vendor' } });
+    assert.equal(shipment.status, 'confirmed');
+  });
+
+  it('validates every shipment before changing any of them', async () => {
+    order.getShipment(vendorB).status = 'confirmed';
+
+    await assert.rejects(
+      orderStatusService.updateOrderStatus({ orderId: order._id, toStatus: 'cancelled', actor: { id: order.customer, role: 'customer' } }),
+      (error) => error instanceof OrderTransitionError && error.statusCode === 403
+    );
+    assert.equal(order.getShipment(vendorA).status, 'pending');
+    assert.equal(order.getShipment(vendorA).statusHistory.length, 0);
+    assert.equal(saved, 0);
+  });
+
+  it('restocks every shipment of a cancelled order into the lots it was taken from', async () => {
+    const releaseStock = mock.method(Medicine, 'releaseStock', async () => []);
+    const legacyMedicine = { updateStock: mock.fn(async () => {}) };
+    const findById = mock.method(Medicine, 'findById', () => query(legacyMedicine));
+
+    const transitions = await orderStatusService.updateOrderStatus({ orderId: order._id, toStatus: 'cancelled', actor: { id: order.customer, role: 'customer' } });
+
+    assert.equal(transitions.length, 2);
+    assert.equal(order.rollUpStatus(), 'cancelled');
+
+    assert.equal(releaseStock.mock.callCount(), 1);
+    const [releasedId, releasedLots, , , releaseContext] = releaseStock.mock.calls[0].arguments;
+    assert.equal(releasedId.toString(), medicineA.toString());
+    assert.equal(releasedLots[0].lot.toString(), lotA.toString());
+    assert.equal(releasedLots[0].quantity, 2);
+    assert.equal(releaseContext.reasonCode, 'order_cancellation');
+    assert.equal(releaseContext.actorRole, 'customer');
+
+    // The item without lots goes back through updateStock with the same ledger context
+    assert.equal(findById.mock.calls[0].arguments[0].toString(), medicineB.toString());
+    const [quantity, type, , stockContext] = legacyMedicine.updateStock.mock.calls[0].arguments;
+    assert.equal(quantity, 3);
+    assert.equal(type, 'in');
+    assert.deepEqual(stockContext, releaseContext);
+
+    assert.equal(orderStatusService.voidShipmentPayments.mock.callCount(), 2);
+    assert.equal(orderStatusService.notifyCustomer.mock.callCount(), 2);
+  });
+
+  it('keeps a committed change when an after-commit hook fails', async () => {
+    mock.method(console, 'error', () => {});
+    orderStatusService.notifyCustomer.mock.mockImplementation(async () => { throw new Error('SMTP down'); });
+
+    const transition = await orderStatusService.updateShipmentStatus({ orderId: order._id, vendorId: vendorA, toStatus: 'confirmed', actor: { id: vendorA, role: 'admin' } });
+    assert.equal(transition.shipment.status, 'confirmed');
+  });
+
+  it('runs the delivered hooks only when a shipment is delivered', async () => {
+    const shipment = order.getShipment(vendorA);
+    shipment.status = 'shipped';
+
+    await orderStatusService.updateShipmentStatus({ orderId: order._id, vendorId: vendorA, toStatus: 'delivered', actor: { id: vendorA, role: 'pharmacy_vendor' } });
+    assert.equal(orderStatusService.completeShipmentPayment.mock.callCount(), 1);
+    assert.equal(orderStatusService.awardLoyaltyPoints.mock.callCount(), 1);
+    assert.equal(orderStatusService.voidShipmentPayments.mock.callCount(), 0);
+  });
+});
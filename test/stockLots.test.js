@@ -0,0 +1,140 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Medicine from '../models/Medicine.js';
+import StockMovement from '../models/StockMovement.js';
+import { objectId, query } from './helpers.js';
+
+const daysFromNow = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+const lots = {
+  expired: { _id: objectId(), batchNumber: 'OLD', expiryDate: daysFromNow(-5), quantity: 10 },
+  soon: { _id: objectId(), batchNumber: 'SOON', expiryDate: daysFromNow(30), quantity: 3 },
+  later: { _id: objectId(), batchNumber: 'LATER', expiryDate: daysFromNow(300), quantity: 8 }
+};
+
+// A stored listing; lots are listed out of expiry order on purpose
+const storedMedicine = (lotList = [lots.later, lots.expired, lots.soon]) => Medicine.hydrate({
+  _id: objectId(),
+  vendorId: objectId(),
+  name: 'Napa 500',
+  price: 10,
+  stockQuantity: lotList.reduce((total, lot) => total + lot.quantity, 0),
+  batchNumber: 'SOON',
+  expiryDate: lots.soon.expiryDate,
+  isActive: true,
+  lots: lotList.map(lot => ({ ...lot, receivedQuantity: lot.quantity }))
+});
+
+describe('FEFO stock reservation', () => {
+  let medicine;
+  let ledger;
+
+  beforeEach(() => {
+    medicine = storedMedicine();
+    ledger = [];
+    mock.method(Medicine, 'findOne', () => query(medicine));
+    mock.method(Medicine, 'findById', () => query(medicine));
+    mock.method(Medicine, 'findByIdAndUpdate', async () => medicine);
+    mock.method(StockMovement, 'insertMany', async (entries) => { ledger.push(...entries); return entries; });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('takes the earliest-expiring unexpired lot first and records one ledger entry per lot', async () => {
+    const findOneAndUpdate = mock.method(Medicine, 'findOneAndUpdate', async () => medicine);
+
+    const taken = await Medicine.reserveStock(medicine._id, 5, 'Order #1', null, { reasonCode: 'sale' });
+
+    assert.deepEqual(taken.map(movement => [movement.batchNumber, movement.quantity]), [['SOON', 3], ['LATER', 2]]);
+
+    const [filter, update, options] = findOneAndUpdate.mock.calls[0].arguments;
+    assert.equal(update.$inc.stockQuantity, -5);
+    assert.equal(update.$inc['lots.$[lot0].quantity'], -3);
+    assert.equal(update.$inc['lots.$[lot1].quantity'], -2);
+    assert.equal(options.arrayFilters[0]['lot0._id'], lots.soon._id);
+    // Each decrement only applies if the lot still holds what was read
+    assert.deepEqual(filter.$and[0].lots.$elemMatch.quantity, { $gte: 3 });
+
+    assert.deepEqual(ledger.map(entry => [entry.type, entry.batchNumber, entry.quantity]), [['out', 'SOON', 3], ['out', 'LATER', 2]]);
+    assert.equal(ledger[0].reasonCode, 'sale');
+  });
+
+  it('never sells from an expired lot', async () => {
+    const findOneAndUpdate = mock.method(Medicine, 'findOneAndUpdate', async () => medicine);
+
+    // 21 units are on hand but only 11 are unexpired
+    assert.equal(await Medicine.reserveStock(medicine._id, 12), null);
+    assert.equal(findOneAndUpdate.mock.callCount(), 0);
+    assert.equal(ledger.length, 0);
+  });
+
+  it('reads the lots again when a concurrent checkout wins the race', async () => {
+    const afterRace = storedMedicine([lots.later, { ...lots.soon, quantity: 1 }]);
+    let reads = 0;
+    Medicine.findOne.mock.mockImplementation(() => query(reads++ === 0 ? medicine : afterRace));
+    const findOneAndUpdate = mock.method(Medicine, 'findOneAndUpdate', async () => (findOneAndUpdate.mock.callCount() === 0 ? null : afterRace));
+
+    const taken = await Medicine.reserveStock(medicine._id, 4);
+
+    assert.equal(findOneAndUpdate.mock.callCount(), 2);
+    assert.deepEqual(taken.map(movement => [movement.batchNumber, movement.quantity]), [['SOON', 1], ['LATER', 3]]);
+  });
+
+  it('gives up after three lost races', async () => {
+    const findOneAndUpdate = mock.method(Medicine, 'findOneAndUpdate', async () => null);
+
+    assert.equal(await Medicine.reserveStock(medicine._id, 1), null);
+    assert.equal(findOneAndUpdate.mock.callCount(), 3);
+  });
+
+  it('returns stock to the lots it was taken from, merging quantities per lot', async () => {
+    const findByIdAndUpdate = Medicine.findByIdAndUpdate;
+
+    await Medicine.releaseStock(medicine._id, [
+      { lot: lots.soon._id, batchNumber: 'SOON', quantity: 2 },
+      { lot: lots.soon._id, batchNumber: 'SOON', quantity: 1 },
+      { lot: lots.later._id, batchNumber: 'LATER', quantity: 4 }
+    ], 'Order cancellation #1', null, { reasonCode: 'order_cancellation' });
+
+    const [, update, options] = findByIdAndUpdate.mock.calls[0].arguments;
+    assert.deepEqual(update.$inc, { stockQuantity: 7, 'lots.$[lot0].quantity': 3, 'lots.$[lot1].quantity': 4 });
+    assert.equal(options.arrayFilters[1]['lot1._id'], lots.later._id);
+    assert.deepEqual(ledger.map(entry => [entry.type, entry.batchNumber, entry.quantity, entry.reasonCode]), [
+      ['in', 'SOON', 3, 'order_cancellation'],
+      ['in', 'LATER', 4, 'order_cancellation']
+    ]);
+  });
+
+  it('returns stock from a lot that no longer exists to the current lot', async () => {
+    mock.method(console, 'log', () => {});
+
+    await Medicine.releaseStock(medicine._id, [{ lot: objectId(), batchNumber: 'GONE', quantity: 2 }]);
+
+    const [, update] = Medicine.findByIdAndUpdate.mock.calls[0].arguments;
+    assert.equal(update.$inc['lots.$[lot0].quantity'], 2);
+    assert.equal(ledger[0].batchNumber, 'SOON');
+  });
+});
+
+describe('stock updates on a listing', () => {
+  it('changes nothing when a stock out cannot be covered', () => {
+    const medicine = storedMedicine();
+    const save = mock.method(medicine, 'save', async () => medicine);
+
+    assert.throws(() => medicine.updateStock(12, 'out', 'Sale'), /Insufficient stock: 11 available, 12 requested/);
+    assert.deepEqual(medicine.lots.map(lot => lot.quantity), [8, 10, 3]);
+    assert.equal(medicine.$locals.stockMovements, undefined);
+    assert.equal(save.mock.callCount(), 0);
+  });
+
+  it('writes expired stock off from expired lots first', async () => {
+    const medicine = storedMedicine();
+    mock.method(medicine, 'save', async () => medicine);
+
+    await medicine.updateStock(12, 'expired', 'Write-off');
+
+    assert.deepEqual(medicine.lots.map(lot => lot.quantity), [8, 0, 1]);
+    assert.equal(medicine.stockQuantity, 9);
+    assert.deepEqual(medicine.$locals.stockMovements.map(entry => [entry.batchNumber, entry.quantity]), [['OLD', 10], ['SOON', 2]]);
+  });
+});
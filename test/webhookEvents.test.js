@@ -0,0 +1,170 @@
+import { describe, it, beforeEach, afterEach, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import WebhookEvent from '../models/WebhookEvent.js';
+import paymentGatewayService from '../services/paymentGatewayService.js';
+import paymentService from '../services/paymentService.js';
+import webhookService, { WebhookEventError } from '../services/webhookService.js';
+import { stopScheduledJobs, objectId, query } from './helpers.js';
+
+after(stopScheduledJobs);
+
+const MINUTE = 60 * 1000;
+
+const ipn = (body, headers = {}) => ({ body, query: {}, headers: { 'content-type': 'application/json', ...headers }, ip: '127.0.0.1' });
+
+describe('webhook events', () => {
+  let stored;
+  let signatureValid;
+
+  beforeEach(() => {
+    stored = new Map();
+    signatureValid = true;
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    mock.method(paymentGatewayService, 'requireProvider', () => ({
+      name: 'mock',
+      parseWebhook: async ({ body }) => ({ transactionId: body.tran_id, outcome: body.status, raw: body, signatureValid })
+    }));
+    mock.method(WebhookEvent, 'create', async (event) => {
+      if (stored.has(event.eventKey)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      const created = { _id: objectId(), deliveries: 1, attempts: 0, ...event };
+      stored.set(event.eventKey, created);
+      return created;
+    });
+    mock.method(WebhookEvent, 'findOneAndUpdate', async ({ eventKey }, update) => {
+      const event = stored.get(eventKey);
+      event.deliveries += update.$inc.deliveries;
+      return event;
+    });
+    mock.method(WebhookEvent, 'updateOne', async () => ({ modifiedCount: 1 }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  describe('recording deliveries', () => {
+    it('stores a replayed delivery once and counts it', async () => {
+      const first = await webhookService.record('mock', 'ipn', ipn({ tran_id: 'TXN1', status: 'VALID' }));
+      // Same payload with its keys in another order
+      const replay = await webhookService.record('mock', 'ipn', ipn({ status: 'VALID', tran_id: 'TXN1' }));
+
+      assert.equal(first.duplicate, false);
+      assert.equal(replay.duplicate, true);
+      assert.equal(replay.event._id, first.event._id);
+      assert.equal(replay.event.deliveries, 2);
+      assert.equal(WebhookEvent.create.mock.callCount(), 2);
+    });
+
+    it('keeps different notifications and kinds apart', async () => {
+      await webhookService.record('mock', 'ipn', ipn({ tran_id: 'TXN1', status: 'VALID' }));
+      const other = await webhookService.record('mock', 'ipn', ipn({ tran_id: 'TXN2', status: 'VALID' }));
+      const customerReturn = await webhookService.record('mock', 'return', ipn({ tran_id: 'TXN1', status: 'VALID' }));
+
+      assert.equal(other.duplicate, false);
+      assert.equal(customerReturn.duplicate, false);
+      assert.equal(stored.size, 3);
+    });
+
+    it('stores a forged delivery as rejected without blocking the genuine one', async () => {
+      signatureValid = false;
+      const forged = await webhookService.record('mock', 'ipn', ipn({ tran_id: 'TXN1', status: 'VALID' }));
+      signatureValid = true;
+      const genuine = await webhookService.record('mock', 'ipn', ipn({ tran_id: 'TXN1', status: 'VALID' }));
+
+      assert.equal(forged.event.status, 'rejected');
+      assert.equal(forged.event.result, 'invalid_signature');
+      assert.equal(genuine.duplicate, false);
+      assert.equal(genuine.event.status, 'received');
+    });
+
+    it('keeps only the signature and content headers', async () => {
+      const { event } = await webhookService.record('mock', 'ipn', ipn({ tran_id: 'TXN1' }, { 'stripe-signature': 't=1', authorization: 'Bearer secret' }));
+      assert.deepEqual(event.headers, { 'content-type': 'application/json', 'stripe-signature': 't=1' });
+    });
+  });
+
+  describe('processing and retries', () => {
+    const claimedEvent = (attempts) => ({ _id: objectId(), gateway: 'mock', notification: { transactionId: 'TXN1' }, payload: {}, attempts });
+    const lastUpdate = () => WebhookEvent.updateOne.mock.calls.at(-1).arguments[1];
+
+    it('marks an applied event processed with its result', async () => {
+      const payment = { _id: objectId() };
+      WebhookEvent.findOneAndUpdate.mock.mockImplementation(async () => claimedEvent(1));
+      mock.method(paymentService, 'applyNotification', async () => ({ result: 'completed', payment }));
+
+      const settlement = await webhookService.process({ _id: objectId() });
+
+      assert.equal(settlement.result, 'completed');
+      const update = lastUpdate();
+      assert.equal(update.$set.status, 'processed');
+      assert.equal(update.$set.payment, payment._id);
+    });
+
+    it('does nothing when another worker holds the event or it is already processed', async () => {
+      WebhookEvent.findOneAndUpdate.mock.mockImplementation(async () => null);
+      const applyNotification = mock.method(paymentService, 'applyNotification', async () => ({ result: 'completed' }));
+
+      assert.equal(await webhookService.process({ _id: objectId() }), null);
+      assert.equal(applyNotification.mock.callCount(), 0);
+    });
+
+    it('schedules a retry on a backoff when the payment is not saved yet', async () => {
+      WebhookEvent.findOneAndUpdate.mock.mockImplementation(async () => claimedEvent(2));
+      mock.method(paymentService, 'applyNotification', async () => ({ result: 'payment_not_found', reason: 'No payment TXN1' }));
+
+      const before = Date.now();
+      await webhookService.process({ _id: objectId() });
+
+      const update = lastUpdate();
+      assert.equal(update.$set.status, 'failed');
+      assert.equal(update.$set.result, 'payment_not_found');
+      // Second attempt: the next retry is 5 minutes out
+      const delay = update.$set.nextRetryAt.getTime() - before;
+      assert.ok(delay >= 5 * MINUTE && delay < 5 * MINUTE + 1000, `retry in ${delay}ms`);
+    });
+
+    it('stops retrying automatically once the delays run out', async () => {
+      WebhookEvent.findOneAndUpdate.mock.mockImplementation(async () => claimedEvent(6));
+      mock.method(paymentService, 'applyNotification', async () => ({ result: 'verification_pending' }));
+
+      await webhookService.process({ _id: objectId() });
+
+      const update = lastUpdate();
+      assert.equal(update.$set.status, 'failed');
+      assert.equal(update.$set.nextRetryAt, undefined);
+    });
+
+    it('records an error and passes it on', async () => {
+      WebhookEvent.findOneAndUpdate.mock.mockImplementation(async () => claimedEvent(1));
+      mock.method(paymentService, 'applyNotification', async () => { throw new Error('Gateway unreachable'); });
+
+      await assert.rejects(webhookService.process({ _id: objectId() }), /Gateway unreachable/);
+      const update = lastUpdate();
+      assert.equal(update.$set.result, 'error');
+      assert.equal(update.$set.lastError, 'Gateway unreachable');
+    });
+
+    it('retries due events and counts the ones that went through', async () => {
+      const due = [claimedEvent(1), claimedEvent(1), claimedEvent(1)];
+      mock.method(WebhookEvent, 'find', () => query(due));
+      WebhookEvent.findOneAndUpdate.mock.mockImplementation(async ({ _id }) => due.find(event => event._id === _id));
+      const results = ['completed', 'payment_not_found'];
+      mock.method(paymentService, 'applyNotification', async () => {
+        const result = results.shift();
+        if (!result) throw new Error('Gateway unreachable');
+        return { result };
+      });
+
+      assert.deepEqual(await webhookService.retryDueEvents(), { attempted: 3, processed: 1 });
+    });
+
+    it('only lets admins re-process failed events', async () => {
+      mock.method(WebhookEvent, 'findById', () => query({ _id: objectId(), status: 'processed' }));
+
+      await assert.rejects(webhookService.reprocess(objectId(), objectId()),
+        (error) => error instanceof WebhookEventError && error.statusCode === 409);
+    });
+  });
+});
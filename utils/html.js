@@ -0,0 +1,4 @@
+// Helpers for the HTML the backend builds itself (transactional emails)
+
+// Text made safe to place inside HTML: customer and vendor input never becomes markup
+export const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
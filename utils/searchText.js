@@ -0,0 +1,193 @@
+// Text helpers shared by the medicine search index, the search and substitution services and the routes
+
+// Abbreviations, alternative names and common brands mapped to the generic they mean.
+// Catalogue brands (DrugProduct) are added to this at runtime by the search service.
+export const SEARCH_SYNONYMS = {
+  pcm: ['paracetamol'],
+  para: ['paracetamol'],
+  acetaminophen: ['paracetamol'],
+  tylenol: ['paracetamol'],
+  napa: ['paracetamol'],
+  ace: ['paracetamol'],
+  asa: ['aspirin'],
+  ecosprin: ['aspirin'],
+  ors: ['oral', 'rehydration', 'salts'],
+  orsaline: ['oral', 'rehydration', 'salts'],
+  omeprazol: ['omeprazole'],
+  seclo: ['omeprazole'],
+  losectil: ['omeprazole'],
+  sergel: ['esomeprazole'],
+  nexum: ['esomeprazole'],
+  pantonix: ['pantoprazole'],
+  fexo: ['fexofenadine'],
+  histacin: ['chlorpheniramine'],
+  cpm: ['chlorpheniramine'],
+  monas: ['montelukast'],
+  azithro: ['azithromycin'],
+  zimax: ['azithromycin'],
+  amoxy: ['amoxicillin'],
+  amoxil: ['amoxicillin'],
+  cipro: ['ciprofloxacin'],
+  flagyl: ['metronidazole'],
+  filmet: ['metronidazole'],
+  metro: ['metronidazole'],
+  ibu: ['ibuprofen'],
+  brufen: ['ibuprofen'],
+  advil: ['ibuprofen'],
+  diclo: ['diclofenac'],
+  voltaren: ['diclofenac'],
+  glucophage: ['metformin'],
+  comet: ['metformin'],
+  losart: ['losartan'],
+  osartil: ['losartan'],
+  amdocal: ['amlodipine'],
+  vitc: ['vitamin', 'c'],
+  vitd: ['vitamin', 'd'],
+  ceevit: ['vitamin', 'c'],
+  // Common Bangla words for forms of medicine
+  bori: ['tablet'],
+  borhi: ['tablet'],
+  oshudh: ['medicine'],
+  osudh: ['medicine'],
+  sirap: ['syrup'],
+  malom: ['ointment'],
+  drop: ['drops']
+};
+
+// Words that never help a medicine search
+const STOP_WORDS = new Set(['the', 'and', 'of', 'for', 'with', 'a', 'an', 'in']);
+
+// Bengali script -> Latin, following common Bangladeshi romanization (নাপা -> napa)
+const BANGLA_VOWELS = {
+  'অ': 'o', 'আ': 'a', 'ই': 'i', 'ঈ': 'i', 'উ': 'u', 'ঊ': 'u', 'ঋ': 'ri', 'এ': 'e', 'ঐ': 'oi', 'ও': 'o', 'ঔ': 'ou'
+};
+const BANGLA_VOWEL_SIGNS = {
+  'া': 'a', 'ি': 'i', 'ী': 'i', 'ু': 'u', 'ূ': 'u', 'ৃ': 'ri', 'ে': 'e', 'ৈ': 'oi', 'ো': 'o', 'ৌ': 'ou'
+};
+const BANGLA_CONSONANTS = {
+  'ক': 'k', 'খ': 'kh', 'গ': 'g', 'ঘ': 'gh', 'ঙ': 'ng', 'চ': 'ch', 'ছ': 'chh', 'জ': 'j', 'ঝ': 'jh', 'ঞ': 'n',
+  'ট': 't', 'ঠ': 'th', 'ড': 'd', 'ঢ': 'dh', 'ণ': 'n', 'ত': 't', 'থ': 'th', 'দ': 'd', 'ধ': 'dh', 'ন': 'n',
+  'প': 'p', 'ফ': 'f', 'ব': 'b', 'ভ': 'bh', 'ম': 'm', 'য': 'j', 'র': 'r', 'ল': 'l', 'শ': 'sh', 'ষ': 'sh',
+  'স': 's', 'হ': 'h', 'ৎ': 't'
+};
+// ড়, ঢ় and য় are written as the base letter plus a nukta
+const BANGLA_NUKTA_CONSONANTS = { 'ড': 'r', 'ঢ': 'rh', 'য': 'y' };
+const NUKTA = '\u09BC';
+const BANGLA_SIGNS = { 'ং': 'ng', 'ঃ': 'h', 'ঁ': '' };
+const BANGLA_DIGITS = '০১২৩৪৫৬৭৮৯';
+const HASANTA = '্';
+
+export const hasBangla = (text) => /[\u0980-\u09FF]/.test(text);
+
+export const transliterateBangla = (text) => {
+  const chars = [...String(text).normalize('NFC')];
+  let output = '';
+
+  for (let i = 0; i < chars.length; i++) {
+    const char = chars[i];
+    const next = chars[i + 1];
+
+    if (BANGLA_CONSONANTS[char] !== undefined) {
+      if (next === NUKTA && BANGLA_NUKTA_CONSONANTS[char]) {
+        output += BANGLA_NUKTA_CONSONANTS[char];
+        i += 1;
+      } else if (next === HASANTA && chars[i + 2] === 'য' && chars[i + 3] !== NUKTA) {
+        // Ya-phala after a consonant (প্যা -> pya)
+        output += BANGLA_CONSONANTS[char] + 'y';
+        i += 2;
+      } else {
+        output += BANGLA_CONSONANTS[char];
+      }
+      const following = chars[i + 1];
+      // Inherent vowel, dropped before a vowel sign or hasanta and at the end of a word
+      if (following && BANGLA_VOWEL_SIGNS[following] === undefined && following !== HASANTA &&
+        following !== NUKTA && BANGLA_SIGNS[following] === undefined && /[\u0980-\u09FF]/.test(following)) {
+        output += 'o';
+      }
+    } else if (BANGLA_VOWEL_SIGNS[char] !== undefined) {
+      output += BANGLA_VOWEL_SIGNS[char];
+    } else if (BANGLA_VOWELS[char] !== undefined) {
+      output += BANGLA_VOWELS[char];
+    } else if (BANGLA_SIGNS[char] !== undefined) {
+      output += BANGLA_SIGNS[char];
+    } else if (BANGLA_DIGITS.includes(char)) {
+      output += BANGLA_DIGITS.indexOf(char);
+    } else if (char !== HASANTA && char !== NUKTA) {
+      output += char;
+    }
+  }
+
+  return output;
+};
+
+// Lowercase Latin tokens; Bangla is transliterated and numbers are split from units ("500mg" -> 500, mg)
+export const tokenize = (text) => {
+  if (!text) return [];
+  const source = hasBangla(text) ? transliterateBangla(text) : String(text);
+
+  return source
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/([a-z])(\d)|(\d)([a-z])/g, '$1$3 $2$4')
+    .split(/[^a-z0-9]+/)
+    .filter(token => token && !STOP_WORDS.has(token));
+};
+
+// Spelling-insensitive key: folds the variations of romanized Bangla and common misspellings
+// (ph/f, c/k/s, v/b, doubled letters, aspirated consonants) so "prasitamol" and "paracetamol" meet
+export const phoneticKey = (token) => token
+  .replace(/ph/g, 'f')
+  .replace(/c(?=[eiy])/g, 's')
+  .replace(/[cq]/g, 'k')
+  .replace(/x/g, 'ks')
+  .replace(/z/g, 'j')
+  .replace(/v/g, 'b')
+  .replace(/([kgtdbjc])h/g, '$1')
+  .replace(/sh/g, 's')
+  .replace(/([^aeiou])y/g, '$1')
+  .replace(/ee/g, 'i')
+  .replace(/oo/g, 'u')
+  .replace(/([a-z])\1+/g, '$1');
+
+// Consonant outline of the phonetic key; vowels are the least reliable part of a transliteration
+export const consonantKey = (token) => {
+  const key = phoneticKey(token);
+  return key[0] + key.slice(1).replace(/[aeiouy]/g, '');
+};
+
+// Damerau-Levenshtein distance, giving up once it exceeds max
+export const editDistance = (a, b, max = 2) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows[i] = [i];
+  }
+  for (let j = 0; j <= b.length; j++) {
+    rows[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    let rowMin = Infinity;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, rows[i][j]);
+    }
+    if (rowMin > max) return max + 1;
+  }
+
+  return rows[a.length][b.length];
+};
+
+// Text matched literally inside a regular expression
+export const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Index terms of a medicine listing
+export const medicineSearchTerms = ({ name, genericName, manufacturer, dosage, tags = [] }) => [
+  ...new Set([name, genericName, manufacturer, dosage, ...(tags || [])].flatMap(tokenize))
+];